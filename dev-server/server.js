@@ -0,0 +1,414 @@
+/**
+ * LOCAL DPHOTO STAND-IN SERVER
+ * ============================
+ *
+ * Serves the landing page and a mock of the dphoto REST API so the
+ * integration can be developed and tested offline. No dependencies.
+ *
+ * Usage:
+ *   node dev-server/server.js
+ *   open http://localhost:4000/?api=/api
+ *
+ * Environment:
+ *   PORT            - Port to listen on (default 4000)
+ *   HOST            - Interface to listen on (default 127.0.0.1, this machine only;
+ *                     0.0.0.0 to try the site from a phone on the same network)
+ *   DPHOTO_LATENCY  - Artificial API delay in ms (default 0)
+ *   DPHOTO_CATALOG  - Catalog manifest to serve (default data/catalog.json)
+ *   DPHOTO_URL_TTL  - Lifetime of signed image URLs in seconds (default 300)
+ *   DPHOTO_FILL_ALBUMS - Pad every album with up to this many made-up photos from
+ *                       the catalog's images, for trying big albums (default 0)
+ *
+ * API (mirrors DphotoRestAdapter in dphoto-feature-proposal/dphoto-adapter.js):
+ *   GET /api/albums
+ *   GET /api/albums/:id
+ *   GET /api/albums/:id/photos[?offset=&limit=]
+ *   GET /api/photos
+ *   GET /api/thumbnails/:kind/:id?size=
+ *
+ * Analytics (BeaconSink in dphoto-feature-proposal/analytics.js):
+ *   POST /api/events   - { events: [...] }, logged to the console
+ *
+ * Like dphoto, local images are handed out as signed URLs
+ * (/signed/<path>?expires=&sig=) that return 403 once they expire.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 4000;
+const HOST = process.env.HOST || '127.0.0.1';
+const LATENCY = Number(process.env.DPHOTO_LATENCY) || 0;
+const CATALOG_PATH = path.resolve(ROOT, process.env.DPHOTO_CATALOG || 'data/catalog.json');
+const URL_TTL = (Number(process.env.DPHOTO_URL_TTL) || 300) * 1000;
+const FILL_ALBUMS = Number(process.env.DPHOTO_FILL_ALBUMS) || 0;
+const MAX_EVENTS_BODY = 64 * 1024;
+
+// New secret per run, so restarting the server invalidates every signed URL
+const SIGNING_SECRET = crypto.randomBytes(16).toString('hex');
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+/**
+ * Read the catalog fresh on every request so edits show up without a restart
+ * @returns {Object} - { albums, photos }
+ */
+function readCatalog() {
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    return FILL_ALBUMS ? fillAlbums(catalog) : catalog;
+}
+
+/**
+ * Pad each album with made-up photos up to its photoCount (at most
+ * FILL_ALBUMS), cycling through the images the catalog already uses
+ * @param {Object} catalog - { albums, photos }
+ * @returns {Object}
+ */
+function fillAlbums(catalog) {
+    const images = [...new Set([
+        ...catalog.photos.map(photo => photo.imageUrl),
+        ...catalog.albums.map(album => album.cover)
+    ].filter(Boolean))];
+    const photos = [...catalog.photos];
+
+    catalog.albums.forEach(album => {
+        const existing = photos.filter(photo => photo.albumId === album.id).length;
+        const count = Math.min(album.photoCount || 0, FILL_ALBUMS);
+        for (let n = existing + 1; n <= count; n++) {
+            photos.push({
+                id: `${album.id}-${n}`,
+                albumId: album.id,
+                imageUrl: images[(n + album.id.length) % images.length],
+                title: `${album.title} #${n}`,
+                albumUrl: album.url
+            });
+        }
+    });
+    return { ...catalog, photos };
+}
+
+/**
+ * HMAC signature for a path and expiry time
+ * @param {string} filePath - Path relative to the repository root
+ * @param {number} expires - Expiry timestamp (ms)
+ * @returns {string}
+ */
+function sign(filePath, expires) {
+    return crypto.createHmac('sha256', SIGNING_SECRET).update(`${filePath}:${expires}`).digest('hex');
+}
+
+/**
+ * Turn a local image path into an expiring signed URL.
+ * Absolute (remote) URLs are returned unchanged.
+ *
+ * @param {string} imagePath - Image path from the catalog
+ * @returns {Object} - { url, expiresAt }
+ */
+function signImageUrl(imagePath) {
+    if (!imagePath || /^[a-z]+:\/\//i.test(imagePath)) {
+        return { url: imagePath, expiresAt: null };
+    }
+
+    const filePath = imagePath.replace(/^\//, '');
+    const expires = Date.now() + URL_TTL;
+    return {
+        url: `/signed/${filePath}?expires=${expires}&sig=${sign(filePath, expires)}`,
+        expiresAt: expires
+    };
+}
+
+/**
+ * Catalog album -> dphoto API album (snake_case core fields)
+ * @param {Object} album - Catalog album
+ * @returns {Object}
+ */
+function toApiAlbum(album) {
+    const { title, date, photoCount, cover, coverAlt, ...rest } = album;
+    return {
+        ...rest,
+        name: title,
+        created_at: date,
+        photo_count: photoCount,
+        cover_url: signImageUrl(cover).url,
+        cover_alt: coverAlt
+    };
+}
+
+/**
+ * Catalog photo -> dphoto API photo (snake_case core fields)
+ * @param {Object} photo - Catalog photo
+ * @returns {Object}
+ */
+function toApiPhoto(photo) {
+    const { albumId, imageUrl, albumUrl, ...rest } = photo;
+    return {
+        ...rest,
+        album_id: albumId,
+        image_url: signImageUrl(imageUrl).url,
+        album_url: albumUrl
+    };
+}
+
+/**
+ * Decode a URL path, or return null when it is malformed ("/%E0%A4%A")
+ * @param {string} pathname - Percent-encoded path
+ * @returns {string|null}
+ */
+function decodePath(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': MIME_TYPES['.json'],
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Handle /api/* requests
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res
+ */
+function handleApi(url, res) {
+    const catalog = readCatalog();
+    const parts = url.pathname.replace(/^\/api\/?/, '').split('/').filter(Boolean).map(decodePath);
+    if (parts.includes(null)) {
+        return sendJson(res, 400, { error: 'bad_request' });
+    }
+
+    // GET /api/albums
+    if (parts.length === 1 && parts[0] === 'albums') {
+        return sendJson(res, 200, { albums: catalog.albums.map(toApiAlbum) });
+    }
+
+    // GET /api/albums/:id and /api/albums/:id/photos
+    if (parts[0] === 'albums' && parts.length <= 3) {
+        const album = catalog.albums.find(a => a.id === parts[1]);
+        if (!album) {
+            return sendJson(res, 404, { error: 'album_not_found' });
+        }
+        if (parts.length === 2) {
+            return sendJson(res, 200, { album: toApiAlbum(album) });
+        }
+        if (parts[2] === 'photos') {
+            const photos = catalog.photos.filter(p => p.albumId === album.id);
+            if (!url.searchParams.has('offset') && !url.searchParams.has('limit')) {
+                return sendJson(res, 200, { photos: photos.map(toApiPhoto) });
+            }
+            const offset = Math.max(0, Number(url.searchParams.get('offset')) || 0);
+            const limit = Math.max(1, Number(url.searchParams.get('limit')) || 60);
+            return sendJson(res, 200, {
+                photos: photos.slice(offset, offset + limit).map(toApiPhoto),
+                total: photos.length
+            });
+        }
+    }
+
+    // GET /api/photos
+    if (parts.length === 1 && parts[0] === 'photos') {
+        return sendJson(res, 200, { photos: catalog.photos.map(toApiPhoto) });
+    }
+
+    // GET /api/thumbnails/:kind/:id?size=
+    if (parts[0] === 'thumbnails' && parts.length === 3) {
+        const [, kind, id] = parts;
+        const list = kind === 'albums' ? catalog.albums : kind === 'photos' ? catalog.photos : null;
+        const item = list && list.find(entry => entry.id === id);
+        if (!item) {
+            return sendJson(res, 404, { error: 'not_found' });
+        }
+        const signed = signImageUrl(item.cover || item.imageUrl);
+        return sendJson(res, 200, {
+            url: signed.url,
+            size: url.searchParams.get('size') || 'medium',
+            expires_at: signed.expiresAt ? new Date(signed.expiresAt).toISOString() : null
+        });
+    }
+
+    return sendJson(res, 404, { error: 'unknown_endpoint' });
+}
+
+/**
+ * Handle POST /api/events: log an analytics batch from BeaconSink.
+ * Beacons are sent as text/plain, so the body is parsed whatever its type.
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleEvents(req, res) {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_EVENTS_BODY) {
+            sendJson(res, 413, { error: 'payload_too_large' });
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+        let events;
+        try {
+            events = JSON.parse(Buffer.concat(chunks).toString('utf8')).events;
+        } catch (error) {
+            events = null;
+        }
+        if (!Array.isArray(events)) {
+            return sendJson(res, 400, { error: 'invalid_events' });
+        }
+
+        events.forEach(event => {
+            console.log(`[analytics] ${event.name} ${JSON.stringify(event.props || {})}`);
+        });
+        res.writeHead(204, { 'Cache-Control': 'no-store' });
+        res.end();
+    });
+}
+
+/**
+ * Handle /signed/* image requests, rejecting expired or tampered URLs
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res
+ */
+function handleSigned(url, res) {
+    const filePath = decodePath(url.pathname.replace(/^\/signed\//, ''));
+    if (filePath === null) {
+        return sendJson(res, 400, { error: 'bad_request' });
+    }
+    const expires = Number(url.searchParams.get('expires'));
+    const expected = Buffer.from(sign(filePath, expires));
+    const actual = Buffer.from(url.searchParams.get('sig') || '');
+
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return sendJson(res, 403, { error: 'invalid_signature' });
+    }
+    if (!expires || expires < Date.now()) {
+        return sendJson(res, 403, { error: 'url_expired' });
+    }
+
+    handleStatic(new URL(`/${filePath}`, url), res);
+}
+
+/**
+ * Serve a file from the repository root
+ * @param {URL} url - Request URL
+ * @param {http.ServerResponse} res
+ */
+function handleStatic(url, res) {
+    const pathname = decodePath(url.pathname);
+
+    // Malformed escapes would throw in path handling and take the server down
+    if (pathname === null) {
+        res.writeHead(400);
+        return res.end('Bad Request');
+    }
+
+    // Dotfiles and folders (.git, .env, ...) are not part of the site
+    if (pathname.split(/[\\/]/).some(segment => segment.startsWith('.'))) {
+        res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+        return res.end('Not found');
+    }
+
+    let filePath = path.join(ROOT, pathname);
+
+    // Never serve anything outside the repository
+    if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end('Forbidden');
+    }
+
+    if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            return res.end('Not found');
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream'
+        });
+        res.end(data);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+    if (url.pathname === '/api/events') {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { Allow: 'POST' });
+            return res.end();
+        }
+        return handleEvents(req, res);
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405, { Allow: 'GET, HEAD' });
+        return res.end();
+    }
+
+    if (url.pathname === '/api' || url.pathname.startsWith('/api/')) {
+        setTimeout(() => {
+            try {
+                handleApi(url, res);
+            } catch (error) {
+                console.error('API error:', error);
+                sendJson(res, 500, { error: error.message });
+            }
+        }, LATENCY);
+        return;
+    }
+
+    if (url.pathname.startsWith('/signed/')) {
+        return handleSigned(url, res);
+    }
+
+    handleStatic(url, res);
+});
+
+if (require.main === module) {
+    server.listen(PORT, HOST, () => {
+        console.log(`dphoto stand-in running at http://localhost:${PORT}/?api=/api`);
+        if (HOST !== '127.0.0.1' && HOST !== 'localhost') {
+            console.log(`Listening on ${HOST}: reachable from other machines on the network`);
+        }
+    });
+}
+
+module.exports = { server, signImageUrl, toApiAlbum, toApiPhoto };
@@ -0,0 +1,536 @@
+/**
+ * DPHOTO ALBUM GRID MODULE
+ * ========================
+ *
+ * Photo grid for a whole album. A single football game can be 800+
+ * photos, so only the rows on screen (plus a margin) are in the DOM,
+ * and photos are paged in from the adapter as the visitor scrolls.
+ *
+ * Usage:
+ *   const grid = new AlbumGrid({
+ *       container: document.querySelector('.album-grid'),
+ *       loadPage: (offset, limit) => adapter.listPhotosPage(albumId, { offset, limit }),
+ *       onOpen: (index, photo) => lightbox.open(index)
+ *   });
+ *   await grid.load();
+ *
+ * Features:
+ * - Justified rows: every photo keeps its aspect ratio and rows fill the width
+ * - Renders only the visible rows, however many photos the album has
+ * - Infinite scroll: the next page loads before the visitor reaches the end
+ * - The photo at the top of the screen stays put when the width changes
+ * - scrollToIndex() brings a photo back into view, e.g. after the lightbox
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+import { photoAltText } from './photo-metadata.js';
+
+// Photos without dimensions are laid out as 3:2 landscape
+const DEFAULT_ASPECT = 3 / 2;
+
+// Room left under the rows for "Loading photos…" or Retry
+const STATUS_HEIGHT = 64;
+
+class AlbumGrid {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element to render into
+     * @param {Function} options.loadPage - (offset, limit) => Promise<{ photos, total }>;
+     *        total may be null when unknown, and a short page ends the album
+     * @param {Function} options.onOpen - Called with (index, photo) when a photo is clicked
+     * @param {Function} options.href - (index, photo) => link for a photo, for opening in a new tab (optional)
+     * @param {RenditionManifest} options.renditions - Thumbnails and image dimensions (optional)
+     * @param {ImageUrlResolver} options.resolver - Refreshes expiring image URLs (optional)
+     * @param {number} options.rowHeight - Target row height in px (default 220; less on narrow screens)
+     * @param {number} options.gap - Space between photos in px (default 6)
+     * @param {number} options.pageSize - Photos per page (default 60)
+     * @param {number} options.overscan - Px rendered above and below the screen (default 800)
+     * @param {number} options.scrollMargin - Px kept clear above a photo scrolled into view,
+     *        e.g. for a fixed header (default 0)
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.loadPage = options.loadPage;
+        this.onOpen = options.onOpen || null;
+        this.href = options.href || null;
+        this.renditions = options.renditions || null;
+        this.resolver = options.resolver || null;
+        this.rowHeight = options.rowHeight || 220;
+        this.gap = options.gap !== undefined ? options.gap : 6;
+        this.pageSize = options.pageSize || 60;
+        this.overscan = options.overscan !== undefined ? options.overscan : 800;
+        this.scrollMargin = options.scrollMargin || 0;
+        this.photos = [];
+        this.total = null;         // null until a page says, or the album has ended
+        this.rows = [];            // { start, count, top, height, widths }
+        this.height = 0;           // height of the laid-out rows
+        this.error = null;
+        this._done = false;
+        this._loading = null;
+        this._token = 0;
+        this._width = 0;
+        this._rendered = new Map();    // row start -> { el, signature }
+        this._frame = null;
+
+        this._render();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the scrolling canvas and the status line
+     */
+    _render() {
+        this.container.classList.add('dphoto-album-grid');
+        this.container.innerHTML = `
+            <div class="dphoto-album-grid-canvas"></div>
+            <div class="dphoto-album-grid-status" role="status" aria-live="polite"></div>
+        `;
+        this.canvas = this.container.querySelector('.dphoto-album-grid-canvas');
+        this.status = this.container.querySelector('.dphoto-album-grid-status');
+        this.canvas.style.setProperty('--dphoto-album-grid-gap', `${this.gap}px`);
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this._onScroll = () => this._scheduleUpdate();
+        this._onResize = () => this._scheduleUpdate(true);
+        window.addEventListener('scroll', this._onScroll, { passive: true });
+
+        if (typeof ResizeObserver !== 'undefined') {
+            this._resizeObserver = new ResizeObserver(this._onResize);
+            this._resizeObserver.observe(this.container);
+        } else {
+            window.addEventListener('resize', this._onResize);
+        }
+
+        this.canvas.addEventListener('click', (e) => {
+            const item = e.target.closest('.dphoto-album-grid-item');
+            // Ctrl/Cmd/Shift-click opens the link in a new tab
+            if (!item || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+
+            e.preventDefault();
+            const index = Number(item.dataset.index);
+            if (this.onOpen) this.onOpen(index, this.photos[index]);
+        });
+
+        this.status.addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="retry"]')) {
+                this.error = null;
+                this.loadMore();
+            }
+        });
+    }
+
+    /**
+     * Load the first page
+     * @returns {Promise<AlbumGrid>}
+     */
+    async load() {
+        await this.loadMore();
+        return this;
+    }
+
+    /**
+     * Start over with another album
+     * @param {Function} loadPage - See the constructor
+     * @returns {Promise<AlbumGrid>}
+     */
+    reset(loadPage) {
+        this._token++;
+        this.loadPage = loadPage || this.loadPage;
+        this.photos = [];
+        this.total = null;
+        this.rows = [];
+        this.height = 0;
+        this.error = null;
+        this._done = false;
+        this._loading = null;
+        this._rendered.clear();
+        this.canvas.textContent = '';
+        return this.load();
+    }
+
+    /**
+     * Whether there are photos still to page in
+     * @returns {boolean}
+     */
+    hasMore() {
+        return !this._done;
+    }
+
+    /**
+     * Page in the next photos. Calls while a page is loading share it.
+     * @returns {Promise<Array>} - The photos added
+     */
+    loadMore() {
+        if (this._loading) return this._loading;
+        if (this._done) return Promise.resolve([]);
+
+        const token = this._token;
+        this._renderStatus('loading');
+        this.status.style.top = `${this.height + this.gap}px`;
+
+        this._loading = Promise.resolve(this.loadPage(this.photos.length, this.pageSize))
+            .then(page => {
+                if (token !== this._token) return [];
+
+                const photos = (page && page.photos) || [];
+                if (page && Number.isFinite(page.total)) this.total = page.total;
+
+                this.photos.push(...photos);
+                this._done = photos.length < this.pageSize ||
+                    (this.total !== null && this.photos.length >= this.total);
+                if (this._done) this.total = this.photos.length;
+                return photos;
+            })
+            .catch(error => {
+                if (token !== this._token) return [];
+                this.error = error;
+                console.error('Failed to load album photos:', error.message);
+                return [];
+            })
+            .then(photos => {
+                if (token !== this._token) return photos;
+                this._loading = null;
+                this._relayout();
+                return photos;
+            });
+
+        return this._loading;
+    }
+
+    /**
+     * Scroll a photo into view, paging in up to it first
+     * @param {number} index - Photo index
+     * @param {Object} options
+     * @param {boolean} options.focus - Move keyboard focus to the photo (default false)
+     * @returns {Promise<boolean>} - Whether the photo is in the grid
+     */
+    async scrollToIndex(index, options = {}) {
+        while (index >= this.photos.length && this.hasMore() && !this.error) {
+            await this.loadMore();
+        }
+        const row = this._rowOf(index);
+        if (!row) return false;
+
+        // Only scroll when the row isn't already fully on screen
+        const canvasTop = this.canvas.getBoundingClientRect().top;
+        const rowTop = canvasTop + row.top;
+        if (rowTop < this.scrollMargin || rowTop + row.height > window.innerHeight) {
+            window.scrollTo(0, window.scrollY + rowTop - this.scrollMargin);
+        }
+        this._update();
+
+        if (options.focus) {
+            const item = this.canvas.querySelector(`.dphoto-album-grid-item[data-index="${index}"]`);
+            if (item) item.focus({ preventScroll: true });
+        }
+        return true;
+    }
+
+    /**
+     * Stop listening and empty the container
+     */
+    destroy() {
+        this._token++;
+        window.removeEventListener('scroll', this._onScroll);
+        window.removeEventListener('resize', this._onResize);
+        if (this._resizeObserver) this._resizeObserver.disconnect();
+        cancelAnimationFrame(this._frame);
+        this._rendered.clear();
+        this.container.classList.remove('dphoto-album-grid');
+        this.container.textContent = '';
+    }
+
+    /**
+     * Update on the next frame (at most once per frame)
+     * @param {boolean} relayout - The width may have changed
+     */
+    _scheduleUpdate(relayout = false) {
+        this._needsLayout = this._needsLayout || relayout;
+        if (this._frame) return;
+
+        this._frame = requestAnimationFrame(() => {
+            this._frame = null;
+            if (this._needsLayout) {
+                this._needsLayout = false;
+                if (this.canvas.clientWidth !== this._width) {
+                    this._relayout();
+                    return;
+                }
+            }
+            this._update();
+        });
+    }
+
+    /**
+     * Lay the rows out again, keeping the photo at the top of the screen
+     * where it was
+     */
+    _relayout() {
+        const anchor = this._anchor();
+        this._layout();
+        if (anchor) this._restoreAnchor(anchor);
+        this._update();
+    }
+
+    /**
+     * Justify the loaded photos into rows: add photos until the row is
+     * wider than the grid at the target height, then shrink the row to fit
+     */
+    _layout() {
+        const width = this.canvas.clientWidth;
+        this._width = width;
+        this.rows = [];
+        if (width <= 0) return;
+
+        const gap = this.gap;
+        const target = this._targetRowHeight(width);
+        let top = 0;
+        let start = 0;
+        let aspects = [];
+        let sum = 0;
+
+        const addRow = (height, fill) => {
+            const widths = aspects.map(aspect => aspect * height);
+            if (fill) {
+                // Absorb rounding so the row ends exactly at the edge
+                const used = widths.reduce((total, w) => total + w, 0) + gap * (widths.length - 1);
+                widths[widths.length - 1] += width - used;
+            }
+            this.rows.push({ start, count: aspects.length, top, height, widths });
+            top += height + gap;
+        };
+
+        this.photos.forEach((photo, index) => {
+            const aspect = this._aspect(photo);
+            aspects.push(aspect);
+            sum += aspect;
+
+            if (sum * target + gap * (aspects.length - 1) >= width) {
+                addRow((width - gap * (aspects.length - 1)) / sum, true);
+                start = index + 1;
+                aspects = [];
+                sum = 0;
+            }
+        });
+
+        // The last row keeps the target height instead of stretching;
+        // it fills up when the next page arrives
+        if (aspects.length) addRow(target, false);
+
+        this.height = Math.max(0, top - gap);
+    }
+
+    /**
+     * Render the rows near the screen and drop the rest. Pages in more
+     * photos when the end of the loaded rows comes near.
+     */
+    _update() {
+        const viewTop = -this.canvas.getBoundingClientRect().top;
+        const from = viewTop - this.overscan;
+        const to = viewTop + window.innerHeight + this.overscan;
+
+        // The status line sits under the loaded rows, above the estimate for the rest
+        this._renderStatus();
+        this.status.style.top = `${this.height + this.gap}px`;
+        const statusSpace = this.status.dataset.state ? STATUS_HEIGHT : 0;
+        this.canvas.style.height = `${this.height + Math.max(this._estimatedRest(), statusSpace)}px`;
+
+        const visible = new Set();
+        for (let i = this._rowIndexAt(from); i < this.rows.length && this.rows[i].top <= to; i++) {
+            const row = this.rows[i];
+            if (row.top + row.height < from) continue;
+            visible.add(row.start);
+            this._renderRow(row);
+        }
+
+        // Keep the focused photo, or Tab would jump back to the page
+        const active = document.activeElement;
+        this._rendered.forEach((rendered, start) => {
+            if (visible.has(start) || rendered.el.contains(active)) return;
+            rendered.el.remove();
+            this._rendered.delete(start);
+        });
+
+        // Nothing to measure while hidden; don't page in the whole album
+        if (this._width > 0 && to >= this.height && this.hasMore() && !this._loading && !this.error) {
+            this.loadMore();
+        }
+    }
+
+    /**
+     * Create or reposition one row
+     * @param {Object} row - Layout row
+     */
+    _renderRow(row) {
+        const signature = `${row.count}:${row.widths.map(w => w.toFixed(1)).join(',')}`;
+        const rendered = this._rendered.get(row.start);
+
+        if (rendered && rendered.signature === signature) {
+            rendered.el.style.top = `${row.top}px`;
+            return;
+        }
+
+        const el = document.createElement('div');
+        el.className = 'dphoto-album-grid-row';
+        el.style.top = `${row.top}px`;
+        el.style.height = `${row.height}px`;
+        el.innerHTML = row.widths.map((width, i) => this._itemHtml(row.start + i, width)).join('');
+
+        if (this.resolver) {
+            el.querySelectorAll('img:not([srcset])').forEach(img => {
+                const photo = this.photos[Number(img.closest('[data-index]').dataset.index)];
+                this.resolver.bindImage(img, photo, 'small');
+            });
+        }
+
+        if (rendered) {
+            rendered.el.replaceWith(el);
+        } else {
+            this.canvas.appendChild(el);
+        }
+        this._rendered.set(row.start, { el, signature });
+    }
+
+    /**
+     * Markup for one photo
+     * @param {number} index - Photo index
+     * @param {number} width - Width in px
+     * @returns {string}
+     */
+    _itemHtml(index, width) {
+        const photo = this.photos[index];
+        const alt = photoAltText(photo);
+        const position = `Photo ${index + 1}${this.total !== null ? ` of ${this.total}` : ''}`;
+        const href = this.href ? this.href(index, photo) : photo.imageUrl;
+        const image = this.renditions
+            ? this.renditions.imageHtml(photo.imageUrl, alt, `${Math.ceil(width)}px`)
+            : `<img src="${escapeHtml(photo.imageUrl)}" alt="${escapeHtml(alt)}">`;
+
+        return `
+            <a class="dphoto-album-grid-item" href="${escapeHtml(href)}" data-index="${index}"
+               data-photo-id="${escapeHtml(photo.id)}" style="width: ${width.toFixed(2)}px"
+               aria-label="${escapeHtml(alt ? `${position}: ${alt}` : position)}">
+                ${image}
+            </a>
+        `;
+    }
+
+    /**
+     * "Loading", an error with Retry, or nothing
+     * @param {string} state - 'loading' to force the loading line (optional)
+     */
+    _renderStatus(state) {
+        const loading = state === 'loading' || Boolean(this._loading);
+        const key = this.error ? 'error' : loading ? 'loading' : this.photos.length ? '' : 'empty';
+        if (this.status.dataset.state === key) return;
+
+        this.status.dataset.state = key;
+        this.status.innerHTML = {
+            error: 'Couldn\'t load more photos. <button type="button" class="dphoto-btn" data-action="retry">Retry</button>',
+            loading: 'Loading photos…',
+            empty: 'No photos in this album yet.',
+            '': ''
+        }[key];
+    }
+
+    /**
+     * Aspect ratio (width / height) of a photo, from the photo itself or
+     * the renditions manifest
+     * @param {Object} photo - Photo object
+     * @returns {number}
+     */
+    _aspect(photo) {
+        if (photo.width > 0 && photo.height > 0) return photo.width / photo.height;
+
+        const entry = this.renditions && this.renditions.get(photo.imageUrl);
+        if (entry && entry.width > 0 && entry.height > 0) return entry.width / entry.height;
+
+        return DEFAULT_ASPECT;
+    }
+
+    /**
+     * Row height to aim for; phones get two or three photos a row
+     * @param {number} width - Grid width
+     * @returns {number}
+     */
+    _targetRowHeight(width) {
+        return Math.min(this.rowHeight, Math.max(100, width / 3));
+    }
+
+    /**
+     * Rough height of the photos not paged in yet, so the scrollbar is
+     * about right from the start
+     * @returns {number}
+     */
+    _estimatedRest() {
+        const rest = this.total !== null ? this.total - this.photos.length : 0;
+        if (rest <= 0 || !this.rows.length) return 0;
+
+        const perRow = this.photos.length / this.rows.length;
+        const rowHeight = (this.height + this.gap) / this.rows.length;
+        return Math.ceil(rest / perRow) * rowHeight;
+    }
+
+    /**
+     * Index of the first row that ends below y
+     * @param {number} y - Px from the top of the grid
+     * @returns {number}
+     */
+    _rowIndexAt(y) {
+        let low = 0;
+        let high = this.rows.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            const row = this.rows[mid];
+            if (row.top + row.height < y) {
+                low = mid + 1;
+            } else {
+                high = mid;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * The row holding a photo
+     * @param {number} index - Photo index
+     * @returns {Object|null}
+     */
+    _rowOf(index) {
+        return this.rows.find(row => index >= row.start && index < row.start + row.count) || null;
+    }
+
+    /**
+     * The first photo at the top of the screen and how far it's scrolled
+     * past, when the grid is scrolled into
+     * @returns {Object|null} - { index, offset }
+     */
+    _anchor() {
+        const viewTop = -this.canvas.getBoundingClientRect().top;
+        const row = viewTop > 0 && this.rows[this._rowIndexAt(viewTop)];
+        return row ? { index: row.start, offset: Math.max(0, viewTop - row.top) / row.height } : null;
+    }
+
+    /**
+     * Scroll so the anchor photo is back at the top of the screen
+     * @param {Object} anchor - From _anchor()
+     */
+    _restoreAnchor(anchor) {
+        const row = this._rowOf(anchor.index);
+        if (!row) return;
+
+        const viewTop = -this.canvas.getBoundingClientRect().top;
+        const delta = row.top + anchor.offset * row.height - viewTop;
+        if (Math.abs(delta) >= 1) window.scrollBy(0, delta);
+    }
+}
+
+// Export for use
+export { AlbumGrid };
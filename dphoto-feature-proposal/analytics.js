@@ -0,0 +1,369 @@
+/**
+ * DPHOTO ANALYTICS MODULE
+ * =======================
+ *
+ * A small event bus for photo views, downloads and shares. The lightbox,
+ * download and share managers report to it when given one (`analytics`
+ * option); sinks decide where the events go.
+ *
+ * Privacy:
+ * - Nothing is recorded until the visitor consents (grantConsent)
+ * - Do Not Track / Global Privacy Control turn it off for good
+ * - Events carry photo/album ids and a per-page-load session id only;
+ *   no cookies, no stored visitor id
+ *
+ * Features:
+ * - Batches events and flushes them on a timer, when the batch is full,
+ *   and with navigator.sendBeacon when the page is hidden
+ * - Sinks: BeaconSink (any endpoint), GA4Sink (gtag.js), DebugSink (console)
+ * - Local subscribers with on(name, handler)
+ * - Optional consent banner (showConsentBanner)
+ *
+ * Events:
+ *   lightbox_open, lightbox_close, lightbox_navigate, photo_view,
+ *   photo_dwell, image_error, download, download_failed,
+ *   download_cancelled, share, share_failed, share_cancelled
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class AnalyticsBus {
+    /**
+     * @param {Object} options
+     * @param {Object[]} options.sinks - Objects with send(events, { beacon })
+     * @param {number} options.batchSize - Flush when this many events are queued (default 20)
+     * @param {number} options.flushInterval - Flush at least this often, in ms (default 10000)
+     * @param {string} options.storageKey - localStorage key for the consent decision
+     * @param {boolean} options.respectDoNotTrack - Honour DNT/GPC (default true)
+     */
+    constructor(options = {}) {
+        this.sinks = options.sinks || [];
+        this.batchSize = options.batchSize || 20;
+        this.flushInterval = options.flushInterval || 10000;
+        this.storageKey = options.storageKey || 'dphoto-analytics-consent';
+        this.respectDoNotTrack = options.respectDoNotTrack !== false;
+        this.sessionId = AnalyticsBus._randomId();
+
+        this._queue = [];
+        this._timer = null;
+        this._listeners = new Map();   // name ('*' for all) -> Set<Function>
+        this._consent = this._readConsent();
+
+        // Last chance to send queued events before the page goes away
+        this._onHidden = () => {
+            if (document.visibilityState === 'hidden') this.flush({ beacon: true });
+        };
+        document.addEventListener('visibilitychange', this._onHidden);
+        window.addEventListener('pagehide', this._onHidden);
+    }
+
+    /**
+     * Whether the browser asks not to be tracked
+     * @returns {boolean}
+     */
+    get doNotTrack() {
+        if (!this.respectDoNotTrack) return false;
+        return navigator.doNotTrack === '1' ||
+            window.doNotTrack === '1' ||
+            navigator.globalPrivacyControl === true;
+    }
+
+    /**
+     * Consent decision: 'granted', 'denied' or null (not asked yet)
+     * @returns {string|null}
+     */
+    get consent() {
+        return this._consent;
+    }
+
+    /**
+     * Whether events are being recorded
+     * @returns {boolean}
+     */
+    get isEnabled() {
+        return this._consent === 'granted' && !this.doNotTrack;
+    }
+
+    /**
+     * Whether the visitor still has to be asked
+     * @returns {boolean}
+     */
+    needsConsent() {
+        return this._consent === null && !this.doNotTrack && this.sinks.length > 0;
+    }
+
+    /**
+     * Start recording (the visitor agreed)
+     */
+    grantConsent() {
+        this._setConsent('granted');
+    }
+
+    /**
+     * Stop recording and drop anything queued (the visitor declined or withdrew)
+     */
+    denyConsent() {
+        this._setConsent('denied');
+        this._queue = [];
+        clearTimeout(this._timer);
+        this._timer = null;
+    }
+
+    /**
+     * Add a sink
+     * @param {Object} sink - Object with send(events, { beacon })
+     */
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
+
+    /**
+     * Listen for events as they are recorded
+     * @param {string} name - Event name, or '*' for every event
+     * @param {Function} handler - Called with the event
+     * @returns {Function} - Removes the listener
+     */
+    on(name, handler) {
+        if (!this._listeners.has(name)) {
+            this._listeners.set(name, new Set());
+        }
+        this._listeners.get(name).add(handler);
+        return () => this._listeners.get(name).delete(handler);
+    }
+
+    /**
+     * Record an event. Ignored without consent or with Do Not Track.
+     * @param {string} name - Event name (snake_case, e.g. "photo_view")
+     * @param {Object} props - Flat event properties (strings and numbers)
+     */
+    track(name, props = {}) {
+        if (!this.isEnabled) return;
+
+        const event = {
+            name,
+            props,
+            time: Date.now(),
+            session: this.sessionId,
+            page: window.location.pathname
+        };
+
+        [this._listeners.get(name), this._listeners.get('*')].forEach(listeners => {
+            if (!listeners) return;
+            listeners.forEach(handler => {
+                try {
+                    handler(event);
+                } catch (error) {
+                    console.error('Analytics listener failed:', error);
+                }
+            });
+        });
+
+        this._queue.push(event);
+        if (this._queue.length >= this.batchSize) {
+            this.flush();
+        } else if (!this._timer) {
+            this._timer = setTimeout(() => this.flush(), this.flushInterval);
+        }
+    }
+
+    /**
+     * Send queued events to every sink
+     * @param {Object} options
+     * @param {boolean} options.beacon - The page is going away; sinks must not wait
+     */
+    flush(options = {}) {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (!this._queue.length) return;
+
+        const events = this._queue;
+        this._queue = [];
+
+        this.sinks.forEach(sink => {
+            try {
+                const sent = sink.send(events, { beacon: Boolean(options.beacon) });
+                if (sent && typeof sent.catch === 'function') {
+                    sent.catch(error => console.warn('Analytics sink failed:', error));
+                }
+            } catch (error) {
+                console.warn('Analytics sink failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Flush and stop listening for page hide
+     */
+    destroy() {
+        this.flush({ beacon: true });
+        document.removeEventListener('visibilitychange', this._onHidden);
+        window.removeEventListener('pagehide', this._onHidden);
+    }
+
+    /**
+     * Read a stored consent decision
+     * @returns {string|null}
+     */
+    _readConsent() {
+        try {
+            const value = localStorage.getItem(this.storageKey);
+            return value === 'granted' || value === 'denied' ? value : null;
+        } catch (error) {
+            // Storage blocked (e.g. private mode) - ask again next time
+            return null;
+        }
+    }
+
+    /**
+     * Store a consent decision
+     * @param {string} value - 'granted' or 'denied'
+     */
+    _setConsent(value) {
+        this._consent = value;
+        try {
+            localStorage.setItem(this.storageKey, value);
+        } catch (error) {
+            // Keeps the decision for this page only
+        }
+    }
+
+    /**
+     * Random id for the session; never stored
+     * @returns {string}
+     */
+    static _randomId() {
+        if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+            return window.crypto.randomUUID();
+        }
+        return Math.random().toString(36).slice(2) + Date.now().toString(36);
+    }
+}
+
+/**
+ * Sends batches as JSON ({ events: [...] }) to an endpoint with
+ * navigator.sendBeacon, falling back to a keepalive fetch
+ */
+class BeaconSink {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - URL that accepts POSTed batches
+     */
+    constructor(options = {}) {
+        if (!options.endpoint) {
+            throw new Error('BeaconSink requires an endpoint');
+        }
+        this.endpoint = options.endpoint;
+    }
+
+    send(events) {
+        const body = JSON.stringify({ events });
+
+        // text/plain keeps the beacon a "simple" request (no CORS preflight)
+        if (typeof navigator.sendBeacon === 'function' &&
+            navigator.sendBeacon(this.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) {
+            return;
+        }
+
+        return fetch(this.endpoint, {
+            method: 'POST',
+            body: body,
+            headers: { 'Content-Type': 'text/plain;charset=UTF-8' },
+            keepalive: true
+        });
+    }
+}
+
+/**
+ * Forwards events to Google Analytics 4 through gtag.js, which the page
+ * must load itself (after consent, if it sets cookies)
+ */
+class GA4Sink {
+    /**
+     * @param {Object} options
+     * @param {string} options.measurementId - GA4 stream ("G-XXXX"); omit to use gtag's default
+     * @param {Function} options.gtag - gtag function (default window.gtag)
+     */
+    constructor(options = {}) {
+        this.measurementId = options.measurementId || null;
+        this.gtag = options.gtag || null;
+    }
+
+    send(events, options = {}) {
+        const gtag = this.gtag || window.gtag;
+        if (typeof gtag !== 'function') return;
+
+        events.forEach(event => {
+            const params = { ...event.props };
+            if (this.measurementId) params.send_to = this.measurementId;
+            // gtag batches on its own; beacon transport survives the page closing
+            if (options.beacon) params.transport_type = 'beacon';
+            gtag('event', event.name, params);
+        });
+    }
+}
+
+/**
+ * Logs batches to the console and keeps them, for development
+ */
+class DebugSink {
+    /**
+     * @param {Object} options
+     * @param {Function} options.log - Logger (default console.debug)
+     */
+    constructor(options = {}) {
+        this.log = options.log || console.debug.bind(console);
+        this.events = [];
+    }
+
+    send(events, options = {}) {
+        this.events.push(...events);
+        this.log(`[analytics] ${events.length} event(s)${options.beacon ? ' (beacon)' : ''}`,
+            events.map(event => `${event.name} ${JSON.stringify(event.props)}`));
+    }
+}
+
+/**
+ * Ask the visitor for consent, if the bus still needs it
+ *
+ * @param {AnalyticsBus} analytics - Bus to grant or deny
+ * @param {Object} options
+ * @param {string} options.message - Banner text
+ * @param {Node} options.parent - Where to add the banner (default document.body)
+ * @returns {HTMLElement|null} - The banner, or null if it wasn't needed
+ */
+function showConsentBanner(analytics, options = {}) {
+    if (!analytics.needsConsent()) return null;
+
+    const banner = document.createElement('div');
+    banner.className = 'dphoto-consent';
+    banner.setAttribute('role', 'region');
+    banner.setAttribute('aria-label', 'Usage statistics');
+    banner.innerHTML = `
+        <p class="dphoto-consent-message"></p>
+        <div class="dphoto-consent-actions">
+            <button class="dphoto-btn" type="button" data-consent="denied">No thanks</button>
+            <button class="dphoto-btn dphoto-btn-download" type="button" data-consent="granted">Allow</button>
+        </div>
+    `;
+    banner.querySelector('.dphoto-consent-message').textContent = options.message ||
+        'Can we count anonymous photo views, downloads and shares? No cookies, nothing that identifies you.';
+
+    banner.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-consent]');
+        if (!button) return;
+
+        if (button.dataset.consent === 'granted') {
+            analytics.grantConsent();
+        } else {
+            analytics.denyConsent();
+        }
+        banner.remove();
+    });
+
+    (options.parent || document.body).appendChild(banner);
+    return banner;
+}
+
+// Export for use
+export { AnalyticsBus, BeaconSink, GA4Sink, DebugSink, showConsentBanner };
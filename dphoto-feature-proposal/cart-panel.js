@@ -0,0 +1,431 @@
+/**
+ * DPHOTO CART PANEL MODULE
+ * ========================
+ *
+ * Dialog for the print cart: change quantities, take things out, and
+ * check out through a CheckoutProvider (see checkout.js).
+ *
+ * Features:
+ * - Each line with its photo, size, crop note, quantity and price
+ * - Subtotal, shipping (free over the price list's threshold) and total
+ * - Name and email checkout form; the provider takes it from there
+ * - Order confirmation, or the provider's payment page
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+import { showToast } from './share-buttons.js';
+
+class CartPanel {
+    /**
+     * @param {Object} options
+     * @param {PrintCart} options.cart - Cart to show
+     * @param {PrintPriceList} options.priceList - Products and prices
+     * @param {CheckoutProvider} options.provider - Places the order
+     * @param {AnalyticsBus} options.analytics - Receives checkout events (optional)
+     * @param {Function} options.onOrderPlaced - Called with (result, order) once an order is paid
+     * @param {Node} options.parent - Where to add the dialog (default document.body)
+     */
+    constructor(options = {}) {
+        this.cart = options.cart;
+        this.priceList = options.priceList;
+        this.provider = options.provider;
+        this.analytics = options.analytics || null;
+        this.onOrderPlaced = options.onOrderPlaced || null;
+        this.parent = options.parent || document.body;
+        this.isOpen = false;
+        this.mode = 'cart';
+        this.busy = false;
+        this._result = null;     // { orderId, email } of the order just placed
+        this._returnFocus = null;
+
+        this._render();
+        this._bindEvents();
+        this.cart.on(() => {
+            if (this.isOpen && this.mode === 'cart') this._renderBody();
+        });
+    }
+
+    /**
+     * Create the dialog
+     */
+    _render() {
+        this.container = document.createElement('div');
+        this.container.className = 'dphoto-cart';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <div class="dphoto-cart-overlay" data-action="close"></div>
+            <div class="dphoto-cart-dialog" role="dialog" aria-modal="true" aria-labelledby="dphoto-cart-title">
+                <div class="dphoto-cart-header">
+                    <h2 class="dphoto-cart-title" id="dphoto-cart-title"></h2>
+                    <button class="dphoto-cart-close" type="button" data-action="close" aria-label="Close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="dphoto-cart-body"></div>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.title = this.container.querySelector('.dphoto-cart-title');
+        this.body = this.container.querySelector('.dphoto-cart-body');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this._handleAction(button.dataset.action, button.dataset.id);
+        });
+
+        this.container.addEventListener('change', (e) => {
+            if (e.target.name === 'quantity') {
+                this._setQuantity(e.target.dataset.id, e.target.value);
+            }
+        });
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._checkout(e.target);
+        });
+
+        // Keys typed here shouldn't reach the lightbox underneath
+        this.container.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * Show the cart
+     */
+    open() {
+        this._show('cart');
+    }
+
+    /**
+     * Hide the dialog. An order being placed carries on.
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Remove the dialog
+     */
+    destroy() {
+        this.container.remove();
+    }
+
+    /**
+     * Open the dialog in a mode
+     * @param {string} mode - 'cart', 'checkout' or 'placed'
+     */
+    _show(mode) {
+        if (!this.isOpen) {
+            this._returnFocus = document.activeElement;
+        }
+        this.mode = mode;
+        this.isOpen = true;
+        this.container.hidden = false;
+        this._renderBody();
+
+        const first = this.body.querySelector('input:not([disabled]), button:not([disabled])');
+        if (first) first.focus();
+    }
+
+    /**
+     * Fill the dialog for the current mode
+     */
+    _renderBody() {
+        if (this.mode === 'checkout') {
+            this._renderCheckout();
+        } else if (this.mode === 'placed') {
+            this._renderPlaced();
+        } else {
+            this._renderCart();
+        }
+    }
+
+    /**
+     * The cart lines and totals
+     */
+    _renderCart() {
+        this.title.textContent = 'Your Cart';
+
+        const quote = this.priceList.quote(this.cart.getItems());
+        if (!quote.lines.length) {
+            this.body.innerHTML = `
+                <p class="dphoto-cart-empty">Your cart is empty. Open a photo and choose "Order print" to add one.</p>
+                <div class="dphoto-cart-footer">
+                    <button class="dphoto-btn" type="button" data-action="close">Keep browsing</button>
+                </div>
+            `;
+            return;
+        }
+
+        const lines = quote.lines.map(line => {
+            const { item, product } = line;
+            const id = escapeHtml(item.id);
+            const title = escapeHtml(item.photo.title || 'Photo');
+            const max = product ? this.priceList.maxQuantity(product) : 1;
+            const quantity = max > 1 ? `
+                <label class="dphoto-cart-quantity">
+                    <span>Qty</span>
+                    <input type="number" name="quantity" min="1" max="${max}" value="${Math.min(item.quantity, max)}"
+                        data-id="${id}" inputmode="numeric" aria-label="Quantity of ${title}">
+                </label>
+            ` : '';
+
+            return `
+                <li class="dphoto-cart-item${line.available ? '' : ' unavailable'}">
+                    <img class="dphoto-cart-thumb" src="${escapeHtml(item.photo.imageUrl)}" alt="">
+                    <div class="dphoto-cart-info">
+                        <span class="dphoto-cart-name">${title}</span>
+                        <span class="dphoto-cart-product">${escapeHtml(product ? product.label : 'No longer available')}</span>
+                        ${item.crop ? '<span class="dphoto-cart-note">Custom crop</span>' : ''}
+                    </div>
+                    ${quantity}
+                    <span class="dphoto-cart-price">${line.available ? escapeHtml(this.priceList.format(line.total)) : ''}</span>
+                    <button class="dphoto-cart-remove" type="button" data-action="remove" data-id="${id}" aria-label="Remove ${title}">
+                        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        this.body.innerHTML = `
+            <ul class="dphoto-cart-list">${lines}</ul>
+            ${this._totalsHtml(quote)}
+            <div class="dphoto-cart-footer">
+                <button class="dphoto-btn" type="button" data-action="close">Keep browsing</button>
+                <button class="dphoto-btn dphoto-btn-download" type="button" data-action="checkout"${quote.total ? '' : ' disabled'}>Checkout</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Name and email form, with the total
+     */
+    _renderCheckout() {
+        this.title.textContent = 'Checkout';
+
+        const quote = this.priceList.quote(this.cart.getItems());
+        this.body.innerHTML = `
+            ${this._totalsHtml(quote)}
+            <form class="dphoto-cart-form">
+                <label>
+                    Name
+                    <input type="text" name="name" autocomplete="name" maxlength="100" required>
+                </label>
+                <label>
+                    Email
+                    <input type="email" name="email" autocomplete="email" maxlength="200" required>
+                </label>
+                <p class="dphoto-cart-note">We'll send the receipt, the shipping form for prints and the download links for digital files to this address.</p>
+                <p class="dphoto-cart-error" role="alert" hidden></p>
+                <div class="dphoto-cart-footer">
+                    <button class="dphoto-btn" type="button" data-action="back">Back to cart</button>
+                    <button class="dphoto-btn dphoto-btn-download" type="submit">Place order · ${escapeHtml(this.priceList.format(quote.total))}</button>
+                </div>
+            </form>
+        `;
+    }
+
+    /**
+     * Confirmation for the order just placed
+     */
+    _renderPlaced() {
+        this.title.textContent = 'Thank you!';
+        this.body.innerHTML = `
+            <p class="dphoto-cart-summary"></p>
+            <div class="dphoto-cart-footer">
+                <button class="dphoto-btn" type="button" data-action="close">Done</button>
+            </div>
+        `;
+        this.body.querySelector('.dphoto-cart-summary').textContent =
+            `Order ${this._result.orderId} is in. A receipt is on its way to ${this._result.email}.`;
+    }
+
+    /**
+     * Subtotal, shipping and total rows
+     * @param {Object} quote - From PrintPriceList.quote
+     * @returns {string}
+     */
+    _totalsHtml(quote) {
+        const format = (cents) => escapeHtml(this.priceList.format(cents));
+        const freeOver = this.priceList.shipping.freeOver;
+        const shippingNote = quote.shipping && freeOver !== null
+            ? `<p class="dphoto-cart-note">Free shipping on orders over ${format(freeOver)}.</p>`
+            : '';
+
+        return `
+            <dl class="dphoto-cart-totals">
+                <dt>Subtotal</dt><dd>${format(quote.subtotal)}</dd>
+                <dt>Shipping</dt><dd>${quote.shipping ? format(quote.shipping) : 'Free'}</dd>
+                <dt class="dphoto-cart-total">Total</dt><dd class="dphoto-cart-total">${format(quote.total)}</dd>
+            </dl>
+            ${shippingNote}
+        `;
+    }
+
+    /**
+     * Run a button's action
+     * @param {string} action - data-action value
+     * @param {string} id - Cart item id, if the button has one
+     */
+    _handleAction(action, id) {
+        switch (action) {
+            case 'close':
+                this.close();
+                break;
+            case 'remove':
+                this.cart.remove(id);
+                // The button went with its line
+                if (this.isOpen) {
+                    const next = this.body.querySelector('[data-action="remove"], [data-action="close"]');
+                    if (next) next.focus();
+                }
+                break;
+            case 'checkout':
+                this._show('checkout');
+                break;
+            case 'back':
+                this._show('cart');
+                break;
+        }
+    }
+
+    /**
+     * Change a line's quantity
+     * @param {string} itemId - Cart item id
+     * @param {string} value - Input value
+     */
+    _setQuantity(itemId, value) {
+        const item = this.cart.getItems().find(candidate => candidate.id === itemId);
+        const product = item && this.priceList.get(item.productId);
+        if (!product) return;
+
+        this.cart.update(itemId, { quantity: value, maxQuantity: this.priceList.maxQuantity(product) });
+        const input = Array.from(this.body.querySelectorAll('input[name="quantity"]'))
+            .find(candidate => candidate.dataset.id === itemId);
+        if (input) input.focus();
+    }
+
+    /**
+     * Send the order to the provider
+     * @param {HTMLFormElement} form - Checkout form
+     */
+    async _checkout(form) {
+        if (this.busy) return;
+
+        const quote = this.priceList.quote(this.cart.getItems());
+        const order = this._order(quote, {
+            name: form.elements.name.value.trim(),
+            email: form.elements.email.value.trim()
+        });
+        const submit = form.querySelector('[type="submit"]');
+        const error = form.querySelector('.dphoto-cart-error');
+
+        this.busy = true;
+        submit.disabled = true;
+        submit.textContent = 'Placing order…';
+        error.hidden = true;
+
+        try {
+            const result = await this.provider.checkout(order);
+            this._track('order_complete', {
+                order_id: result.orderId || null,
+                count: order.items.length,
+                total: order.total,
+                currency: order.currency,
+                status: result.status
+            });
+
+            if (result.status === 'redirect') {
+                // The cart stays until the payment page sends the visitor back
+                window.location.assign(result.url);
+                return;
+            }
+
+            this.cart.clear();
+            this._result = { orderId: result.orderId, email: order.customer.email };
+            if (this.onOrderPlaced) this.onOrderPlaced(result, order);
+            if (this.isOpen) {
+                this._show('placed');
+            } else {
+                showToast(`Order ${result.orderId} placed`);
+            }
+        } catch (e) {
+            this._track('order_failed', { count: order.items.length, total: order.total, error: e.message });
+            error.textContent = e.message;
+            error.hidden = false;
+            submit.disabled = false;
+            submit.textContent = `Place order · ${this.priceList.format(quote.total)}`;
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * The order to send: the lines still on the price list, with their
+     * prices at the time of checkout
+     * @param {Object} quote - From PrintPriceList.quote
+     * @param {Object} customer - { name, email }
+     * @returns {Object}
+     */
+    _order(quote, customer) {
+        const items = quote.lines.filter(line => line.available).map(({ item, product, unitPrice }) => ({
+            photoId: item.photo.id,
+            imageUrl: item.photo.imageUrl,
+            title: item.photo.title,
+            albumUrl: item.photo.albumUrl,
+            productId: product.id,
+            label: product.label,
+            quantity: Math.min(item.quantity, this.priceList.maxQuantity(product)),
+            crop: item.crop,
+            unitPrice
+        }));
+
+        return {
+            customer,
+            items,
+            subtotal: quote.subtotal,
+            shipping: quote.shipping,
+            total: quote.total,
+            currency: quote.currency
+        };
+    }
+
+    /**
+     * Send an analytics event, if analytics is on
+     * @param {string} name - Event name
+     * @param {Object} props - Event properties
+     */
+    _track(name, props) {
+        if (this.analytics) {
+            this.analytics.track(name, props);
+        }
+    }
+}
+
+// Export for use
+export { CartPanel };
@@ -0,0 +1,446 @@
+/**
+ * DPHOTO ALBUM CATALOG MODULE
+ * ===========================
+ *
+ * Loads albums and photos from a JSON manifest and renders the landing
+ * page from it, so album data lives in one place instead of hand-written
+ * markup.
+ *
+ * Features:
+ * - Loads albums and photos through a dphoto adapter (static JSON by default)
+ * - Validates entries and reports malformed ones
+ * - Renders featured cards, gallery grid and hero slides
+ * - Emits srcset/<picture> markup when given a RenditionManifest
+ * - Provides photo data for PhotoLightbox.setPhotos (and album covers for favorites)
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { StaticCatalogAdapter } from './dphoto-adapter.js';
+import { photoAltText } from './photo-metadata.js';
+
+class AlbumCatalog {
+    constructor(options = {}) {
+        this.adapter = options.adapter || new StaticCatalogAdapter({
+            manifestUrl: options.manifestUrl || 'data/catalog.json'
+        });
+        this.onInvalidEntry = options.onInvalidEntry || null;
+        this.albums = [];
+        this.photos = [];
+        this.errors = [];
+    }
+
+    /**
+     * Load albums and photos from the adapter
+     * @returns {Promise<AlbumCatalog>}
+     */
+    async load() {
+        const [albums, photos] = await Promise.all([
+            this.adapter.listAlbums(),
+            this.adapter.listPhotos()
+        ]);
+
+        this.setManifest({ albums, photos });
+        return this;
+    }
+
+    /**
+     * Replace the catalog contents with a parsed manifest
+     * Malformed entries are skipped and recorded in this.errors
+     *
+     * @param {Object} manifest - { albums: [], photos: [] }
+     */
+    setManifest(manifest) {
+        this.errors = [];
+        this.albums = this._validateEntries('album', manifest.albums, AlbumCatalog.ALBUM_FIELDS);
+        this.photos = this._validateEntries('photo', manifest.photos, AlbumCatalog.PHOTO_FIELDS);
+    }
+
+    /**
+     * Look up an album by id
+     * @param {string} id - Album id
+     * @returns {Object|undefined}
+     */
+    getAlbum(id) {
+        return this.albums.find(album => album.id === id);
+    }
+
+    /**
+     * Look up a photo by id
+     * @param {string} id - Photo id
+     * @returns {Object|undefined}
+     */
+    getPhoto(id) {
+        return this.photos.find(photo => photo.id === id);
+    }
+
+    /**
+     * Albums shown in the "Recently Added" section, newest first
+     * @returns {Array}
+     */
+    getFeaturedAlbums() {
+        return this.albums
+            .filter(album => album.featured)
+            .sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+    }
+
+    /**
+     * Albums shown in the gallery grid, in manifest order
+     * @returns {Array}
+     */
+    getGalleryAlbums() {
+        return this.albums.filter(album => album.gallery);
+    }
+
+    /**
+     * Photos shown in the hero slideshow, in manifest order
+     * @returns {Array}
+     */
+    getHeroPhotos() {
+        return this.photos.filter(photo => photo.hero);
+    }
+
+    /**
+     * Photo objects in the shape PhotoLightbox expects
+     * @param {Array} photos - Catalog photos (defaults to the hero photos)
+     * @returns {Array}
+     */
+    getLightboxPhotos(photos = this.getHeroPhotos()) {
+        return photos.map(photo => {
+            const album = photo.albumId ? this.getAlbum(photo.albumId) || {} : {};
+            return {
+                id: photo.id,
+                imageUrl: photo.imageUrl,
+                title: photo.title,
+                albumUrl: photo.albumUrl,
+                album: album.title,
+                // Photos without a date of their own were taken at the album's event
+                date: photo.date || album.date,
+                metadata: photo.metadata,
+                // Pixel size, when known, for aspect-aware grids
+                width: photo.width,
+                height: photo.height
+            };
+        });
+    }
+
+    /**
+     * An album's cover as a lightbox photo, so the album can be saved
+     * to favorites from the gallery grid
+     * @param {Object} album - Catalog album
+     * @returns {Object}
+     */
+    getCoverPhoto(album) {
+        return {
+            id: `cover-${album.id}`,
+            imageUrl: album.cover,
+            title: album.coverAlt || album.title,
+            albumUrl: album.url,
+            album: album.title,
+            date: album.date
+        };
+    }
+
+    /**
+     * A photo (or album cover, "cover-<album id>") in the shape
+     * PhotoLightbox expects
+     * @param {string} id - Photo id
+     * @returns {Object|null}
+     */
+    getLightboxPhoto(id) {
+        const photo = this.getPhoto(id);
+        if (photo) return this.getLightboxPhotos([photo])[0];
+
+        const album = id.startsWith('cover-') && this.getAlbum(id.slice('cover-'.length));
+        return album ? this.getCoverPhoto(album) : null;
+    }
+
+    /**
+     * Validate a list of manifest entries against a field spec
+     * @param {string} type - 'album' or 'photo' (used in error reports)
+     * @param {Array} entries - Raw manifest entries
+     * @param {Object} fields - Map of required field name to typeof
+     * @returns {Array} - Entries that passed validation
+     */
+    _validateEntries(type, entries, fields) {
+        if (!Array.isArray(entries)) {
+            this._report({ type, index: -1, id: null, problems: [`"${type}s" must be an array`] });
+            return [];
+        }
+
+        const seen = new Set();
+
+        return entries.filter((entry, index) => {
+            const problems = [];
+
+            if (!entry || typeof entry !== 'object') {
+                problems.push('entry is not an object');
+            } else {
+                Object.keys(fields).forEach(field => {
+                    const value = entry[field];
+                    if (value === undefined || value === null || value === '') {
+                        problems.push(`missing "${field}"`);
+                    } else if (typeof value !== fields[field]) {
+                        problems.push(`"${field}" should be a ${fields[field]}`);
+                    }
+                });
+
+                if (typeof entry.date === 'string' && Number.isNaN(Date.parse(entry.date))) {
+                    problems.push(`"date" is not a valid date: ${entry.date}`);
+                }
+                if (entry.metadata !== undefined) {
+                    problems.push(...this._metadataProblems(entry.metadata));
+                }
+                if (entry.tags !== undefined && !Array.isArray(entry.tags)) {
+                    problems.push('"tags" should be an array');
+                }
+                if (typeof entry.photoCount === 'number' && entry.photoCount < 0) {
+                    problems.push('"photoCount" cannot be negative');
+                }
+                if (entry.id && seen.has(entry.id)) {
+                    problems.push(`duplicate id "${entry.id}"`);
+                }
+            }
+
+            if (problems.length) {
+                this._report({ type, index, id: entry && entry.id, problems });
+                return false;
+            }
+
+            seen.add(entry.id);
+            return true;
+        });
+    }
+
+    /**
+     * Check a photo's optional "metadata" object
+     * @param {*} metadata - Raw metadata value
+     * @returns {string[]} - Problems found
+     */
+    _metadataProblems(metadata) {
+        if (!metadata || typeof metadata !== 'object' || Array.isArray(metadata)) {
+            return ['"metadata" should be an object'];
+        }
+
+        const problems = [];
+        if (metadata.date !== undefined && Number.isNaN(Date.parse(metadata.date))) {
+            problems.push(`"metadata.date" is not a valid date: ${metadata.date}`);
+        }
+        if (metadata.players !== undefined && !Array.isArray(metadata.players)) {
+            problems.push('"metadata.players" should be an array');
+        }
+        if (metadata.camera !== undefined && (!metadata.camera || typeof metadata.camera !== 'object')) {
+            problems.push('"metadata.camera" should be an object');
+        }
+        return problems;
+    }
+
+    /**
+     * Record a malformed entry
+     * @param {Object} error - { type, index, id, problems }
+     */
+    _report(error) {
+        this.errors.push(error);
+        console.warn(`Invalid catalog ${error.type} #${error.index}:`, error.problems.join(', '));
+
+        if (this.onInvalidEntry) {
+            this.onInvalidEntry(error);
+        }
+    }
+}
+
+AlbumCatalog.ALBUM_FIELDS = {
+    id: 'string',
+    title: 'string',
+    date: 'string',
+    category: 'string',
+    cover: 'string',
+    photoCount: 'number',
+    url: 'string'
+};
+
+AlbumCatalog.PHOTO_FIELDS = {
+    id: 'string',
+    title: 'string',
+    imageUrl: 'string',
+    albumUrl: 'string'
+};
+
+/**
+ * Escape a string for safe use inside HTML markup
+ * @param {string} str - Input string
+ * @returns {string}
+ */
+function escapeHtml(str) {
+    return String(str == null ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Human-readable album date ("December 2025")
+ * @param {Object} album - Catalog album
+ * @returns {string}
+ */
+function formatAlbumDate(album) {
+    if (album.dateLabel) return album.dateLabel;
+
+    // Date-only ISO strings parse as UTC; pin to UTC so the month doesn't shift
+    return new Date(album.date).toLocaleDateString('en-US', {
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Human-readable photo count ("245 photos", "Over 250,000 photos")
+ * @param {Object} album - Catalog album
+ * @returns {string}
+ */
+function formatPhotoCount(album) {
+    const count = `${album.photoCount.toLocaleString('en-US')} photo${album.photoCount === 1 ? '' : 's'}`;
+    return album.approximateCount ? `Over ${count}` : count;
+}
+
+// sizes attributes matching the landing page grid breakpoints
+const CATALOG_IMAGE_SIZES = {
+    hero: '100vw',
+    featured: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 430px',
+    gallery: '(max-width: 768px) 100vw, (max-width: 1200px) 50vw, 650px'
+};
+
+/**
+ * <img> markup for a catalog image, responsive when renditions are available
+ * @param {string} src - Image path
+ * @param {string} alt - Alt text
+ * @param {RenditionManifest} renditions - Responsive renditions (optional)
+ * @param {string} sizes - sizes attribute
+ * @returns {string}
+ */
+function catalogImageHtml(src, alt, renditions, sizes) {
+    return renditions
+        ? renditions.imageHtml(src, alt, sizes)
+        : `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`;
+}
+
+/**
+ * Render "Recently Added" album cards
+ *
+ * @param {HTMLElement} container - The .featured-grid element
+ * @param {Array} albums - Catalog albums
+ * @param {RenditionManifest} renditions - Responsive renditions (optional)
+ */
+function renderFeaturedCards(container, albums, renditions) {
+    container.innerHTML = albums.map(album => `
+        <a href="${escapeHtml(album.url)}" class="featured-card" target="_blank" data-album-id="${escapeHtml(album.id)}">
+            <div class="featured-image">
+                ${catalogImageHtml(album.cover, album.coverAlt || album.title, renditions, CATALOG_IMAGE_SIZES.featured)}
+                ${album.badge ? `<span class="featured-badge${album.badge === 'New' ? ' new' : ''}">${escapeHtml(album.badge)}</span>` : ''}
+            </div>
+            <div class="featured-content">
+                <span class="featured-date">${escapeHtml(formatAlbumDate(album))}</span>
+                <h3 class="featured-title">${escapeHtml(album.title)}</h3>
+                <div class="featured-meta">
+                    <svg viewBox="0 0 24 24" fill="none" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <circle cx="8.5" cy="8.5" r="1.5"/>
+                        <path d="M21 15l-5-5L5 21"/>
+                    </svg>
+                    ${escapeHtml(formatPhotoCount(album))}
+                </div>
+            </div>
+        </a>
+    `).join('');
+}
+
+/**
+ * Render the category gallery grid
+ *
+ * @param {HTMLElement} container - The .gallery-grid element
+ * @param {Array} albums - Catalog albums
+ * @param {RenditionManifest} renditions - Responsive renditions (optional)
+ */
+function renderGalleryGrid(container, albums, renditions) {
+    if (!albums.length) {
+        container.innerHTML = '<p class="gallery-empty">No albums in this category yet.</p>';
+        return;
+    }
+
+    container.innerHTML = albums.map(album => `
+        <a href="${escapeHtml(album.url)}" class="gallery-item" target="_blank" data-album-id="${escapeHtml(album.id)}">
+            ${catalogImageHtml(album.cover, album.coverAlt || album.title, renditions, CATALOG_IMAGE_SIZES.gallery)}
+            <div class="gallery-overlay">
+                <span class="gallery-category">${escapeHtml(album.label || album.subcategory || album.category)}</span>
+                <h3 class="gallery-title">${escapeHtml(album.title)}</h3>
+                <p class="gallery-count">${escapeHtml(formatPhotoCount(album))}</p>
+            </div>
+        </a>
+    `).join('');
+}
+
+/**
+ * Render hero slides and their progress indicators
+ *
+ * @param {HTMLElement} slideshow - The .hero-slideshow element
+ * @param {HTMLElement} indicators - The .slide-indicators element
+ * @param {Array} photos - Catalog photos
+ * @param {RenditionManifest} renditions - Responsive renditions (optional)
+ */
+function renderHeroSlides(slideshow, indicators, photos, renditions) {
+    slideshow.innerHTML = photos.map((photo, index) => `
+        <div class="slide${index === 0 ? ' active' : ''}" data-index="${index}" data-photo-id="${escapeHtml(photo.id)}">
+            ${catalogImageHtml(photo.imageUrl, photoAltText(photo), renditions, CATALOG_IMAGE_SIZES.hero)}
+            <div class="slide-overlay"></div>
+            <span class="slide-category">${escapeHtml(photo.label || photo.title)}</span>
+            <div class="slide-click-hint">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M15 3h6v6M9 21H3v-6M21 3l-7 7M3 21l7-7"/>
+                </svg>
+                Tap to download or share
+            </div>
+        </div>
+    `).join('');
+
+    indicators.innerHTML = photos.map((photo, index) =>
+        `<button type="button" class="indicator${index === 0 ? ' active' : ''}" data-slide="${index}"
+                 aria-label="Show photo ${index + 1}: ${escapeHtml(photo.title)}"></button>`
+    ).join('');
+}
+
+/**
+ * Keep rendered cover and slide images fresh through an ImageUrlResolver,
+ * so expired signed URLs are replaced instead of showing broken images
+ *
+ * @param {HTMLElement} root - Element containing rendered cards/slides
+ * @param {AlbumCatalog} catalog - Catalog the elements were rendered from
+ * @param {ImageUrlResolver} resolver - URL resolver
+ */
+function bindCatalogImages(root, catalog, resolver) {
+    // Images with a srcset come from local renditions, not expiring URLs
+    root.querySelectorAll('[data-album-id] img:not([srcset])').forEach(img => {
+        const album = catalog.getAlbum(img.closest('[data-album-id]').dataset.albumId);
+        if (album) resolver.bindImage(img, album, 'medium');
+    });
+
+    root.querySelectorAll('[data-photo-id] img:not([srcset])').forEach(img => {
+        const photo = catalog.getPhoto(img.closest('[data-photo-id]').dataset.photoId);
+        if (photo) resolver.bindImage(img, photo, 'large');
+    });
+}
+
+// Export for use
+export {
+    AlbumCatalog,
+    escapeHtml,
+    formatAlbumDate,
+    formatPhotoCount,
+    renderFeaturedCards,
+    renderGalleryGrid,
+    renderHeroSlides,
+    bindCatalogImages
+};
@@ -0,0 +1,305 @@
+/**
+ * DPHOTO CATEGORY FILTER MODULE
+ * =============================
+ *
+ * Filters catalog albums by category and subcategory
+ * (e.g. Sports > Football) from a row of filter tabs.
+ *
+ * Features:
+ * - Multi-select category tabs with per-tab counts
+ * - Subcategory chips for the selected categories
+ * - Selection kept in the URL query string (?category=sports/football)
+ * - "All" tab clears the selection
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+
+class CategoryFilter {
+    constructor(options = {}) {
+        this.tabsContainer = options.tabsContainer;
+        this.subtabsContainer = options.subtabsContainer || null;
+        this.albums = options.albums || [];
+        this.param = options.param || 'category';
+        this.onChange = options.onChange || null;
+        this.selected = new Set();
+
+        this._bindEvents();
+        this.setSelection(this._readQuery(), { updateUrl: false, notify: false });
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.tabsContainer.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-filter]');
+            if (!tab) return;
+
+            if (tab.dataset.filter === '') {
+                this.clear();
+            } else {
+                this.toggle(tab.dataset.filter);
+            }
+        });
+
+        if (this.subtabsContainer) {
+            this.subtabsContainer.addEventListener('click', (e) => {
+                const chip = e.target.closest('[data-filter]');
+                if (chip) this.toggle(chip.dataset.filter);
+            });
+        }
+
+        // Keep in sync when the user navigates between bookmarked views
+        window.addEventListener('popstate', () => {
+            const keys = this._readQuery();
+            if (keys.join(',') !== this._queryKeys().join(',')) {
+                this.setSelection(keys, { updateUrl: false });
+            }
+        });
+    }
+
+    /**
+     * Replace the albums being filtered (selection is kept)
+     * @param {Array} albums - Catalog albums
+     */
+    setAlbums(albums) {
+        this.albums = albums;
+        this._render();
+        this._notify();
+    }
+
+    /**
+     * Toggle a category ("sports") or subcategory ("sports/football") key
+     * @param {string} key - Filter key
+     */
+    toggle(key) {
+        const next = new Set(this.selected);
+
+        if (next.has(key)) {
+            next.delete(key);
+
+            // Deselecting a category drops its subcategories too
+            if (!key.includes('/')) {
+                next.forEach(k => {
+                    if (k.startsWith(`${key}/`)) next.delete(k);
+                });
+            }
+        } else {
+            next.add(key);
+
+            // Selecting a subcategory implies its parent category
+            if (key.includes('/')) {
+                next.add(key.split('/')[0]);
+            }
+        }
+
+        this.setSelection(next);
+    }
+
+    /**
+     * Clear the selection (show all albums)
+     */
+    clear() {
+        this.setSelection([]);
+    }
+
+    /**
+     * Set the selected filter keys
+     * @param {Iterable<string>} keys - Filter keys
+     * @param {Object} options
+     * @param {boolean} options.updateUrl - Write the selection to the query string
+     * @param {boolean} options.notify - Call onChange
+     */
+    setSelection(keys, { updateUrl = true, notify = true } = {}) {
+        this.selected = new Set();
+        Array.from(keys).forEach(key => {
+            this.selected.add(key);
+            if (key.includes('/')) this.selected.add(key.split('/')[0]);
+        });
+
+        if (updateUrl) this._writeQuery();
+        this._render();
+        if (notify) this._notify();
+    }
+
+    /**
+     * Albums matching the current selection
+     * @returns {Array}
+     */
+    getFilteredAlbums() {
+        return filterAlbums(this.albums, this.selected);
+    }
+
+    /**
+     * Update tab state, counts and subcategory chips
+     */
+    _render() {
+        const counts = countAlbumsByCategory(this.albums);
+
+        this.tabsContainer.querySelectorAll('[data-filter]').forEach(tab => {
+            const key = tab.dataset.filter;
+            const isActive = key === '' ? this.selected.size === 0 : this.selected.has(key);
+            const count = key === '' ? this.albums.length : (counts[key] || 0);
+
+            tab.classList.toggle('active', isActive);
+            tab.setAttribute('aria-pressed', String(isActive));
+
+            let badge = tab.querySelector('.filter-count');
+            if (!badge) {
+                badge = document.createElement('span');
+                badge.className = 'filter-count';
+                tab.appendChild(badge);
+            }
+            badge.textContent = count;
+        });
+
+        if (this.subtabsContainer) {
+            this._renderSubtabs(counts);
+        }
+    }
+
+    /**
+     * Render subcategory chips for each selected category
+     * @param {Object} counts - Output of countAlbumsByCategory
+     */
+    _renderSubtabs(counts) {
+        const chips = Object.keys(counts)
+            .filter(key => key.includes('/') && this.selected.has(key.split('/')[0]))
+            .map(key => {
+                const isActive = this.selected.has(key);
+                return `
+                    <button class="filter-subtab${isActive ? ' active' : ''}" data-filter="${escapeHtml(key)}" aria-pressed="${isActive}">
+                        ${escapeHtml(counts.labels[key])}
+                        <span class="filter-count">${counts[key]}</span>
+                    </button>
+                `;
+            });
+
+        this.subtabsContainer.innerHTML = chips.join('');
+        this.subtabsContainer.hidden = chips.length === 0;
+    }
+
+    /**
+     * Call onChange with the filtered albums
+     */
+    _notify() {
+        if (this.onChange) {
+            this.onChange(this.getFilteredAlbums(), Array.from(this.selected));
+        }
+    }
+
+    /**
+     * Read the selection from the query string
+     * @returns {string[]}
+     */
+    _readQuery() {
+        const value = new URLSearchParams(window.location.search).get(this.param);
+        return value ? value.split(',').filter(Boolean) : [];
+    }
+
+    /**
+     * Selected keys as written to the URL. Parent categories are implied
+     * by their subcategories, so they are left out.
+     * @returns {string[]}
+     */
+    _queryKeys() {
+        const keys = Array.from(this.selected);
+        return keys.filter(key =>
+            key.includes('/') || !keys.some(k => k.startsWith(`${key}/`))
+        );
+    }
+
+    /**
+     * Write the selection to the query string without adding history entries
+     */
+    _writeQuery() {
+        const url = new URL(window.location.href);
+        const keys = this._queryKeys();
+
+        if (keys.length) {
+            url.searchParams.set(this.param, keys.join(','));
+            // "/" and "," are legal in a query string; keep bookmarks readable
+            url.search = url.search.replace(/%2F/gi, '/').replace(/%2C/gi, ',');
+        } else {
+            url.searchParams.delete(this.param);
+        }
+
+        history.replaceState(history.state, '', url);
+    }
+}
+
+/**
+ * Turn a label into a filter key segment ("School Events" -> "school-events")
+ * @param {string} str - Input string
+ * @returns {string}
+ */
+function slugify(str) {
+    return String(str)
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '');
+}
+
+/**
+ * Filter keys an album belongs to: its category and, if set, category/subcategory
+ * @param {Object} album - Catalog album
+ * @returns {string[]}
+ */
+function getAlbumFilterKeys(album) {
+    const category = slugify(album.category);
+    return album.subcategory
+        ? [category, `${category}/${slugify(album.subcategory)}`]
+        : [category];
+}
+
+/**
+ * Count albums per filter key. Subcategory labels are kept on counts.labels.
+ * @param {Array} albums - Catalog albums
+ * @returns {Object} - { sports: 4, 'sports/football': 2, labels: {...} }
+ */
+function countAlbumsByCategory(albums) {
+    const counts = {};
+    Object.defineProperty(counts, 'labels', { value: {}, enumerable: false });
+
+    albums.forEach(album => {
+        getAlbumFilterKeys(album).forEach((key, i) => {
+            counts[key] = (counts[key] || 0) + 1;
+            counts.labels[key] = i === 0 ? album.category : album.subcategory;
+        });
+    });
+
+    return counts;
+}
+
+/**
+ * Filter albums by a selection of filter keys.
+ * Categories are OR'd together; selecting subcategories narrows their category.
+ *
+ * @param {Array} albums - Catalog albums
+ * @param {Iterable<string>} selection - Filter keys
+ * @returns {Array}
+ */
+function filterAlbums(albums, selection) {
+    const keys = Array.from(selection);
+    if (!keys.length) return albums.slice();
+
+    return albums.filter(album => {
+        const [category, subKey] = getAlbumFilterKeys(album);
+        if (!keys.includes(category)) return false;
+
+        const selectedSubs = keys.filter(key => key.startsWith(`${category}/`));
+        return selectedSubs.length === 0 || selectedSubs.includes(subKey);
+    });
+}
+
+// Export for use
+export {
+    CategoryFilter,
+    slugify,
+    getAlbumFilterKeys,
+    countAlbumsByCategory,
+    filterAlbums
+};
@@ -0,0 +1,157 @@
+/**
+ * DPHOTO CHECKOUT MODULE
+ * ======================
+ *
+ * A small interface between the print cart and whoever takes the money
+ * and makes the prints. The cart only talks to a provider, so the mock
+ * used for testing can be swapped for a print lab or payment page
+ * without touching the UI code.
+ *
+ * Provider interface:
+ * - checkout(order)  -> Promise<{ orderId, status, url? }>
+ *     status 'paid'     - order placed; the cart can be emptied
+ *     status 'redirect' - send the visitor to `url` to pay
+ *
+ * Orders look like:
+ *   { customer: { name, email },
+ *     items: [{ photoId, imageUrl, title, albumUrl, productId, label, quantity, crop, unitPrice }],
+ *     subtotal, shipping, total, currency }
+ * with amounts in cents.
+ *
+ * Implementations:
+ * - MockCheckoutProvider   - Accepts every order in the browser, for testing
+ * - HostedCheckoutProvider - Posts the order to a server that returns a payment page
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class CheckoutProvider {
+    /**
+     * Place an order
+     * @param {Object} order - See the module comment
+     * @returns {Promise<Object>} - { orderId, status, url }
+     */
+    async checkout(order) {
+        throw new Error(`${this.constructor.name} does not implement checkout()`);
+    }
+
+    /**
+     * Check an order before sending it anywhere
+     * @param {Object} order - See the module comment
+     * @throws {Error} With a message to show the visitor
+     */
+    validate(order) {
+        if (!order || !Array.isArray(order.items) || !order.items.length) {
+            throw new Error('Your cart is empty');
+        }
+        const customer = order.customer || {};
+        if (!String(customer.name || '').trim()) {
+            throw new Error('Please enter your name');
+        }
+        if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(customer.email || '').trim())) {
+            throw new Error('Please enter a valid email address');
+        }
+    }
+}
+
+/**
+ * Provider that accepts orders without charging anyone. Placed orders
+ * are kept in `orders`, so tests and demos can check what was sent.
+ */
+class MockCheckoutProvider extends CheckoutProvider {
+    /**
+     * @param {Object} options
+     * @param {number} options.latency - Milliseconds to wait, like a real payment (default 600)
+     * @param {boolean|Function} options.fail - Decline every order, or those the function
+     *        returns true for (default false)
+     */
+    constructor(options = {}) {
+        super();
+        this.latency = options.latency !== undefined ? options.latency : 600;
+        this.fail = options.fail || false;
+        this.orders = [];
+    }
+
+    async checkout(order) {
+        this.validate(order);
+        await new Promise(resolve => setTimeout(resolve, this.latency));
+
+        if (typeof this.fail === 'function' ? this.fail(order) : this.fail) {
+            throw new Error('The payment was declined (test checkout)');
+        }
+
+        const orderId = `TEST-${Date.now().toString(36).toUpperCase()}`;
+        this.orders.push({ ...order, orderId, placedAt: new Date().toISOString() });
+        return { orderId, status: 'paid' };
+    }
+}
+
+/**
+ * Provider for a server-side checkout (a print lab, or a payment page
+ * such as Stripe Checkout). The server prices the order again from its
+ * own price list; the totals sent are only a check.
+ *
+ * Endpoint:
+ *   POST <endpoint>  { order }  -> { order_id, url }
+ */
+class HostedCheckoutProvider extends CheckoutProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - Checkout URL
+     * @param {Object} options.headers - Extra request headers (optional)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.endpoint) {
+            throw new Error('HostedCheckoutProvider needs an endpoint');
+        }
+        this.endpoint = options.endpoint;
+        this.headers = options.headers || {};
+    }
+
+    async checkout(order) {
+        this.validate(order);
+
+        const response = await fetch(this.endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...this.headers },
+            body: JSON.stringify({ order })
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `Checkout failed: ${response.status}`);
+        }
+
+        const orderId = data.order_id || data.orderId;
+        return data.url
+            ? { orderId, status: 'redirect', url: data.url }
+            : { orderId, status: 'paid' };
+    }
+}
+
+/**
+ * Create a provider from a plain config object
+ *
+ * @param {Object} config
+ * @param {string} config.type - 'mock' or 'hosted'
+ * @returns {CheckoutProvider}
+ */
+function createCheckoutProvider(config = {}) {
+    switch (config.type) {
+        case 'mock':
+            return new MockCheckoutProvider(config);
+        case 'hosted':
+            return new HostedCheckoutProvider(config);
+        default:
+            throw new Error(`Unknown checkout provider type: ${config.type}`);
+    }
+}
+
+// Export for use
+export {
+    CheckoutProvider,
+    MockCheckoutProvider,
+    HostedCheckoutProvider,
+    createCheckoutProvider
+};
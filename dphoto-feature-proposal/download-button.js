@@ -7,18 +7,34 @@
  * 
  * Features:
  * - One-click download to device
- * - Meaningful filenames (title + photographer)
+ * - Meaningful filenames (title + date + photographer)
  * - Visual feedback on success
  * - Works on all devices
+ * - Download an entire album as a ZIP (requires zip-writer.js)
+ * - Reports downloads and failures to an AnalyticsBus
+ * - Optional watermark, size and format (with a PhotoExporter), and
+ *   unmarked originals when allowed
  * 
  * @author Fred Assaf / Developer
  * @version 1.0.0
  */
 
+import { ZipWriter } from './zip-writer.js';
+import { EXIF_SCAN_BYTES, readExif, photoDate } from './photo-metadata.js';
+
 class PhotoDownloadManager {
     constructor(options = {}) {
         this.photographerName = options.photographer || 'photo';
         this.showConfirmation = options.showConfirmation !== false;
+        this.resolver = options.resolver || null;
+        this.zipConcurrency = options.zipConcurrency || 3;
+        this.streamToDisk = options.streamToDisk !== false;
+        // Where toasts go, e.g. a shadow root that has the styles
+        this.parent = options.parent || document.body;
+        this.analytics = options.analytics || null;
+        // Watermarks and resizes every download when set
+        this.exporter = options.exporter || null;
+        this.allowOriginals = options.allowOriginals || false;
     }
 
     /**
@@ -28,47 +44,46 @@ class PhotoDownloadManager {
      * @param {string} photoData.imageUrl - Full URL to the image
      * @param {string} photoData.title - Photo title
      * @param {string} photoData.album - Album name (optional)
+     * @param {Object} options
+     * @param {boolean} options.showConfirmation - Overrides the manager's setting for this download
+     * @param {boolean} options.original - The unmarked full-resolution file (needs allowOriginals)
+     * @param {Object} options.export - PhotoExporter settings for this download, e.g. { preset: 'instagram' }
      * @returns {Promise<Object>} - Result of download attempt
      */
-    async downloadPhoto(photoData) {
+    async downloadPhoto(photoData, options = {}) {
         const { imageUrl, title, album } = photoData;
         
         try {
             // Fetch the image as a blob
-            const response = await fetch(imageUrl);
+            const response = await this._fetchImage(photoData);
             
             if (!response.ok) {
                 throw new Error(`Failed to fetch image: ${response.status}`);
             }
             
-            const blob = await response.blob();
+            const original = await response.blob();
+            const date = await this._photoDate(photoData, original);
+            const blob = await this._export(original, options);
             
             // Determine file extension from content type
-            const contentType = response.headers.get('content-type') || 'image/jpeg';
+            const contentType = blob !== original ? blob.type : response.headers.get('content-type') || 'image/jpeg';
             const extension = this._getExtension(contentType);
             
             // Create meaningful filename
-            const filename = this._createFilename(title, album, extension);
-            
-            // Create download link
-            const url = URL.createObjectURL(blob);
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = filename;
+            const filename = this._createFilename(title, album, extension, date);
             
-            // Trigger download
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-            
-            // Clean up
-            URL.revokeObjectURL(url);
+            this._saveBlob(blob, filename);
             
             // Show confirmation
-            if (this.showConfirmation) {
+            const showConfirmation = options.showConfirmation !== undefined
+                ? options.showConfirmation
+                : this.showConfirmation;
+            if (showConfirmation) {
                 this._showConfirmation(filename);
             }
             
+            this._track('download', { method: 'single', photo_id: photoData.id, count: 1, size: blob.size });
+            
             return { 
                 success: true, 
                 filename: filename,
@@ -77,6 +92,7 @@ class PhotoDownloadManager {
             
         } catch (error) {
             console.error('Download failed:', error);
+            this._track('download_failed', { method: 'single', photo_id: photoData.id, error: error.message });
             
             // Fallback: Open image in new tab
             window.open(imageUrl, '_blank');
@@ -89,6 +105,427 @@ class PhotoDownloadManager {
         }
     }
 
+    /**
+     * Download several photos as separate files, one after another.
+     * Browsers drop rapid back-to-back downloads, so each file waits
+     * `delay` ms after the previous one. Failed photos are skipped
+     * rather than opened in new tabs.
+     *
+     * @param {Object[]} photos - Photo objects (imageUrl, title, album)
+     * @param {Object} options
+     * @param {number} options.delay - Pause between files in ms (default 400)
+     * @param {Function} options.onProgress - Called with { completed, failed, total }
+     * @param {boolean} options.original - Unmarked full-resolution files (needs allowOriginals)
+     * @param {Object} options.export - PhotoExporter settings for these downloads
+     * @returns {Promise<Object>} - Result of download attempt
+     */
+    async downloadPhotos(photos, options = {}) {
+        const delay = options.delay !== undefined ? options.delay : 400;
+        const total = photos.length;
+        const saved = [];
+        const failed = [];
+        let size = 0;
+
+        for (let index = 0; index < total; index++) {
+            const photo = photos[index];
+
+            try {
+                const response = await this._fetchImage(photo);
+                if (!response.ok) {
+                    throw new Error(`Failed to fetch image: ${response.status}`);
+                }
+
+                const original = await response.blob();
+                const date = await this._photoDate(photo, original);
+                const blob = await this._export(original, options);
+                const contentType = blob !== original
+                    ? blob.type
+                    : response.headers.get('content-type') || blob.type || 'image/jpeg';
+                const filename = this._createFilename(photo.title, photo.album, this._getExtension(contentType), date);
+
+                if (saved.length && delay) {
+                    await new Promise(resolve => setTimeout(resolve, delay));
+                }
+                this._saveBlob(blob, filename);
+                saved.push({ index, filename });
+                size += blob.size;
+            } catch (error) {
+                console.error('Download failed:', error);
+                failed.push({ index, photo, error: error.message });
+            }
+
+            if (options.onProgress) {
+                options.onProgress({ completed: index + 1, failed: failed.length, total });
+            }
+        }
+
+        if (this.showConfirmation && saved.length) {
+            this._showConfirmation(saved[saved.length - 1].filename);
+        }
+
+        this._track(saved.length ? 'download' : 'download_failed', {
+            method: 'multiple',
+            count: saved.length,
+            failed_count: failed.length,
+            size: size
+        });
+
+        return {
+            success: saved.length > 0,
+            count: saved.length,
+            filenames: saved.map(entry => entry.filename),
+            failed: failed,
+            size: size
+        };
+    }
+
+    /**
+     * Download every photo in an album as a single ZIP file.
+     * Photos are fetched in the browser and streamed into the archive
+     * (straight to disk where the File System Access API is available).
+     * A MANIFEST.txt inside the ZIP lists the saved and failed photos.
+     * 
+     * @param {Object[]} photos - Photo objects (imageUrl, title, album)
+     * @param {Object} options
+     * @param {string} options.albumName - Used for the ZIP filename
+     * @param {number} options.concurrency - Parallel fetches (default 3)
+     * @param {AbortSignal} options.signal - Cancels the download
+     * @param {Function} options.onProgress - Called with { completed, failed, total }
+     * @param {boolean} options.original - Unmarked full-resolution files (needs allowOriginals)
+     * @param {Object} options.export - PhotoExporter settings for the photos in the ZIP
+     * @returns {Promise<Object>} - Result of download attempt
+     */
+    async downloadAlbum(photos, options = {}) {
+        const albumName = options.albumName || (photos[0] && photos[0].album) || 'album';
+        const concurrency = Math.max(1, options.concurrency || this.zipConcurrency);
+        const zipName = this._createFilename(albumName, null, 'zip');
+        const total = photos.length;
+        
+        // Cancellation from the caller or the progress toast
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            options.signal.addEventListener('abort', onAbort, { once: true });
+        }
+        
+        try {
+            let writer;
+            try {
+                writer = await this._openZipStream(zipName);
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    this._track('download_cancelled', { method: 'zip', count: 0, total: total });
+                    return { success: false, cancelled: true };
+                }
+                throw error;
+            }
+            
+            const zip = new ZipWriter({ writer });
+            const progress = this.showConfirmation
+                ? this._showProgress(zipName, () => controller.abort())
+                : null;
+            const usedNames = new Set();
+            const saved = [];
+            const failed = [];
+            let completed = 0;
+            let nextIndex = 0;
+            let writeQueue = Promise.resolve();
+            
+            const report = () => {
+                const state = { completed, failed: failed.length, total };
+                if (progress) progress.update(state);
+                if (options.onProgress) options.onProgress(state);
+            };
+            
+            // Each worker fetches one photo at a time; writes to the ZIP are serialised
+            const worker = async () => {
+                while (nextIndex < total && !controller.signal.aborted) {
+                    const index = nextIndex++;
+                    const photo = photos[index];
+                    
+                    try {
+                        const response = await this._fetchImage(photo, { signal: controller.signal });
+                        if (!response.ok) {
+                            throw new Error(`Failed to fetch image: ${response.status}`);
+                        }
+                        
+                        const original = await response.blob();
+                        const date = await this._photoDate(photo, original);
+                        const blob = await this._export(original, options);
+                        const contentType = blob !== original
+                            ? blob.type
+                            : response.headers.get('content-type') || blob.type || 'image/jpeg';
+                        const filename = this._uniqueFilename(
+                            this._createFilename(photo.title, photo.album, this._getExtension(contentType), date),
+                            usedNames
+                        );
+                        
+                        const write = writeQueue.then(() => {
+                            if (controller.signal.aborted) return;
+                            return zip.addFile(filename, blob);
+                        });
+                        writeQueue = write.catch(() => {});
+                        await write;
+                        
+                        saved.push({ index, filename });
+                    } catch (error) {
+                        if (controller.signal.aborted) return;
+                        failed.push({ index, photo, error: error.message });
+                    }
+                    
+                    completed++;
+                    report();
+                }
+            };
+            
+            report();
+            await Promise.all(Array.from({ length: Math.min(concurrency, total) }, worker));
+            await writeQueue;
+            
+            if (controller.signal.aborted) {
+                await zip.abort();
+                if (progress) progress.close('Download cancelled');
+                this._track('download_cancelled', { method: 'zip', count: saved.length, total: total });
+                return { success: false, cancelled: true };
+            }
+            
+            if (!saved.length) {
+                await zip.abort();
+                if (progress) progress.close('No photos could be downloaded');
+                this._track('download_failed', { method: 'zip', count: 0, failed_count: failed.length });
+                return { success: false, error: 'No photos could be downloaded', failed };
+            }
+            
+            await zip.addFile('MANIFEST.txt', this._createAlbumManifest(albumName, photos, saved, failed));
+            const blob = await zip.close();
+            
+            if (blob) {
+                this._saveBlob(blob, zipName);
+            }
+            
+            if (progress) {
+                progress.close(failed.length
+                    ? `Saved ${saved.length} of ${total} photos`
+                    : `Saved ${saved.length} photos`);
+            }
+            
+            this._track('download', {
+                method: 'zip',
+                count: saved.length,
+                failed_count: failed.length,
+                size: blob ? blob.size : undefined
+            });
+            
+            return {
+                success: true,
+                filename: zipName,
+                count: saved.length,
+                failed: failed,
+                size: blob ? blob.size : undefined
+            };
+        } finally {
+            // A signal reused across downloads would otherwise keep this one alive
+            if (options.signal) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+        }
+    }
+
+    /**
+     * Report an event to the analytics bus, if there is one
+     * @param {string} name - Event name
+     * @param {Object} props - Event properties
+     */
+    _track(name, props) {
+        if (this.analytics) {
+            this.analytics.track(name, props);
+        }
+    }
+
+    /**
+     * Fetch the full-size image, through the URL resolver when one is set
+     * so expired signed URLs are refreshed
+     * @param {Object} photoData - Photo information
+     * @param {Object} init - fetch() options
+     * @returns {Promise<Response>}
+     */
+    _fetchImage(photoData, init) {
+        return this.resolver
+            ? this.resolver.fetch(photoData, 'original', init)
+            : fetch(photoData.imageUrl, init);
+    }
+
+    /**
+     * Run a photo through the exporter (watermark, size, format), unless
+     * there is none or an allowed original was asked for
+     * @param {Blob} blob - Downloaded image
+     * @param {Object} options - { original, export }
+     * @returns {Promise<Blob>}
+     */
+    _export(blob, options = {}) {
+        if (!this.exporter || (options.original && this.allowOriginals)) {
+            return Promise.resolve(blob);
+        }
+        return this.exporter.process(blob, options.export);
+    }
+
+    /**
+     * Save a blob to the user's device via a temporary download link
+     * @param {Blob} blob - File contents
+     * @param {string} filename - Suggested filename
+     */
+    _saveBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        
+        // Trigger download
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        
+        // Clean up
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Open a stream to a file on disk for the ZIP, when the browser
+     * supports it. Returns null to build the ZIP in memory instead.
+     * @param {string} filename - Suggested filename
+     * @returns {Promise<WritableStreamDefaultWriter|null>}
+     */
+    async _openZipStream(filename) {
+        if (!this.streamToDisk || typeof window.showSaveFilePicker !== 'function') {
+            return null;
+        }
+        
+        // Throws AbortError if the user dismisses the picker
+        const handle = await window.showSaveFilePicker({
+            suggestedName: filename,
+            types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }]
+        });
+        const writable = await handle.createWritable();
+        return writable.getWriter();
+    }
+
+    /**
+     * Make a filename unique within an archive ("photo.jpg" -> "photo-2.jpg")
+     * @param {string} filename - Candidate filename
+     * @param {Set<string>} usedNames - Names already taken (updated)
+     * @returns {string}
+     */
+    _uniqueFilename(filename, usedNames) {
+        const dot = filename.lastIndexOf('.');
+        const base = filename.substring(0, dot);
+        const extension = filename.substring(dot);
+        let candidate = filename;
+        
+        for (let n = 2; usedNames.has(candidate); n++) {
+            candidate = `${base}-${n}${extension}`;
+        }
+        
+        usedNames.add(candidate);
+        return candidate;
+    }
+
+    /**
+     * Build the MANIFEST.txt listing saved and failed photos
+     * @param {string} albumName - Album name
+     * @param {Object[]} photos - All photos requested
+     * @param {Object[]} saved - { index, filename }
+     * @param {Object[]} failed - { index, photo, error }
+     * @returns {string}
+     */
+    _createAlbumManifest(albumName, photos, saved, failed) {
+        const lines = [
+            albumName,
+            `Downloaded ${new Date().toISOString()}`,
+            `${saved.length} of ${photos.length} photos saved`,
+            ''
+        ];
+        
+        lines.push('SAVED');
+        saved
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ index, filename }) => {
+                lines.push(`  ${filename}  (${photos[index].title || 'Untitled'})`);
+            });
+        
+        if (failed.length) {
+            lines.push('', 'FAILED');
+            failed
+                .sort((a, b) => a.index - b.index)
+                .forEach(({ photo, error }) => {
+                    lines.push(`  ${photo.title || 'Untitled'}  ${photo.imageUrl}  - ${error}`);
+                });
+        }
+        
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Show a progress toast with a cancel button
+     * @param {string} filename - ZIP filename
+     * @param {Function} onCancel - Called when the user cancels
+     * @returns {Object} - { update(state), close(message) }
+     */
+    _showProgress(filename, onCancel) {
+        const toast = document.createElement('div');
+        toast.className = 'dphoto-progress-toast';
+        toast.setAttribute('role', 'status');
+        toast.innerHTML = `
+            <div class="dphoto-progress-label">Preparing ${filename}…</div>
+            <div class="dphoto-progress-bar"><span></span></div>
+            <button class="dphoto-progress-cancel" type="button">Cancel</button>
+        `;
+        
+        const label = toast.querySelector('.dphoto-progress-label');
+        const bar = toast.querySelector('.dphoto-progress-bar span');
+        const cancelBtn = toast.querySelector('.dphoto-progress-cancel');
+        cancelBtn.addEventListener('click', () => {
+            cancelBtn.disabled = true;
+            onCancel();
+        });
+        
+        this.parent.appendChild(toast);
+        requestAnimationFrame(() => toast.classList.add('show'));
+        
+        return {
+            update({ completed, failed, total }) {
+                label.textContent = `Saving photos… ${completed} / ${total}` +
+                    (failed ? ` (${failed} failed)` : '');
+                bar.style.width = `${total ? (completed / total) * 100 : 0}%`;
+            },
+            close(message) {
+                label.textContent = message;
+                cancelBtn.remove();
+                setTimeout(() => {
+                    toast.classList.remove('show');
+                    setTimeout(() => toast.remove(), 300);
+                }, 2500);
+            }
+        };
+    }
+
+    /**
+     * Date a photo was taken: from the catalog, else from the file's EXIF
+     * @param {Object} photoData - Photo information
+     * @param {Blob} blob - Downloaded image
+     * @returns {Promise<string|null>} - YYYY-MM-DD
+     */
+    async _photoDate(photoData, blob) {
+        const date = photoDate(photoData);
+        if (date) return date;
+        
+        try {
+            return photoDate(photoData, readExif(await blob.slice(0, EXIF_SCAN_BYTES).arrayBuffer()));
+        } catch (error) {
+            return null;
+        }
+    }
+
     /**
      * Get file extension from MIME type
      * @param {string} contentType - MIME type
@@ -111,9 +548,10 @@ class PhotoDownloadManager {
      * @param {string} title - Photo title
      * @param {string} album - Album name (optional)
      * @param {string} extension - File extension
+     * @param {string} date - Date taken, YYYY-MM-DD (optional)
      * @returns {string} - Formatted filename
      */
-    _createFilename(title, album, extension) {
+    _createFilename(title, album, extension, date) {
         let filename = title || 'photo';
         
         // Sanitize
@@ -123,6 +561,11 @@ class PhotoDownloadManager {
             .toLowerCase()
             .substring(0, 50);
         
+        // Add the date, as shown in the lightbox details
+        if (date) {
+            filename += `-${date}`;
+        }
+        
         // Add photographer name
         if (this.photographerName && this.photographerName !== 'photo') {
             filename += `-${this.photographerName}`;
@@ -177,7 +620,7 @@ class PhotoDownloadManager {
             zIndex: '99999'
         });
         
-        document.body.appendChild(toast);
+        this.parent.appendChild(toast);
         
         // Animate in
         requestAnimationFrame(() => {
@@ -246,7 +689,5 @@ function createDownloadButton(container, photoData, downloadManager) {
 }
 
 // Export for use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PhotoDownloadManager, createDownloadButton };
-}
+export { PhotoDownloadManager, createDownloadButton };
 
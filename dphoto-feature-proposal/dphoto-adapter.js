@@ -0,0 +1,278 @@
+/**
+ * DPHOTO BACKEND ADAPTER MODULE
+ * =============================
+ *
+ * A small interface between the landing page and wherever album data
+ * comes from. The catalog, lightbox and hero slideshow only talk to an
+ * adapter, so the static JSON manifest can be swapped for the dphoto API
+ * without touching the UI code.
+ *
+ * Adapter interface:
+ * - listAlbums()                  -> Promise<Album[]>
+ * - getAlbum(albumId)             -> Promise<Album|null>
+ * - listPhotos(albumId?)          -> Promise<Photo[]> (all photos if no id)
+ * - listPhotosPage(albumId, { offset, limit })
+ *                                 -> Promise<{ photos, total }> (one page of an album)
+ * - resolveThumbnail(item, size)  -> Promise<{ url, expiresAt }>
+ *
+ * Albums and photos use the catalog field names (see catalog.js).
+ *
+ * Implementations:
+ * - DphotoRestAdapter     - REST client for the dphoto API
+ * - StaticCatalogAdapter  - Static JSON manifest / in-memory mock
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class DphotoAdapter {
+    /**
+     * List every album
+     * @returns {Promise<Array>}
+     */
+    async listAlbums() {
+        throw new Error(`${this.constructor.name} does not implement listAlbums()`);
+    }
+
+    /**
+     * Get a single album
+     * @param {string} albumId - Album id
+     * @returns {Promise<Object|null>}
+     */
+    async getAlbum(albumId) {
+        const albums = await this.listAlbums();
+        return albums.find(album => album.id === albumId) || null;
+    }
+
+    /**
+     * List photos, optionally only those in one album
+     * @param {string} albumId - Album id (optional)
+     * @returns {Promise<Array>}
+     */
+    async listPhotos(albumId) {
+        throw new Error(`${this.constructor.name} does not implement listPhotos()`);
+    }
+
+    /**
+     * One page of an album's photos, for grids that page in as they scroll.
+     * Adapters without a paged backend slice the full list.
+     * @param {string} albumId - Album id
+     * @param {Object} page
+     * @param {number} page.offset - Photos to skip (default 0)
+     * @param {number} page.limit - Photos to return (default 60)
+     * @returns {Promise<Object>} - { photos, total } (total is null when unknown)
+     */
+    async listPhotosPage(albumId, { offset = 0, limit = 60 } = {}) {
+        const photos = await this.listPhotos(albumId);
+        return { photos: photos.slice(offset, offset + limit), total: photos.length };
+    }
+
+    /**
+     * Resolve a displayable image URL for an album cover or photo
+     * @param {Object} item - Album or photo
+     * @param {string} size - 'small', 'medium', 'large' or 'original'
+     * @returns {Promise<Object>} - { url, expiresAt } (expiresAt is a ms timestamp or null)
+     */
+    async resolveThumbnail(item, size = 'medium') {
+        throw new Error(`${this.constructor.name} does not implement resolveThumbnail()`);
+    }
+}
+
+/**
+ * Adapter backed by a static catalog manifest ({ albums, photos }).
+ * Pass `manifest` to use an in-memory object instead of fetching one,
+ * e.g. as a mock in demos.
+ */
+class StaticCatalogAdapter extends DphotoAdapter {
+    constructor(options = {}) {
+        super();
+        this.manifestUrl = options.manifestUrl || 'data/catalog.json';
+        this._manifest = options.manifest ? Promise.resolve(options.manifest) : null;
+    }
+
+    async listAlbums() {
+        const manifest = await this._load();
+        return manifest.albums || [];
+    }
+
+    async listPhotos(albumId) {
+        const manifest = await this._load();
+        const photos = manifest.photos || [];
+        return albumId ? photos.filter(photo => photo.albumId === albumId) : photos;
+    }
+
+    async resolveThumbnail(item, size = 'medium') {
+        // Static files never expire
+        return { url: item.cover || item.imageUrl, expiresAt: null };
+    }
+
+    /**
+     * Fetch the manifest once and share the result
+     * @returns {Promise<Object>}
+     */
+    _load() {
+        if (!this._manifest) {
+            this._manifest = fetch(this.manifestUrl).then(response => {
+                if (!response.ok) {
+                    throw new Error(`Failed to load catalog: ${response.status}`);
+                }
+                return response.json();
+            });
+
+            // Allow a retry after a failed fetch
+            this._manifest.catch(() => { this._manifest = null; });
+        }
+        return this._manifest;
+    }
+}
+
+/**
+ * REST client for the dphoto API.
+ *
+ * Endpoints (relative to baseUrl):
+ *   GET /albums                       -> { albums: [...] }
+ *   GET /albums/:id                   -> { album: {...} }
+ *   GET /albums/:id/photos            -> { photos: [...] }
+ *   GET /albums/:id/photos?offset=&limit=
+ *                                     -> { photos: [...], total }
+ *   GET /photos                       -> { photos: [...] }
+ *   GET /thumbnails/:kind/:id?size=   -> { url, expires_at }
+ *
+ * dphoto uses snake_case field names; they are mapped to catalog names here.
+ */
+class DphotoRestAdapter extends DphotoAdapter {
+    constructor(options = {}) {
+        super();
+        this.baseUrl = (options.baseUrl || '/api').replace(/\/$/, '');
+        this.apiKey = options.apiKey || null;
+        this.albumBaseUrl = options.albumBaseUrl || 'https://www.fredassaf.org/album';
+    }
+
+    async listAlbums() {
+        const data = await this._request('/albums');
+        return data.albums.map(album => this._mapAlbum(album));
+    }
+
+    async getAlbum(albumId) {
+        try {
+            const data = await this._request(`/albums/${encodeURIComponent(albumId)}`);
+            return this._mapAlbum(data.album);
+        } catch (error) {
+            if (error.status === 404) return null;
+            throw error;
+        }
+    }
+
+    async listPhotos(albumId) {
+        const path = albumId ? `/albums/${encodeURIComponent(albumId)}/photos` : '/photos';
+        const data = await this._request(path);
+        return data.photos.map(photo => this._mapPhoto(photo));
+    }
+
+    async listPhotosPage(albumId, { offset = 0, limit = 60 } = {}) {
+        const data = await this._request(
+            `/albums/${encodeURIComponent(albumId)}/photos?offset=${offset}&limit=${limit}`
+        );
+        // An API without paging sends the whole album
+        const paged = Number.isFinite(data.total);
+        const photos = paged ? data.photos : data.photos.slice(offset, offset + limit);
+        return {
+            photos: photos.map(photo => this._mapPhoto(photo)),
+            total: paged ? data.total : data.photos.length
+        };
+    }
+
+    async resolveThumbnail(item, size = 'medium') {
+        const kind = item.photoCount !== undefined ? 'albums' : 'photos';
+        const data = await this._request(
+            `/thumbnails/${kind}/${encodeURIComponent(item.id)}?size=${encodeURIComponent(size)}`
+        );
+        return {
+            url: data.url,
+            expiresAt: data.expires_at ? Date.parse(data.expires_at) : null
+        };
+    }
+
+    /**
+     * GET a JSON resource from the API
+     * @param {string} path - Path relative to baseUrl
+     * @returns {Promise<Object>}
+     */
+    async _request(path) {
+        const headers = { Accept: 'application/json' };
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+
+        const response = await fetch(`${this.baseUrl}${path}`, { headers });
+
+        if (!response.ok) {
+            const error = new Error(`dphoto API request failed: ${response.status} ${path}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    }
+
+    /**
+     * Map a dphoto album to a catalog album
+     * @param {Object} raw - API album
+     * @returns {Object}
+     */
+    _mapAlbum(raw) {
+        const { name, created_at, photo_count, cover_url, cover_alt, ...rest } = raw;
+        return {
+            ...rest,
+            title: raw.title || name,
+            date: raw.date || created_at,
+            photoCount: raw.photoCount !== undefined ? raw.photoCount : photo_count,
+            cover: raw.cover || cover_url,
+            coverAlt: raw.coverAlt || cover_alt,
+            url: raw.url || `${this.albumBaseUrl}/${raw.id}`
+        };
+    }
+
+    /**
+     * Map a dphoto photo to a catalog photo
+     * @param {Object} raw - API photo
+     * @returns {Object}
+     */
+    _mapPhoto(raw) {
+        const { album_id, image_url, album_url, ...rest } = raw;
+        const albumId = raw.albumId || album_id;
+        return {
+            ...rest,
+            albumId: albumId,
+            imageUrl: raw.imageUrl || image_url,
+            albumUrl: raw.albumUrl || album_url || (albumId ? `${this.albumBaseUrl}/${albumId}` : undefined)
+        };
+    }
+}
+
+/**
+ * Create an adapter from a plain config object
+ *
+ * @param {Object} config
+ * @param {string} config.type - 'rest' or 'static'
+ * @returns {DphotoAdapter}
+ */
+function createDphotoAdapter(config = {}) {
+    switch (config.type) {
+        case 'rest':
+            return new DphotoRestAdapter(config);
+        case 'static':
+        case undefined:
+            return new StaticCatalogAdapter(config);
+        default:
+            throw new Error(`Unknown dphoto adapter type: ${config.type}`);
+    }
+}
+
+// Export for use
+export {
+    DphotoAdapter,
+    StaticCatalogAdapter,
+    DphotoRestAdapter,
+    createDphotoAdapter
+};
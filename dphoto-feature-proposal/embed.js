@@ -0,0 +1,579 @@
+/**
+ * DPHOTO EMBED MODULE
+ * ===================
+ *
+ * <fred-gallery> and <fred-slideshow> custom elements for showing an
+ * album on another site, such as a booster club page. One script tag is
+ * all the page needs:
+ *
+ *   <script type="module" src="https://www.fredassaf.org/dphoto-feature-proposal/embed.js"></script>
+ *   <fred-gallery album="kb62ahwp"></fred-gallery>
+ *   <fred-slideshow category="sports/football" interval="5000" theme="light"></fred-slideshow>
+ *
+ * Attributes (both elements):
+ *   album        - Album id to show
+ *   category     - Category filter keys, comma-separated ("sports/football"), used when there is no album
+ *   theme        - "dark" (default) or "light"
+ *   attribution  - Credit line under the photos (default "Photos by Fred Assaf"); empty hides it
+ *   src          - Catalog manifest URL (default: data/catalog.json on the site serving this file)
+ *   base         - URL relative image paths in the catalog are relative to (default: that same site)
+ *   api          - dphoto REST base URL, used instead of src
+ *   watermark    - Logo stamped on downloaded and shared photos, relative to base
+ *                  (e.g. "images/logo-fred-sports-transparent.png"; default none)
+ *
+ * <fred-slideshow> also takes:
+ *   interval     - Milliseconds per slide (default 3000, 0 turns autoplay off)
+ *
+ * Without album or category the hero highlights are shown.
+ *
+ * Features:
+ * - Shadow DOM, so the host page's styles don't leak in or out
+ * - Clicking a photo opens it in PhotoLightbox with download and share
+ * - Embeds on the same page share one catalog request
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { createDphotoAdapter } from './dphoto-adapter.js';
+import { ImageUrlResolver } from './image-url-resolver.js';
+import { AlbumCatalog, escapeHtml } from './catalog.js';
+import { filterAlbums } from './category-filter.js';
+import { PhotoLightbox } from './lightbox.js';
+import { PhotoDownloadManager } from './download-button.js';
+import { PhotoShareManager, showToast } from './share-buttons.js';
+import { PhotoExporter } from './photo-export.js';
+import { Slideshow } from './slideshow.js';
+
+const EMBED_DEFAULTS = {
+    src: new URL('../data/catalog.json', import.meta.url).href,
+    base: new URL('../', import.meta.url).href,
+    styles: new URL('styles.css', import.meta.url).href,
+    attribution: 'Photos by Fred Assaf',
+    interval: 3000
+};
+
+const EMBED_STYLES = `
+    :host {
+        display: block;
+        --fred-bg: #0b1320;
+        --fred-text: #ffffff;
+        --fred-muted: rgba(255, 255, 255, 0.65);
+        --fred-gap: 8px;
+        color: var(--fred-text);
+    }
+
+    :host([theme="light"]) {
+        --fred-bg: #ffffff;
+        --fred-text: #1a2332;
+        --fred-muted: #5a6a7a;
+    }
+
+    :host([hidden]) {
+        display: none;
+    }
+
+    .fred-embed {
+        background: var(--fred-bg);
+        border-radius: 12px;
+        overflow: hidden;
+    }
+
+    .fred-message {
+        margin: 0;
+        padding: 2rem 1rem;
+        text-align: center;
+        color: var(--fred-muted);
+    }
+
+    .fred-attribution {
+        margin: 6px 0 0;
+        font-size: 12px;
+        text-align: right;
+        color: var(--fred-muted);
+    }
+
+    .fred-attribution:empty {
+        display: none;
+    }
+
+    .fred-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(var(--fred-thumb-size, 160px), 1fr));
+        gap: var(--fred-gap);
+        padding: var(--fred-gap);
+    }
+
+    .fred-thumb,
+    .fred-slide {
+        padding: 0;
+        border: 0;
+        background: none;
+        cursor: zoom-in;
+    }
+
+    .fred-thumb {
+        aspect-ratio: 1;
+        overflow: hidden;
+        border-radius: 6px;
+    }
+
+    .fred-thumb img,
+    .fred-slide img {
+        display: block;
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+    }
+
+    .fred-thumb img {
+        transition: transform 0.3s ease;
+    }
+
+    .fred-thumb:hover img,
+    .fred-thumb:focus-visible img {
+        transform: scale(1.05);
+    }
+
+    .fred-slideshow {
+        position: relative;
+        aspect-ratio: var(--fred-aspect-ratio, 16 / 9);
+    }
+
+    .fred-slide {
+        position: absolute;
+        inset: 0;
+        width: 100%;
+        opacity: 0;
+        visibility: hidden;
+        transition: opacity 1s ease, visibility 1s;
+    }
+
+    .fred-slide.active {
+        opacity: 1;
+        visibility: visible;
+    }
+
+    .fred-slide-caption {
+        position: absolute;
+        left: 16px;
+        bottom: 32px;
+        padding: 4px 10px;
+        border-radius: 4px;
+        background: rgba(0, 0, 0, 0.55);
+        color: #ffffff;
+        font-size: 14px;
+    }
+
+    .fred-indicators {
+        position: absolute;
+        left: 0;
+        right: 0;
+        bottom: 12px;
+        display: flex;
+        justify-content: center;
+        gap: 6px;
+    }
+
+    .fred-indicator {
+        width: 8px;
+        height: 8px;
+        padding: 0;
+        border: 0;
+        border-radius: 50%;
+        background: rgba(255, 255, 255, 0.5);
+        cursor: pointer;
+    }
+
+    .fred-indicator.active {
+        background: #ffffff;
+    }
+
+    .fred-slideshow-toggle {
+        position: absolute;
+        right: 12px;
+        bottom: 8px;
+        width: 28px;
+        height: 28px;
+        padding: 0;
+        border: 0;
+        border-radius: 50%;
+        background: rgba(0, 0, 0, 0.55);
+        color: #ffffff;
+        cursor: pointer;
+    }
+
+    .fred-slideshow-toggle[hidden],
+    .fred-slideshow-toggle .icon-play,
+    .fred-slideshow-toggle.paused .icon-pause {
+        display: none;
+    }
+
+    .fred-slideshow-toggle.paused .icon-play {
+        display: inline;
+    }
+
+    @media (prefers-reduced-motion: reduce) {
+        .fred-slide,
+        .fred-thumb img {
+            transition: none;
+        }
+    }
+`;
+
+// Catalog loads in flight or done, keyed by source, shared between embeds
+const catalogs = new Map();
+
+/**
+ * Load a catalog once per source
+ * @param {Object} source - { src, api }
+ * @returns {Promise<Object>} - { catalog, resolver }
+ */
+function loadCatalog(source) {
+    const key = source.api ? `api:${source.api}` : `src:${source.src}`;
+
+    if (!catalogs.has(key)) {
+        const adapter = source.api
+            ? createDphotoAdapter({ type: 'rest', baseUrl: source.api })
+            : createDphotoAdapter({ type: 'static', manifestUrl: source.src });
+        const catalog = new AlbumCatalog({ adapter });
+        const loaded = catalog.load().then(() => ({ catalog, resolver: new ImageUrlResolver({ adapter }) }));
+
+        // Allow a retry after a failed load
+        loaded.catch(() => catalogs.delete(key));
+        catalogs.set(key, loaded);
+    }
+    return catalogs.get(key);
+}
+
+/**
+ * Shared behaviour of the embeds: attributes, loading, the lightbox and
+ * the attribution line. Subclasses implement _render().
+ */
+class FredEmbedElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['album', 'category', 'src', 'base', 'api', 'attribution', 'watermark'];
+    }
+
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+        this.photos = [];
+        this.resolver = null;
+        this.lightbox = null;
+        this.shareManager = null;
+        this._loadToken = 0;
+        this._loadQueued = false;
+
+        this.shadowRoot.innerHTML = `
+            <link rel="stylesheet" href="${escapeHtml(EMBED_DEFAULTS.styles)}">
+            <style>${EMBED_STYLES}</style>
+            <div class="fred-embed" part="body"></div>
+            <p class="fred-attribution" part="attribution"></p>
+        `;
+        this.body = this.shadowRoot.querySelector('.fred-embed');
+        this.attributionEl = this.shadowRoot.querySelector('.fred-attribution');
+    }
+
+    connectedCallback() {
+        this._renderAttribution();
+        this._queueLoad();
+    }
+
+    disconnectedCallback() {
+        this._destroyLightbox();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+
+        if (name === 'attribution') {
+            this._renderAttribution();
+        } else if (name === 'watermark') {
+            // The next photo opened gets a lightbox with the new logo
+            this._destroyLightbox();
+        } else if (this.isConnected) {
+            this._queueLoad();
+        }
+    }
+
+    /**
+     * Load once for a burst of attribute changes (e.g. while upgrading)
+     */
+    _queueLoad() {
+        if (this._loadQueued) return;
+        this._loadQueued = true;
+
+        queueMicrotask(() => {
+            this._loadQueued = false;
+            if (this.isConnected) this._load();
+        });
+    }
+
+    /**
+     * Load the catalog and render the photos the attributes select
+     */
+    async _load() {
+        const token = ++this._loadToken;
+        this._destroyLightbox();
+        this._showMessage('Loading photos…');
+
+        try {
+            const { catalog, resolver } = await loadCatalog({
+                src: this.getAttribute('src') || EMBED_DEFAULTS.src,
+                api: this.getAttribute('api')
+            });
+            if (token !== this._loadToken) return;
+
+            // Static catalogs use site-relative paths, which would resolve against the host page
+            const base = new URL(this.getAttribute('base') || EMBED_DEFAULTS.base, document.baseURI);
+            this.photos = catalog.getLightboxPhotos(this._selectPhotos(catalog)).map(photo => ({
+                ...photo,
+                imageUrl: new URL(photo.imageUrl, base).href
+            }));
+            this.resolver = resolver;
+
+            if (!this.photos.length) {
+                this._showMessage('No photos to show yet.');
+                return;
+            }
+            this._render();
+        } catch (error) {
+            if (token !== this._loadToken) return;
+            console.error('Failed to load photos:', error);
+            this._showMessage('Photos could not be loaded.');
+        }
+    }
+
+    /**
+     * Catalog photos chosen by the album or category attribute
+     * @param {AlbumCatalog} catalog - Loaded catalog
+     * @returns {Array}
+     */
+    _selectPhotos(catalog) {
+        const album = this.getAttribute('album');
+        const category = this.getAttribute('category');
+
+        if (album) {
+            return catalog.photos.filter(photo => photo.albumId === album);
+        }
+        if (category) {
+            const keys = category.split(',').map(key => key.trim()).filter(Boolean);
+            const albumIds = new Set(filterAlbums(catalog.albums, keys).map(a => a.id));
+            return catalog.photos.filter(photo => albumIds.has(photo.albumId));
+        }
+        return catalog.getHeroPhotos();
+    }
+
+    /**
+     * Render this.photos into this.body
+     */
+    _render() {
+        throw new Error(`${this.constructor.name} does not implement _render()`);
+    }
+
+    /**
+     * Show a status message instead of photos
+     * @param {string} message - Message text
+     */
+    _showMessage(message) {
+        this.body.innerHTML = `<p class="fred-message">${escapeHtml(message)}</p>`;
+    }
+
+    /**
+     * Show the attribution attribute, or the default credit
+     */
+    _renderAttribution() {
+        const attribution = this.getAttribute('attribution');
+        this.attributionEl.textContent = attribution !== null ? attribution : EMBED_DEFAULTS.attribution;
+    }
+
+    /**
+     * Keep an image's URL fresh when the catalog uses signed URLs
+     * @param {HTMLImageElement} img - Image showing a photo
+     * @param {Object} photo - Photo object
+     * @param {string} size - Image size
+     */
+    _bindImage(img, photo, size) {
+        this.resolver.bindImage(img, photo, size).catch(() => {});
+    }
+
+    /**
+     * Open a photo in the lightbox, creating it on first use
+     * @param {number} index - Index into this.photos
+     */
+    openPhoto(index) {
+        if (!this.lightbox) {
+            const exporter = this._createExporter();
+            this.shareManager = new PhotoShareManager({ resolver: this.resolver, exporter, parent: this.shadowRoot });
+            const downloadManager = new PhotoDownloadManager({ resolver: this.resolver, exporter, parent: this.shadowRoot });
+
+            // Inside the shadow root, so it picks up the embed's styles
+            this.lightbox = new PhotoLightbox({
+                photos: this.photos,
+                parent: this.shadowRoot,
+                resolver: this.resolver,
+                loop: true,
+                // The remote page lives on the gallery's site, not the host page's
+                presentation: { channel: false },
+                onDownload: (photo) => downloadManager.downloadPhoto(photo),
+                onShare: async (photo) => {
+                    const result = await this.shareManager.sharePhoto(photo);
+                    if (result.success && result.method.startsWith('clipboard')) {
+                        showToast('Link copied to clipboard!', this.shadowRoot);
+                    }
+                }
+            });
+        }
+        this.lightbox.open(index);
+    }
+
+    /**
+     * Watermark step for downloads and shares, from the watermark attribute
+     * @returns {PhotoExporter|null}
+     */
+    _createExporter() {
+        const logo = this.getAttribute('watermark');
+        if (!logo) return null;
+
+        const base = new URL(this.getAttribute('base') || EMBED_DEFAULTS.base, document.baseURI);
+        return new PhotoExporter({ watermark: { image: new URL(logo, base).href } });
+    }
+
+    /**
+     * Remove the lightbox (the photos or their source changed)
+     */
+    _destroyLightbox() {
+        if (this.lightbox) {
+            this.lightbox.close();
+            this.lightbox.destroy();
+            this.lightbox = null;
+        }
+        if (this.shareManager) {
+            this.shareManager.destroy();
+            this.shareManager = null;
+        }
+    }
+}
+
+/**
+ * <fred-gallery>: a grid of photo thumbnails
+ */
+class FredGalleryElement extends FredEmbedElement {
+    _render() {
+        this.body.innerHTML = `
+            <div class="fred-grid">
+                ${this.photos.map((photo, index) => `
+                    <button type="button" class="fred-thumb" data-index="${index}" aria-label="${escapeHtml(photo.title)}">
+                        <img src="${escapeHtml(photo.imageUrl)}" alt="" loading="lazy">
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        this.body.querySelectorAll('.fred-thumb').forEach(thumb => {
+            const index = Number(thumb.dataset.index);
+            this._bindImage(thumb.querySelector('img'), this.photos[index], 'small');
+            thumb.addEventListener('click', () => this.openPhoto(index));
+        });
+    }
+}
+
+/**
+ * <fred-slideshow>: the hero slideshow, rotating on a timer
+ */
+class FredSlideshowElement extends FredEmbedElement {
+    static get observedAttributes() {
+        return [...super.observedAttributes, 'interval'];
+    }
+
+    constructor() {
+        super();
+        this.slideshow = null;
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        if (this.slideshow) this.slideshow.stop();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'interval') {
+            if (this.slideshow) {
+                this.slideshow.interval = this._interval();
+                this.slideshow.start();
+            }
+            return;
+        }
+        super.attributeChangedCallback(name, oldValue, newValue);
+    }
+
+    /**
+     * Autoplay interval from the attribute
+     * @returns {number} - Milliseconds (0 for no autoplay)
+     */
+    _interval() {
+        const interval = Number(this.getAttribute('interval'));
+        return this.hasAttribute('interval') && Number.isFinite(interval) && interval >= 0
+            ? interval
+            : EMBED_DEFAULTS.interval;
+    }
+
+    _showMessage(message) {
+        if (this.slideshow) {
+            this.slideshow.stop();
+            this.slideshow = null;
+        }
+        super._showMessage(message);
+    }
+
+    _render() {
+        this.body.innerHTML = `
+            <div class="fred-slideshow">
+                ${this.photos.map((photo, index) => `
+                    <button type="button" class="fred-slide${index === 0 ? ' active' : ''}" data-index="${index}" aria-label="${escapeHtml(photo.title)}">
+                        <img src="${escapeHtml(photo.imageUrl)}" alt="">
+                        <span class="fred-slide-caption">${escapeHtml(photo.title)}</span>
+                    </button>
+                `).join('')}
+                <div class="fred-indicators">
+                    ${this.photos.map((photo, index) => `
+                        <button type="button" class="fred-indicator${index === 0 ? ' active' : ''}" aria-label="Show photo ${index + 1}"></button>
+                    `).join('')}
+                </div>
+                <button type="button" class="fred-slideshow-toggle" aria-label="Pause slideshow" aria-pressed="false">
+                    <svg class="icon-pause" width="12" height="12" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                        <rect x="5" y="4" width="5" height="16"/>
+                        <rect x="14" y="4" width="5" height="16"/>
+                    </svg>
+                    <svg class="icon-play" width="12" height="12" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                        <polygon points="6 4 20 12 6 20"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+
+        const slides = this.body.querySelectorAll('.fred-slide');
+        slides.forEach(slide => {
+            const index = Number(slide.dataset.index);
+            this._bindImage(slide.querySelector('img'), this.photos[index], 'large');
+            slide.addEventListener('click', () => this.openPhoto(index));
+        });
+
+        this.slideshow = new Slideshow(slides, this.body.querySelectorAll('.fred-indicator'), {
+            interval: this._interval(),
+            toggle: this.body.querySelector('.fred-slideshow-toggle')
+        });
+        this.slideshow.start();
+    }
+}
+
+if (!customElements.get('fred-gallery')) {
+    customElements.define('fred-gallery', FredGalleryElement);
+}
+if (!customElements.get('fred-slideshow')) {
+    customElements.define('fred-slideshow', FredSlideshowElement);
+}
+
+// Export for use
+export { FredEmbedElement, FredGalleryElement, FredSlideshowElement };
@@ -0,0 +1,393 @@
+/**
+ * DPHOTO FAVORITES PANEL MODULE
+ * =============================
+ *
+ * Dialog for the collections in a FavoritesStore: view, download, share
+ * or export them, add photos to a collection, and preview a collection
+ * someone else shared before saving it.
+ *
+ * Features:
+ * - "My Collections" list with photo counts
+ * - Pick a collection (or name a new one) for selected photos
+ * - Import/export collections as JSON files
+ * - Preview of a shared collection: view, save or download it
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+import { showToast } from './share-buttons.js';
+import { FAVORITES_ID } from './favorites.js';
+
+class FavoritesPanel {
+    /**
+     * @param {Object} options
+     * @param {FavoritesStore} options.store - Collections to show
+     * @param {Function} options.onOpen - Called with a collection to view in the lightbox
+     * @param {Function} options.onDownload - Called with a collection to download
+     * @param {Function} options.onShareLink - Called with a collection to share as a link
+     * @param {Node} options.parent - Where to add the dialog (default document.body)
+     */
+    constructor(options = {}) {
+        this.store = options.store;
+        this.onOpen = options.onOpen || null;
+        this.onDownload = options.onDownload || null;
+        this.onShareLink = options.onShareLink || null;
+        this.parent = options.parent || document.body;
+        this.isOpen = false;
+        this.mode = 'list';
+        this._photos = [];       // photos waiting for a collection (pick mode)
+        this._shared = null;     // { name, photos, missing } being previewed
+        this._returnFocus = null;
+
+        this._render();
+        this._bindEvents();
+        this.store.on(() => {
+            if (this.isOpen && this.mode === 'list') this._renderBody();
+        });
+    }
+
+    /**
+     * Create the dialog
+     */
+    _render() {
+        this.container = document.createElement('div');
+        this.container.className = 'dphoto-favorites';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <div class="dphoto-favorites-overlay" data-action="close"></div>
+            <div class="dphoto-favorites-dialog" role="dialog" aria-modal="true" aria-labelledby="dphoto-favorites-title">
+                <div class="dphoto-favorites-header">
+                    <h2 class="dphoto-favorites-title" id="dphoto-favorites-title"></h2>
+                    <button class="dphoto-favorites-close" type="button" data-action="close" aria-label="Close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="dphoto-favorites-body"></div>
+                <input class="dphoto-favorites-file" type="file" accept="application/json,.json" hidden>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.dialog = this.container.querySelector('.dphoto-favorites-dialog');
+        this.title = this.container.querySelector('.dphoto-favorites-title');
+        this.body = this.container.querySelector('.dphoto-favorites-body');
+        this.fileInput = this.container.querySelector('.dphoto-favorites-file');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) this._handleAction(button.dataset.action, button.dataset.id);
+        });
+
+        this.container.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = e.target.querySelector('input[name="name"]');
+            this._createCollection(input.value);
+        });
+
+        // Keys typed here shouldn't reach the lightbox underneath
+        this.container.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            this.fileInput.value = '';
+            if (file) this._importFile(file);
+        });
+    }
+
+    /**
+     * Show the list of collections
+     */
+    open() {
+        this._show('list');
+    }
+
+    /**
+     * Ask which collection to add photos to
+     * @param {Object[]} photos - Lightbox photo objects
+     */
+    pick(photos) {
+        if (!photos.length) return;
+        this._photos = photos;
+        this._show('pick');
+    }
+
+    /**
+     * Preview a collection someone shared, before it is saved
+     * @param {Object} shared - { name, photos, missing } (missing: photos no longer in the catalog)
+     */
+    preview(shared) {
+        this._shared = shared;
+        this._show('preview');
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        this._photos = [];
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Remove the dialog
+     */
+    destroy() {
+        this.container.remove();
+    }
+
+    /**
+     * Open the dialog in a mode
+     * @param {string} mode - 'list', 'pick' or 'preview'
+     */
+    _show(mode) {
+        if (!this.isOpen) {
+            this._returnFocus = document.activeElement;
+        }
+        this.mode = mode;
+        this.isOpen = true;
+        this.container.hidden = false;
+        this._renderBody();
+
+        const first = this.body.querySelector('button:not([disabled]), input');
+        if (first) first.focus();
+    }
+
+    /**
+     * Fill the dialog for the current mode
+     */
+    _renderBody() {
+        if (this.mode === 'pick') {
+            this._renderPick();
+        } else if (this.mode === 'preview') {
+            this._renderPreview();
+        } else {
+            this._renderList();
+        }
+    }
+
+    /**
+     * Every collection, with its actions
+     */
+    _renderList() {
+        this.title.textContent = 'My Collections';
+
+        const items = this.store.getCollections().map(collection => {
+            const id = escapeHtml(collection.id);
+            const empty = collection.photos.length ? '' : ' disabled';
+            return `
+                <li class="dphoto-favorites-item">
+                    <div class="dphoto-favorites-info">
+                        <span class="dphoto-favorites-name">${escapeHtml(collection.name)}</span>
+                        <span class="dphoto-favorites-count">${escapeHtml(formatCount(collection.photos.length))}</span>
+                    </div>
+                    <div class="dphoto-favorites-actions">
+                        <button class="dphoto-btn" type="button" data-action="view" data-id="${id}"${empty}>View</button>
+                        <button class="dphoto-btn" type="button" data-action="download" data-id="${id}"${empty}>Download</button>
+                        <button class="dphoto-btn" type="button" data-action="share-link" data-id="${id}"${empty}>Share link</button>
+                        <button class="dphoto-btn" type="button" data-action="export" data-id="${id}"${empty}>Export</button>
+                        ${collection.id === FAVORITES_ID ? '' : `<button class="dphoto-btn" type="button" data-action="delete" data-id="${id}" aria-label="Delete ${escapeHtml(collection.name)}">Delete</button>`}
+                    </div>
+                </li>
+            `;
+        }).join('');
+
+        this.body.innerHTML = `
+            <ul class="dphoto-favorites-list">${items}</ul>
+            ${this.store.persistent ? '' : '<p class="dphoto-favorites-note">This browser won\'t keep collections after the page is closed. Export them to keep a copy.</p>'}
+            <div class="dphoto-favorites-footer">
+                <button class="dphoto-btn" type="button" data-action="import">Import file…</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Collections to add the waiting photos to, and a new-collection form
+     */
+    _renderPick() {
+        this.title.textContent = `Add ${formatCount(this._photos.length)} to…`;
+
+        const items = this.store.getCollections().map(collection => `
+            <li>
+                <button class="dphoto-favorites-choice" type="button" data-action="add-to" data-id="${escapeHtml(collection.id)}">
+                    <span class="dphoto-favorites-name">${escapeHtml(collection.name)}</span>
+                    <span class="dphoto-favorites-count">${escapeHtml(formatCount(collection.photos.length))}</span>
+                </button>
+            </li>
+        `).join('');
+
+        this.body.innerHTML = `
+            <ul class="dphoto-favorites-list">${items}</ul>
+            <form class="dphoto-favorites-new">
+                <input type="text" name="name" maxlength="80" required
+                    placeholder="New collection, e.g. Senior Night picks" aria-label="New collection name">
+                <button class="dphoto-btn dphoto-btn-download" type="submit">Create</button>
+            </form>
+        `;
+    }
+
+    /**
+     * A shared collection that hasn't been saved yet
+     */
+    _renderPreview() {
+        const { name, photos, missing } = this._shared;
+        this.title.textContent = name;
+
+        this.body.innerHTML = `
+            <p class="dphoto-favorites-summary"></p>
+            <div class="dphoto-favorites-footer">
+                <button class="dphoto-btn" type="button" data-action="view-shared"${photos.length ? '' : ' disabled'}>View</button>
+                <button class="dphoto-btn" type="button" data-action="download-shared"${photos.length ? '' : ' disabled'}>Download all</button>
+                <button class="dphoto-btn dphoto-btn-download" type="button" data-action="save-shared"${photos.length ? '' : ' disabled'}>Save to my collections</button>
+            </div>
+        `;
+        this.body.querySelector('.dphoto-favorites-summary').textContent =
+            `${formatCount(photos.length)} shared with you.` +
+            (missing ? ` ${formatCount(missing)} ${missing === 1 ? 'is' : 'are'} no longer available.` : '');
+    }
+
+    /**
+     * Run a button's action
+     * @param {string} action - data-action value
+     * @param {string} id - Collection id, if the button has one
+     */
+    async _handleAction(action, id) {
+        const collection = id ? this.store.getCollection(id) : null;
+
+        try {
+            switch (action) {
+                case 'close':
+                    this.close();
+                    break;
+                case 'view':
+                    this.close();
+                    if (this.onOpen) this.onOpen(collection);
+                    break;
+                case 'download':
+                    if (this.onDownload) this.onDownload(collection);
+                    break;
+                case 'share-link':
+                    if (this.onShareLink) this.onShareLink(collection);
+                    break;
+                case 'export':
+                    this._saveFile(this.store.exportCollection(id), collection.name);
+                    break;
+                case 'delete':
+                    if (window.confirm(`Delete "${collection.name}"?`)) {
+                        await this.store.deleteCollection(id);
+                    }
+                    break;
+                case 'import':
+                    this.fileInput.click();
+                    break;
+                case 'add-to':
+                    await this._addPhotos(collection);
+                    break;
+                case 'view-shared':
+                    this.close();
+                    if (this.onOpen) this.onOpen(this._shared);
+                    break;
+                case 'download-shared':
+                    if (this.onDownload) this.onDownload(this._shared);
+                    break;
+                case 'save-shared': {
+                    const saved = await this.store.createCollection(this._shared.name, this._shared.photos);
+                    showToast(`Saved "${saved.name}" to your collections`);
+                    this._show('list');
+                    break;
+                }
+            }
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    /**
+     * Add the waiting photos to a collection
+     * @param {Object} collection - Target collection
+     */
+    async _addPhotos(collection) {
+        const count = this._photos.length;
+        await this.store.add(this._photos, collection.id);
+        this.close();
+        showToast(`Added ${formatCount(count)} to "${collection.name}"`);
+    }
+
+    /**
+     * Create a collection from the pick form, with the waiting photos in it
+     * @param {string} name - Collection name
+     */
+    async _createCollection(name) {
+        try {
+            const count = this._photos.length;
+            const collection = await this.store.createCollection(name, this._photos);
+            this.close();
+            showToast(`Added ${formatCount(count)} to "${collection.name}"`);
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    /**
+     * Import a collection from a JSON file
+     * @param {File} file - Chosen file
+     */
+    async _importFile(file) {
+        try {
+            const collection = await this.store.importCollection(await file.text());
+            showToast(`Imported "${collection.name}" (${formatCount(collection.photos.length)})`);
+        } catch (error) {
+            showToast(error instanceof SyntaxError ? 'That file isn\'t a collection' : error.message);
+        }
+    }
+
+    /**
+     * Save an exported collection as a .json file
+     * @param {Object} data - Output of FavoritesStore.exportCollection
+     * @param {string} name - Collection name, for the filename
+     */
+    _saveFile(data, name) {
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'collection'}.json`;
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+}
+
+/**
+ * "1 photo", "12 photos"
+ * @param {number} count - Number of photos
+ * @returns {string}
+ */
+function formatCount(count) {
+    return `${count} photo${count === 1 ? '' : 's'}`;
+}
+
+// Export for use
+export { FavoritesPanel };
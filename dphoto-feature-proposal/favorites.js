@@ -0,0 +1,437 @@
+/**
+ * DPHOTO FAVORITES MODULE
+ * =======================
+ *
+ * Favorite photos and named collections ("Senior Night picks"), kept in
+ * the visitor's browser with IndexedDB. Nothing is sent to a server:
+ * collections travel as exported JSON files or share-link tokens.
+ *
+ * Features:
+ * - "My Favorites" plus any number of named collections
+ * - Photos are stored as they appear in the lightbox, so collections
+ *   open without reloading the catalog
+ * - JSON export/import with full photo details
+ * - Compact share-link tokens (collection name and photo ids)
+ * - Falls back to memory-only storage where IndexedDB is unavailable
+ *   (some private browsing modes)
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const FAVORITES_ID = 'favorites';
+
+const COLLECTION_FILE_TYPE = 'dphoto-collection';
+const COLLECTION_FILE_VERSION = 1;
+
+// Photo fields kept in a collection (what PhotoLightbox and the download/share managers use)
+const PHOTO_FIELDS = ['id', 'imageUrl', 'title', 'albumUrl', 'album', 'date', 'metadata'];
+
+class FavoritesStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.dbName - IndexedDB database name (default 'dphoto-favorites')
+     * @param {IDBFactory} options.indexedDB - IndexedDB implementation (default window.indexedDB)
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'dphoto-favorites';
+        this.indexedDB = options.indexedDB || window.indexedDB || null;
+        this.persistent = false;
+        this.collections = new Map();
+        this._db = null;
+        this._writes = Promise.resolve();
+        this._listeners = new Set();
+
+        this.collections.set(FAVORITES_ID, this._createRecord(FAVORITES_ID, 'My Favorites'));
+    }
+
+    /**
+     * Open the database and read every collection. Without IndexedDB,
+     * collections last until the page is closed. Never rejects.
+     * @returns {Promise<FavoritesStore>}
+     */
+    async load() {
+        try {
+            this._db = await this._open();
+            const records = await this._request(this._db.transaction('collections').objectStore('collections').getAll());
+            records.forEach(record => this.collections.set(record.id, record));
+            this.persistent = true;
+        } catch (error) {
+            console.warn('Favorites will not be saved on this device:', error.message);
+        }
+        return this;
+    }
+
+    /**
+     * Listen for changes
+     * @param {Function} handler - Called with the changed collection (or null)
+     * @returns {Function} - Removes the listener
+     */
+    on(handler) {
+        this._listeners.add(handler);
+        return () => this._listeners.delete(handler);
+    }
+
+    /**
+     * All collections, My Favorites first, then oldest first
+     * @returns {Object[]} - { id, name, photos, createdAt, updatedAt }
+     */
+    getCollections() {
+        return Array.from(this.collections.values()).sort((a, b) =>
+            (b.id === FAVORITES_ID) - (a.id === FAVORITES_ID) || a.createdAt - b.createdAt
+        );
+    }
+
+    /**
+     * Look up a collection
+     * @param {string} id - Collection id (FAVORITES_ID for My Favorites)
+     * @returns {Object|undefined}
+     */
+    getCollection(id) {
+        return this.collections.get(id);
+    }
+
+    /**
+     * Whether a collection contains a photo
+     * @param {string} photoId - Photo id
+     * @param {string} collectionId - Collection id (default My Favorites)
+     * @returns {boolean}
+     */
+    has(photoId, collectionId = FAVORITES_ID) {
+        const collection = this.collections.get(collectionId);
+        return Boolean(collection && collection.photos.some(photo => photo.id === photoId));
+    }
+
+    /**
+     * Add a photo to a collection, or remove it if it's already there
+     * @param {Object} photo - Lightbox photo object
+     * @param {string} collectionId - Collection id (default My Favorites)
+     * @returns {Promise<boolean>} - Whether the photo is now in the collection
+     */
+    async toggle(photo, collectionId = FAVORITES_ID) {
+        if (this.has(photo.id, collectionId)) {
+            await this.remove(photo.id, collectionId);
+            return false;
+        }
+        await this.add(photo, collectionId);
+        return true;
+    }
+
+    /**
+     * Add photos to a collection. Photos already in it are skipped.
+     * @param {Object|Object[]} photos - Lightbox photo object(s)
+     * @param {string} collectionId - Collection id (default My Favorites)
+     * @returns {Promise<Object>} - The collection
+     */
+    async add(photos, collectionId = FAVORITES_ID) {
+        const collection = this._require(collectionId);
+        [].concat(photos).forEach(photo => {
+            if (photo && photo.id && !collection.photos.some(saved => saved.id === photo.id)) {
+                collection.photos.push(toCollectionPhoto(photo));
+            }
+        });
+        return this._save(collection);
+    }
+
+    /**
+     * Remove a photo from a collection
+     * @param {string} photoId - Photo id
+     * @param {string} collectionId - Collection id (default My Favorites)
+     * @returns {Promise<Object>} - The collection
+     */
+    async remove(photoId, collectionId = FAVORITES_ID) {
+        const collection = this._require(collectionId);
+        collection.photos = collection.photos.filter(photo => photo.id !== photoId);
+        return this._save(collection);
+    }
+
+    /**
+     * Create a named collection
+     * @param {string} name - Collection name
+     * @param {Object[]} photos - Photos to start with (optional)
+     * @returns {Promise<Object>} - The new collection
+     */
+    async createCollection(name, photos = []) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('A collection needs a name');
+        }
+
+        const collection = this._createRecord(this._newId(), trimmed);
+        collection.photos = photos.filter(photo => photo && photo.id).map(toCollectionPhoto)
+            .filter((photo, i, all) => all.findIndex(other => other.id === photo.id) === i);
+        this.collections.set(collection.id, collection);
+        return this._save(collection);
+    }
+
+    /**
+     * Delete a named collection. My Favorites can only be emptied.
+     * @param {string} id - Collection id
+     * @returns {Promise<void>}
+     */
+    async deleteCollection(id) {
+        if (id === FAVORITES_ID) {
+            throw new Error('My Favorites cannot be deleted');
+        }
+        if (!this.collections.delete(id)) return;
+
+        this._notify(null);
+        await this._write(store => store.delete(id));
+    }
+
+    /**
+     * A collection as a JSON-ready object, for saving to a file
+     * @param {string} id - Collection id
+     * @returns {Object}
+     */
+    exportCollection(id) {
+        const collection = this._require(id);
+        return {
+            type: COLLECTION_FILE_TYPE,
+            version: COLLECTION_FILE_VERSION,
+            name: collection.name,
+            exportedAt: new Date().toISOString(),
+            photos: collection.photos
+        };
+    }
+
+    /**
+     * Save an exported collection as a new named collection
+     * @param {Object|string} data - Output of exportCollection, or its JSON text
+     * @returns {Promise<Object>} - The new collection
+     */
+    async importCollection(data) {
+        const { name, photos } = parseCollectionFile(data);
+        return this.createCollection(name, photos);
+    }
+
+    /**
+     * Close the database
+     */
+    destroy() {
+        if (this._db) this._db.close();
+        this._db = null;
+        this._listeners.clear();
+    }
+
+    /**
+     * Open (and on first use, create) the database
+     * @returns {Promise<IDBDatabase>}
+     */
+    _open() {
+        if (!this.indexedDB) {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore('collections', { keyPath: 'id' });
+        };
+        return this._request(request);
+    }
+
+    /**
+     * Wrap an IDBRequest in a promise
+     * @param {IDBRequest} request
+     * @returns {Promise<*>}
+     */
+    _request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Store a changed collection and tell listeners
+     * @param {Object} collection - Collection record
+     * @returns {Promise<Object>}
+     */
+    async _save(collection) {
+        collection.updatedAt = Date.now();
+        this._notify(collection);
+        await this._write(store => store.put(collection));
+        return collection;
+    }
+
+    /**
+     * Queue a write, so changes reach the database in order. Failed
+     * writes are logged; the in-memory collections stay current.
+     * @param {Function} operation - Called with the object store
+     * @returns {Promise<void>}
+     */
+    _write(operation) {
+        if (!this._db) return Promise.resolve();
+
+        this._writes = this._writes.then(() => {
+            const transaction = this._db.transaction('collections', 'readwrite');
+            operation(transaction.objectStore('collections'));
+            return new Promise((resolve, reject) => {
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        }).catch(error => {
+            console.error('Could not save favorites:', error);
+        });
+        return this._writes;
+    }
+
+    /**
+     * Tell listeners about a change
+     * @param {Object|null} collection - Changed collection (null when deleted)
+     */
+    _notify(collection) {
+        this._listeners.forEach(handler => handler(collection));
+    }
+
+    /**
+     * Look up a collection that must exist
+     * @param {string} id - Collection id
+     * @returns {Object}
+     */
+    _require(id) {
+        const collection = this.collections.get(id);
+        if (!collection) {
+            throw new Error(`Unknown collection: ${id}`);
+        }
+        return collection;
+    }
+
+    /**
+     * An empty collection record
+     * @param {string} id - Collection id
+     * @param {string} name - Collection name
+     * @returns {Object}
+     */
+    _createRecord(id, name) {
+        const now = Date.now();
+        return { id, name, photos: [], createdAt: now, updatedAt: now };
+    }
+
+    /**
+     * A collection id that isn't taken
+     * @returns {string}
+     */
+    _newId() {
+        let id;
+        do {
+            id = `c${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.collections.has(id));
+        return id;
+    }
+}
+
+/**
+ * The parts of a lightbox photo worth keeping in a collection
+ * @param {Object} photo - Lightbox photo object
+ * @returns {Object}
+ */
+function toCollectionPhoto(photo) {
+    const saved = {};
+    PHOTO_FIELDS.forEach(field => {
+        if (photo[field] !== undefined) saved[field] = photo[field];
+    });
+    return saved;
+}
+
+/**
+ * Read an exported collection file. Photos are checked field by field,
+ * since the file may come from someone else.
+ *
+ * @param {Object|string} data - Exported collection, or its JSON text
+ * @returns {Object} - { name, photos }
+ */
+function parseCollectionFile(data) {
+    const file = typeof data === 'string' ? JSON.parse(data) : data;
+    if (!file || file.type !== COLLECTION_FILE_TYPE || !Array.isArray(file.photos)) {
+        throw new Error('Not a dphoto collection file');
+    }
+    if (file.version > COLLECTION_FILE_VERSION) {
+        throw new Error('This collection was saved by a newer version of the gallery');
+    }
+
+    const photos = file.photos
+        .filter(photo => photo && typeof photo.id === 'string' && _isSafeUrl(photo.imageUrl))
+        .map(photo => {
+            const saved = toCollectionPhoto(photo);
+            if (!_isSafeUrl(saved.albumUrl)) delete saved.albumUrl;
+            ['title', 'album', 'date'].forEach(field => {
+                if (saved[field] !== undefined && typeof saved[field] !== 'string') delete saved[field];
+            });
+            if (saved.metadata !== undefined && (typeof saved.metadata !== 'object' || Array.isArray(saved.metadata))) {
+                delete saved.metadata;
+            }
+            return saved;
+        });
+
+    return { name: String(file.name || 'Imported photos'), photos };
+}
+
+/**
+ * Whether a URL from an imported file is an http(s) or relative link
+ * @param {*} value - Candidate URL
+ * @returns {boolean}
+ */
+function _isSafeUrl(value) {
+    if (typeof value !== 'string' || !value) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value, window.location.href).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Share-link token for a collection: its name and photo ids, as base64url JSON
+ * @param {Object} collection - { name, photos }
+ * @returns {string}
+ */
+function encodeCollectionToken(collection) {
+    const json = JSON.stringify({
+        v: COLLECTION_FILE_VERSION,
+        n: collection.name,
+        p: collection.photos.map(photo => photo.id)
+    });
+
+    // btoa only takes Latin-1, so encode the UTF-8 bytes
+    let binary = '';
+    new TextEncoder().encode(json).forEach(byte => {
+        binary += String.fromCharCode(byte);
+    });
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Read a share-link token
+ * @param {string} token - From encodeCollectionToken
+ * @returns {Object} - { name, photoIds }
+ * @throws {Error} If the token is damaged (e.g. a truncated link)
+ */
+function decodeCollectionToken(token) {
+    let data;
+    try {
+        const binary = atob(String(token).replace(/-/g, '+').replace(/_/g, '/'));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        data = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error('This collection link is incomplete or damaged');
+    }
+
+    if (!data || data.v !== COLLECTION_FILE_VERSION || !Array.isArray(data.p)) {
+        throw new Error('This collection link is incomplete or damaged');
+    }
+    return {
+        name: String(data.n || 'Shared photos'),
+        photoIds: data.p.filter(id => typeof id === 'string')
+    };
+}
+
+// Export for use
+export {
+    FavoritesStore,
+    FAVORITES_ID,
+    parseCollectionFile,
+    encodeCollectionToken,
+    decodeCollectionToken
+};
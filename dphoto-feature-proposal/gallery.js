@@ -0,0 +1,911 @@
+/**
+ * DPHOTO GALLERY MODULE
+ * =====================
+ *
+ * Single entry point for the landing page. Loads the album catalog and
+ * wires the slideshow, category filter, lightbox, download and share
+ * modules together, so the page itself only calls initGallery().
+ *
+ * Usage:
+ *   <script type="module">
+ *       import { initGallery } from './dphoto-feature-proposal/gallery.js';
+ *       initGallery({ share: { hashtags: ['PaceAcademy'] } });
+ *   </script>
+ *
+ * Features:
+ * - Static catalog by default; ?api=/path switches to the dphoto REST API
+ * - Hero slideshow, featured cards and a filterable gallery grid
+ * - Albums open in a scrolling photo grid that pages in as you go (see album-grid.js)
+ * - "Find my kid" search: players, teams, albums and categories
+ * - PhotoLightbox with deep links, download, share and Instagram
+ * - Optional watermark on downloads and shares (see photo-export.js)
+ * - Shared links unfurl with a preview card (see share-pages.js)
+ * - "Show QR" on featured cards and in the lightbox, with a printable sign
+ * - Favorites and named collections, shareable as a link or a file
+ * - Albums saved for offline, with an OfflineCache (see offline.js)
+ * - Print orders and a cart, with a pluggable checkout (see checkout.js)
+ * - Toast messages instead of alert() dialogs
+ * - Fade-in animations as cards scroll into view
+ * - Optional analytics, with a consent banner (see analytics.js)
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { createDphotoAdapter, StaticCatalogAdapter } from './dphoto-adapter.js';
+import { ImageUrlResolver } from './image-url-resolver.js';
+import {
+    AlbumCatalog,
+    renderFeaturedCards,
+    renderGalleryGrid,
+    renderHeroSlides,
+    bindCatalogImages,
+    formatAlbumDate,
+    formatPhotoCount
+} from './catalog.js';
+import { RenditionManifest } from './responsive-images.js';
+import { CategoryFilter } from './category-filter.js';
+import { PhotoRouter } from './photo-router.js';
+import { PhotoLightbox } from './lightbox.js';
+import { PhotoDownloadManager } from './download-button.js';
+import { PhotoShareManager, showToast } from './share-buttons.js';
+import { PhotoExporter } from './photo-export.js';
+import { SharePageManifest } from './share-pages.js';
+import { QrCodeDialog } from './qr-dialog.js';
+import { Slideshow } from './slideshow.js';
+import { showConsentBanner } from './analytics.js';
+import { PhotoSearchIndex } from './photo-search.js';
+import { SearchBox } from './search-box.js';
+import { FavoritesStore, FAVORITES_ID, encodeCollectionToken, decodeCollectionToken } from './favorites.js';
+import { FavoritesPanel } from './favorites-panel.js';
+import { AlbumGrid } from './album-grid.js';
+import { PrintPriceList, PrintCart } from './print-cart.js';
+import { PrintOrderDialog } from './print-order.js';
+import { CartPanel } from './cart-panel.js';
+import { CheckoutProvider, createCheckoutProvider } from './checkout.js';
+
+const GALLERY_SELECTORS = {
+    hero: '.hero',
+    slideshow: '.hero-slideshow',
+    indicators: '.slide-indicators',
+    slideToggle: '.slide-toggle',
+    featured: '.featured-grid',
+    grid: '.gallery-grid',
+    tabs: '.filter-tabs',
+    subtabs: '.filter-subtabs',
+    search: '.gallery-search',
+    favorites: '.favorites-button',
+    cart: '.cart-button',
+    albumView: '.album-view'
+};
+
+// Cards fade in one after another, up to this many; the rest come in together
+const MAX_STAGGER = 8;
+
+// Clear of the fixed navigation bar when scrolling to an album photo
+const NAV_HEIGHT = 100;
+
+const HEART_ICON = `
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+    </svg>
+`;
+
+const QR_ICON = `
+    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+        <rect x="3" y="3" width="7" height="7"/>
+        <rect x="14" y="3" width="7" height="7"/>
+        <rect x="3" y="14" width="7" height="7"/>
+        <path d="M14 14h3v3h-3zM17 17h4v4h-4zM20 14h1"/>
+    </svg>
+`;
+
+const INSTAGRAM_MESSAGES = {
+    mobile: 'Photo downloaded! Open Instagram and share from your Photos.',
+    desktop: 'Photo downloaded! Open Instagram on your phone and share from your Photos.'
+};
+
+/**
+ * Build the landing page gallery
+ *
+ * @param {Object} config
+ * @param {DphotoAdapter} config.adapter - Catalog backend (default: from apiBase)
+ * @param {string} config.apiBase - dphoto REST base path (default: the ?api= query parameter)
+ * @param {string} config.manifestUrl - Static catalog URL (default 'data/catalog.json')
+ * @param {string} config.heroAlbumId - Album id used in deep links to hero photos (default 'highlights')
+ * @param {string} config.searchIndexUrl - Prebuilt search index (default 'data/search-index.json')
+ * @param {string} config.sharePagesUrl - Share page manifest (default 'share/manifest.json')
+ * @param {number} config.slideDuration - Milliseconds per hero slide (default 3000)
+ * @param {string} config.animate - Extra elements to fade in on scroll (selector)
+ * @param {Object} config.selectors - Overrides for GALLERY_SELECTORS
+ * @param {Object} config.share - PhotoShareManager options
+ * @param {Object} config.download - PhotoDownloadManager options ({ allowOriginals: true }
+ *        adds an "Original" button for the unmarked file when there's an export step and
+ *        no config.checkout)
+ * @param {PhotoExporter|Object} config.export - Watermark, size and format for downloads and
+ *        shares, as a PhotoExporter or its options (default: files are passed through)
+ * @param {Object} config.lightbox - Extra PhotoLightbox options
+ * @param {AnalyticsBus} config.analytics - Receives view, download and share events (optional)
+ * @param {boolean} config.consentBanner - Ask for analytics consent on load (default true)
+ * @param {FavoritesStore|boolean} config.favorites - Saved photos and collections
+ *        (default: a FavoritesStore in this browser; false to turn favorites off)
+ * @param {OfflineCache} config.offline - Keeps viewed photos and saved albums for offline (optional)
+ * @param {Object|boolean} config.qr - QrCodeDialog options (false to turn "Show QR" off)
+ * @param {Object|boolean} config.presentation - PresentationMode options for the lightbox
+ *        (false to turn presentation mode off)
+ * @param {Object} config.albumGrid - Extra AlbumGrid options for the album view
+ * @param {CheckoutProvider|Object} config.checkout - Takes print orders, as a CheckoutProvider or
+ *        options for createCheckoutProvider (default: no prints for sale)
+ * @param {Object} config.prints - PrintPriceList options (default: data/prints.json)
+ * @returns {Object} - { adapter, catalog, resolver, renditions, router, lightbox, shareManager,
+ *          downloadManager, exporter, sharePages, searchIndex, favorites, favoritesPanel, offline,
+ *          qrDialog, priceList, cart, checkout, printDialog, cartPanel, analytics, ready }
+ *          where ready resolves once the page is rendered (and adds the hero `slideshow` and the `searchBox`);
+ *          `albumGrid` is added when the first album is opened, and the print entries are null
+ *          without config.checkout
+ */
+function initGallery(config = {}) {
+    const selectors = { ...GALLERY_SELECTORS, ...config.selectors };
+    const heroAlbumId = config.heroAlbumId || 'highlights';
+
+    const apiBase = config.apiBase !== undefined
+        ? config.apiBase
+        : new URLSearchParams(window.location.search).get('api');
+    const adapter = config.adapter || (apiBase && apiBase.startsWith('/') && !apiBase.startsWith('//')
+        ? createDphotoAdapter({ type: 'rest', baseUrl: apiBase })
+        : createDphotoAdapter({ type: 'static', manifestUrl: config.manifestUrl || 'data/catalog.json' }));
+
+    // Album catalog - single source of truth for slides, cards and the grid
+    const catalog = new AlbumCatalog({ adapter: adapter });
+
+    // Keeps signed image URLs from the backend fresh
+    const resolver = new ImageUrlResolver({ adapter: adapter });
+
+    // Thumbnail/medium/large renditions from scripts/build-renditions.js.
+    // The dphoto API sizes its own images, so these only apply to static files.
+    const renditions = adapter instanceof StaticCatalogAdapter ? new RenditionManifest() : null;
+
+    // Player/team/album search. The prebuilt index describes the static
+    // catalog; with the API the catalog is indexed in the browser.
+    const searchIndex = new PhotoSearchIndex({
+        indexUrl: adapter instanceof StaticCatalogAdapter ? config.searchIndexUrl : null
+    });
+
+    // Favorites and named collections, kept in this browser
+    const favorites = config.favorites === false ? null : config.favorites || new FavoritesStore();
+
+    const offline = config.offline || null;
+    const analytics = config.analytics || null;
+    // Branded export: the same watermark on every downloaded and shared file
+    const exporter = config.export instanceof PhotoExporter
+        ? config.export
+        : config.export ? new PhotoExporter(config.export) : null;
+
+    // OpenGraph share pages from scripts/build-share-pages.js, built from the static catalog
+    const sharePages = adapter instanceof StaticCatalogAdapter
+        ? new SharePageManifest({ manifestUrl: config.sharePagesUrl })
+        : null;
+    const shareManager = new PhotoShareManager({ resolver, analytics, exporter, sharePages, ...config.share });
+
+    // Prints and digital files for sale, once there's somewhere to send the orders
+    const checkout = config.checkout instanceof CheckoutProvider
+        ? config.checkout
+        : config.checkout ? createCheckoutProvider(config.checkout) : null;
+
+    // A free "Original" would give away the full-resolution file checkout sells
+    const downloadManager = new PhotoDownloadManager({
+        resolver,
+        analytics,
+        exporter,
+        ...config.download,
+        allowOriginals: Boolean(config.download && config.download.allowOriginals) && !checkout
+    });
+
+    // QR codes for album links, to hold up at games
+    const qrDialog = config.qr === false ? null : new QrCodeDialog(config.qr);
+
+    const priceList = checkout ? new PrintPriceList(config.prints) : null;
+    const cart = checkout ? new PrintCart() : null;
+
+    // Deep links: #/album/<id>/photo/<n> opens the lightbox, Back closes it
+    const router = new PhotoRouter({
+        onOpen: ({ albumId, index }) => openPhoto(albumId, index),
+        onClose: () => lightbox.close()
+    });
+
+    const lightbox = new PhotoLightbox({
+        resolver: resolver,
+        renditions: renditions,
+        router: router,
+        analytics: analytics,
+        loop: true,
+        onDownload: (photo) => downloadManager.downloadPhoto(photo),
+        onDownloadOriginal: exporter && downloadManager.allowOriginals
+            ? (photo) => downloadManager.downloadPhoto(photo, { original: true })
+            : null,
+        onDownloadAlbum: (photos) => downloadManager.downloadAlbum(photos),
+        onDownloadSelection: (photos, { zip }) => zip
+            ? downloadManager.downloadAlbum(photos, { albumName: 'Selected photos' })
+            : downloadManager.downloadPhotos(photos),
+        onShare: (photo) => sharePhoto(photo),
+        onShareSelection: (photos) => sharePhoto(photos),
+        onInstagram: (photo) => shareToInstagram(photo),
+        onFavorite: favorites ? (photo) => toggleFavorite(photo) : null,
+        isFavorite: (photo) => Boolean(favorites && favorites.has(photo.id)),
+        onCollectSelection: favorites ? (photos) => favoritesPanel.pick(photos) : null,
+        onSaveOffline: offline && offline.isSupported ? (photos, albumId) => toggleOfflineAlbum(photos, albumId) : null,
+        isSavedOffline: (albumId) => Boolean(offline && offline.isAlbumSaved(albumId)),
+        onPhotoShown: offline ? (photo, url) => offline.keepImage(url) : null,
+        onShowQr: qrDialog ? (photo, albumId) => showQr(photo, albumId) : null,
+        onOrderPrint: checkout ? (photo) => printDialog.open(photo) : null,
+        // The QR overlay links where "Show QR" does
+        presentation: config.presentation === false ? false : {
+            qrUrl: (photo, albumId) => qrTarget(photo, albumId).url,
+            ...config.presentation
+        },
+        // Back in the album view, the photo the visitor ended on is in view
+        onClose: (index, albumId) => {
+            if (albumGrid && albumId === shownAlbumId) {
+                albumGrid.scrollToIndex(index, { focus: true });
+            }
+        },
+        ...config.lightbox
+    });
+
+    const favoritesPanel = favorites ? new FavoritesPanel({
+        store: favorites,
+        onOpen: (collection) => openCollection(collection),
+        onDownload: (collection) => downloadManager.downloadAlbum(collection.photos, { albumName: collection.name }),
+        onShareLink: (collection) => shareCollection(collection)
+    }) : null;
+
+    const cartPanel = checkout ? new CartPanel({ cart, priceList, provider: checkout, analytics }) : null;
+    const printDialog = checkout ? new PrintOrderDialog({
+        priceList,
+        cart,
+        resolver,
+        onAdded: (item, product) => {
+            if (analytics) {
+                analytics.track('cart_add', { photo_id: item.photo.id, product_id: product.id, quantity: item.quantity });
+            }
+        },
+        onViewCart: () => cartPanel.open()
+    }) : null;
+
+    /**
+     * Lightbox photos for an album id. The hero album is the slideshow;
+     * search entry ids ("player-sam-lee") are virtual albums of their photos.
+     * @param {string} albumId - Album id
+     * @returns {Array}
+     */
+    function lightboxPhotos(albumId) {
+        const entry = !catalog.getAlbum(albumId) && searchIndex.getEntry(albumId);
+        let photos;
+        if (albumId === heroAlbumId) {
+            photos = catalog.getHeroPhotos();
+        } else if (entry) {
+            photos = entry.photos.map(id => catalog.getPhoto(id)).filter(Boolean);
+        } else {
+            photos = catalog.photos.filter(photo => photo.albumId === albumId);
+        }
+        return catalog.getLightboxPhotos(photos);
+    }
+
+    /**
+     * Open the lightbox on a photo, switching albums if needed
+     * @param {string} albumId - Album id
+     * @param {number} index - 0-based photo index
+     */
+    function openPhoto(albumId, index) {
+        if (albumId !== lightbox.albumId || !lightbox.photos.length) {
+            const photos = lightboxPhotos(albumId);
+            if (!photos.length) {
+                lightbox.close();
+                return;
+            }
+
+            lightbox.setPhotos(photos);
+            lightbox.albumId = albumId;
+        }
+
+        lightbox.open(Math.min(index, lightbox.photos.length - 1));
+    }
+
+    /**
+     * Whether an album has photos to show here, rather than only on dphoto
+     * @param {string} albumId - Album id
+     * @returns {boolean}
+     */
+    function hasPhotos(albumId) {
+        return catalog.photos.some(photo => photo.albumId === albumId);
+    }
+
+    /**
+     * Show an album's photos in place of the gallery grid
+     * @param {Object} album - Catalog album
+     * @param {HTMLElement} card - Card that opened it, for focus on the way back
+     */
+    function showAlbum(album, card) {
+        const loadPage = (offset, limit) => adapter.listPhotosPage(album.id, { offset, limit })
+            .then(page => ({ ...page, photos: catalog.getLightboxPhotos(page.photos) }));
+
+        shownAlbumId = album.id;
+        albumCard = card || null;
+        albumView.querySelector('.album-view-title').textContent = album.title;
+        albumView.querySelector('.album-view-meta').textContent =
+            [formatAlbumDate(album), formatPhotoCount(album)].filter(Boolean).join(' · ');
+        albumView.querySelector('.album-view-link').href = album.url;
+        galleryGrid.hidden = true;
+        albumView.hidden = false;
+
+        if (albumGrid) {
+            albumGrid.reset(loadPage);
+        } else {
+            albumGrid = new AlbumGrid({
+                container: albumView.querySelector('.album-grid'),
+                loadPage: loadPage,
+                onOpen: (index) => openAlbumPhoto(index),
+                href: (index) => router.link(shownAlbumId, index),
+                renditions: renditions,
+                resolver: resolver,
+                scrollMargin: NAV_HEIGHT,
+                ...config.albumGrid
+            });
+            gallery.albumGrid = albumGrid;
+            albumGrid.load();
+        }
+
+        window.scrollTo(0, window.scrollY + albumView.getBoundingClientRect().top - NAV_HEIGHT);
+        albumView.querySelector('.album-view-back').focus({ preventScroll: true });
+        if (analytics) {
+            analytics.track('album_view', { album_id: album.id });
+        }
+    }
+
+    /**
+     * Go back from the album view to the gallery grid
+     */
+    function hideAlbum() {
+        if (!albumView || albumView.hidden) return;
+
+        shownAlbumId = null;
+        albumView.hidden = true;
+        galleryGrid.hidden = false;
+        if (albumCard && albumCard.isConnected) {
+            albumCard.focus({ preventScroll: true });
+            albumCard.scrollIntoView({ block: 'center' });
+        }
+        albumCard = null;
+    }
+
+    /**
+     * Open a photo from the album view. The lightbox shares the grid's
+     * list, so photos paged in later can be reached from it too.
+     * @param {number} index - 0-based photo index
+     */
+    function openAlbumPhoto(index) {
+        if (lightbox.photos !== albumGrid.photos) {
+            lightbox.setPhotos(albumGrid.photos);
+            lightbox.albumId = shownAlbumId;
+        }
+        lightbox.open(index);
+    }
+
+    /**
+     * Share one photo or a selection, confirming clipboard copies with a toast
+     * @param {Object|Object[]} photo - Photo, or photos to share together
+     */
+    async function sharePhoto(photo) {
+        const result = await shareManager.sharePhoto(photo);
+
+        if (result.success && result.method.startsWith('clipboard')) {
+            showToast('Link copied to clipboard!');
+        } else if (result.error && !Array.isArray(photo)) {
+            // Let the album page handle it
+            window.open(photo.albumUrl, '_blank');
+        }
+    }
+
+    /**
+     * Share to Instagram, or download and explain how to post it
+     * @param {Object} photo - Photo object
+     */
+    async function shareToInstagram(photo) {
+        const result = await shareManager.shareToInstagram(photo);
+        if (result.success || result.cancelled) return;
+
+        // No file sharing here - save the photo so it can be posted from the camera roll.
+        // The toast below replaces the usual "Saved to Photos!" confirmation.
+        const download = await downloadManager.downloadPhoto(photo, {
+            showConfirmation: false,
+            export: shareManager.instagramExport
+        });
+        if (download.success) {
+            showToast(shareManager.canShare() ? INSTAGRAM_MESSAGES.mobile : INSTAGRAM_MESSAGES.desktop);
+        }
+    }
+
+    /**
+     * Add a photo to My Favorites, or take it out
+     * @param {Object} photo - Lightbox photo object
+     */
+    async function toggleFavorite(photo) {
+        if (!photo) return;
+
+        const added = await favorites.toggle(photo);
+        if (analytics) {
+            analytics.track(added ? 'favorite_add' : 'favorite_remove', { photo_id: photo.id });
+        }
+    }
+
+    /**
+     * Save the open album for offline, or stop keeping it
+     * @param {Array} photos - The album's lightbox photos
+     * @param {string} albumId - Album id
+     */
+    async function toggleOfflineAlbum(photos, albumId) {
+        if (offline.isAlbumSaved(albumId)) {
+            await offline.removeAlbum(albumId);
+            showToast('Removed from offline albums');
+            return;
+        }
+
+        const title = albumTitle(albumId);
+        showToast(`Saving ${title} for offline…`);
+        try {
+            const urls = await lightbox.getImageUrls(photos);
+            const { saved, total } = await offline.saveAlbum({ id: albumId, title }, urls);
+            showToast(saved === total
+                ? `${title} is saved for offline`
+                : saved ? `Saved ${saved} of ${total} photos for offline` : 'Could not save this album for offline');
+            if (saved && analytics) {
+                analytics.track('album_save_offline', { album_id: albumId, count: saved });
+            }
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    /**
+     * QR code target for a catalog album, or for the photo's share link
+     * when it isn't from one (the hero, search results, collections)
+     * @param {Object|null} photo - Lightbox photo (null for an album card)
+     * @param {string} albumId - Album id
+     * @returns {Object} - { url, title, subtitle, albumId } for QrCodeDialog#open
+     */
+    function qrTarget(photo, albumId) {
+        const album = catalog.getAlbum(albumId);
+        return album ? {
+            url: (sharePages && sharePages.albumUrl(album.id)) || album.url,
+            title: album.title,
+            subtitle: formatAlbumDate(album),
+            albumId: album.id
+        } : {
+            url: shareManager.getShareLink(photo),
+            title: photo.album || photo.title,
+            subtitle: photo.album ? photo.title : ''
+        };
+    }
+
+    /**
+     * Show the QR code for an album card or the lightbox photo
+     * @param {Object|null} photo - Lightbox photo (null for an album card)
+     * @param {string} albumId - Album id
+     */
+    function showQr(photo, albumId) {
+        try {
+            qrDialog.open(qrTarget(photo, albumId));
+        } catch (error) {
+            showToast(error.message);
+            return;
+        }
+
+        if (analytics) {
+            analytics.track('qr_show', { album_id: albumId || null, photo_id: photo ? photo.id : null });
+        }
+    }
+
+    /**
+     * Add "Show QR" buttons to the featured cards
+     */
+    function addQrButtons() {
+        if (!qrDialog || !featuredGrid) return;
+
+        featuredGrid.querySelectorAll('.featured-card[data-album-id]').forEach(card => {
+            const album = catalog.getAlbum(card.dataset.albumId);
+            const image = card.querySelector('.featured-image');
+            if (!album || !image) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'featured-qr';
+            button.dataset.albumId = album.id;
+            button.setAttribute('aria-label', `Show QR code for ${album.title}`);
+            button.innerHTML = QR_ICON;
+            image.appendChild(button);
+        });
+    }
+
+    /**
+     * Display name for an album id (albums, the hero and search results)
+     * @param {string} albumId - Album id
+     * @returns {string}
+     */
+    function albumTitle(albumId) {
+        const album = catalog.getAlbum(albumId);
+        if (album) return album.title;
+        if (albumId === heroAlbumId) return 'Highlights';
+
+        const entry = searchIndex.getEntry(albumId);
+        return entry ? entry.label : albumId;
+    }
+
+    /**
+     * Show a collection in the lightbox. Collections are personal, so
+     * they get no deep link (share them with shareCollection instead).
+     * @param {Object} collection - { name, photos }
+     */
+    function openCollection(collection) {
+        if (!collection.photos.length) return;
+
+        lightbox.setPhotos(collection.photos.slice());
+        lightbox.albumId = null;
+        lightbox.open(0);
+    }
+
+    /**
+     * Share a link that offers the collection to whoever opens it
+     * @param {Object} collection - { name, photos }
+     */
+    async function shareCollection(collection) {
+        const url = new URL(window.location.href);
+        url.hash = '';
+        url.searchParams.set('collection', encodeCollectionToken(collection));
+
+        const count = collection.photos.length;
+        const result = await shareManager.shareLink({
+            url: url.href,
+            title: collection.name,
+            text: `${collection.name} (${count} photo${count === 1 ? '' : 's'})`,
+            event: { content: 'collection', count: count }
+        });
+        if (result.success && result.method.startsWith('clipboard')) {
+            showToast('Link copied to clipboard!');
+        }
+    }
+
+    /**
+     * Offer the collection from a ?collection= link, then take the token
+     * out of the URL so a reload doesn't offer it again
+     */
+    function showSharedCollection() {
+        const url = new URL(window.location.href);
+        const token = url.searchParams.get('collection');
+        if (!token || !favoritesPanel) return;
+
+        url.searchParams.delete('collection');
+        history.replaceState(history.state, '', url.href);
+
+        try {
+            const { name, photoIds } = decodeCollectionToken(token);
+            const photos = photoIds.map(id => catalog.getLightboxPhoto(id)).filter(Boolean);
+            favoritesPanel.preview({ name, photos, missing: photoIds.length - photos.length });
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+
+    /**
+     * Add a favorite button to each gallery grid item. Albums are saved
+     * as their cover photo.
+     */
+    function addFavoriteButtons() {
+        if (!favorites) return;
+
+        galleryGrid.querySelectorAll('.gallery-item[data-album-id]').forEach(item => {
+            const album = catalog.getAlbum(item.dataset.albumId);
+            if (!album) return;
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'gallery-favorite';
+            button.dataset.photoId = catalog.getCoverPhoto(album).id;
+            button.setAttribute('aria-label', `Save ${album.title} to My Favorites`);
+            button.innerHTML = HEART_ICON;
+            item.appendChild(button);
+        });
+        updateFavoriteButtons();
+    }
+
+    /**
+     * Sync the grid buttons and the favorites count with the store
+     */
+    function updateFavoriteButtons() {
+        if (galleryGrid) {
+            galleryGrid.querySelectorAll('.gallery-favorite').forEach(button => {
+                const isFavorite = favorites.has(button.dataset.photoId);
+                button.classList.toggle('active', isFavorite);
+                button.setAttribute('aria-pressed', String(isFavorite));
+            });
+        }
+
+        const count = favoritesButton && favoritesButton.querySelector('.favorites-count');
+        if (count) {
+            count.textContent = favorites.getCollection(FAVORITES_ID).photos.length || '';
+        }
+    }
+
+    /**
+     * Show the cart button, with its count, while prints are for sale
+     * or something is in the cart
+     */
+    function updateCartButton() {
+        if (!cartButton) return;
+
+        cartButton.hidden = !priceList.isAvailable && !cart.count;
+        const count = cartButton.querySelector('.cart-count');
+        if (count) {
+            count.textContent = cart.count || '';
+        }
+    }
+
+    // Nothing is recorded until the visitor says yes
+    if (analytics && config.consentBanner !== false) {
+        showConsentBanner(analytics);
+    }
+
+    /**
+     * Act on a search suggestion: open matching photos, the album, or
+     * filter the grid by category
+     * @param {Object} entry - PhotoSearchIndex entry
+     */
+    function selectSearchResult(entry) {
+        if (entry.type === 'category') {
+            if (categoryFilter) {
+                categoryFilter.setSelection([entry.category]);
+                galleryGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        } else if (entry.type === 'album') {
+            if (entry.photos.length) {
+                openPhoto(entry.albumId, 0);
+            } else {
+                window.open(entry.url, '_blank');
+            }
+        } else {
+            openPhoto(entry.id, 0);
+        }
+    }
+
+    const animateOnScroll = createScrollAnimator();
+    const galleryGrid = document.querySelector(selectors.grid);
+    const featuredGrid = document.querySelector(selectors.featured);
+    const searchContainer = document.querySelector(selectors.search);
+    const favoritesButton = document.querySelector(selectors.favorites);
+    const cartButton = document.querySelector(selectors.cart);
+    const albumView = galleryGrid && document.querySelector(selectors.albumView);
+    let categoryFilter = null;
+    let albumGrid = null;
+    let shownAlbumId = null;
+    let albumCard = null;
+
+    if (favoritesButton) {
+        favoritesButton.hidden = !favorites;
+        favoritesButton.addEventListener('click', () => favoritesPanel.open());
+    }
+
+    if (favorites) {
+        favorites.on(() => {
+            lightbox.updateFavorite();
+            updateFavoriteButtons();
+        });
+
+        if (galleryGrid) {
+            // The buttons sit inside the album links
+            galleryGrid.addEventListener('click', (e) => {
+                const button = e.target.closest('.gallery-favorite');
+                if (!button) return;
+
+                e.preventDefault();
+                toggleFavorite(catalog.getLightboxPhoto(button.dataset.photoId));
+            });
+        }
+    }
+
+    if (offline) {
+        offline.on(() => lightbox.updateOffline());
+    }
+
+    if (cart) {
+        cart.on(updateCartButton);
+    }
+    if (cartButton) {
+        cartButton.hidden = true;
+        if (cartPanel) cartButton.addEventListener('click', () => cartPanel.open());
+    }
+
+    if (qrDialog && featuredGrid) {
+        // The buttons sit inside the album links
+        featuredGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('.featured-qr');
+            if (!button) return;
+
+            e.preventDefault();
+            showQr(null, button.dataset.albumId);
+        });
+    }
+
+    if (albumView) {
+        // Albums with photos here open in the album view; the rest go to dphoto.
+        // After the favorite and QR handlers, which cancel their buttons' clicks.
+        const onAlbumClick = (e) => {
+            const card = e.target.closest('.gallery-item[data-album-id], .featured-card[data-album-id]');
+            if (!card || e.defaultPrevented || e.ctrlKey || e.metaKey || e.shiftKey || e.button !== 0) return;
+            if (!hasPhotos(card.dataset.albumId)) return;
+
+            e.preventDefault();
+            showAlbum(catalog.getAlbum(card.dataset.albumId), card);
+        };
+        galleryGrid.addEventListener('click', onAlbumClick);
+        if (featuredGrid) featuredGrid.addEventListener('click', onAlbumClick);
+        albumView.querySelector('.album-view-back').addEventListener('click', hideAlbum);
+    }
+
+    // Render the page from the catalog
+    const ready = Promise.all([
+        catalog.load(),
+        renditions && renditions.load(),
+        sharePages && sharePages.load(),
+        favorites && favorites.load(),
+        offline && offline.load(),
+        priceList && priceList.load(),
+        cart && cart.load()
+    ])
+        .then(() => {
+            if (checkout) {
+                lightbox.printBtn.hidden = !priceList.isAvailable;
+                updateCartButton();
+            }
+
+            renderHeroSlides(
+                document.querySelector(selectors.slideshow),
+                document.querySelector(selectors.indicators),
+                catalog.getHeroPhotos(),
+                renditions
+            );
+            renderFeaturedCards(featuredGrid, catalog.getFeaturedAlbums(), renditions);
+            addQrButtons();
+
+            if (galleryGrid) {
+                categoryFilter = new CategoryFilter({
+                    tabsContainer: document.querySelector(selectors.tabs),
+                    subtabsContainer: document.querySelector(selectors.subtabs),
+                    albums: catalog.getGalleryAlbums(),
+                    onChange: (filtered) => {
+                        hideAlbum();
+                        renderGalleryGrid(galleryGrid, filtered, renditions);
+                        addFavoriteButtons();
+                        bindCatalogImages(galleryGrid, catalog, resolver);
+                        animateOnScroll(galleryGrid.querySelectorAll('.gallery-item'));
+                    }
+                });
+                renderGalleryGrid(galleryGrid, categoryFilter.getFilteredAlbums(), renditions);
+                addFavoriteButtons();
+            }
+
+            bindCatalogImages(document, catalog, resolver);
+            if (favorites) updateFavoriteButtons();
+
+            lightbox.setPhotos(lightboxPhotos(heroAlbumId));
+            lightbox.albumId = heroAlbumId;
+
+            // Open the lightbox when clicking on slides, or with Enter/Space on the current one
+            const slides = document.querySelectorAll(`${selectors.slideshow} .slide`);
+            slides.forEach((slide, index) => {
+                slide.style.cursor = 'pointer';
+                slide.setAttribute('role', 'button');
+                slide.setAttribute('tabindex', '-1');
+                const alt = slide.querySelector('img').alt || `Photo ${index + 1}`;
+                slide.setAttribute('aria-label', `${alt}: open to download or share`);
+                slide.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    openPhoto(heroAlbumId, index);
+                });
+                slide.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter' || e.key === ' ') {
+                        e.preventDefault();
+                        openPhoto(heroAlbumId, index);
+                    }
+                });
+            });
+
+            const slideshow = new Slideshow(slides, document.querySelectorAll(`${selectors.indicators} .indicator`), {
+                interval: config.slideDuration || 3000,
+                container: document.querySelector(selectors.hero),
+                toggle: document.querySelector(selectors.slideToggle)
+            });
+            slideshow.start();
+            gallery.slideshow = slideshow;
+
+            animateOnScroll(document.querySelectorAll(
+                ['.gallery-item', '.featured-card', config.animate].filter(Boolean).join(', ')
+            ));
+
+            if (searchContainer) {
+                gallery.searchBox = new SearchBox({
+                    container: searchContainer,
+                    search: searchIndex,
+                    onSelect: selectSearchResult
+                });
+            }
+
+            // Before routing, so links to search results can open
+            return searchIndex.load(catalog);
+        })
+        .then(() => {
+            showSharedCollection();
+
+            // Open the photo in the URL, if any
+            router.start();
+        })
+        .catch(error => {
+            console.error('Failed to load album catalog:', error);
+        })
+        .then(() => gallery);
+
+    const gallery = {
+        adapter,
+        catalog,
+        resolver,
+        renditions,
+        router,
+        lightbox,
+        shareManager,
+        downloadManager,
+        exporter,
+        sharePages,
+        searchIndex,
+        favorites,
+        favoritesPanel,
+        offline,
+        qrDialog,
+        priceList,
+        cart,
+        checkout,
+        printDialog,
+        cartPanel,
+        analytics,
+        ready
+    };
+    return gallery;
+}
+
+/**
+ * Create a function that fades elements in as they scroll into view
+ * @returns {Function} - Takes a list of elements
+ */
+function createScrollAnimator() {
+    const observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                entry.target.style.opacity = '1';
+                entry.target.style.transform = 'translateY(0)';
+            }
+        });
+    }, {
+        threshold: 0.1,
+        rootMargin: '0px 0px -80px 0px'
+    });
+
+    return (elements) => {
+        elements.forEach((el, i) => {
+            const delay = Math.min(i, MAX_STAGGER) * 0.08;
+            el.style.opacity = '0';
+            el.style.transform = 'translateY(30px)';
+            el.style.transition = `opacity 0.6s ease ${delay}s, transform 0.6s ease ${delay}s`;
+            observer.observe(el);
+        });
+    };
+}
+
+// Export for use
+export { initGallery, GALLERY_SELECTORS };
@@ -0,0 +1,198 @@
+/**
+ * DPHOTO IMAGE PRELOADER MODULE
+ * =============================
+ *
+ * Loads and decodes images ahead of time and keeps the most recently
+ * used ones in a bounded cache, so flicking through the lightbox shows
+ * photos instantly instead of behind a spinner.
+ *
+ * Features:
+ * - LRU cache of decoded images with a fixed capacity
+ * - Concurrent requests for the same photo share one load
+ * - Cancel loads that are no longer needed (aborts the download)
+ * - One retry with a fresh URL, for expiring signed URLs
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class ImagePreloader {
+    /**
+     * @param {Object} options
+     * @param {number} options.capacity - Decoded images to keep (default 12)
+     */
+    constructor(options = {}) {
+        this.capacity = options.capacity || 12;
+        this._cache = new Map();     // key -> HTMLImageElement, oldest first
+        this._pending = new Map();   // key -> { img, promise, cancel }
+    }
+
+    /**
+     * Load an image, or return it from the cache
+     *
+     * @param {string} key - Cache key (e.g. photo id)
+     * @param {Function} getUrl - Returns a Promise<string> with the URL to load
+     * @param {Function} refreshUrl - Returns a fresh URL after a failed load (optional)
+     * @returns {Promise<HTMLImageElement>} - Rejects with an AbortError if cancelled
+     */
+    load(key, getUrl, refreshUrl) {
+        const cached = this.get(key);
+        if (cached) return Promise.resolve(cached);
+        if (this._pending.has(key)) return this._pending.get(key).promise;
+
+        const img = new Image();
+        img.decoding = 'async';
+        let cancelled = false;
+        let rejectLoad;
+
+        const promise = new Promise((resolve, reject) => {
+            rejectLoad = reject;
+
+            const attempt = async (url, canRetry) => {
+                if (cancelled) return;
+                img.src = url;
+
+                try {
+                    await ImagePreloader._decode(img);
+                } catch (error) {
+                    if (cancelled) return;
+                    if (canRetry && refreshUrl) {
+                        return attempt(await refreshUrl(), false);
+                    }
+                    throw new Error(`Failed to load image: ${url}`);
+                }
+
+                if (cancelled) return;
+                this._pending.delete(key);
+                this._store(key, img);
+                resolve(img);
+            };
+
+            Promise.resolve()
+                .then(getUrl)
+                .then(url => attempt(url, true))
+                .catch(error => {
+                    if (cancelled) return;
+                    this._pending.delete(key);
+                    reject(error);
+                });
+        });
+
+        const cancel = () => {
+            cancelled = true;
+            this._pending.delete(key);
+            // Clearing src aborts the download
+            img.removeAttribute('src');
+            const error = new Error('Image load cancelled');
+            error.name = 'AbortError';
+            rejectLoad(error);
+        };
+
+        // Nobody may be listening to a preload, so don't report cancellations as unhandled
+        promise.catch(() => {});
+
+        this._pending.set(key, { img, promise, cancel });
+        return promise;
+    }
+
+    /**
+     * Get a cached image, marking it as recently used
+     * @param {string} key - Cache key
+     * @returns {HTMLImageElement|null}
+     */
+    get(key) {
+        const img = this._cache.get(key);
+        if (!img) return null;
+
+        this._cache.delete(key);
+        this._cache.set(key, img);
+        return img;
+    }
+
+    /**
+     * Whether an image is cached
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this._cache.has(key);
+    }
+
+    /**
+     * Whether an image is being loaded
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    isLoading(key) {
+        return this._pending.has(key);
+    }
+
+    /**
+     * Cancel a pending load
+     * @param {string} key - Cache key
+     */
+    cancel(key) {
+        const pending = this._pending.get(key);
+        if (pending) pending.cancel();
+    }
+
+    /**
+     * Cancel every pending load except the given ones
+     * @param {Iterable<string>} keep - Keys still needed
+     */
+    cancelExcept(keep) {
+        const keepSet = new Set(keep);
+        Array.from(this._pending.keys())
+            .filter(key => !keepSet.has(key))
+            .forEach(key => this.cancel(key));
+    }
+
+    /**
+     * Drop a cached image (e.g. after its URL expired)
+     * @param {string} key - Cache key
+     */
+    delete(key) {
+        this._cache.delete(key);
+    }
+
+    /**
+     * Cancel all loads and empty the cache
+     */
+    clear() {
+        this.cancelExcept([]);
+        this._cache.clear();
+    }
+
+    /**
+     * Add an image, evicting the least recently used beyond capacity
+     * @param {string} key - Cache key
+     * @param {HTMLImageElement} img - Decoded image
+     */
+    _store(key, img) {
+        this._cache.delete(key);
+        this._cache.set(key, img);
+
+        while (this._cache.size > this.capacity) {
+            this._cache.delete(this._cache.keys().next().value);
+        }
+    }
+
+    /**
+     * Wait until an image is loaded and decoded
+     * @param {HTMLImageElement} img - Image with src set
+     * @returns {Promise<void>}
+     */
+    static _decode(img) {
+        if (typeof img.decode === 'function') {
+            return img.decode();
+        }
+
+        return new Promise((resolve, reject) => {
+            img.onload = () => resolve();
+            img.onerror = () => reject(new Error('Image failed to load'));
+        });
+    }
+}
+
+// Export for use
+export { ImagePreloader };
@@ -0,0 +1,285 @@
+/**
+ * DPHOTO IMAGE URL RESOLVER MODULE
+ * ================================
+ *
+ * dphoto serves images from signed URLs that expire. This module keeps
+ * track of each URL's expiry and fetches a fresh one from the backend
+ * adapter when needed.
+ *
+ * Features:
+ * - Caches resolved URLs per photo/album and size
+ * - Refreshes URLs that are about to expire before handing them out
+ * - Pre-emptively swaps the src of bound <img> elements before expiry
+ * - Re-fetches a fresh URL when an image or fetch fails with 403/404
+ *
+ * Items without an id, or a resolver without an adapter, fall back to
+ * the item's own imageUrl/cover.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class ImageUrlResolver {
+    /**
+     * Whether an HTTP status means a signed URL has expired or been revoked
+     * @param {number} status - HTTP status
+     * @returns {boolean}
+     */
+    static isExpiredStatus(status) {
+        return status === 403 || status === 404;
+    }
+
+    constructor(options = {}) {
+        this.adapter = options.adapter || null;
+        this.refreshMargin = options.refreshMargin !== undefined ? options.refreshMargin : 60 * 1000;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 1;
+        this.onRefresh = options.onRefresh || null;
+
+        this._entries = new Map();   // key -> { url, expiresAt, item, size, timer }
+        this._pending = new Map();   // key -> Promise<string>
+        this._images = new Map();    // key -> Set<HTMLImageElement>
+    }
+
+    /**
+     * Get a usable URL, refreshing it first if it is about to expire
+     * @param {Object} item - Photo or album
+     * @param {string} size - 'small', 'medium', 'large' or 'original'
+     * @returns {Promise<string>}
+     */
+    async resolve(item, size = 'medium') {
+        if (!this._canResolve(item)) {
+            return this._fallbackUrl(item);
+        }
+
+        const entry = this._entries.get(this._key(item, size));
+        if (entry && !this._isExpiring(entry)) {
+            return entry.url;
+        }
+
+        return this.refresh(item, size);
+    }
+
+    /**
+     * Fetch a fresh URL from the adapter, ignoring the cache
+     * Concurrent calls for the same item and size share one request.
+     *
+     * @param {Object} item - Photo or album
+     * @param {string} size - Image size
+     * @returns {Promise<string>}
+     */
+    refresh(item, size = 'medium') {
+        if (!this._canResolve(item)) {
+            return Promise.resolve(this._fallbackUrl(item));
+        }
+
+        const key = this._key(item, size);
+        if (this._pending.has(key)) {
+            return this._pending.get(key);
+        }
+
+        const request = this.adapter.resolveThumbnail(item, size)
+            .then(({ url, expiresAt }) => {
+                const previous = this._entries.get(key);
+                if (previous) clearTimeout(previous.timer);
+
+                const entry = { url, expiresAt: expiresAt || null, item, size, timer: null };
+                this._entries.set(key, entry);
+                this._updateImages(key, url);
+                this._schedule(key, entry);
+
+                if (this.onRefresh) {
+                    this.onRefresh({ item, size, url, expiresAt: entry.expiresAt });
+                }
+                return url;
+            })
+            .finally(() => {
+                this._pending.delete(key);
+            });
+
+        this._pending.set(key, request);
+        return request;
+    }
+
+    /**
+     * fetch() an image, retrying with a fresh URL on 403/404
+     * @param {Object} item - Photo or album
+     * @param {string} size - Image size
+     * @param {Object} init - fetch() options
+     * @returns {Promise<Response>}
+     */
+    async fetch(item, size = 'original', init) {
+        let url = await this.resolve(item, size);
+
+        for (let attempt = 0; ; attempt++) {
+            const response = await fetch(url, init);
+
+            if (ImageUrlResolver.isExpiredStatus(response.status) &&
+                attempt < this.maxRetries &&
+                this._canResolve(item)) {
+                url = await this.refresh(item, size);
+                continue;
+            }
+
+            return response;
+        }
+    }
+
+    /**
+     * Point an <img> at an item and keep its src fresh.
+     * The src is swapped before the URL expires, and a fresh URL is
+     * requested if the image fails to load.
+     *
+     * @param {HTMLImageElement} img - Image element
+     * @param {Object} item - Photo or album
+     * @param {string} size - Image size
+     * @returns {Promise<string>} - The initial URL
+     */
+    bindImage(img, item, size = 'medium') {
+        if (!this._canResolve(item)) {
+            return Promise.resolve(img.src || this._fallbackUrl(item));
+        }
+
+        const key = this._key(item, size);
+        let retries = 0;
+
+        if (!this._images.has(key)) {
+            this._images.set(key, new Set());
+        }
+        this._images.get(key).add(img);
+
+        img.addEventListener('load', () => {
+            retries = 0;
+        });
+        img.addEventListener('error', () => {
+            // <img> can't see the status code, so treat any failure as a possible expiry
+            if (retries++ >= this.maxRetries) return;
+            this.refresh(item, size).catch(error => {
+                console.error('Failed to refresh image URL:', error);
+            });
+        });
+
+        return this.resolve(item, size).then(url => {
+            if (img.src !== url) img.src = url;
+
+            // A cached entry may have been stored before this image was bound
+            const entry = this._entries.get(key);
+            if (entry && !entry.timer) this._schedule(key, entry);
+            return url;
+        });
+    }
+
+    /**
+     * Drop a cached URL so the next resolve() fetches a fresh one
+     * @param {Object} item - Photo or album
+     * @param {string} size - Image size
+     */
+    invalidate(item, size = 'medium') {
+        const key = this._key(item, size);
+        const entry = this._entries.get(key);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this._entries.delete(key);
+        }
+    }
+
+    /**
+     * Stop all refresh timers and forget bound images
+     */
+    destroy() {
+        this._entries.forEach(entry => clearTimeout(entry.timer));
+        this._entries.clear();
+        this._images.clear();
+    }
+
+    /**
+     * Whether this item's URL comes from the adapter
+     * @param {Object} item - Photo or album
+     * @returns {boolean}
+     */
+    _canResolve(item) {
+        return Boolean(this.adapter && item && item.id);
+    }
+
+    /**
+     * URL to use when the adapter can't be asked
+     * @param {Object} item - Photo or album
+     * @returns {string}
+     */
+    _fallbackUrl(item) {
+        return item ? (item.imageUrl || item.cover || '') : '';
+    }
+
+    /**
+     * Cache key for an item and size
+     * @param {Object} item - Photo or album
+     * @param {string} size - Image size
+     * @returns {string}
+     */
+    _key(item, size) {
+        const kind = item.photoCount !== undefined ? 'album' : 'photo';
+        return `${kind}:${item.id}:${size}`;
+    }
+
+    /**
+     * Whether an entry expires within the refresh margin
+     * @param {Object} entry - Cache entry
+     * @returns {boolean}
+     */
+    _isExpiring(entry) {
+        return entry.expiresAt !== null && entry.expiresAt - this.refreshMargin <= Date.now();
+    }
+
+    /**
+     * Schedule a pre-emptive refresh for entries shown in bound images.
+     * Entries nobody is displaying are refreshed lazily by resolve().
+     *
+     * @param {string} key - Cache key
+     * @param {Object} entry - Cache entry
+     */
+    _schedule(key, entry) {
+        if (entry.expiresAt === null || !this._hasImages(key)) return;
+
+        const delay = Math.max(0, entry.expiresAt - this.refreshMargin - Date.now());
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            if (!this._hasImages(key)) return;
+
+            this.refresh(entry.item, entry.size).catch(error => {
+                console.error('Failed to refresh image URL:', error);
+            });
+        }, delay);
+    }
+
+    /**
+     * Whether any bound image for this key is still in the document
+     * @param {string} key - Cache key
+     * @returns {boolean}
+     */
+    _hasImages(key) {
+        const images = this._images.get(key);
+        if (!images) return false;
+
+        images.forEach(img => {
+            if (!img.isConnected) images.delete(img);
+        });
+        if (!images.size) this._images.delete(key);
+
+        return images.size > 0;
+    }
+
+    /**
+     * Point every bound image for this key at a new URL
+     * @param {string} key - Cache key
+     * @param {string} url - Fresh URL
+     */
+    _updateImages(key, url) {
+        if (!this._hasImages(key)) return;
+
+        this._images.get(key).forEach(img => {
+            if (img.src !== url) img.src = url;
+        });
+    }
+}
+
+// Export for use
+export { ImageUrlResolver };
@@ -8,24 +8,100 @@
  * - Smooth open/close animations
  * - Swipe gestures (mobile)
  * - Keyboard navigation (desktop)
- * - Pinch-to-zoom
+ * - Pinch-to-zoom, double-tap/double-click zoom, wheel zoom and panning
  * - Photo counter overlay
- * - Integrated share/download buttons
+ * - Integrated share/download buttons (and Instagram, when handled)
+ * - Optional "Original" button for the unmarked file
+ * - Optional wrap-around navigation
+ * - Preloads neighbouring photos and caches decoded images
+ * - Download the whole album as a ZIP
+ * - Deep links to the open photo (with a PhotoRouter)
+ * - Multi-select mode with a filmstrip tray for batch download/share
+ * - Reports opens, views, dwell time and navigation to an AnalyticsBus
+ * - Details panel with game, roster and camera info (EXIF when the catalog has none)
+ * - Favorite button, and adding the selection to a collection
+ * - Saving the album for offline viewing
+ * - "QR" button to show a scannable code for the album
+ * - Modal dialog semantics: focus moves in, stays in and goes back on close
+ * - Announces "Photo 3 of 10: Varsity Softball" to screen readers
+ * - Keyboard shortcut list on "?"
+ * - Presentation mode: full-screen slideshow for a TV or projector, with a remote
+ * - "Order print" button, when prints are for sale
  * 
  * @author Fred Assaf / Developer
  * @version 1.0.0
  */
 
+import { ZoomGestures } from './zoom-gestures.js';
+import { ImagePreloader } from './image-preloader.js';
+import { EXIF_SCAN_BYTES, readExif, metadataRows, photoAltText, needsExif } from './photo-metadata.js';
+import { PresentationMode } from './presentation.js';
+
+// Listed in the "?" overlay; `when` leaves out shortcuts for features that are off
+const KEYBOARD_SHORTCUTS = [
+    { keys: ['←', '→'], label: 'Previous / next photo' },
+    { keys: ['+', '−'], label: 'Zoom in / out' },
+    { keys: ['0'], label: 'Reset zoom' },
+    { keys: ['i'], label: 'Photo details' },
+    { keys: ['f'], label: 'Favorite', when: (lightbox) => Boolean(lightbox.onFavorite) },
+    { keys: ['x'], label: 'Select photo (in select mode)', when: (lightbox) => !lightbox.selectToggle.hidden },
+    { keys: ['p'], label: 'Presentation mode', when: (lightbox) => Boolean(lightbox.presentation) },
+    { keys: ['Space'], label: 'Play / pause (presenting)', when: (lightbox) => Boolean(lightbox.presentation) },
+    { keys: ['?'], label: 'Keyboard shortcuts' },
+    { keys: ['Esc'], label: 'Close' }
+];
+
 class PhotoLightbox {
     constructor(options = {}) {
         this.photos = options.photos || [];
         this.currentIndex = 0;
         this.isOpen = false;
         this.onShare = options.onShare || null;
+        this.onInstagram = options.onInstagram || null;
         this.onDownload = options.onDownload || null;
+        this.onDownloadOriginal = options.onDownloadOriginal || null;
+        this.onDownloadAlbum = options.onDownloadAlbum || null;
+        this.onDownloadSelection = options.onDownloadSelection || null;
+        this.onShareSelection = options.onShareSelection || null;
+        this.onFavorite = options.onFavorite || null;
+        this.isFavorite = options.isFavorite || (() => false);
+        this.onCollectSelection = options.onCollectSelection || null;
+        this.onSaveOffline = options.onSaveOffline || null;
+        this.isSavedOffline = options.isSavedOffline || (() => false);
+        this.onPhotoShown = options.onPhotoShown || null;
+        this.onShowQr = options.onShowQr || null;
+        this.onOrderPrint = options.onOrderPrint || null;
+        this.onClose = options.onClose || null;
+        this.selectionMode = false;
+        this.selected = new Set();
+        this.zoom = new ZoomGestures(options.zoom);
+        this.adapter = options.adapter || null;
+        this.resolver = options.resolver || null;
+        this.renditions = options.renditions || null;
+        this.router = options.router || null;
+        this.albumId = options.albumId || null;
+        this.loop = options.loop || false;
+        this.parent = options.parent || document.body;
+        this.preloadCount = options.preloadCount !== undefined ? options.preloadCount : 2;
+        this.preloader = new ImagePreloader({ capacity: options.cacheSize || 12 });
+        this.analytics = options.analytics || null;
+        this.readExif = options.exif !== false;
+        this.detailsOpen = options.showDetails || false;
+        this.helpOpen = false;
+        this._exif = new Map();   // photo key -> Promise<camera details|null>
+        this._loadToken = 0;
+        this._previousIndex = null;
+        this._view = null;   // { photo, index, albumId, start } of the photo being looked at
+        this._returnFocus = null;
         
         this._createLightbox();
         this._bindEvents();
+        
+        // Renders into the container, so it comes after it
+        this.presentation = options.presentation === false
+            ? null
+            : new PresentationMode({ ...options.presentation, lightbox: this });
+        this.presentBtn.hidden = !this.presentation;
     }
 
     /**
@@ -35,6 +111,9 @@ class PhotoLightbox {
         // Main container
         this.container = document.createElement('div');
         this.container.className = 'dphoto-lightbox';
+        this.container.setAttribute('role', 'dialog');
+        this.container.setAttribute('aria-modal', 'true');
+        this.container.setAttribute('aria-label', 'Photo viewer');
         this.container.innerHTML = `
             <div class="dphoto-lightbox-overlay"></div>
             <div class="dphoto-lightbox-content">
@@ -42,7 +121,15 @@ class PhotoLightbox {
                 <div class="dphoto-lightbox-loader">
                     <div class="spinner"></div>
                 </div>
+                <button class="dphoto-lightbox-check" data-action="toggle-select" aria-pressed="false" aria-label="Select photo" hidden>
+                    <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="3">
+                        <polyline points="20 6 9 17 4 12"/>
+                    </svg>
+                </button>
             </div>
+            <button class="dphoto-lightbox-select-toggle" data-action="select-mode" aria-pressed="false" hidden>
+                Select
+            </button>
             <button class="dphoto-lightbox-close" aria-label="Close">
                 <svg width="32" height="32" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                     <line x1="18" y1="6" x2="6" y2="18"/>
@@ -62,8 +149,47 @@ class PhotoLightbox {
             <div class="dphoto-lightbox-info">
                 <span class="dphoto-lightbox-counter">1 / 1</span>
                 <span class="dphoto-lightbox-title"></span>
+                <button class="dphoto-lightbox-details-toggle" data-action="details" aria-expanded="false" aria-label="Photo details">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <circle cx="12" cy="12" r="10"/>
+                        <line x1="12" y1="16" x2="12" y2="12"/>
+                        <line x1="12" y1="8" x2="12.01" y2="8"/>
+                    </svg>
+                </button>
+                <button class="dphoto-lightbox-present-toggle" data-action="present" aria-label="Presentation mode" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="2" y="3" width="20" height="14" rx="2"/>
+                        <line x1="8" y1="21" x2="16" y2="21"/>
+                        <line x1="12" y1="17" x2="12" y2="21"/>
+                        <polygon points="10 7 15 10 10 13" fill="currentColor"/>
+                    </svg>
+                </button>
+                <button class="dphoto-lightbox-help-toggle" data-action="help" aria-expanded="false" aria-label="Keyboard shortcuts">?</button>
+            </div>
+            <p class="dphoto-lightbox-status" role="status" aria-live="polite"></p>
+            <div class="dphoto-lightbox-help" role="dialog" aria-label="Keyboard shortcuts" hidden>
+                <div class="dphoto-lightbox-help-header">
+                    <h2 class="dphoto-lightbox-help-title">Keyboard shortcuts</h2>
+                    <button class="dphoto-lightbox-help-close" data-action="close-help" aria-label="Close">
+                        <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <dl class="dphoto-lightbox-help-list"></dl>
             </div>
+            <aside class="dphoto-lightbox-details" aria-label="Photo details" hidden>
+                <dl class="dphoto-lightbox-details-list"></dl>
+                <p class="dphoto-lightbox-details-empty" hidden>No details for this photo</p>
+            </aside>
             <div class="dphoto-lightbox-actions">
+                <button class="dphoto-btn dphoto-btn-favorite" data-action="favorite" aria-pressed="false" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M20.84 4.61a5.5 5.5 0 0 0-7.78 0L12 5.67l-1.06-1.06a5.5 5.5 0 0 0-7.78 7.78l1.06 1.06L12 21.23l7.78-7.78 1.06-1.06a5.5 5.5 0 0 0 0-7.78z"/>
+                    </svg>
+                    Favorite
+                </button>
                 <button class="dphoto-btn dphoto-btn-download" data-action="download">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
@@ -72,6 +198,38 @@ class PhotoLightbox {
                     </svg>
                     Save
                 </button>
+                <button class="dphoto-btn dphoto-btn-print" data-action="order-print" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <polyline points="6 9 6 2 18 2 18 9"/>
+                        <path d="M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2"/>
+                        <rect x="6" y="14" width="12" height="8"/>
+                    </svg>
+                    Order print
+                </button>
+                <button class="dphoto-btn dphoto-btn-original" data-action="download-original" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <circle cx="8.5" cy="8.5" r="1.5"/>
+                        <polyline points="21 15 16 10 5 21"/>
+                    </svg>
+                    Original
+                </button>
+                <button class="dphoto-btn dphoto-btn-download-album" data-action="download-album" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="18" height="18" rx="2"/>
+                        <line x1="12" y1="7" x2="12" y2="14"/>
+                        <polyline points="9 11 12 14 15 11"/>
+                        <line x1="8" y1="17" x2="16" y2="17"/>
+                    </svg>
+                    Save All
+                </button>
+                <button class="dphoto-btn dphoto-btn-offline" data-action="save-offline" aria-pressed="false" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M18 10h-1.26A8 8 0 1 0 9 20h9a5 5 0 0 0 0-10z"/>
+                        <polyline points="9 13 12 16 15 13"/>
+                    </svg>
+                    <span class="dphoto-btn-label">Offline</span>
+                </button>
                 <button class="dphoto-btn dphoto-btn-share" data-action="share">
                     <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <circle cx="18" cy="5" r="3"/>
@@ -82,13 +240,40 @@ class PhotoLightbox {
                     </svg>
                     Share
                 </button>
+                <button class="dphoto-btn dphoto-btn-qr" data-action="qr" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="3" width="7" height="7"/>
+                        <rect x="14" y="3" width="7" height="7"/>
+                        <rect x="3" y="14" width="7" height="7"/>
+                        <path d="M14 14h3v3h-3zM17 17h4v4h-4zM20 14h1"/>
+                    </svg>
+                    QR
+                </button>
+                <button class="dphoto-btn dphoto-btn-instagram" data-action="instagram" hidden>
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="currentColor">
+                        <path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zM12 0C8.741 0 8.333.014 7.053.072 2.695.272.273 2.69.073 7.052.014 8.333 0 8.741 0 12c0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98C8.333 23.986 8.741 24 12 24c3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98C15.668.014 15.259 0 12 0zm0 5.838a6.162 6.162 0 100 12.324 6.162 6.162 0 000-12.324zM12 16a4 4 0 110-8 4 4 0 010 8zm6.406-11.845a1.44 1.44 0 100 2.881 1.44 1.44 0 000-2.881z"/>
+                    </svg>
+                    Instagram
+                </button>
+            </div>
+            <div class="dphoto-lightbox-tray" hidden>
+                <div class="dphoto-lightbox-filmstrip"></div>
+                <div class="dphoto-lightbox-tray-bar">
+                    <span class="dphoto-lightbox-tray-count">Selected (0)</span>
+                    <button class="dphoto-btn" data-action="clear-selection">Clear</button>
+                    <button class="dphoto-btn dphoto-btn-download" data-action="download-selected">Save</button>
+                    <button class="dphoto-btn" data-action="zip-selected">ZIP</button>
+                    <button class="dphoto-btn" data-action="collect-selected">Add to…</button>
+                    <button class="dphoto-btn dphoto-btn-share" data-action="share-selected">Share</button>
+                </div>
             </div>
         `;
         
-        document.body.appendChild(this.container);
+        this.parent.appendChild(this.container);
         
         // Cache elements
         this.overlay = this.container.querySelector('.dphoto-lightbox-overlay');
+        this.content = this.container.querySelector('.dphoto-lightbox-content');
         this.image = this.container.querySelector('.dphoto-lightbox-image');
         this.loader = this.container.querySelector('.dphoto-lightbox-loader');
         this.counter = this.container.querySelector('.dphoto-lightbox-counter');
@@ -97,7 +282,40 @@ class PhotoLightbox {
         this.prevBtn = this.container.querySelector('.dphoto-lightbox-prev');
         this.nextBtn = this.container.querySelector('.dphoto-lightbox-next');
         this.downloadBtn = this.container.querySelector('[data-action="download"]');
+        this.printBtn = this.container.querySelector('[data-action="order-print"]');
+        this.originalBtn = this.container.querySelector('[data-action="download-original"]');
+        this.downloadAlbumBtn = this.container.querySelector('[data-action="download-album"]');
+        this.offlineBtn = this.container.querySelector('[data-action="save-offline"]');
         this.shareBtn = this.container.querySelector('[data-action="share"]');
+        this.instagramBtn = this.container.querySelector('[data-action="instagram"]');
+        this.qrBtn = this.container.querySelector('[data-action="qr"]');
+        this.favoriteBtn = this.container.querySelector('[data-action="favorite"]');
+        this.actions = this.container.querySelector('.dphoto-lightbox-actions');
+        this.checkBtn = this.container.querySelector('[data-action="toggle-select"]');
+        this.selectToggle = this.container.querySelector('[data-action="select-mode"]');
+        this.tray = this.container.querySelector('.dphoto-lightbox-tray');
+        this.filmstrip = this.container.querySelector('.dphoto-lightbox-filmstrip');
+        this.trayCount = this.container.querySelector('.dphoto-lightbox-tray-count');
+        this.detailsBtn = this.container.querySelector('[data-action="details"]');
+        this.details = this.container.querySelector('.dphoto-lightbox-details');
+        this.detailsList = this.container.querySelector('.dphoto-lightbox-details-list');
+        this.detailsEmpty = this.container.querySelector('.dphoto-lightbox-details-empty');
+        this.status = this.container.querySelector('.dphoto-lightbox-status');
+        this.helpBtn = this.container.querySelector('[data-action="help"]');
+        this.presentBtn = this.container.querySelector('[data-action="present"]');
+        this.help = this.container.querySelector('.dphoto-lightbox-help');
+        this.helpList = this.container.querySelector('.dphoto-lightbox-help-list');
+        
+        this.instagramBtn.hidden = !this.onInstagram;
+        this.qrBtn.hidden = !this.onShowQr;
+        this.printBtn.hidden = !this.onOrderPrint;
+        this.originalBtn.hidden = !this.onDownloadOriginal;
+        this.favoriteBtn.hidden = !this.onFavorite;
+        this.selectToggle.hidden = !this.onDownloadSelection && !this.onShareSelection && !this.onCollectSelection;
+        this.tray.querySelector('[data-action="download-selected"]').hidden = !this.onDownloadSelection;
+        this.tray.querySelector('[data-action="zip-selected"]').hidden = !this.onDownloadSelection;
+        this.tray.querySelector('[data-action="share-selected"]').hidden = !this.onShareSelection;
+        this.tray.querySelector('[data-action="collect-selected"]').hidden = !this.onCollectSelection;
     }
 
     /**
@@ -112,13 +330,58 @@ class PhotoLightbox {
         this.prevBtn.addEventListener('click', () => this.prev());
         this.nextBtn.addEventListener('click', () => this.next());
         
+        // Details panel
+        this.detailsBtn.addEventListener('click', () => this.toggleDetails());
+        
+        // Keyboard shortcut list
+        this.helpBtn.addEventListener('click', () => this.toggleHelp());
+        this.help.querySelector('[data-action="close-help"]').addEventListener('click', () => this.toggleHelp(false));
+        
+        // Presentation mode
+        this.presentBtn.addEventListener('click', () => this.present());
+        
+        // Dwell time only counts while the page is visible.
+        // Document listeners are kept so destroy() can remove them.
+        this._onVisibilityChange = () => {
+            if (!this.isOpen) return;
+            if (document.visibilityState === 'hidden') {
+                this._endView();
+            } else if (!this._view) {
+                this._startView();
+            }
+        };
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+        
         // Keyboard
-        document.addEventListener('keydown', (e) => {
+        this._onKeydown = (e) => {
             if (!this.isOpen) return;
             
+            // The presentation has its own keys, and Tab stays on its controls
+            if (this.presentation && this.presentation.isActive) {
+                if (e.key === 'Tab') {
+                    this._trapFocus(e);
+                } else {
+                    this.presentation.handleKey(e);
+                }
+                return;
+            }
+            
             switch (e.key) {
                 case 'Escape':
-                    this.close();
+                    if (this.helpOpen) {
+                        this.toggleHelp(false);
+                    } else {
+                        this.close();
+                    }
+                    break;
+                case 'Tab':
+                    this._trapFocus(e);
+                    break;
+                case '?':
+                    this.toggleHelp();
+                    break;
+                case 'p':
+                    this.present();
                     break;
                 case 'ArrowLeft':
                     this.prev();
@@ -126,40 +389,194 @@ class PhotoLightbox {
                 case 'ArrowRight':
                     this.next();
                     break;
+                case 'x':
+                    if (this.selectionMode) this.toggleSelection();
+                    break;
+                case 'i':
+                    this.toggleDetails();
+                    break;
+                case 'f':
+                    if (this.onFavorite) this.onFavorite(this.photos[this.currentIndex]);
+                    break;
+                case '+':
+                case '=':
+                case '-':
+                    this._updateZoomBounds();
+                    this.zoom.zoomTo(this.zoom.scale * (e.key === '-' ? 1 / 1.5 : 1.5));
+                    this._applyZoom();
+                    break;
+                case '0':
+                    this.resetZoom();
+                    break;
             }
+        };
+        document.addEventListener('keydown', this._onKeydown);
+        
+        // A cached image can outlive its signed URL; drop it and load a fresh copy once
+        this.image.addEventListener('load', () => {
+            this._retriedPhoto = null;
+        });
+        this.image.addEventListener('error', () => {
+            const photo = this.photos[this.currentIndex];
+            if (!photo || !this.image.getAttribute('src') || this._retriedPhoto === photo) return;
+            
+            this._retriedPhoto = photo;
+            this.preloader.delete(this._cacheKey(photo));
+            if (this.resolver) this.resolver.invalidate(photo, 'large');
+            this._loadImage();
         });
         
-        // Touch swipe
-        let touchStartX = 0;
-        let touchEndX = 0;
+        // Zoom, pan and swipe (pointer events cover touch, pen and mouse)
+        this.content.addEventListener('pointerdown', (e) => {
+            if (e.target.closest('button') || (e.pointerType === 'mouse' && e.button !== 0)) return;
+            
+            if (!this.zoom.isActive) this._updateZoomBounds();
+            this.content.setPointerCapture(e.pointerId);
+            this.zoom.pointerDown(this._toZoomPointer(e));
+            this.container.classList.add('gesturing');
+        });
         
-        this.container.addEventListener('touchstart', (e) => {
-            touchStartX = e.changedTouches[0].screenX;
+        this.content.addEventListener('pointermove', (e) => {
+            if (!this.zoom.isActive) return;
+            this.zoom.pointerMove(this._toZoomPointer(e));
+            this._applyZoom();
         });
         
-        this.container.addEventListener('touchend', (e) => {
-            touchEndX = e.changedTouches[0].screenX;
-            const diff = touchStartX - touchEndX;
+        const endPointer = (e) => {
+            const pointer = this._toZoomPointer(e);
+            pointer.cancelled = e.type === 'pointercancel';
+            const result = this.zoom.pointerUp(pointer);
+            
+            if (!this.zoom.isActive) {
+                this.container.classList.remove('gesturing');
+            }
+            this._applyZoom();
             
-            if (Math.abs(diff) > 50) {
-                if (diff > 0) {
+            if (result && result.type === 'swipe') {
+                if (result.direction === 'next') {
                     this.next();
                 } else {
                     this.prev();
                 }
             }
-        });
+        };
+        this.content.addEventListener('pointerup', endPointer);
+        this.content.addEventListener('pointercancel', endPointer);
+        
+        this.content.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            this._updateZoomBounds();
+            const rect = this.content.getBoundingClientRect();
+            // Lines/pages (deltaMode 1/2) are rough-converted to pixels
+            const deltaY = e.deltaY * (e.deltaMode === 1 ? 16 : e.deltaMode === 2 ? rect.height : 1);
+            this.zoom.wheel({ x: e.clientX - rect.left, y: e.clientY - rect.top, deltaY });
+            this._applyZoom();
+        }, { passive: false });
         
         // Action buttons
+        this.favoriteBtn.addEventListener('click', () => {
+            if (this.onFavorite) {
+                this.onFavorite(this.photos[this.currentIndex]);
+            }
+        });
+        
         this.downloadBtn.addEventListener('click', () => {
             if (this.onDownload) {
                 this.onDownload(this.photos[this.currentIndex]);
             }
         });
         
+        this.printBtn.addEventListener('click', () => {
+            if (this.onOrderPrint) {
+                this.onOrderPrint(this.photos[this.currentIndex]);
+            }
+        });
+        
+        this.originalBtn.addEventListener('click', () => {
+            if (this.onDownloadOriginal) {
+                this.onDownloadOriginal(this.photos[this.currentIndex]);
+            }
+        });
+        
+        this.downloadAlbumBtn.addEventListener('click', () => {
+            if (this.onDownloadAlbum) {
+                this.onDownloadAlbum(this.photos);
+            }
+        });
+        
+        this.offlineBtn.addEventListener('click', () => {
+            if (this.onSaveOffline && this.albumId) {
+                this.onSaveOffline(this.photos, this.albumId);
+            }
+        });
+        
         this.shareBtn.addEventListener('click', () => {
             if (this.onShare) {
-                this.onShare(this.photos[this.currentIndex]);
+                this.onShare(this._withShareUrl(this.currentIndex));
+            }
+        });
+        
+        this.instagramBtn.addEventListener('click', () => {
+            if (this.onInstagram) {
+                this.onInstagram(this._withShareUrl(this.currentIndex));
+            }
+        });
+        
+        this.qrBtn.addEventListener('click', () => {
+            if (this.onShowQr) {
+                this.onShowQr(this._withShareUrl(this.currentIndex), this.albumId);
+            }
+        });
+        
+        // Selection mode
+        this.selectToggle.addEventListener('click', () => {
+            if (this.selectionMode) {
+                this.exitSelectionMode();
+            } else {
+                this.enterSelectionMode();
+            }
+        });
+        
+        this.checkBtn.addEventListener('click', () => this.toggleSelection());
+        
+        this.filmstrip.addEventListener('click', (e) => {
+            const thumb = e.target.closest('[data-index]');
+            if (!thumb) return;
+            
+            const index = Number(thumb.dataset.index);
+            if (e.target.closest('[data-action="deselect"]')) {
+                this.toggleSelection(index);
+            } else if (index !== this.currentIndex) {
+                this.currentIndex = index;
+                this._loadImage();
+            }
+        });
+        
+        this.tray.querySelector('[data-action="clear-selection"]').addEventListener('click', () => {
+            this.clearSelection();
+        });
+        
+        this.tray.querySelector('[data-action="download-selected"]').addEventListener('click', () => {
+            if (this.onDownloadSelection && this.selected.size) {
+                this.onDownloadSelection(this.getSelectedPhotos(), { zip: false });
+            }
+        });
+        
+        this.tray.querySelector('[data-action="zip-selected"]').addEventListener('click', () => {
+            if (this.onDownloadSelection && this.selected.size) {
+                this.onDownloadSelection(this.getSelectedPhotos(), { zip: true });
+            }
+        });
+        
+        this.tray.querySelector('[data-action="share-selected"]').addEventListener('click', () => {
+            if (this.onShareSelection && this.selected.size) {
+                this.onShareSelection(this.getSelectedIndices().map(index => this._withShareUrl(index)));
+            }
+        });
+        
+        this.tray.querySelector('[data-action="collect-selected"]').addEventListener('click', () => {
+            if (this.onCollectSelection && this.selected.size) {
+                this.onCollectSelection(this.getSelectedPhotos());
             }
         });
     }
@@ -169,42 +586,302 @@ class PhotoLightbox {
      * @param {number} index - Index of photo to show
      */
     open(index = 0) {
+        const photo = this.photos[index];
+        if (!this.isOpen && photo) {
+            this._track('lightbox_open', { photo_id: photo.id, index: index, count: this.photos.length });
+        }
+        
+        const wasOpen = this.isOpen;
+        if (!wasOpen) {
+            this._returnFocus = this._activeElement();
+        }
+        
         this.currentIndex = index;
+        this._previousIndex = null;
         this.isOpen = true;
         this.container.classList.add('active');
         document.body.style.overflow = 'hidden';
         this._loadImage();
+        if (!wasOpen) this.closeBtn.focus();
+    }
+
+    /**
+     * Load an album's photos from the adapter and open the lightbox
+     * @param {string} albumId - Album id
+     * @param {number} index - Index of photo to show
+     */
+    async openAlbum(albumId, index = 0) {
+        if (!this.adapter) {
+            throw new Error('PhotoLightbox.openAlbum requires an adapter');
+        }
+        
+        // Already loaded, e.g. when the router reopens it after Back/Forward
+        if (albumId !== this.albumId || !this.photos.length) {
+            this.setPhotos(await this.adapter.listPhotos(albumId));
+            this.albumId = albumId;
+        }
+        this.open(Math.min(index, Math.max(0, this.photos.length - 1)));
     }
 
     /**
      * Close the lightbox
      */
     close() {
+        if (!this.isOpen) return;
+        if (this.router) this.router.close();
+        
+        if (this.presentation) this.presentation.stop();
+        this._endView();
+        this._track('lightbox_close');
+        this.preloader.cancelExcept([]);
+        this.resetZoom();
+        this.toggleHelp(false);
         this.isOpen = false;
         this.container.classList.remove('active');
         document.body.style.overflow = '';
+        
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+
+        if (this.onClose) {
+            this.onClose(this.currentIndex, this.albumId);
+        }
+    }
+
+    /**
+     * Turn on selection mode (checkbox overlay and selection tray)
+     */
+    enterSelectionMode() {
+        this.selectionMode = true;
+        this.container.classList.add('selecting');
+        this._renderSelection();
+    }
+
+    /**
+     * Turn off selection mode. The selection is kept until cleared.
+     */
+    exitSelectionMode() {
+        this.selectionMode = false;
+        this.container.classList.remove('selecting');
+        this._renderSelection();
+    }
+
+    /**
+     * Select or deselect a photo
+     * @param {number} index - Photo index (defaults to the current photo)
+     */
+    toggleSelection(index = this.currentIndex) {
+        if (!this.photos[index]) return;
+        
+        if (this.selected.has(index)) {
+            this.selected.delete(index);
+        } else {
+            this.selected.add(index);
+        }
+        this._renderSelection();
+    }
+
+    /**
+     * Deselect every photo
+     */
+    clearSelection() {
+        this.selected.clear();
+        this._renderSelection();
+    }
+
+    /**
+     * Selected photos, in album order
+     * @returns {Array}
+     */
+    getSelectedPhotos() {
+        return this.getSelectedIndices().map(index => this.photos[index]);
+    }
+
+    /**
+     * Selected photo indices, in album order
+     * @returns {number[]}
+     */
+    getSelectedIndices() {
+        return Array.from(this.selected).sort((a, b) => a - b);
+    }
+
+    /**
+     * Deep link to a photo, or null without a router and album id
+     * @param {number} index - Photo index (defaults to the current photo)
+     * @returns {string|null}
+     */
+    getShareUrl(index = this.currentIndex) {
+        return this.router && this.albumId ? this.router.link(this.albumId, index) : null;
+    }
+
+    /**
+     * Photo object for the share callbacks, carrying its deep link
+     * @param {number} index - Photo index
+     * @returns {Object}
+     */
+    _withShareUrl(index) {
+        const photo = this.photos[index];
+        const shareUrl = this.getShareUrl(index);
+        return shareUrl ? { ...photo, shareUrl } : photo;
+    }
+
+    /**
+     * Update the checkbox overlay, tray count and filmstrip
+     */
+    _renderSelection() {
+        const isSelected = this.selected.has(this.currentIndex);
+        
+        this.selectToggle.setAttribute('aria-pressed', String(this.selectionMode));
+        this.selectToggle.textContent = this.selectionMode ? 'Done' : 'Select';
+        this.checkBtn.hidden = !this.selectionMode;
+        this.checkBtn.classList.toggle('checked', isSelected);
+        this.checkBtn.setAttribute('aria-pressed', String(isSelected));
+        this.actions.hidden = this.selectionMode;
+        this.tray.hidden = !this.selectionMode;
+        
+        if (!this.selectionMode) return;
+        
+        this.trayCount.textContent = `Selected (${this.selected.size})`;
+        this.tray.querySelectorAll('[data-action$="-selected"]').forEach(btn => {
+            btn.disabled = this.selected.size === 0;
+        });
+        
+        // Rebuild the filmstrip from the selection, keeping existing thumbnails
+        const existing = new Map();
+        this.filmstrip.querySelectorAll('[data-index]').forEach(el => {
+            existing.set(Number(el.dataset.index), el);
+        });
+        
+        this.filmstrip.textContent = '';
+        Array.from(this.selected).sort((a, b) => a - b).forEach(index => {
+            const thumb = existing.get(index) || this._createThumbnail(index);
+            thumb.classList.toggle('current', index === this.currentIndex);
+            this.filmstrip.appendChild(thumb);
+        });
+    }
+
+    /**
+     * Create a filmstrip thumbnail for a selected photo
+     * @param {number} index - Photo index
+     * @returns {HTMLElement}
+     */
+    _createThumbnail(index) {
+        const photo = this.photos[index];
+        const thumb = document.createElement('div');
+        thumb.className = 'dphoto-lightbox-thumb';
+        thumb.dataset.index = index;
+        thumb.innerHTML = `
+            <img alt="">
+            <button class="dphoto-lightbox-thumb-remove" data-action="deselect" aria-label="Deselect">&times;</button>
+        `;
+        
+        const img = thumb.querySelector('img');
+        img.alt = photoAltText(photo);
+        this._resolveUrl(photo, 'small')
+            .then(url => { img.src = url; })
+            .catch(() => { img.src = photo.imageUrl; });
+        
+        return thumb;
     }
 
     /**
-     * Go to previous photo
+     * Zoom back out to fit the photo
+     */
+    resetZoom() {
+        this.zoom.reset();
+        this.container.classList.remove('gesturing');
+        this._applyZoom();
+    }
+
+    /**
+     * Measure the viewport and the photo's fitted (unzoomed) size
+     */
+    _updateZoomBounds() {
+        this.zoom.setBounds(
+            { width: this.content.clientWidth, height: this.content.clientHeight },
+            // offsetWidth/Height ignore the CSS transform
+            { width: this.image.offsetWidth, height: this.image.offsetHeight }
+        );
+    }
+
+    /**
+     * Convert a PointerEvent to viewport coordinates for ZoomGestures
+     * @param {PointerEvent} e
+     * @returns {Object} - { id, x, y, time }
+     */
+    _toZoomPointer(e) {
+        const rect = this.content.getBoundingClientRect();
+        return { id: e.pointerId, x: e.clientX - rect.left, y: e.clientY - rect.top, time: e.timeStamp };
+    }
+
+    /**
+     * Apply the current zoom transform to the image
+     */
+    _applyZoom() {
+        const { scale, x, y } = this.zoom.getTransform();
+        this.image.style.transform = this.zoom.isZoomed || x || y
+            ? `translate(${x}px, ${y}px) scale(${scale})`
+            : '';
+        this.container.classList.toggle('zoomed', this.zoom.isZoomed);
+    }
+
+    /**
+     * Go to previous photo (the last one from the first, with loop)
      */
     prev() {
         if (this.currentIndex > 0) {
             this.currentIndex--;
             this._loadImage();
+        } else if (this.loop && this.photos.length > 1) {
+            this.currentIndex = this.photos.length - 1;
+            this._loadImage();
         }
     }
 
     /**
-     * Go to next photo
+     * Go to next photo (the first one from the last, with loop)
      */
     next() {
         if (this.currentIndex < this.photos.length - 1) {
             this.currentIndex++;
             this._loadImage();
+        } else if (this.loop && this.photos.length > 1) {
+            this.currentIndex = 0;
+            this._loadImage();
         }
     }
 
+    /**
+     * Go to a photo
+     * @param {number} index - Index of photo to show
+     */
+    goTo(index) {
+        if (!this.photos[index]) return;
+        this.currentIndex = index;
+        this._loadImage();
+    }
+
+    /**
+     * Start presentation mode from the current photo
+     * @param {Object} settings - See PresentationMode#configure
+     */
+    present(settings = {}) {
+        if (!this.presentation) return;
+        this.toggleHelp(false);
+        this.presentation.start(settings);
+    }
+
+    /**
+     * Decoded image for a photo, from the cache or loaded now
+     * @param {Object} photo - Photo object
+     * @returns {Promise<HTMLImageElement>}
+     */
+    loadPhoto(photo) {
+        return this._preload(photo);
+    }
+
     /**
      * Load the current photo
      */
@@ -212,31 +889,402 @@ class PhotoLightbox {
         const photo = this.photos[this.currentIndex];
         if (!photo) return;
         
+        this.resetZoom();
+        
         // Show loader
         this.loader.classList.add('active');
         this.image.style.opacity = '0';
         
+        if (this.router && this.albumId) {
+            this.router.show(this.albumId, this.currentIndex);
+        }
+        
         // Update info
+        const position = `${this.currentIndex + 1} of ${this.photos.length}`;
+        const label = photo.title || photoAltText(photo);
         this.counter.textContent = `${this.currentIndex + 1} / ${this.photos.length}`;
         this.title.textContent = photo.title || '';
+        this.status.textContent = label ? `Photo ${position}: ${label}` : `Photo ${position}`;
+        this._renderDetails();
+        this.updateFavorite();
+        this.updateOffline();
         
         // Update nav visibility
-        this.prevBtn.style.display = this.currentIndex === 0 ? 'none' : 'flex';
-        this.nextBtn.style.display = this.currentIndex === this.photos.length - 1 ? 'none' : 'flex';
-        
-        // Load image
-        const img = new Image();
-        img.onload = () => {
-            this.image.src = photo.imageUrl;
-            this.image.alt = photo.title || '';
+        const isFirst = this.loop ? this.photos.length < 2 : this.currentIndex === 0;
+        const isLast = this.loop ? this.photos.length < 2 : this.currentIndex === this.photos.length - 1;
+        this.prevBtn.style.display = isFirst ? 'none' : 'flex';
+        this.nextBtn.style.display = isLast ? 'none' : 'flex';
+        this.downloadAlbumBtn.hidden = !this.onDownloadAlbum || this.photos.length < 2;
+        this._renderSelection();
+        
+        // Travel direction decides which neighbours to preload
+        const direction = this._travelDirection();
+        
+        // A reload of the same photo (e.g. after an error) isn't a new view
+        if (!this._view || this._view.index !== this.currentIndex || this._view.photo !== photo) {
+            this._endView();
+            if (this._previousIndex !== null) {
+                this._track('lightbox_navigate', {
+                    from_index: this._previousIndex,
+                    to_index: this.currentIndex,
+                    direction: direction > 0 ? 'next' : 'prev'
+                });
+            }
+            this._startView();
+        }
+        this._previousIndex = this.currentIndex;
+        
+        // Only the latest navigation may update the image
+        const token = ++this._loadToken;
+        const key = this._cacheKey(photo);
+        
+        this.preloader.cancelExcept(this._preloadKeys(direction));
+        
+        const show = (img) => {
+            if (token !== this._loadToken) return;
+            this.image.src = img.src;
+            this.image.alt = photoAltText(photo) || `Photo ${position}`;
             this.loader.classList.remove('active');
             this.image.style.opacity = '1';
+            if (this.onPhotoShown) {
+                this.onPhotoShown(photo, img.src);
+            }
         };
-        img.onerror = () => {
-            this.loader.classList.remove('active');
-            console.error('Failed to load image:', photo.imageUrl);
+        
+        const cached = this.preloader.get(key);
+        if (cached) {
+            show(cached);
+        } else {
+            this._preload(photo)
+                .then(show)
+                .catch(error => {
+                    if (error.name === 'AbortError' || token !== this._loadToken) return;
+                    this.loader.classList.remove('active');
+                    this._track('image_error', { photo_id: photo.id, index: this.currentIndex });
+                    console.error(error.message);
+                });
+        }
+        
+        this._preloadNeighbours(direction);
+    }
+
+    /**
+     * Show whether the current photo is a favorite. Call after the
+     * favorites change outside the lightbox.
+     */
+    updateFavorite() {
+        const photo = this.photos[this.currentIndex];
+        const isFavorite = Boolean(photo && this.onFavorite && this.isFavorite(photo));
+        this.favoriteBtn.classList.toggle('active', isFavorite);
+        this.favoriteBtn.setAttribute('aria-pressed', String(isFavorite));
+    }
+
+    /**
+     * Show whether the open album is saved for offline. Only albums (not
+     * collections or search results) can be saved. Call after saving or
+     * removing it outside the lightbox.
+     */
+    updateOffline() {
+        const isSaved = Boolean(this.albumId && this.onSaveOffline && this.isSavedOffline(this.albumId));
+        this.offlineBtn.hidden = !this.onSaveOffline || !this.albumId;
+        this.offlineBtn.classList.toggle('active', isSaved);
+        this.offlineBtn.setAttribute('aria-pressed', String(isSaved));
+        this.offlineBtn.querySelector('.dphoto-btn-label').textContent = isSaved ? 'Saved offline' : 'Offline';
+    }
+
+    /**
+     * Show or hide the details panel
+     * @param {boolean} open - Force open or closed (default: toggle)
+     */
+    toggleDetails(open = !this.detailsOpen) {
+        this.detailsOpen = open;
+        this._renderDetails();
+    }
+
+    /**
+     * Show or hide the keyboard shortcut list
+     * @param {boolean} open - Force open or closed (default: toggle)
+     */
+    toggleHelp(open = !this.helpOpen) {
+        if (open === Boolean(this.helpOpen)) return;
+        
+        this.helpOpen = open;
+        this.help.hidden = !open;
+        this.helpBtn.setAttribute('aria-expanded', String(open));
+        
+        if (open) {
+            this.helpList.textContent = '';
+            KEYBOARD_SHORTCUTS
+                .filter(shortcut => !shortcut.when || shortcut.when(this))
+                .forEach(({ keys, label }) => {
+                    const term = document.createElement('dt');
+                    const description = document.createElement('dd');
+                    keys.forEach(key => {
+                        const kbd = document.createElement('kbd');
+                        kbd.textContent = key;
+                        term.append(kbd);
+                    });
+                    description.textContent = label;
+                    this.helpList.append(term, description);
+                });
+            this.help.querySelector('[data-action="close-help"]').focus();
+        } else if (this.help.contains(this._activeElement())) {
+            this.helpBtn.focus();
+        }
+    }
+
+    /**
+     * Keep Tab and Shift+Tab inside the lightbox (or the shortcut list,
+     * or the presentation controls)
+     * @param {KeyboardEvent} e
+     */
+    _trapFocus(e) {
+        let scope = this.helpOpen ? this.help : this.container;
+        if (this.presentation && this.presentation.isActive) {
+            scope = this.presentation.stage;
+        }
+        const focusable = Array.from(scope.querySelectorAll('button, a[href], input, [tabindex]'))
+            .filter(el => el.tabIndex >= 0 && !el.disabled && !el.closest('[hidden]') &&
+                getComputedStyle(el).display !== 'none');
+        if (!focusable.length) return;
+        
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = this._activeElement();
+        
+        if (!scope.contains(active)) {
+            e.preventDefault();
+            first.focus();
+        } else if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * The focused element, looking inside the shadow root the lightbox may be in
+     * @returns {Element|null}
+     */
+    _activeElement() {
+        return this.container.getRootNode().activeElement || document.activeElement;
+    }
+
+    /**
+     * Fill the details panel for the current photo. Camera settings the
+     * catalog doesn't have are read from the file's EXIF once, when the
+     * panel is first shown for that photo.
+     */
+    _renderDetails() {
+        this.details.hidden = !this.detailsOpen;
+        this.detailsBtn.setAttribute('aria-expanded', String(this.detailsOpen));
+        this.container.classList.toggle('details-open', this.detailsOpen);
+        
+        const photo = this.photos[this.currentIndex];
+        if (!this.detailsOpen || !photo) return;
+        
+        const key = this._cacheKey(photo);
+        const fill = (camera) => {
+            const rows = metadataRows(photo, camera);
+            this.detailsList.textContent = '';
+            rows.forEach(({ label, value }) => {
+                const term = document.createElement('dt');
+                const description = document.createElement('dd');
+                term.textContent = label;
+                description.textContent = value;
+                this.detailsList.append(term, description);
+            });
+            this.detailsEmpty.hidden = rows.length > 0;
         };
-        img.src = photo.imageUrl;
+        
+        if (!this.readExif || !needsExif(photo)) {
+            fill(null);
+            return;
+        }
+        
+        if (!this._exif.has(key)) {
+            this._exif.set(key, this._loadExif(photo));
+        }
+        
+        // Show the catalog details now, camera settings when they arrive
+        fill(null);
+        this._exif.get(key).then(camera => {
+            if (camera && this.detailsOpen && this.photos[this.currentIndex] === photo) {
+                fill(camera);
+            }
+        });
+    }
+
+    /**
+     * Read camera settings from the start of the original file
+     * @param {Object} photo - Photo object
+     * @returns {Promise<Object|null>}
+     */
+    async _loadExif(photo) {
+        // Only the first bytes are needed; servers that ignore Range send the whole file
+        const init = { headers: { Range: `bytes=0-${EXIF_SCAN_BYTES - 1}` } };
+        
+        try {
+            const response = this.resolver
+                ? await this.resolver.fetch(photo, 'original', init)
+                : await fetch(photo.imageUrl, init);
+            if (!response.ok) return null;
+            
+            const buffer = await response.arrayBuffer();
+            return readExif(buffer.slice(0, EXIF_SCAN_BYTES));
+        } catch (error) {
+            console.warn('Could not read photo details:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Start timing the current photo and record the view
+     */
+    _startView() {
+        const photo = this.photos[this.currentIndex];
+        if (!photo) return;
+        
+        this._view = { photo, index: this.currentIndex, albumId: this.albumId, start: Date.now() };
+        this._track('photo_view', { photo_id: photo.id, index: this.currentIndex });
+    }
+
+    /**
+     * Record how long the last photo was on screen
+     */
+    _endView() {
+        if (!this._view) return;
+        
+        const { photo, index, albumId, start } = this._view;
+        this._view = null;
+        this._track('photo_dwell', { album_id: albumId, photo_id: photo.id, index: index, dwell_ms: Date.now() - start });
+    }
+
+    /**
+     * Report an event to the analytics bus, if there is one
+     * @param {string} name - Event name
+     * @param {Object} props - Event properties (album_id is added)
+     */
+    _track(name, props = {}) {
+        if (this.analytics) {
+            this.analytics.track(name, { album_id: this.albumId, ...props });
+        }
+    }
+
+    /**
+     * Direction from the previous photo to the current one
+     * @returns {number} - 1 (forward) or -1 (back)
+     */
+    _travelDirection() {
+        const previous = this._previousIndex;
+        if (previous === null) return 1;
+        
+        // Wrapping around the ends of a looping album
+        const last = this.photos.length - 1;
+        if (this.loop && last > 1) {
+            if (previous === last && this.currentIndex === 0) return 1;
+            if (previous === 0 && this.currentIndex === last) return -1;
+        }
+        return this.currentIndex < previous ? -1 : 1;
+    }
+
+    /**
+     * Load a photo into the preloader cache
+     * @param {Object} photo - Photo object
+     * @returns {Promise<HTMLImageElement>}
+     */
+    _preload(photo) {
+        return this.preloader.load(
+            this._cacheKey(photo),
+            () => this._resolveUrl(photo).catch(() => photo.imageUrl),
+            // Signed URLs expire - ask the resolver for a fresh one once
+            this.resolver ? () => this.resolver.refresh(photo, 'large') : null
+        );
+    }
+
+    /**
+     * Preload the next photos in the direction of travel, plus one behind
+     * @param {number} direction - 1 (forward) or -1 (back)
+     */
+    _preloadNeighbours(direction) {
+        this._neighbourIndices(direction).forEach(index => {
+            this._preload(this.photos[index]).catch(() => {});
+        });
+    }
+
+    /**
+     * Indices worth preloading around the current photo
+     * @param {number} direction - 1 (forward) or -1 (back)
+     * @returns {number[]}
+     */
+    _neighbourIndices(direction) {
+        const indices = [];
+        for (let step = 1; step <= this.preloadCount; step++) {
+            indices.push(this.currentIndex + step * direction);
+        }
+        if (this.preloadCount > 0) {
+            indices.push(this.currentIndex - direction);
+        }
+        
+        const count = this.photos.length;
+        return indices
+            .map(index => this.loop ? (index + count) % count : index)
+            .filter((index, i, all) => index >= 0 && index < count &&
+                index !== this.currentIndex && all.indexOf(index) === i);
+    }
+
+    /**
+     * Cache keys of the current photo and the neighbours to preload
+     * @param {number} direction - 1 (forward) or -1 (back)
+     * @returns {string[]}
+     */
+    _preloadKeys(direction) {
+        return [this.currentIndex, ...this._neighbourIndices(direction)]
+            .map(index => this._cacheKey(this.photos[index]));
+    }
+
+    /**
+     * Preloader cache key for a photo
+     * @param {Object} photo - Photo object
+     * @returns {string}
+     */
+    _cacheKey(photo) {
+        return photo.id || photo.imageUrl;
+    }
+
+    /**
+     * Get the URL to display for a photo. With renditions, the full-screen
+     * image uses the smallest rendition that fills the viewport.
+     * @param {Object} photo - Photo object
+     * @param {string} size - Image size
+     * @returns {Promise<string>}
+     */
+    _resolveUrl(photo, size = 'large') {
+        if (this.renditions && this.renditions.get(photo.imageUrl)) {
+            const ratio = window.devicePixelRatio || 1;
+            const rendition = size === 'large'
+                ? this.renditions.pick(photo.imageUrl, window.innerWidth * ratio, window.innerHeight * ratio)
+                : size;
+            return Promise.resolve(this.renditions.url(photo.imageUrl, rendition));
+        }
+        
+        return this.resolver
+            ? this.resolver.resolve(photo, size)
+            : Promise.resolve(photo.imageUrl);
+    }
+
+    /**
+     * The URLs the lightbox shows these photos at on this screen (the
+     * rendition it would pick), e.g. to cache them for offline
+     * @param {Array} photos - Photo objects (default: the open album)
+     * @returns {Promise<string[]>}
+     */
+    getImageUrls(photos = this.photos) {
+        return Promise.all(photos.map(photo =>
+            this._resolveUrl(photo).catch(() => photo.imageUrl)
+        ));
     }
 
     /**
@@ -244,19 +1292,26 @@ class PhotoLightbox {
      * @param {Array} photos - Array of photo objects
      */
     setPhotos(photos) {
+        if (this.presentation) this.presentation.stop();
+        this.preloader.cancelExcept([]);
         this.photos = photos;
+        this.selected.clear();
+        this.filmstrip.textContent = '';
     }
 
     /**
      * Destroy the lightbox
      */
     destroy() {
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        document.removeEventListener('keydown', this._onKeydown);
+        if (this.presentation) this.presentation.destroy();
+        this.preloader.clear();
+        this._exif.clear();
         this.container.remove();
     }
 }
 
 // Export for use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PhotoLightbox };
-}
+export { PhotoLightbox };
 
@@ -0,0 +1,309 @@
+/**
+ * DPHOTO OFFLINE MODULE
+ * =====================
+ *
+ * Page side of offline support: registers the service worker (sw.js at
+ * the site root) and fills the photo caches it serves from.
+ *
+ * Usage:
+ *   const offline = new OfflineCache();
+ *   offline.register();
+ *   initGallery({ offline });
+ *
+ * Features:
+ * - Photos viewed in the lightbox are kept for offline, up to a size
+ *   cap; the least recently viewed go first
+ * - "Save album for offline" keeps a whole album until it is removed
+ * - Lists saved albums (offline.html shows them when there's no connection)
+ * - Does nothing where service workers or the Cache API are unavailable
+ *
+ * The service worker empties both photo caches when the images change
+ * (see scripts/build-service-worker.js).
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+// Cache names are shared with sw.js
+const IMAGE_CACHE = 'dphoto-images';
+const ALBUM_CACHE = 'dphoto-albums';
+
+// Saved albums are recorded in ALBUM_CACHE under this path
+const ALBUM_RECORD_PATH = '__dphoto/albums/';
+
+// Byte size of each viewed photo, for the size cap (opaque responses have none)
+const SIZE_HEADER = 'X-Dphoto-Size';
+
+// How long to wait for a first-time service worker to finish installing
+const READY_TIMEOUT = 15000;
+
+class OfflineCache {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.serviceWorker - Service worker URL (default 'sw.js'; null to not register one)
+     * @param {number} options.maxImageBytes - Cap for photos viewed in the lightbox
+     *        (default 50 MB; saved albums don't count)
+     * @param {CacheStorage} options.caches - Cache API implementation (default window.caches)
+     */
+    constructor(options = {}) {
+        this.serviceWorker = options.serviceWorker !== undefined ? options.serviceWorker : 'sw.js';
+        this.maxImageBytes = options.maxImageBytes || 50 * 1024 * 1024;
+        this.caches = options.caches || window.caches || null;
+        this.registration = null;
+        this.albums = new Map();
+        this._queue = Promise.resolve();
+        this._listeners = new Set();
+    }
+
+    /**
+     * Whether this browser can keep photos for offline
+     * @returns {boolean}
+     */
+    get isSupported() {
+        return Boolean(this.caches && 'serviceWorker' in navigator);
+    }
+
+    /**
+     * Register the service worker. Never rejects.
+     * @returns {Promise<ServiceWorkerRegistration|null>}
+     */
+    async register() {
+        if (!this.serviceWorker || !('serviceWorker' in navigator)) return null;
+
+        try {
+            // Always check sw.js itself for updates, whatever the HTTP cache says
+            this.registration = await navigator.serviceWorker.register(this.serviceWorker, { updateViaCache: 'none' });
+        } catch (error) {
+            console.warn('Offline mode is unavailable:', error.message);
+        }
+        return this.registration;
+    }
+
+    /**
+     * Read the list of saved albums. Never rejects.
+     * @returns {Promise<OfflineCache>}
+     */
+    async load() {
+        if (!this.caches) return this;
+
+        try {
+            const cache = await this.caches.open(ALBUM_CACHE);
+            const records = (await cache.keys()).filter(request => request.url.includes(`/${ALBUM_RECORD_PATH}`));
+            for (const request of records) {
+                const response = await cache.match(request);
+                const album = response && await response.json();
+                if (album && album.id) this.albums.set(album.id, album);
+            }
+        } catch (error) {
+            console.warn('Could not read saved albums:', error.message);
+        }
+        return this;
+    }
+
+    /**
+     * Listen for albums being saved or removed
+     * @param {Function} handler - Called with the album id
+     * @returns {Function} - Removes the listener
+     */
+    on(handler) {
+        this._listeners.add(handler);
+        return () => this._listeners.delete(handler);
+    }
+
+    /**
+     * Saved albums, most recent first
+     * @returns {Object[]} - { id, title, urls, savedAt }
+     */
+    getSavedAlbums() {
+        return Array.from(this.albums.values()).sort((a, b) => b.savedAt - a.savedAt);
+    }
+
+    /**
+     * Whether an album is saved for offline
+     * @param {string} albumId - Album id
+     * @returns {boolean}
+     */
+    isAlbumSaved(albumId) {
+        return this.albums.has(albumId);
+    }
+
+    /**
+     * Keep a photo the visitor is looking at, so it shows offline too.
+     * Failures are ignored: this is only ever a bonus.
+     * @param {string} url - Image URL, as shown in the lightbox
+     * @returns {Promise<boolean>} - Whether the photo is now cached
+     */
+    keepImage(url) {
+        if (!this.isSupported || !url || url.startsWith('data:') || url.startsWith('blob:')) {
+            return Promise.resolve(false);
+        }
+
+        const result = this._queue.then(() => this._keepImage(url)).catch(() => false);
+        this._queue = result;
+        return result;
+    }
+
+    /**
+     * Save every photo of an album for offline
+     * @param {Object} album - { id, title }
+     * @param {string[]} urls - Image URLs (see PhotoLightbox#getImageUrls)
+     * @param {Object} options
+     * @param {Function} options.onProgress - Called with (done, total) after each photo
+     * @returns {Promise<Object>} - { saved, failed, total }
+     */
+    async saveAlbum(album, urls, options = {}) {
+        if (!this.isSupported) {
+            throw new Error('This browser can’t save albums for offline');
+        }
+        await this._ready();
+
+        // Ask the browser not to clear saved albums when space runs low
+        if (navigator.storage && navigator.storage.persist) {
+            navigator.storage.persist().catch(() => {});
+        }
+
+        const cache = await this.caches.open(ALBUM_CACHE);
+        const images = await this.caches.open(IMAGE_CACHE);
+        const unique = Array.from(new Set(urls.filter(Boolean)));
+        const saved = [];
+
+        // One at a time, so a phone on a slow connection stays responsive
+        for (const [i, url] of unique.entries()) {
+            try {
+                if (!await cache.match(url)) {
+                    const viewed = await images.match(url);
+                    if (viewed) {
+                        await cache.put(url, viewed);
+                    } else {
+                        await cache.add(url);
+                    }
+                }
+                saved.push(url);
+            } catch (error) {
+                console.warn(`Could not save ${url} for offline:`, error.message);
+            }
+            if (options.onProgress) options.onProgress(i + 1, unique.length);
+        }
+
+        if (saved.length) {
+            const record = { id: album.id, title: album.title || album.id, urls: saved, savedAt: Date.now() };
+            await cache.put(this._recordUrl(album.id), new Response(JSON.stringify(record), {
+                headers: { 'Content-Type': 'application/json' }
+            }));
+            this.albums.set(album.id, record);
+            this._notify(album.id);
+        }
+
+        return { saved: saved.length, failed: unique.length - saved.length, total: unique.length };
+    }
+
+    /**
+     * Stop keeping an album offline (photos another saved album uses stay)
+     * @param {string} albumId - Album id
+     * @returns {Promise<void>}
+     */
+    async removeAlbum(albumId) {
+        const album = this.albums.get(albumId);
+        if (!album || !this.caches) return;
+
+        this.albums.delete(albumId);
+        const stillUsed = new Set(Array.from(this.albums.values()).flatMap(other => other.urls));
+
+        const cache = await this.caches.open(ALBUM_CACHE);
+        await Promise.all([
+            cache.delete(this._recordUrl(albumId)),
+            ...album.urls.filter(url => !stillUsed.has(url)).map(url => cache.delete(url))
+        ]);
+        this._notify(albumId);
+    }
+
+    /**
+     * Cache one viewed photo and trim the cache to the size cap
+     * @param {string} url - Image URL
+     * @returns {Promise<boolean>}
+     */
+    async _keepImage(url) {
+        await this._ready();
+
+        const cache = await this.caches.open(IMAGE_CACHE);
+        const cached = await cache.match(url);
+        if (cached) {
+            // Putting it back moves it to the end: most recently viewed
+            await cache.put(url, cached);
+            return true;
+        }
+
+        const saved = await (await this.caches.open(ALBUM_CACHE)).match(url);
+        if (saved) return true;
+
+        // Opaque (cross-origin, no CORS) responses can't be measured and
+        // count as several megabytes against the quota, so they're skipped
+        const response = await fetch(url);
+        if (response.status !== 200) return false;
+
+        const blob = await response.blob();
+        const headers = new Headers(response.headers);
+        headers.set(SIZE_HEADER, String(blob.size));
+        await cache.put(url, new Response(blob, { status: 200, statusText: response.statusText, headers }));
+
+        await this._trim(cache);
+        return true;
+    }
+
+    /**
+     * Remove the least recently viewed photos until the cache fits the cap
+     * @param {Cache} cache - The viewed-photos cache
+     */
+    async _trim(cache) {
+        const requests = await cache.keys();
+        const sizes = await Promise.all(requests.map(request =>
+            cache.match(request).then(response => Number(response && response.headers.get(SIZE_HEADER)) || 0)
+        ));
+
+        let total = sizes.reduce((sum, size) => sum + size, 0);
+        // Oldest first; the photo just added always stays
+        for (let i = 0; total > this.maxImageBytes && i < requests.length - 1; i++) {
+            await cache.delete(requests[i]);
+            total -= sizes[i];
+        }
+    }
+
+    /**
+     * Wait for the service worker to take over. It empties the photo
+     * caches when it first activates, so nothing is stored before that.
+     * A worker that fails to install isn't waited for.
+     * @returns {Promise<void>}
+     */
+    async _ready() {
+        if (this.registration && !this.registration.active) {
+            await Promise.race([
+                navigator.serviceWorker.ready,
+                new Promise(resolve => setTimeout(resolve, READY_TIMEOUT))
+            ]);
+        }
+    }
+
+    /**
+     * Cache key of an album's record
+     * @param {string} albumId - Album id
+     * @returns {string}
+     */
+    _recordUrl(albumId) {
+        return new URL(ALBUM_RECORD_PATH + encodeURIComponent(albumId), document.baseURI).href;
+    }
+
+    /**
+     * Tell listeners an album was saved or removed
+     * @param {string} albumId - Album id
+     */
+    _notify(albumId) {
+        this._listeners.forEach(handler => handler(albumId));
+    }
+}
+
+// Export for use
+export {
+    OfflineCache,
+    IMAGE_CACHE,
+    ALBUM_CACHE
+};
@@ -0,0 +1,355 @@
+/**
+ * DPHOTO PHOTO EXPORT MODULE
+ * ==========================
+ *
+ * Optional processing step for downloaded and shared photos: redraws the
+ * image on a canvas with a watermark, at a chosen size and format, or
+ * in a platform preset such as an Instagram crop.
+ *
+ * Usage:
+ *   const exporter = new PhotoExporter({
+ *       watermark: { image: 'images/logo-fred-sports-transparent.png', position: 'bottom-right' }
+ *   });
+ *   const marked = await exporter.process(blob, { preset: 'instagram' });
+ *
+ * Features:
+ * - Logo or text watermark with position, opacity and scale
+ * - Output format (JPEG, PNG, WebP), quality and maximum dimension
+ * - Presets: Instagram 4:5 and square crops, 9:16 story with a branded frame
+ * - Works on the downloaded file, so cross-origin photos can be drawn
+ *
+ * The canvas drops EXIF, so callers read what they need from the
+ * original blob first (see PhotoDownloadManager).
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const WATERMARK_DEFAULTS = {
+    image: null,            // Logo URL
+    text: null,             // Used when there's no image, e.g. '© Fred Assaf Photography'
+    position: 'bottom-right',
+    opacity: 0.8,
+    scale: 0.18,            // Logo width (or text height x 10) as a share of the photo width
+    margin: 0.03            // Gap from the photo edges, as a share of its shorter side
+};
+
+const FRAME_DEFAULTS = {
+    background: '#002855',
+    color: '#ffffff',
+    logo: null,             // Logo URL (default: the watermark image)
+    caption: null           // e.g. 'Fred Assaf Photography'
+};
+
+/**
+ * Platform presets. `fit: 'cover'` crops to the box; `fit: 'frame'`
+ * fits the photo inside the branded frame.
+ */
+const EXPORT_PRESETS = {
+    instagram: { width: 1080, height: 1350, fit: 'cover', format: 'image/jpeg', quality: 0.92 },
+    'instagram-square': { width: 1080, height: 1080, fit: 'cover', format: 'image/jpeg', quality: 0.92 },
+    'instagram-story': { width: 1080, height: 1920, fit: 'frame', format: 'image/jpeg', quality: 0.92, watermark: false }
+};
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+class PhotoExporter {
+    /**
+     * @param {Object} options
+     * @param {Object|false} options.watermark - Watermark settings (see WATERMARK_DEFAULTS)
+     * @param {Object} options.frame - Branded frame settings for 'frame' presets (see FRAME_DEFAULTS)
+     * @param {string} options.format - Output MIME type (default 'image/jpeg')
+     * @param {number} options.quality - JPEG/WebP quality, 0-1 (default 0.9)
+     * @param {number} options.maxDimension - Longest side in pixels (default: no limit)
+     */
+    constructor(options = {}) {
+        this.watermark = options.watermark ? { ...WATERMARK_DEFAULTS, ...options.watermark } : null;
+        this.frame = { ...FRAME_DEFAULTS, ...options.frame };
+        this.format = options.format || 'image/jpeg';
+        this.quality = options.quality || 0.9;
+        this.maxDimension = options.maxDimension || null;
+        this._images = new Map();   // URL -> Promise<ImageBitmap|HTMLImageElement>
+
+        if (this.watermark && !POSITIONS.includes(this.watermark.position)) {
+            throw new Error(`Unknown watermark position "${this.watermark.position}"`);
+        }
+    }
+
+    /**
+     * Settings for one export: the exporter's, then the preset's, then the call's
+     * @param {Object} options - { preset, format, quality, maxDimension, watermark }
+     * @returns {Object}
+     */
+    settings(options = {}) {
+        const { preset: presetName, ...overrides } = options;
+        const preset = presetName ? EXPORT_PRESETS[presetName] : {};
+        if (!preset) {
+            throw new Error(`Unknown export preset "${presetName}"`);
+        }
+
+        const settings = {
+            format: this.format,
+            quality: this.quality,
+            maxDimension: this.maxDimension,
+            watermark: this.watermark,
+            frame: this.frame,
+            ...preset,
+            ...overrides
+        };
+        if (settings.watermark && settings.watermark !== this.watermark) {
+            settings.watermark = { ...WATERMARK_DEFAULTS, ...this.watermark, ...settings.watermark };
+        }
+        return settings;
+    }
+
+    /**
+     * Redraw a photo with the export settings
+     * @param {Blob} blob - Original image
+     * @param {Object} options - { preset, format, quality, maxDimension, watermark }
+     *        (watermark: false leaves it off)
+     * @returns {Promise<Blob>}
+     */
+    async process(blob, options = {}) {
+        const settings = this.settings(options);
+        const photo = await decodeImage(blob);
+        const layout = exportLayout(photo.width, photo.height, settings);
+
+        const canvas = document.createElement('canvas');
+        canvas.width = layout.width;
+        canvas.height = layout.height;
+        const context = canvas.getContext('2d');
+        context.imageSmoothingQuality = 'high';
+
+        if (layout.frame) {
+            await this._drawFrame(context, layout, settings.frame);
+        } else if (settings.format === 'image/jpeg') {
+            // JPEG has no transparency: keep transparent PNGs off black
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, layout.width, layout.height);
+        }
+
+        const { source, dest } = layout;
+        context.drawImage(photo, source.x, source.y, source.width, source.height, dest.x, dest.y, dest.width, dest.height);
+        if (photo.close) photo.close();
+
+        if (settings.watermark) {
+            await this._drawWatermark(context, dest, settings.watermark);
+        }
+
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(
+                result => result ? resolve(result) : reject(new Error('Could not export the photo')),
+                settings.format,
+                settings.quality
+            );
+        });
+    }
+
+    /**
+     * Draw the watermark over the photo area
+     * @param {CanvasRenderingContext2D} context
+     * @param {Object} area - { x, y, width, height } of the photo
+     * @param {Object} watermark - Watermark settings
+     */
+    async _drawWatermark(context, area, watermark) {
+        const logo = watermark.image ? await this._loadImage(watermark.image) : null;
+        if (!logo && !watermark.text) return;
+
+        const margin = Math.round(Math.min(area.width, area.height) * watermark.margin);
+        let width;
+        let height;
+
+        context.save();
+        context.globalAlpha = watermark.opacity;
+
+        if (logo) {
+            width = Math.round(area.width * watermark.scale);
+            height = Math.round(width * logo.height / logo.width);
+        } else {
+            height = Math.max(12, Math.round(area.width * watermark.scale / 10));
+            context.font = `600 ${height}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+            width = Math.ceil(context.measureText(watermark.text).width);
+        }
+
+        const { x, y } = placeBox(area, width, height, margin, watermark.position);
+
+        if (logo) {
+            context.drawImage(logo, x, y, width, height);
+        } else {
+            context.fillStyle = '#ffffff';
+            context.textBaseline = 'top';
+            context.shadowColor = 'rgba(0, 0, 0, 0.6)';
+            context.shadowBlur = Math.round(height / 4);
+            context.fillText(watermark.text, x, y);
+        }
+        context.restore();
+    }
+
+    /**
+     * Fill the branded frame: background, logo and caption below the photo
+     * @param {CanvasRenderingContext2D} context
+     * @param {Object} layout - Output of exportLayout
+     * @param {Object} frame - Frame settings
+     */
+    async _drawFrame(context, layout, frame) {
+        context.fillStyle = frame.background;
+        context.fillRect(0, 0, layout.width, layout.height);
+
+        const band = layout.band;
+        const logoUrl = frame.logo || (this.watermark && this.watermark.image);
+        const logo = logoUrl ? await this._loadImage(logoUrl) : null;
+        const captionSize = Math.round(layout.height * 0.022);
+        let top = band.y;
+
+        if (logo) {
+            const height = Math.round(band.height * (frame.caption ? 0.6 : 0.8));
+            const width = Math.round(height * logo.width / logo.height);
+            context.drawImage(logo, Math.round((layout.width - width) / 2), top, width, height);
+            top += height + Math.round(captionSize * 0.6);
+        }
+
+        if (frame.caption) {
+            context.fillStyle = frame.color;
+            context.font = `600 ${captionSize}px -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif`;
+            context.textAlign = 'center';
+            context.textBaseline = 'top';
+            context.fillText(frame.caption, layout.width / 2, top);
+        }
+    }
+
+    /**
+     * Load a logo once per exporter
+     * @param {string} url - Image URL
+     * @returns {Promise<ImageBitmap|HTMLImageElement|null>}
+     */
+    _loadImage(url) {
+        if (!this._images.has(url)) {
+            this._images.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) throw new Error(`Failed to fetch ${url}: ${response.status}`);
+                    return response.blob();
+                })
+                .then(decodeImage)
+                .catch(error => {
+                    // The export goes ahead without the logo rather than failing
+                    console.warn('Could not load the watermark:', error.message);
+                    this._images.delete(url);
+                    return null;
+                }));
+        }
+        return this._images.get(url);
+    }
+}
+
+/**
+ * Work out the output size and where the photo goes
+ *
+ * @param {number} width - Photo width
+ * @param {number} height - Photo height
+ * @param {Object} settings - { width, height, fit, maxDimension }
+ * @returns {Object} - { width, height, source, dest, frame, band }, where
+ *          source is the part of the photo drawn and dest where it goes
+ */
+function exportLayout(width, height, settings) {
+    const full = { x: 0, y: 0, width, height };
+
+    if (!settings.width || !settings.height) {
+        const longest = Math.max(width, height);
+        const ratio = settings.maxDimension && longest > settings.maxDimension ? settings.maxDimension / longest : 1;
+        const outWidth = Math.max(1, Math.round(width * ratio));
+        const outHeight = Math.max(1, Math.round(height * ratio));
+        return { width: outWidth, height: outHeight, source: full, dest: { x: 0, y: 0, width: outWidth, height: outHeight }, frame: false };
+    }
+
+    const outWidth = settings.width;
+    const outHeight = settings.height;
+
+    if (settings.fit === 'frame') {
+        // Photo in the upper part, logo and caption in the band below it
+        const pad = Math.round(outWidth * 0.06);
+        const bandHeight = Math.round(outHeight * 0.16);
+        const box = { x: pad, y: pad * 2, width: outWidth - pad * 2, height: outHeight - pad * 3 - bandHeight };
+        const ratio = Math.min(box.width / width, box.height / height);
+        const destWidth = Math.round(width * ratio);
+        const destHeight = Math.round(height * ratio);
+        const dest = {
+            x: box.x + Math.round((box.width - destWidth) / 2),
+            y: box.y + Math.round((box.height - destHeight) / 2),
+            width: destWidth,
+            height: destHeight
+        };
+        return {
+            width: outWidth,
+            height: outHeight,
+            source: full,
+            dest,
+            frame: true,
+            band: { x: 0, y: dest.y + destHeight + pad, width: outWidth, height: bandHeight }
+        };
+    }
+
+    // Cover: crop the middle of the photo to the output shape
+    const aspect = outWidth / outHeight;
+    const source = width / height > aspect
+        ? { width: Math.round(height * aspect), height }
+        : { width, height: Math.round(width / aspect) };
+    source.x = Math.round((width - source.width) / 2);
+    source.y = Math.round((height - source.height) / 2);
+
+    return { width: outWidth, height: outHeight, source, dest: { x: 0, y: 0, width: outWidth, height: outHeight }, frame: false };
+}
+
+/**
+ * Top-left corner of a box placed in an area
+ * @param {Object} area - { x, y, width, height }
+ * @param {number} width - Box width
+ * @param {number} height - Box height
+ * @param {number} margin - Gap from the area edges
+ * @param {string} position - One of POSITIONS
+ * @returns {Object} - { x, y }
+ */
+function placeBox(area, width, height, margin, position) {
+    const left = area.x + margin;
+    const right = area.x + area.width - width - margin;
+    const top = area.y + margin;
+    const bottom = area.y + area.height - height - margin;
+
+    switch (position) {
+        case 'top-left': return { x: left, y: top };
+        case 'top-right': return { x: right, y: top };
+        case 'bottom-left': return { x: left, y: bottom };
+        case 'center': return {
+            x: area.x + Math.round((area.width - width) / 2),
+            y: area.y + Math.round((area.height - height) / 2)
+        };
+        default: return { x: right, y: bottom };
+    }
+}
+
+/**
+ * Decode an image file, upright (EXIF orientation applied)
+ * @param {Blob} blob - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+async function decodeImage(blob) {
+    if (typeof createImageBitmap === 'function') {
+        return createImageBitmap(blob, { imageOrientation: 'from-image' });
+    }
+
+    const url = URL.createObjectURL(blob);
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        return image;
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use
+export {
+    PhotoExporter,
+    EXPORT_PRESETS,
+    exportLayout
+};
@@ -0,0 +1,357 @@
+/**
+ * DPHOTO PHOTO METADATA MODULE
+ * ============================
+ *
+ * Game, roster and camera details for a photo. Structured metadata comes
+ * from the catalog; camera settings the catalog doesn't have are read
+ * from the JPEG's EXIF block in the browser.
+ *
+ * Catalog photos may carry:
+ *   "metadata": {
+ *       "event": "Varsity Football", "opponent": "Westminster",
+ *       "date": "2025-08-15", "players": [{ "number": "7", "name": "..." }],
+ *       "camera": { "make": "NIKON", "model": "Z 9", "lens": "...",
+ *                   "exposureTime": 0.0005, "fNumber": 2.8, "iso": 1600,
+ *                   "focalLength": 400, "capturedAt": "2025-08-15T18:43:40-04:00" }
+ *   }
+ *
+ * Features:
+ * - Dependency-free EXIF reader (camera, lens, shutter, aperture, ISO,
+ *   focal length, capture time)
+ * - Label/value rows for the lightbox details panel
+ * - Alt text from the title, game and roster
+ * - A single photo date for the panel and download filenames
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+// EXIF sits in an APP1 segment near the start of the file
+const EXIF_SCAN_BYTES = 128 * 1024;
+
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+const EXIF_TAGS = {
+    ifd0: {
+        0x010F: 'make',
+        0x0110: 'model',
+        0x0132: 'modifiedAt',
+        0x8769: 'exifOffset'
+    },
+    exif: {
+        0x829A: 'exposureTime',
+        0x829D: 'fNumber',
+        0x8827: 'iso',
+        0x9003: 'capturedAt',
+        0x9011: 'offsetTime',
+        0x920A: 'focalLength',
+        0xA434: 'lens'
+    }
+};
+
+/**
+ * Read camera settings from the start of a JPEG file
+ *
+ * @param {ArrayBuffer} buffer - JPEG bytes (the first EXIF_SCAN_BYTES are enough)
+ * @returns {Object|null} - { make, model, lens, exposureTime, fNumber, iso,
+ *          focalLength, capturedAt }, or null if there is no EXIF block
+ */
+function readExif(buffer) {
+    const view = new DataView(buffer);
+
+    try {
+        if (view.getUint16(0) !== 0xFFD8) return null;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            if (view.getUint8(offset) !== 0xFF) return null;
+
+            const marker = view.getUint8(offset + 1);
+            // Fill bytes between segments
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            // Start of scan - image data follows, no more metadata
+            if (marker === 0xDA) return null;
+
+            const length = view.getUint16(offset + 2);
+            if (marker === 0xE1 && _readAscii(view, offset + 4, 6) === 'Exif') {
+                return _readTiff(view, offset + 10);
+            }
+            offset += 2 + length;
+        }
+    } catch (error) {
+        // Truncated or malformed file
+        if (!(error instanceof RangeError)) throw error;
+    }
+    return null;
+}
+
+/**
+ * Parse the TIFF structure inside an EXIF segment
+ * @param {DataView} view - File bytes
+ * @param {number} start - Offset of the TIFF header
+ * @returns {Object|null}
+ */
+function _readTiff(view, start) {
+    const order = view.getUint16(start);
+    if (order !== 0x4949 && order !== 0x4D4D) return null;
+
+    const little = order === 0x4949;
+    if (view.getUint16(start + 2, little) !== 42) return null;
+
+    const ifd0 = _readIfd(view, start, start + view.getUint32(start + 4, little), little, EXIF_TAGS.ifd0);
+    const exif = ifd0.exifOffset
+        ? _readIfd(view, start, start + ifd0.exifOffset, little, EXIF_TAGS.exif)
+        : {};
+
+    const taken = exif.capturedAt || ifd0.modifiedAt;
+    return {
+        make: ifd0.make || null,
+        model: ifd0.model || null,
+        lens: exif.lens || null,
+        exposureTime: exif.exposureTime || null,
+        fNumber: exif.fNumber || null,
+        iso: exif.iso || null,
+        focalLength: exif.focalLength || null,
+        capturedAt: taken ? _exifDate(taken, exif.offsetTime) : null
+    };
+}
+
+/**
+ * Read the tags we care about from one IFD
+ * @param {DataView} view - File bytes
+ * @param {number} tiff - Offset of the TIFF header (value offsets are relative to it)
+ * @param {number} offset - Offset of the IFD
+ * @param {boolean} little - Little-endian byte order
+ * @param {Object} tags - Map of tag number to field name
+ * @returns {Object}
+ */
+function _readIfd(view, tiff, offset, little, tags) {
+    const values = {};
+    const count = view.getUint16(offset, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = offset + 2 + i * 12;
+        const name = tags[view.getUint16(entry, little)];
+        if (!name) continue;
+
+        const type = view.getUint16(entry + 2, little);
+        const length = view.getUint32(entry + 4, little);
+        const size = (TIFF_TYPE_SIZES[type] || 1) * length;
+        const at = size > 4 ? tiff + view.getUint32(entry + 8, little) : entry + 8;
+
+        switch (type) {
+            case 2:
+                values[name] = _readAscii(view, at, length);
+                break;
+            case 3:
+                values[name] = view.getUint16(at, little);
+                break;
+            case 4:
+                values[name] = view.getUint32(at, little);
+                break;
+            case 5:
+            case 10: {
+                const read = type === 5 ? 'getUint32' : 'getInt32';
+                const denominator = view[read](at + 4, little);
+                values[name] = denominator ? view[read](at, little) / denominator : null;
+                break;
+            }
+        }
+    }
+    return values;
+}
+
+/**
+ * Read a NUL-terminated ASCII string
+ * @param {DataView} view - File bytes
+ * @param {number} offset - Start offset
+ * @param {number} length - Maximum length
+ * @returns {string}
+ */
+function _readAscii(view, offset, length) {
+    let text = '';
+    for (let i = 0; i < length; i++) {
+        const code = view.getUint8(offset + i);
+        if (!code) break;
+        text += String.fromCharCode(code);
+    }
+    return text.trim();
+}
+
+/**
+ * "2025:08:15 18:43:40" (+ "-04:00") to "2025-08-15T18:43:40-04:00"
+ * @param {string} value - EXIF date/time
+ * @param {string} offset - EXIF time zone offset (optional)
+ * @returns {string|null}
+ */
+function _exifDate(value, offset) {
+    const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value);
+    if (!match || match[1] === '0000') return null;
+
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = /^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : '';
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * The date a photo was taken, as YYYY-MM-DD
+ * @param {Object} photo - Photo object (metadata.date, date)
+ * @param {Object} exif - Camera details from readExif (optional)
+ * @returns {string|null}
+ */
+function photoDate(photo, exif) {
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(_dateValue(photo, exif) || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * When a photo was taken: catalog dates first, then the file's EXIF
+ * @param {Object} photo - Photo object
+ * @param {Object} exif - Camera details from readExif (optional)
+ * @returns {string|undefined} - ISO date or date-time
+ */
+function _dateValue(photo, exif) {
+    const metadata = photo.metadata || {};
+    return metadata.date ||
+        (metadata.camera && metadata.camera.capturedAt) ||
+        photo.date ||
+        (exif && exif.capturedAt) ||
+        undefined;
+}
+
+/**
+ * Label/value rows describing a photo, catalog metadata first
+ *
+ * @param {Object} photo - Photo object
+ * @param {Object} exif - Camera details from readExif, used when the
+ *        catalog has none (optional)
+ * @returns {Array<{label: string, value: string}>}
+ */
+function metadataRows(photo, exif) {
+    const metadata = photo.metadata || {};
+    const camera = metadata.camera || exif || {};
+    const rows = [];
+    const add = (label, value) => {
+        if (value !== undefined && value !== null && value !== '') {
+            rows.push({ label, value: String(value) });
+        }
+    };
+
+    add('Event', metadata.event);
+    add('Opponent', metadata.opponent && `vs. ${metadata.opponent}`);
+    add('Date', formatPhotoDate(_dateValue(photo, exif)));
+    add('Players', formatPlayers(metadata.players));
+    add('Camera', formatCamera(camera));
+    add('Lens', camera.lens);
+    add('Shutter', camera.exposureTime && formatExposure(camera.exposureTime));
+    add('Aperture', camera.fNumber && `f/${Number(camera.fNumber.toFixed(1))}`);
+    add('ISO', camera.iso);
+    add('Focal length', camera.focalLength && `${Math.round(camera.focalLength)} mm`);
+    return rows;
+}
+
+/**
+ * Alt text for a photo: the catalog's own, or one built from the title,
+ * opponent and roster ("Varsity Football vs. Westminster: #7 Sam Lee")
+ * @param {Object} photo - Photo object
+ * @returns {string} - Empty when there is nothing to describe it with
+ */
+function photoAltText(photo) {
+    if (photo.alt) return photo.alt;
+
+    const metadata = photo.metadata || {};
+    const subject = photo.title || metadata.event || metadata.team || '';
+    const opponent = metadata.opponent && !subject.includes(metadata.opponent)
+        ? `vs. ${metadata.opponent}`
+        : '';
+    const game = [subject, opponent].filter(Boolean).join(' ');
+    return [game, formatPlayers(metadata.players)].filter(Boolean).join(': ');
+}
+
+/**
+ * Whether a photo needs its EXIF read to show camera settings
+ * @param {Object} photo - Photo object
+ * @returns {boolean}
+ */
+function needsExif(photo) {
+    return !(photo.metadata && photo.metadata.camera);
+}
+
+/**
+ * Human-readable photo date ("August 15, 2025" or "August 15, 2025, 6:43 PM")
+ * Shown in the photo's own time zone, not the viewer's.
+ * @param {string} value - ISO date or date-time
+ * @returns {string}
+ */
+function formatPhotoDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})(?:T(\d{2}):(\d{2}))?/.exec(value || '');
+    if (!match) return '';
+
+    const [, year, month, day, hour, minute] = match;
+    const date = new Date(Date.UTC(year, month - 1, day, hour || 0, minute || 0));
+    const options = { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' };
+    if (hour !== undefined) {
+        options.hour = 'numeric';
+        options.minute = '2-digit';
+    }
+    return date.toLocaleString('en-US', options);
+}
+
+/**
+ * Shutter speed ("1/2000 s", "0.5 s", "2 s")
+ * @param {number} seconds - Exposure time
+ * @returns {string}
+ */
+function formatExposure(seconds) {
+    if (seconds >= 1) return `${Number(seconds.toFixed(1))} s`;
+    if (seconds >= 0.3) return `${Number(seconds.toFixed(2))} s`;
+    return `1/${Math.round(1 / seconds)} s`;
+}
+
+/**
+ * Camera name without the maker repeated ("NIKON Z 9", not "NIKON CORPORATION NIKON Z 9")
+ * @param {Object} camera - { make, model }
+ * @returns {string}
+ */
+function formatCamera(camera) {
+    const make = (camera.make || '').trim();
+    const model = (camera.model || '').trim();
+    if (!model) return make;
+
+    const brand = make.split(/\s+/)[0];
+    return brand && !model.toLowerCase().startsWith(brand.toLowerCase())
+        ? `${brand} ${model}`
+        : model;
+}
+
+/**
+ * Roster line ("#7 Sam Lee, #12")
+ * @param {Array} players - Strings or { number, name }
+ * @returns {string}
+ */
+function formatPlayers(players) {
+    if (!Array.isArray(players)) return '';
+
+    return players
+        .map(player => {
+            if (typeof player === 'string') return player;
+            return [player.number ? `#${player.number}` : '', player.name || ''].filter(Boolean).join(' ');
+        })
+        .filter(Boolean)
+        .join(', ');
+}
+
+// Export for use
+export {
+    EXIF_SCAN_BYTES,
+    readExif,
+    photoDate,
+    metadataRows,
+    photoAltText,
+    needsExif,
+    formatPhotoDate,
+    formatExposure
+};
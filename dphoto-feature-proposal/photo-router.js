@@ -0,0 +1,158 @@
+/**
+ * DPHOTO PHOTO ROUTER MODULE
+ * ==========================
+ *
+ * Deep links to individual photos through the URL hash, e.g.
+ * #/album/kb62ahwp/photo/3 (photo numbers start at 1, like the
+ * lightbox counter).
+ *
+ * Features:
+ * - Opening a link with a photo route opens the lightbox on that photo
+ * - Opening the lightbox adds one history entry, so Back closes it
+ * - Moving between photos replaces that entry instead of adding more
+ * - Absolute share links for any photo
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class PhotoRouter {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onOpen - Called with { albumId, index } when the URL asks for a photo
+     * @param {Function} options.onClose - Called when the URL no longer points at a photo
+     */
+    constructor(options = {}) {
+        this.onOpen = options.onOpen || null;
+        this.onClose = options.onClose || null;
+        this._pushed = false;
+        this._onPopState = () => this._sync();
+    }
+
+    /**
+     * Parse a photo route from a URL hash
+     * @param {string} hash - e.g. "#/album/kb62ahwp/photo/3"
+     * @returns {Object|null} - { albumId, index } (index is 0-based)
+     */
+    static parse(hash) {
+        const match = /^#\/album\/([^/]+)\/photo\/(\d+)\/?$/.exec(hash || '');
+        if (!match || Number(match[2]) < 1) return null;
+
+        try {
+            return { albumId: decodeURIComponent(match[1]), index: Number(match[2]) - 1 };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Build the hash for a photo
+     * @param {string} albumId - Album id
+     * @param {number} index - 0-based photo index
+     * @returns {string}
+     */
+    static format(albumId, index) {
+        return `#/album/${encodeURIComponent(albumId)}/photo/${index + 1}`;
+    }
+
+    /**
+     * Start following history navigation, and open the photo in the
+     * current URL if there is one
+     */
+    start() {
+        window.addEventListener('popstate', this._onPopState);
+        this._sync();
+    }
+
+    /**
+     * Stop following history navigation
+     */
+    stop() {
+        window.removeEventListener('popstate', this._onPopState);
+    }
+
+    /**
+     * The photo the URL currently points at
+     * @returns {Object|null} - { albumId, index }
+     */
+    current() {
+        return PhotoRouter.parse(window.location.hash);
+    }
+
+    /**
+     * Point the URL at a photo. The first photo opened adds a history
+     * entry; later ones replace it.
+     *
+     * @param {string} albumId - Album id
+     * @param {number} index - 0-based photo index
+     */
+    show(albumId, index) {
+        const hash = PhotoRouter.format(albumId, index);
+        if (window.location.hash === hash) return;
+
+        const url = this._urlWithHash(hash);
+        if (this.current()) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState({ dphotoPhoto: true }, '', url);
+            this._pushed = true;
+        }
+    }
+
+    /**
+     * Take the photo out of the URL. Goes back if show() added the
+     * history entry, so the page isn't left with a dead forward entry.
+     */
+    close() {
+        if (!this.current()) return;
+
+        if (this._pushed) {
+            this._pushed = false;
+            history.back();
+        } else {
+            // Arrived through a deep link - there is no entry of ours to go back to
+            history.replaceState(history.state, '', this._urlWithHash(''));
+        }
+    }
+
+    /**
+     * Absolute link to a photo, for sharing
+     * @param {string} albumId - Album id
+     * @param {number} index - 0-based photo index
+     * @returns {string}
+     */
+    link(albumId, index) {
+        return this._urlWithHash(PhotoRouter.format(albumId, index));
+    }
+
+    /**
+     * Open or close the lightbox to match the URL
+     */
+    _sync() {
+        const route = this.current();
+
+        if (route) {
+            // Forward to an entry we pushed earlier
+            if (history.state && history.state.dphotoPhoto) this._pushed = true;
+            if (this.onOpen) this.onOpen(route);
+        } else {
+            this._pushed = false;
+            if (this.onClose) this.onClose();
+        }
+    }
+
+    /**
+     * The current URL with a different hash
+     * @param {string} hash - New hash ('' to remove it)
+     * @returns {string}
+     */
+    _urlWithHash(hash) {
+        const url = new URL(window.location.href);
+        url.hash = hash;
+        // URL keeps a bare "#" when the hash is cleared
+        return hash ? url.href : url.href.replace(/#$/, '');
+    }
+}
+
+// Export for use
+export { PhotoRouter };
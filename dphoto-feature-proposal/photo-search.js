@@ -0,0 +1,340 @@
+/**
+ * DPHOTO PHOTO SEARCH MODULE
+ * ==========================
+ *
+ * "Find my kid" search over player, team and opponent tags, album titles
+ * and categories. Runs entirely in the browser over a small index that
+ * scripts/build-search-index.js prebuilds from data/catalog.json, so it
+ * works on a static deployment.
+ *
+ * Tags come from catalog photos:
+ *   "metadata": { "team": "Varsity Football", "opponent": "Westminster",
+ *                 "players": [{ "number": "7", "name": "Sam Lee" }] },
+ *   "tags": ["Homecoming"]
+ *
+ * Features:
+ * - One entry per player, team, opponent, tag, album and category, with
+ *   the ids of its photos
+ * - Typo tolerance (one or two edits, depending on word length)
+ * - Prefix matching for autocomplete as the visitor types
+ * - Jersey numbers match exactly ("7" finds #7, not #17)
+ * - Builds the index in the browser when there is no prebuilt one
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { slugify, getAlbumFilterKeys } from './category-filter.js';
+
+const SEARCH_INDEX_VERSION = 1;
+
+const SEARCH_TYPE_LABELS = {
+    player: 'Player',
+    team: 'Team',
+    opponent: 'Opponent',
+    tag: 'Tag',
+    album: 'Album',
+    category: 'Category'
+};
+
+// Equal scores list people first - that's what parents are looking for
+const TYPE_ORDER = Object.keys(SEARCH_TYPE_LABELS);
+
+class PhotoSearchIndex {
+    /**
+     * @param {Object} options
+     * @param {string|null} options.indexUrl - Prebuilt index URL (default 'data/search-index.json';
+     *        null to always index the catalog in the browser)
+     * @param {Object} options.index - Already-built index (skips the fetch)
+     */
+    constructor(options = {}) {
+        this.indexUrl = options.indexUrl !== undefined ? options.indexUrl : 'data/search-index.json';
+        this.entries = [];
+        this._byId = new Map();
+
+        if (options.index) {
+            this.setIndex(options.index);
+        }
+    }
+
+    /**
+     * Load the prebuilt index. Without one (not built, or a live API
+     * catalog), index the catalog here instead. Never rejects.
+     *
+     * @param {Object} catalog - { albums, photos } to index as a fallback (optional)
+     * @returns {Promise<PhotoSearchIndex>}
+     */
+    async load(catalog) {
+        const index = this.indexUrl
+            ? await fetch(this.indexUrl)
+                .then(response => response.ok ? response.json() : null)
+                .catch(() => null)
+            : null;
+
+        if (index && index.version === SEARCH_INDEX_VERSION) {
+            this.setIndex(index);
+        } else if (catalog) {
+            if (this.indexUrl) {
+                console.warn(`No search index at ${this.indexUrl}; indexing the catalog in the browser`);
+            }
+            this.setIndex(buildSearchIndex(catalog));
+        }
+        return this;
+    }
+
+    /**
+     * Replace the index contents
+     * @param {Object} index - Output of buildSearchIndex
+     */
+    setIndex(index) {
+        this.entries = (index && index.entries) || [];
+        this._byId = new Map(this.entries.map(entry => [entry.id, entry]));
+    }
+
+    /**
+     * Look up an entry by id ("player-sam-lee")
+     * @param {string} id - Entry id
+     * @returns {Object|undefined}
+     */
+    getEntry(id) {
+        return this._byId.get(id);
+    }
+
+    /**
+     * Entries matching what the visitor has typed so far, best first.
+     * Every word must match; the last one may be incomplete.
+     *
+     * @param {string} query - Search text, e.g. "#7", "sam le", "westminstr"
+     * @param {Object} options
+     * @param {number} options.limit - Maximum results (default 8)
+     * @returns {Object[]} - Index entries
+     */
+    search(query, options = {}) {
+        const limit = options.limit || 8;
+        const words = tokenize(query);
+        if (!words.length) return [];
+
+        return this.entries
+            .map(entry => ({ entry, score: scoreEntry(entry, words) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) =>
+                b.score - a.score ||
+                TYPE_ORDER.indexOf(a.entry.type) - TYPE_ORDER.indexOf(b.entry.type) ||
+                b.entry.photos.length - a.entry.photos.length ||
+                a.entry.label.localeCompare(b.entry.label)
+            )
+            .slice(0, limit)
+            .map(result => result.entry);
+    }
+}
+
+/**
+ * Build a search index from a catalog manifest
+ *
+ * @param {Object} manifest - { albums: [], photos: [] } as in data/catalog.json
+ * @returns {Object} - { version, entries: [{ id, type, label, detail, terms, photos, ... }] }
+ */
+function buildSearchIndex(manifest) {
+    const albums = manifest.albums || [];
+    const photos = manifest.photos || [];
+    const entries = new Map();
+
+    // Entries are merged by id, so a player tagged in many photos is one result
+    const add = (id, { words, ...fields }, photoIds = []) => {
+        let entry = entries.get(id);
+        if (!entry) {
+            entry = { id, ...fields, terms: [], photos: [] };
+            entries.set(id, entry);
+        }
+        words.forEach(word => {
+            tokenize(word).forEach(term => {
+                if (!entry.terms.includes(term)) entry.terms.push(term);
+            });
+        });
+        photoIds.forEach(photoId => {
+            if (!entry.photos.includes(photoId)) entry.photos.push(photoId);
+        });
+    };
+
+    photos.forEach(photo => {
+        const metadata = photo.metadata || {};
+        const team = metadata.team;
+
+        if (team) {
+            add(`team-${slugify(team)}`, { type: 'team', label: team, words: [team] }, [photo.id]);
+        }
+        if (metadata.opponent) {
+            add(`opponent-${slugify(metadata.opponent)}`, {
+                type: 'opponent',
+                label: `vs. ${metadata.opponent}`,
+                words: [metadata.opponent]
+            }, [photo.id]);
+        }
+
+        (Array.isArray(metadata.players) ? metadata.players : []).forEach(player => {
+            const { name, number } = typeof player === 'string' ? { name: player } : player;
+            if (!name && !number) return;
+
+            // Numbers alone are only unique within a team
+            const key = name ? slugify(name) : slugify(`${team || ''} ${number}`);
+            add(`player-${key}`, {
+                type: 'player',
+                label: [number ? `#${number}` : '', name || ''].filter(Boolean).join(' '),
+                detail: team || undefined,
+                words: [name || '', number ? String(number) : '', team || '']
+            }, [photo.id]);
+        });
+
+        (Array.isArray(photo.tags) ? photo.tags : []).forEach(tag => {
+            add(`tag-${slugify(tag)}`, { type: 'tag', label: tag, words: [tag] }, [photo.id]);
+        });
+    });
+
+    albums.forEach(album => {
+        const albumPhotos = photos.filter(photo => photo.albumId === album.id).map(photo => photo.id);
+        add(`album-${album.id}`, {
+            type: 'album',
+            label: album.title,
+            detail: album.subcategory || categoryLabel(album.category),
+            albumId: album.id,
+            url: album.url,
+            words: [album.title, album.subcategory || '']
+        }, albumPhotos);
+
+        getAlbumFilterKeys(album).forEach((key, i) => {
+            const label = i === 0 ? categoryLabel(album.category) : album.subcategory;
+            add(`category-${key.replace('/', '-')}`, {
+                type: 'category',
+                label: label,
+                detail: i === 0 ? undefined : categoryLabel(album.category),
+                category: key,
+                words: [label]
+            });
+        });
+    });
+
+    return {
+        version: SEARCH_INDEX_VERSION,
+        entries: Array.from(entries.values())
+    };
+}
+
+/**
+ * How well an entry matches the query words (0 = no match)
+ * @param {Object} entry - Index entry
+ * @param {string[]} words - Normalised query words
+ * @returns {number}
+ */
+function scoreEntry(entry, words) {
+    let total = 0;
+
+    for (let i = 0; i < words.length; i++) {
+        const isLast = i === words.length - 1;
+        let best = 0;
+        entry.terms.forEach(term => {
+            best = Math.max(best, scoreTerm(words[i], term, isLast));
+        });
+        if (!best) return 0;
+        total += best;
+    }
+    return total;
+}
+
+/**
+ * How well one query word matches one indexed term
+ * @param {string} word - Query word
+ * @param {string} term - Indexed term
+ * @param {boolean} partial - The visitor may still be typing this word
+ * @returns {number}
+ */
+function scoreTerm(word, term, partial) {
+    if (word === term) return 100;
+
+    const numeric = /^\d+$/.test(word);
+    // Jersey numbers are exact; "1" while typing may still become "12"
+    if (numeric) return partial && term.startsWith(word) ? 60 : 0;
+
+    if (term.startsWith(word)) return 70 + Math.round(20 * word.length / term.length);
+
+    // Typos: one edit for short words, two for long ones. Three letters
+    // still being typed match too much, so only finished ones get an edit.
+    const allowed = word.length >= 8 ? 2 : word.length >= 4 || (word.length === 3 && !partial) ? 1 : 0;
+    if (!allowed || /^\d+$/.test(term)) return 0;
+
+    let distance = editDistance(word, term, allowed);
+    // An unfinished word with a typo: compare against the start of the term
+    if (distance > allowed && partial && term.length > word.length) {
+        distance = editDistance(word, term.slice(0, word.length), allowed);
+    }
+    return distance <= allowed ? 50 - 15 * distance : 0;
+}
+
+/**
+ * Edit distance with adjacent transpositions ("sma" -> "sam" is 1)
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @param {number} max - Give up above this distance
+ * @returns {number} - The distance, or max + 1
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, before[j - 2] + 1);
+            }
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        before = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Lowercase words without accents or punctuation ("#7 Zoë" -> ["7", "zoe"])
+ * @param {string} str - Input string
+ * @returns {string[]}
+ */
+function tokenize(str) {
+    return String(str == null ? '' : str)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+}
+
+/**
+ * Display name for a category key ("school-events" -> "School Events")
+ * @param {string} category - Catalog category
+ * @returns {string}
+ */
+function categoryLabel(category) {
+    return String(category)
+        .split(/[-_\s]+/)
+        .filter(Boolean)
+        .map(word => word[0].toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+// Export for use
+export {
+    PhotoSearchIndex,
+    buildSearchIndex,
+    SEARCH_INDEX_VERSION,
+    SEARCH_TYPE_LABELS,
+    tokenize
+};
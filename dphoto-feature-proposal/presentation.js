@@ -0,0 +1,775 @@
+/**
+ * DPHOTO PRESENTATION MODULE
+ * ==========================
+ *
+ * Presentation mode for PhotoLightbox: the open album plays full screen
+ * on a projector or TV at banquets and senior nights, optionally driven
+ * from a second tab (presentation-remote.html).
+ *
+ * Usage:
+ *   const lightbox = new PhotoLightbox({ presentation: { interval: 8000, qr: true } });
+ *   lightbox.open(0);
+ *   lightbox.presentation.start();
+ *
+ *   // In another tab of the same site
+ *   const remote = new PresentationRemote();
+ *   remote.on(state => console.log(state.title));
+ *   remote.send('next');
+ *
+ * Features:
+ * - Play/pause, interval, shuffle and loop
+ * - Crossfade or Ken Burns transitions (the hero slideshow's slow zoom)
+ * - Fullscreen, and a wake lock so the screen doesn't sleep
+ * - Caption and QR code overlays, inside the TV-safe area
+ * - Remote control from a second tab over BroadcastChannel
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { QrCode } from './qr-code.js';
+import { photoAltText } from './photo-metadata.js';
+
+const PRESENTATION_DEFAULTS = {
+    interval: 6000,
+    shuffle: false,
+    loop: true,
+    transition: 'kenburns',
+    caption: true,
+    qr: false
+};
+
+const PRESENTATION_TRANSITIONS = ['crossfade', 'kenburns'];
+const PRESENTATION_CHANNEL = 'dphoto-presentation';
+const MIN_INTERVAL = 1000;
+const FADE_MS = 1000;          // matches the crossfade in styles.css
+const IDLE_MS = 3000;          // controls and cursor hide after this long without movement
+
+const ICONS = {
+    prev: '<polyline points="15 18 9 12 15 6"/>',
+    next: '<polyline points="9 18 15 12 9 6"/>',
+    play: '<polygon points="6 4 20 12 6 20" fill="currentColor"/>',
+    pause: '<rect x="5" y="4" width="5" height="16" fill="currentColor"/><rect x="14" y="4" width="5" height="16" fill="currentColor"/>',
+    remote: '<rect x="6" y="2" width="12" height="20" rx="2"/><line x1="12" y1="18" x2="12.01" y2="18"/>',
+    shuffle: '<polyline points="16 3 21 3 21 8"/><line x1="4" y1="20" x2="21" y2="3"/><polyline points="21 16 21 21 16 21"/><line x1="15" y1="15" x2="21" y2="21"/><line x1="4" y1="4" x2="9" y2="9"/>',
+    exit: '<line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/>'
+};
+
+/**
+ * Inline SVG for a control
+ * @param {string} name - Key of ICONS
+ * @returns {string}
+ */
+function icon(name) {
+    return `<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">${ICONS[name]}</svg>`;
+}
+
+class PresentationMode {
+    /**
+     * @param {Object} options
+     * @param {PhotoLightbox} options.lightbox - Lightbox whose open album is presented
+     * @param {number} options.interval - Milliseconds per photo (default 6000, at least 1000)
+     * @param {boolean} options.shuffle - Random order (default false)
+     * @param {boolean} options.loop - Start over after the last photo (default true)
+     * @param {string} options.transition - 'kenburns' (default) or 'crossfade'; always
+     *        crossfade when the viewer prefers reduced motion
+     * @param {boolean} options.caption - Show the photo title (default true)
+     * @param {boolean} options.qr - Show a QR code for the album (default false)
+     * @param {Function} options.qrUrl - (photo, albumId) => link for the QR code
+     *        (default: the album link, or the photo's deep link)
+     * @param {string|false} options.channel - BroadcastChannel name for remotes
+     *        (default 'dphoto-presentation'; false turns the remote off)
+     * @param {string|null} options.remotePage - Remote control page, linked from the
+     *        controls (default 'presentation-remote.html'; null to hide the link)
+     * @param {boolean} options.fullscreen - Go full screen on start (default true)
+     * @param {boolean} options.wakeLock - Keep the screen on (default true)
+     */
+    constructor(options = {}) {
+        this.lightbox = options.lightbox;
+        this.qrUrl = options.qrUrl || null;
+        this.useFullscreen = options.fullscreen !== false;
+        this.useWakeLock = options.wakeLock !== false;
+        this.settings = { ...PRESENTATION_DEFAULTS };
+        this.isActive = false;
+        this.isPlaying = false;
+        this.order = [];        // photo indices in presentation order
+        this.position = 0;      // place in this.order
+        this._front = 0;        // which of the two images is showing
+        this._token = 0;
+        this._timer = null;
+        this._idleTimer = null;
+        this._wakeLock = null;
+        this._enteredFullscreen = false;
+        this._returnFocus = null;
+
+        this.configure(options);
+        this._render();
+        this._bindEvents();
+
+        const channel = options.channel !== undefined ? options.channel : PRESENTATION_CHANNEL;
+        this.channel = channel && typeof BroadcastChannel !== 'undefined'
+            ? new BroadcastChannel(channel)
+            : null;
+        if (this.channel) {
+            this.channel.addEventListener('message', (e) => this._onRemoteMessage(e.data));
+        }
+
+        const remotePage = options.remotePage !== undefined ? options.remotePage : 'presentation-remote.html';
+        this.remoteLink.hidden = !this.channel || !remotePage;
+        if (!this.remoteLink.hidden) {
+            this.remoteLink.href = `${remotePage}?${new URLSearchParams({ channel })}`;
+        }
+    }
+
+    /**
+     * Create the stage inside the lightbox
+     */
+    _render() {
+        this.stage = document.createElement('div');
+        this.stage.className = 'dphoto-presentation';
+        this.stage.hidden = true;
+        this.stage.innerHTML = `
+            <img class="dphoto-presentation-image" alt="">
+            <img class="dphoto-presentation-image" alt="">
+            <div class="dphoto-presentation-caption">
+                <p class="dphoto-presentation-title"></p>
+                <p class="dphoto-presentation-album"></p>
+            </div>
+            <figure class="dphoto-presentation-qr" hidden>
+                <div class="dphoto-presentation-qr-code"></div>
+                <figcaption>Scan for the photos</figcaption>
+            </figure>
+            <div class="dphoto-presentation-controls" role="toolbar" aria-label="Presentation">
+                <button type="button" data-command="prev" aria-label="Previous photo">${icon('prev')}</button>
+                <button type="button" data-command="toggle" aria-label="Pause">
+                    <span class="dphoto-presentation-pause">${icon('pause')}</span>
+                    <span class="dphoto-presentation-play">${icon('play')}</span>
+                </button>
+                <button type="button" data-command="next" aria-label="Next photo">${icon('next')}</button>
+                <button type="button" data-command="shuffle" aria-label="Shuffle" aria-pressed="false">${icon('shuffle')}</button>
+                <a class="dphoto-presentation-remote" target="_blank" rel="noopener" aria-label="Open remote control" hidden>${icon('remote')}</a>
+                <button type="button" data-command="stop" aria-label="Exit presentation">${icon('exit')}</button>
+            </div>
+        `;
+
+        this.lightbox.container.appendChild(this.stage);
+
+        this.images = Array.from(this.stage.querySelectorAll('.dphoto-presentation-image'));
+        this.caption = this.stage.querySelector('.dphoto-presentation-caption');
+        this.titleText = this.stage.querySelector('.dphoto-presentation-title');
+        this.albumText = this.stage.querySelector('.dphoto-presentation-album');
+        this.qr = this.stage.querySelector('.dphoto-presentation-qr');
+        this.qrCode = this.stage.querySelector('.dphoto-presentation-qr-code');
+        this.toggleBtn = this.stage.querySelector('[data-command="toggle"]');
+        this.shuffleBtn = this.stage.querySelector('[data-command="shuffle"]');
+        this.remoteLink = this.stage.querySelector('.dphoto-presentation-remote');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.stage.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-command]');
+            if (button) this.command(button.dataset.command);
+        });
+
+        // Hide the controls and cursor while nobody is using them
+        // (styles.css keeps them up while one has keyboard focus)
+        const wake = () => {
+            this.stage.classList.remove('idle');
+            clearTimeout(this._idleTimer);
+            this._idleTimer = setTimeout(() => this.stage.classList.add('idle'), IDLE_MS);
+        };
+        this.stage.addEventListener('pointermove', wake);
+        this.stage.addEventListener('focusin', wake);
+
+        // Leaving full screen (Esc in most browsers) ends the presentation
+        this._onFullscreenChange = () => {
+            if (this._enteredFullscreen && !this._fullscreenElement()) {
+                this._enteredFullscreen = false;
+                this.stop();
+            }
+        };
+        document.addEventListener('fullscreenchange', this._onFullscreenChange);
+        document.addEventListener('webkitfullscreenchange', this._onFullscreenChange);
+
+        // The browser drops the wake lock when the tab is hidden
+        this._onVisibilityChange = () => {
+            if (this.isActive && document.visibilityState === 'visible' && !this._wakeLock) {
+                this._requestWakeLock();
+            }
+        };
+        document.addEventListener('visibilitychange', this._onVisibilityChange);
+    }
+
+    /**
+     * Start presenting the lightbox's open album from the current photo
+     * @param {Object} settings - Overrides, see configure()
+     */
+    start(settings = {}) {
+        const lightbox = this.lightbox;
+        if (!lightbox.isOpen || !lightbox.photos.length) return;
+
+        this.configure(settings);
+        if (!this.isActive) {
+            this._returnFocus = this._activeElement();
+        }
+
+        this.isActive = true;
+        this.isPlaying = true;
+        this._buildOrder(lightbox.currentIndex);
+        lightbox.container.classList.add('presenting');
+        this.stage.hidden = false;
+
+        if (this.useFullscreen) this._enterFullscreen();
+        if (this.useWakeLock) this._requestWakeLock();
+
+        this._show();
+        this.toggleBtn.focus();
+    }
+
+    /**
+     * Stop presenting and go back to the lightbox, on the photo last shown
+     */
+    stop() {
+        if (!this.isActive) return;
+
+        this.isActive = false;
+        this.isPlaying = false;
+        this._token++;
+        clearTimeout(this._timer);
+        clearTimeout(this._idleTimer);
+        this._timer = null;
+
+        this.lightbox.container.classList.remove('presenting');
+        this.stage.hidden = true;
+        this.stage.classList.remove('idle');
+        this.images.forEach(image => {
+            image.classList.remove('active', 'kenburns');
+            image.removeAttribute('src');
+        });
+
+        this._exitFullscreen();
+        this._releaseWakeLock();
+        this._broadcast();
+
+        if (this._returnFocus && this._returnFocus.focus && this.lightbox.isOpen) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Resume advancing
+     */
+    play() {
+        if (!this.isActive) return;
+        this.isPlaying = true;
+        this._schedule();
+        this._renderControls();
+        this._broadcast();
+    }
+
+    /**
+     * Stay on the current photo
+     */
+    pause() {
+        if (!this.isActive) return;
+        this.isPlaying = false;
+        this._schedule();
+        this._renderControls();
+        this._broadcast();
+    }
+
+    /**
+     * Play if paused, pause if playing
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Show the next photo now
+     */
+    next() {
+        this._step(1);
+    }
+
+    /**
+     * Show the previous photo now
+     */
+    prev() {
+        this._step(-1);
+    }
+
+    /**
+     * Run a control or remote command
+     * @param {string} name - 'play', 'pause', 'toggle', 'next', 'prev', 'shuffle' or 'stop'
+     */
+    command(name) {
+        switch (name) {
+            case 'play': this.play(); break;
+            case 'pause': this.pause(); break;
+            case 'toggle': this.toggle(); break;
+            case 'next': this.next(); break;
+            case 'prev': this.prev(); break;
+            case 'shuffle': this.configure({ shuffle: !this.settings.shuffle }); break;
+            case 'stop': this.stop(); break;
+        }
+    }
+
+    /**
+     * Change settings, also while presenting. Invalid values are ignored.
+     * @param {Object} settings - { interval, shuffle, loop, transition, caption, qr }
+     */
+    configure(settings = {}) {
+        const next = { ...this.settings };
+        if (Number.isFinite(settings.interval)) {
+            next.interval = Math.max(MIN_INTERVAL, settings.interval);
+        }
+        ['shuffle', 'loop', 'caption', 'qr'].forEach(key => {
+            if (typeof settings[key] === 'boolean') next[key] = settings[key];
+        });
+        if (PRESENTATION_TRANSITIONS.includes(settings.transition)) {
+            next.transition = settings.transition;
+        }
+
+        const reorder = next.shuffle !== this.settings.shuffle;
+        const retime = next.interval !== this.settings.interval;
+        this.settings = next;
+
+        if (!this.isActive) return;
+
+        if (reorder) this._buildOrder(this.order[this.position]);
+        if (retime) this._schedule();
+        this._renderOverlays();
+        this._renderControls();
+        this._broadcast();
+    }
+
+    /**
+     * What a remote needs to show
+     * @returns {Object} - { active, playing, index, position, count, title, album, ...settings }
+     */
+    getState() {
+        const index = this.isActive ? this.order[this.position] : this.lightbox.currentIndex;
+        const photo = this.lightbox.photos[index];
+        return {
+            active: this.isActive,
+            playing: this.isPlaying,
+            index: index,
+            position: this.position,
+            count: this.lightbox.photos.length,
+            title: photo ? photo.title || '' : '',
+            album: photo ? photo.album || '' : '',
+            ...this.settings
+        };
+    }
+
+    /**
+     * Keys while presenting: arrows step, Space plays/pauses, Escape stops
+     * @param {KeyboardEvent} e
+     * @returns {boolean} - Whether the key was handled
+     */
+    handleKey(e) {
+        if (!this.isActive) return false;
+
+        // Let Space and Enter press a focused control
+        const onButton = e.target && e.target.closest && e.target.closest('button');
+        switch (e.key) {
+            case 'Escape':
+                this.stop();
+                return true;
+            case 'ArrowLeft':
+                this.prev();
+                return true;
+            case 'ArrowRight':
+                this.next();
+                return true;
+            case ' ':
+                if (onButton) return false;
+                e.preventDefault();
+                this.toggle();
+                return true;
+        }
+        return false;
+    }
+
+    /**
+     * Remove the stage and its page listeners, and close the remote channel
+     */
+    destroy() {
+        this.stop();
+        document.removeEventListener('fullscreenchange', this._onFullscreenChange);
+        document.removeEventListener('webkitfullscreenchange', this._onFullscreenChange);
+        document.removeEventListener('visibilitychange', this._onVisibilityChange);
+        if (this.channel) this.channel.close();
+        this.stage.remove();
+    }
+
+    /**
+     * Photo order for the presentation. Shuffled orders start from the
+     * given photo and visit every other photo once.
+     * @param {number} startIndex - Photo to begin with (null for any)
+     */
+    _buildOrder(startIndex) {
+        const count = this.lightbox.photos.length;
+        const indices = Array.from({ length: count }, (_, index) => index);
+
+        if (!this.settings.shuffle) {
+            this.order = indices;
+            this.position = Math.max(0, indices.indexOf(startIndex));
+            return;
+        }
+
+        // Fisher-Yates
+        for (let i = indices.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [indices[i], indices[j]] = [indices[j], indices[i]];
+        }
+        if (startIndex !== null && startIndex !== undefined && indices.includes(startIndex)) {
+            indices.splice(indices.indexOf(startIndex), 1);
+            indices.unshift(startIndex);
+        }
+        this.order = indices;
+        this.position = 0;
+    }
+
+    /**
+     * Move through the order by hand, restarting the timer
+     * @param {number} direction - 1 or -1
+     */
+    _step(direction) {
+        if (!this.isActive) return;
+
+        const last = this.order.length - 1;
+        let position = this.position + direction;
+        if (position < 0 || position > last) {
+            if (!this.settings.loop) return;
+            position = position < 0 ? last : 0;
+        }
+        this.position = position;
+        this._show();
+    }
+
+    /**
+     * Timer step: the next photo, starting over (reshuffled) at the end,
+     * or pausing on the last photo without loop
+     */
+    _advance() {
+        if (this.position < this.order.length - 1) {
+            this.position++;
+        } else if (this.settings.loop) {
+            if (this.settings.shuffle) {
+                this._buildOrder(null);
+            } else {
+                this.position = 0;
+            }
+        } else {
+            this.pause();
+            return;
+        }
+        this._show();
+    }
+
+    /**
+     * Show the photo at the current position. The lightbox follows along,
+     * so views, deep links and the live region stay up to date.
+     */
+    _show() {
+        const lightbox = this.lightbox;
+        const index = this.order[this.position];
+        const photo = lightbox.photos[index];
+        if (!photo) return;
+
+        const token = ++this._token;
+        clearTimeout(this._timer);
+        this._timer = null;
+        lightbox.goTo(index);
+        this._renderOverlays();
+        this._renderControls();
+        this._broadcast();
+
+        lightbox.loadPhoto(photo)
+            .then(img => {
+                if (token !== this._token) return;
+                this._swap(img.src, photo);
+            })
+            .catch(error => {
+                if (token !== this._token || error.name === 'AbortError') return;
+                console.warn('Presentation skipped a photo:', error.message);
+            })
+            .then(() => {
+                if (token !== this._token) return;
+                this._schedule();
+
+                // Have the next one decoded before it's due
+                const upcoming = lightbox.photos[this.order[this.position + 1]];
+                if (upcoming) lightbox.loadPhoto(upcoming).catch(() => {});
+            });
+    }
+
+    /**
+     * Crossfade to a new image, zooming it slowly with Ken Burns
+     * @param {string} src - Image URL
+     * @param {Object} photo - Photo object
+     */
+    _swap(src, photo) {
+        const front = this.images[this._front];
+        const back = this.images[1 - this._front];
+
+        back.src = src;
+        back.alt = photoAltText(photo);
+        back.classList.remove('kenburns');
+        if (this._transition() === 'kenburns') {
+            // Restart the zoom; it lasts the whole time the photo is up
+            void back.offsetWidth;
+            back.style.setProperty('--dphoto-kenburns-duration', `${this.settings.interval + FADE_MS}ms`);
+            back.classList.toggle('kenburns-alt', this.position % 2 === 1);
+            back.classList.add('kenburns');
+        }
+        back.classList.add('active');
+        front.classList.remove('active');
+        this._front = 1 - this._front;
+    }
+
+    /**
+     * Ken Burns, unless the viewer prefers reduced motion
+     * @returns {string}
+     */
+    _transition() {
+        const reduce = typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+        return reduce ? 'crossfade' : this.settings.transition;
+    }
+
+    /**
+     * (Re)start the timer for the photo on screen
+     */
+    _schedule() {
+        clearTimeout(this._timer);
+        this._timer = null;
+        if (this.isActive && this.isPlaying) {
+            this._timer = setTimeout(() => this._advance(), this.settings.interval);
+        }
+    }
+
+    /**
+     * Fill the caption and QR code for the current photo
+     */
+    _renderOverlays() {
+        const index = this.order[this.position];
+        const photo = this.lightbox.photos[index];
+        if (!photo) return;
+
+        this.caption.hidden = !this.settings.caption || !photo.title;
+        this.titleText.textContent = photo.title || '';
+        this.albumText.textContent = photo.album && photo.album !== photo.title ? photo.album : '';
+
+        const url = this.settings.qr ? this._qrLink(photo) : null;
+        this.qr.hidden = !url;
+        if (url && url !== this.qrCode.dataset.url) {
+            try {
+                this.qrCode.innerHTML = QrCode.encode(url, { ecLevel: 'M' }).toSvg({ title: `QR code for ${url}` });
+                this.qrCode.dataset.url = url;
+            } catch (error) {
+                // Too long to encode; leave the overlay off
+                this.qr.hidden = true;
+            }
+        }
+    }
+
+    /**
+     * Link for the QR overlay
+     * @param {Object} photo - Photo object
+     * @returns {string|null}
+     */
+    _qrLink(photo) {
+        if (this.qrUrl) return this.qrUrl(photo, this.lightbox.albumId);
+        return photo.albumUrl || this.lightbox.getShareUrl() || null;
+    }
+
+    /**
+     * Update the play/pause and shuffle buttons
+     */
+    _renderControls() {
+        this.stage.classList.toggle('paused', !this.isPlaying);
+        this.toggleBtn.setAttribute('aria-label', this.isPlaying ? 'Pause' : 'Play');
+        this.shuffleBtn.setAttribute('aria-pressed', String(this.settings.shuffle));
+    }
+
+    /**
+     * Tell remotes what's on screen
+     */
+    _broadcast() {
+        if (this.channel) {
+            this.channel.postMessage({ type: 'state', state: this.getState() });
+        }
+    }
+
+    /**
+     * Handle a message from presentation-remote.html
+     * @param {Object} message - { type: 'hello' }, { type: 'command', command }
+     *        or { type: 'settings', settings }
+     */
+    _onRemoteMessage(message) {
+        if (!message || !this.isActive) return;
+
+        if (message.type === 'hello') {
+            this._broadcast();
+        } else if (message.type === 'command') {
+            this.command(message.command);
+        } else if (message.type === 'settings') {
+            this.configure(message.settings);
+        }
+    }
+
+    /**
+     * Full screen for the lightbox. Browsers only allow it from a click or
+     * key press, so a start from the remote stays in the window.
+     */
+    _enterFullscreen() {
+        const container = this.lightbox.container;
+        const request = container.requestFullscreen || container.webkitRequestFullscreen;
+        if (!request || this._fullscreenElement()) return;
+
+        Promise.resolve(request.call(container))
+            .then(() => {
+                this._enteredFullscreen = true;
+            })
+            .catch(error => console.warn('Could not go full screen:', error.message));
+    }
+
+    /**
+     * Leave full screen, if the presentation went into it
+     */
+    _exitFullscreen() {
+        if (!this._enteredFullscreen) return;
+        this._enteredFullscreen = false;
+
+        const exit = document.exitFullscreen || document.webkitExitFullscreen;
+        if (exit && this._fullscreenElement()) {
+            Promise.resolve(exit.call(document)).catch(() => {});
+        }
+    }
+
+    /**
+     * @returns {Element|null}
+     */
+    _fullscreenElement() {
+        return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    /**
+     * Keep the screen on while presenting
+     */
+    async _requestWakeLock() {
+        if (!navigator.wakeLock) return;
+
+        try {
+            const lock = await navigator.wakeLock.request('screen');
+            if (!this.isActive) {
+                lock.release();
+                return;
+            }
+            this._wakeLock = lock;
+            lock.addEventListener('release', () => {
+                if (this._wakeLock === lock) this._wakeLock = null;
+            });
+        } catch (error) {
+            console.warn('Could not keep the screen on:', error.message);
+        }
+    }
+
+    /**
+     * Let the screen sleep again
+     */
+    _releaseWakeLock() {
+        if (this._wakeLock) {
+            this._wakeLock.release().catch(() => {});
+            this._wakeLock = null;
+        }
+    }
+
+    /**
+     * The focused element, looking inside the shadow root the lightbox may be in
+     * @returns {Element|null}
+     */
+    _activeElement() {
+        return this.stage.getRootNode().activeElement || document.activeElement;
+    }
+}
+
+/**
+ * Remote control for a presentation in another tab of the same site
+ */
+class PresentationRemote {
+    /**
+     * @param {Object} options
+     * @param {string} options.channel - BroadcastChannel name (default 'dphoto-presentation')
+     */
+    constructor(options = {}) {
+        this.channel = new BroadcastChannel(options.channel || PRESENTATION_CHANNEL);
+        this.state = null;          // last state a presentation reported
+        this._listeners = new Set();
+
+        this.channel.addEventListener('message', (e) => {
+            if (!e.data || e.data.type !== 'state') return;
+            this.state = e.data.state;
+            this._listeners.forEach(listener => listener(this.state));
+        });
+    }
+
+    /**
+     * Listen for presentation state
+     * @param {Function} listener - Called with getState() of the presentation
+     * @returns {Function} - Unsubscribe
+     */
+    on(listener) {
+        this._listeners.add(listener);
+        return () => this._listeners.delete(listener);
+    }
+
+    /**
+     * Ask running presentations for their state
+     */
+    refresh() {
+        this.channel.postMessage({ type: 'hello' });
+    }
+
+    /**
+     * Send a command
+     * @param {string} command - See PresentationMode#command
+     */
+    send(command) {
+        this.channel.postMessage({ type: 'command', command });
+    }
+
+    /**
+     * Change settings
+     * @param {Object} settings - See PresentationMode#configure
+     */
+    configure(settings) {
+        this.channel.postMessage({ type: 'settings', settings });
+    }
+
+    /**
+     * Stop listening
+     */
+    close() {
+        this.channel.close();
+        this._listeners.clear();
+    }
+}
+
+// Export for use
+export {
+    PresentationMode,
+    PresentationRemote,
+    PRESENTATION_DEFAULTS
+};
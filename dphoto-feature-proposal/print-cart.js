@@ -0,0 +1,479 @@
+/**
+ * DPHOTO PRINT CART MODULE
+ * ========================
+ *
+ * Prints, canvases and full-resolution downloads for sale: the price
+ * list (data/prints.json), the visitor's cart and the maths for fitting
+ * a photo to a print size.
+ *
+ * Usage:
+ *   const priceList = await new PrintPriceList().load();
+ *   const cart = await new PrintCart().load();
+ *   cart.add(photo, 'print-8x10', { quantity: 2, crop: { x: 0.5, y: 0.3 } });
+ *   const { lines, total } = priceList.quote(cart.getItems());
+ *
+ * Features:
+ * - Price list from JSON, so prices change without touching code
+ * - Cart kept in localStorage, so it survives reloads and closed tabs
+ * - Same photo, size and crop on one line, with a quantity
+ * - printCrop(): how much of a photo a print size trims, and where
+ *
+ * Prices are whole cents, so totals add up exactly.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const PRODUCT_TYPES = ['print', 'canvas', 'digital'];
+
+const PRODUCT_FIELDS = {
+    id: 'string',
+    type: 'string',
+    label: 'string',
+    price: 'number'
+};
+
+const MAX_QUANTITY = 99;
+
+// Trimming more than this share of the photo gets a warning
+const CROP_WARNING = 0.15;
+
+// Below this many pixels per inch, prints look soft
+const MIN_PPI = 150;
+
+// Photo fields kept in the cart (what the dialogs and checkout use)
+const PHOTO_FIELDS = ['id', 'imageUrl', 'title', 'albumUrl', 'album', 'width', 'height'];
+
+class PrintPriceList {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - Price list URL (default 'data/prints.json')
+     * @param {Object} options.config - Price list object to use instead of fetching one
+     */
+    constructor(options = {}) {
+        this.url = options.url || 'data/prints.json';
+        this.currency = 'USD';
+        this.products = [];
+        this.shipping = { price: 0, freeOver: null };
+        this.errors = [];
+        this._config = options.config || null;
+    }
+
+    /**
+     * Fetch and read the price list. Never rejects: without one,
+     * nothing is for sale.
+     * @returns {Promise<PrintPriceList>}
+     */
+    async load() {
+        try {
+            let config = this._config;
+            if (!config) {
+                const response = await fetch(this.url);
+                if (!response.ok) {
+                    throw new Error(`Failed to load price list: ${response.status}`);
+                }
+                config = await response.json();
+            }
+            this.setConfig(config);
+        } catch (error) {
+            console.warn(`No price list at ${this.url}; prints are not for sale:`, error.message);
+        }
+        return this;
+    }
+
+    /**
+     * Replace the price list. Malformed products are skipped and
+     * recorded in this.errors.
+     * @param {Object} config - { currency, shipping: { price, freeOver }, products: [] }
+     */
+    setConfig(config) {
+        this.errors = [];
+        this.currency = config.currency || 'USD';
+        this.shipping = {
+            price: Number.isInteger(config.shipping && config.shipping.price) ? config.shipping.price : 0,
+            freeOver: Number.isInteger(config.shipping && config.shipping.freeOver) ? config.shipping.freeOver : null
+        };
+        const ids = new Set();
+        this.products = (config.products || []).filter((product, index) => {
+            let problem = this._validate(product);
+            if (!problem && ids.has(product.id)) problem = `duplicate id "${product.id}"`;
+            if (problem) {
+                this.errors.push({ index, id: product && product.id, problem });
+                console.warn(`Skipping price list entry ${index}: ${problem}`);
+            }
+            ids.add(product && product.id);
+            return !problem;
+        });
+    }
+
+    /**
+     * Whether anything is for sale
+     * @returns {boolean}
+     */
+    get isAvailable() {
+        return this.products.length > 0;
+    }
+
+    /**
+     * Look up a product
+     * @param {string} id - Product id
+     * @returns {Object|undefined}
+     */
+    get(id) {
+        return this.products.find(product => product.id === id);
+    }
+
+    /**
+     * Most copies of a product one line can have (digital files: 1)
+     * @param {Object} product - Price list product
+     * @returns {number}
+     */
+    maxQuantity(product) {
+        return product.maxQuantity || (product.type === 'digital' ? 1 : MAX_QUANTITY);
+    }
+
+    /**
+     * "$15.00"
+     * @param {number} cents - Amount in cents
+     * @returns {string}
+     */
+    format(cents) {
+        return new Intl.NumberFormat(undefined, { style: 'currency', currency: this.currency }).format(cents / 100);
+    }
+
+    /**
+     * Price a list of cart items. Items whose product was taken off the
+     * price list are returned as unavailable and left out of the total.
+     * @param {Object[]} items - Cart items
+     * @returns {Object} - { lines: [{ item, product, unitPrice, total, available }],
+     *          subtotal, shipping, total, currency }
+     */
+    quote(items) {
+        const lines = items.map(item => {
+            const product = this.get(item.productId);
+            if (!product) {
+                return { item, product: null, unitPrice: 0, total: 0, available: false };
+            }
+            const quantity = Math.min(item.quantity, this.maxQuantity(product));
+            return { item, product, unitPrice: product.price, total: product.price * quantity, available: true };
+        });
+
+        const subtotal = lines.reduce((sum, line) => sum + line.total, 0);
+        // Only prints and canvases are posted
+        const posted = lines.some(line => line.product && line.product.type !== 'digital');
+        const free = this.shipping.freeOver !== null && subtotal >= this.shipping.freeOver;
+        const shipping = posted && !free ? this.shipping.price : 0;
+
+        return { lines, subtotal, shipping, total: subtotal + shipping, currency: this.currency };
+    }
+
+    /**
+     * Why a product entry can't be used, if it can't
+     * @param {Object} product - Price list entry
+     * @returns {string|null}
+     */
+    _validate(product) {
+        if (!product || typeof product !== 'object') return 'not an object';
+
+        for (const [field, type] of Object.entries(PRODUCT_FIELDS)) {
+            if (typeof product[field] !== type) return `missing or invalid "${field}"`;
+        }
+        if (!PRODUCT_TYPES.includes(product.type)) return `unknown type "${product.type}"`;
+        if (!Number.isInteger(product.price) || product.price < 0) return 'price must be whole cents';
+        if (product.type !== 'digital' && !(product.width > 0 && product.height > 0)) {
+            return 'prints need a width and height in inches';
+        }
+        return null;
+    }
+}
+
+class PrintCart {
+    /**
+     * @param {Object} options
+     * @param {string} options.storageKey - localStorage key (default 'dphoto-print-cart')
+     * @param {Storage} options.storage - Storage to use (default window.localStorage)
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'dphoto-print-cart';
+        this.storage = options.storage !== undefined ? options.storage : _localStorage();
+        this.items = [];
+        this._listeners = new Set();
+    }
+
+    /**
+     * Read the saved cart. Never rejects.
+     * @returns {Promise<PrintCart>}
+     */
+    async load() {
+        try {
+            const saved = this.storage && JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+            this.items = Array.isArray(saved) ? saved.filter(_isCartItem) : [];
+        } catch (error) {
+            console.warn('Could not read the print cart:', error.message);
+            this.items = [];
+        }
+        return this;
+    }
+
+    /**
+     * Listen for changes
+     * @param {Function} handler - Called with the cart items
+     * @returns {Function} - Removes the listener
+     */
+    on(handler) {
+        this._listeners.add(handler);
+        return () => this._listeners.delete(handler);
+    }
+
+    /**
+     * Items in the order they were added
+     * @returns {Object[]} - { id, photo, productId, quantity, crop, addedAt }
+     */
+    getItems() {
+        return this.items.slice();
+    }
+
+    /**
+     * Number of copies in the cart
+     * @returns {number}
+     */
+    get count() {
+        return this.items.reduce((sum, item) => sum + item.quantity, 0);
+    }
+
+    /**
+     * Add copies of a photo. The same photo, product and crop add up on one line.
+     * @param {Object} photo - Lightbox photo object
+     * @param {string} productId - Price list product id
+     * @param {Object} options
+     * @param {number} options.quantity - Copies (default 1)
+     * @param {Object|null} options.crop - Crop center, { x, y } from 0 to 1 (default: the middle)
+     * @param {number} options.maxQuantity - Most copies on the line (default 99)
+     * @returns {Object} - The cart item
+     */
+    add(photo, productId, options = {}) {
+        if (!photo || !photo.id || !productId) {
+            throw new Error('Choose a photo and a size');
+        }
+
+        const max = options.maxQuantity || MAX_QUANTITY;
+        const crop = options.crop ? { x: _clamp(options.crop.x), y: _clamp(options.crop.y) } : null;
+        const existing = this.items.find(item =>
+            item.photo.id === photo.id && item.productId === productId && _sameCrop(item.crop, crop)
+        );
+
+        if (existing) {
+            existing.quantity = _quantity(existing.quantity + (options.quantity || 1), max);
+            this._save();
+            return existing;
+        }
+
+        const item = {
+            id: this._newId(),
+            photo: toCartPhoto(photo),
+            productId,
+            quantity: _quantity(options.quantity || 1, max),
+            crop,
+            addedAt: Date.now()
+        };
+        this.items.push(item);
+        this._save();
+        return item;
+    }
+
+    /**
+     * Change a line's quantity or crop
+     * @param {string} itemId - Cart item id
+     * @param {Object} changes - { quantity, crop, maxQuantity }
+     * @returns {Object} - The cart item
+     */
+    update(itemId, changes = {}) {
+        const item = this.items.find(candidate => candidate.id === itemId);
+        if (!item) {
+            throw new Error(`Unknown cart item: ${itemId}`);
+        }
+
+        if (changes.quantity !== undefined) {
+            item.quantity = _quantity(changes.quantity, changes.maxQuantity || MAX_QUANTITY);
+        }
+        if (changes.crop !== undefined) {
+            item.crop = changes.crop ? { x: _clamp(changes.crop.x), y: _clamp(changes.crop.y) } : null;
+        }
+        this._save();
+        return item;
+    }
+
+    /**
+     * Take a line out of the cart
+     * @param {string} itemId - Cart item id
+     */
+    remove(itemId) {
+        this.items = this.items.filter(item => item.id !== itemId);
+        this._save();
+    }
+
+    /**
+     * Empty the cart, e.g. after an order is placed
+     */
+    clear() {
+        this.items = [];
+        this._save();
+    }
+
+    /**
+     * Store the cart and tell listeners. A full or blocked storage is
+     * logged; the cart in memory stays current.
+     */
+    _save() {
+        if (this.storage) {
+            try {
+                if (this.items.length) {
+                    this.storage.setItem(this.storageKey, JSON.stringify(this.items));
+                } else {
+                    this.storage.removeItem(this.storageKey);
+                }
+            } catch (error) {
+                console.error('Could not save the print cart:', error);
+            }
+        }
+        const items = this.getItems();
+        this._listeners.forEach(handler => handler(items));
+    }
+
+    /**
+     * A cart item id that isn't taken
+     * @returns {string}
+     */
+    _newId() {
+        let id;
+        do {
+            id = `i${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        } while (this.items.some(item => item.id === id));
+        return id;
+    }
+}
+
+/**
+ * How a photo fits a print. The print turns to match the photo
+ * (a 4×6 print of a portrait photo is 4 wide, 6 tall), and the photo is
+ * cropped to the print's shape around the crop center.
+ *
+ * @param {number} width - Photo width in pixels
+ * @param {number} height - Photo height in pixels
+ * @param {Object} product - Price list product ({ width, height } in inches)
+ * @param {Object|null} crop - Crop center, { x, y } from 0 to 1 (default: the middle)
+ * @returns {Object} - { printWidth, printHeight, box, trimmed, trimSides, warning, ppi, soft }
+ *          where box is the kept part of the photo as fractions ({ x, y, width, height }),
+ *          trimmed the share of the photo cut off, trimSides 'sides', 'top and bottom' or null,
+ *          and soft whether there are too few pixels for the size
+ */
+function printCrop(width, height, product, crop = null) {
+    const center = { x: crop ? _clamp(crop.x) : 0.5, y: crop ? _clamp(crop.y) : 0.5 };
+    const long = Math.max(product.width, product.height);
+    const short = Math.min(product.width, product.height);
+    const landscape = width >= height;
+    const printWidth = landscape ? long : short;
+    const printHeight = landscape ? short : long;
+
+    const photoAspect = width / height;
+    const printAspect = printWidth / printHeight;
+    const box = { x: 0, y: 0, width: 1, height: 1 };
+    let trimSides = null;
+
+    if (photoAspect > printAspect + 1e-3) {
+        // Wider than the print: trim the sides
+        box.width = printAspect / photoAspect;
+        box.x = _clamp(center.x - box.width / 2, 0, 1 - box.width);
+        trimSides = 'sides';
+    } else if (photoAspect < printAspect - 1e-3) {
+        box.height = photoAspect / printAspect;
+        box.y = _clamp(center.y - box.height / 2, 0, 1 - box.height);
+        trimSides = 'top and bottom';
+    }
+
+    const trimmed = 1 - box.width * box.height;
+    const ppi = Math.round(Math.min(width * box.width / printWidth, height * box.height / printHeight));
+
+    return {
+        printWidth,
+        printHeight,
+        box,
+        trimmed,
+        trimSides,
+        warning: trimmed > CROP_WARNING,
+        ppi,
+        soft: ppi < MIN_PPI
+    };
+}
+
+/**
+ * The parts of a lightbox photo worth keeping in the cart
+ * @param {Object} photo - Lightbox photo object
+ * @returns {Object}
+ */
+function toCartPhoto(photo) {
+    const saved = {};
+    PHOTO_FIELDS.forEach(field => {
+        if (photo[field] !== undefined) saved[field] = photo[field];
+    });
+    return saved;
+}
+
+/**
+ * Whether a saved entry looks like a cart item (storage can be edited by hand)
+ * @param {*} item - Saved entry
+ * @returns {boolean}
+ */
+function _isCartItem(item) {
+    return Boolean(item && typeof item.id === 'string' && typeof item.productId === 'string' &&
+        item.photo && typeof item.photo.id === 'string' && Number.isInteger(item.quantity) && item.quantity > 0);
+}
+
+/**
+ * Whether two crop centers are the same (both null counts)
+ * @param {Object|null} a - { x, y }
+ * @param {Object|null} b - { x, y }
+ * @returns {boolean}
+ */
+function _sameCrop(a, b) {
+    if (!a || !b) return !a && !b;
+    return Math.abs(a.x - b.x) < 0.005 && Math.abs(a.y - b.y) < 0.005;
+}
+
+/**
+ * A whole number of copies between 1 and max
+ * @param {*} value - Requested quantity
+ * @param {number} max - Most copies allowed
+ * @returns {number}
+ */
+function _quantity(value, max) {
+    const quantity = Math.round(Number(value));
+    return Number.isFinite(quantity) ? Math.min(Math.max(quantity, 1), max) : 1;
+}
+
+/**
+ * Keep a number in a range (default 0 to 1)
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function _clamp(value, min = 0, max = 1) {
+    const number = Number.isFinite(value) ? value : 0.5;
+    return Math.min(Math.max(number, min), max);
+}
+
+/**
+ * window.localStorage, or null where it's blocked
+ * @returns {Storage|null}
+ */
+function _localStorage() {
+    try {
+        return window.localStorage;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Export for use
+export { PrintPriceList, PrintCart, printCrop, PRODUCT_TYPES };
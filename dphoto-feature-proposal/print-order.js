@@ -0,0 +1,436 @@
+/**
+ * DPHOTO PRINT ORDER MODULE
+ * =========================
+ *
+ * "Order print" dialog for one photo: pick a size, canvas or digital
+ * file, see how the photo fits the print, and add it to the cart.
+ *
+ * Usage:
+ *   const dialog = new PrintOrderDialog({ priceList, cart });
+ *   dialog.open(photo);
+ *
+ * Features:
+ * - Products from the price list, grouped as prints, canvas and digital
+ * - Crop preview: the part of the photo the print keeps, dragged (or moved
+ *   with the arrow keys) to choose what stays
+ * - Warns when a size trims a lot of the photo and names the size that fits best
+ * - Warns when a photo has too few pixels for a big print
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+import { photoAltText } from './photo-metadata.js';
+import { showToast } from './share-buttons.js';
+import { printCrop } from './print-cart.js';
+
+const PRODUCT_GROUPS = [
+    { type: 'print', label: 'Prints' },
+    { type: 'canvas', label: 'Canvas' },
+    { type: 'digital', label: 'Digital' }
+];
+
+// Arrow keys move the crop by this share of the photo
+const CROP_STEP = 0.05;
+
+class PrintOrderDialog {
+    /**
+     * @param {Object} options
+     * @param {PrintPriceList} options.priceList - Products and prices
+     * @param {PrintCart} options.cart - Where orders go
+     * @param {ImageUrlResolver} options.resolver - Refreshes expiring image URLs (optional)
+     * @param {Function} options.onAdded - Called with (item, product) after adding to the cart
+     * @param {Function} options.onViewCart - Shows the cart; adds a "View cart" button (optional)
+     * @param {Node} options.parent - Where to add the dialog (default document.body)
+     */
+    constructor(options = {}) {
+        this.priceList = options.priceList;
+        this.cart = options.cart;
+        this.resolver = options.resolver || null;
+        this.onAdded = options.onAdded || null;
+        this.onViewCart = options.onViewCart || null;
+        this.parent = options.parent || document.body;
+        this.isOpen = false;
+        this.photo = null;
+        this.product = null;
+        this.crop = null;          // crop center, { x, y }
+        this._size = null;         // photo size in pixels, once known
+        this._knownSize = false;   // whether _size is the full photo, not the preview
+        this._drag = null;
+        this._returnFocus = null;
+
+        this._render();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the dialog
+     */
+    _render() {
+        this.container = document.createElement('div');
+        this.container.className = 'dphoto-print';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <div class="dphoto-print-overlay" data-action="close"></div>
+            <div class="dphoto-print-dialog" role="dialog" aria-modal="true" aria-labelledby="dphoto-print-title">
+                <div class="dphoto-print-header">
+                    <h2 class="dphoto-print-title" id="dphoto-print-title">Order a print</h2>
+                    <button class="dphoto-print-close" type="button" data-action="close" aria-label="Close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <p class="dphoto-print-subtitle"></p>
+                <div class="dphoto-print-preview">
+                    <div class="dphoto-print-crop" tabindex="0" role="group"
+                        aria-label="Print crop. Drag, or use the arrow keys, to choose what stays in the print."></div>
+                </div>
+                <p class="dphoto-print-fit" aria-live="polite"></p>
+                <form class="dphoto-print-form">
+                    <div class="dphoto-print-products"></div>
+                    <label class="dphoto-print-quantity">
+                        Quantity
+                        <input type="number" name="quantity" min="1" max="99" value="1" inputmode="numeric">
+                    </label>
+                    <div class="dphoto-print-footer">
+                        <span class="dphoto-print-total"></span>
+                        <button class="dphoto-btn" type="button" data-action="view-cart" hidden>View cart</button>
+                        <button class="dphoto-btn dphoto-btn-download" type="submit">Add to cart</button>
+                    </div>
+                </form>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.subtitle = this.container.querySelector('.dphoto-print-subtitle');
+        this.preview = this.container.querySelector('.dphoto-print-preview');
+        this.cropBox = this.container.querySelector('.dphoto-print-crop');
+        this.fit = this.container.querySelector('.dphoto-print-fit');
+        this.form = this.container.querySelector('.dphoto-print-form');
+        this.productsEl = this.container.querySelector('.dphoto-print-products');
+        this.quantityLabel = this.container.querySelector('.dphoto-print-quantity');
+        this.quantityInput = this.form.elements.quantity;
+        this.total = this.container.querySelector('.dphoto-print-total');
+        this.container.querySelector('[data-action="view-cart"]').hidden = !this.onViewCart;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'close') {
+                this.close();
+            } else if (button.dataset.action === 'view-cart') {
+                this.close();
+                this.onViewCart();
+            }
+        });
+
+        this.form.addEventListener('change', (e) => {
+            if (e.target.name === 'product') {
+                this._selectProduct(e.target.value);
+            } else {
+                this._update();
+            }
+        });
+        this.quantityInput.addEventListener('input', () => this._update());
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this._addToCart();
+        });
+
+        // Keys typed here shouldn't reach the lightbox underneath
+        this.container.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+
+        this.cropBox.addEventListener('keydown', (e) => {
+            const moves = {
+                ArrowLeft: [-CROP_STEP, 0],
+                ArrowRight: [CROP_STEP, 0],
+                ArrowUp: [0, -CROP_STEP],
+                ArrowDown: [0, CROP_STEP]
+            };
+            if (!moves[e.key]) return;
+
+            e.preventDefault();
+            this._moveCrop(moves[e.key][0], moves[e.key][1]);
+        });
+
+        this.cropBox.addEventListener('pointerdown', (e) => {
+            e.preventDefault();
+            this.cropBox.setPointerCapture(e.pointerId);
+            this._drag = { x: e.clientX, y: e.clientY };
+        });
+
+        this.cropBox.addEventListener('pointermove', (e) => {
+            if (!this._drag) return;
+
+            const rect = this.preview.getBoundingClientRect();
+            if (!rect.width || !rect.height) return;
+            this._moveCrop((e.clientX - this._drag.x) / rect.width, (e.clientY - this._drag.y) / rect.height);
+            this._drag = { x: e.clientX, y: e.clientY };
+        });
+
+        const endDrag = () => {
+            this._drag = null;
+        };
+        this.cropBox.addEventListener('pointerup', endDrag);
+        this.cropBox.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * Show the dialog for a photo
+     * @param {Object} photo - Lightbox photo object
+     * @param {Object} options
+     * @param {string} options.productId - Product to start with (default: the first)
+     */
+    open(photo, options = {}) {
+        if (!this.priceList.isAvailable) {
+            showToast('Prints can\'t be ordered right now');
+            return;
+        }
+
+        if (!this.isOpen) {
+            this._returnFocus = document.activeElement;
+        }
+        this.isOpen = true;
+        this.photo = photo;
+        this.crop = null;
+        this._knownSize = photo.width > 0 && photo.height > 0;
+        this._size = this._knownSize ? { width: photo.width, height: photo.height } : null;
+
+        this.subtitle.textContent = [photo.title, photo.album].filter(Boolean).join(' · ');
+        this.quantityInput.value = '1';
+        this._renderImage();
+        this._renderProducts();
+
+        const product = this.priceList.get(options.productId) || this.priceList.products[0];
+        const radio = Array.from(this.form.elements.product).find(input => input.value === product.id);
+        radio.checked = true;
+        this._selectProduct(product.id);
+
+        this.container.hidden = false;
+        radio.focus();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        this._drag = null;
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Remove the dialog
+     */
+    destroy() {
+        this.container.remove();
+    }
+
+    /**
+     * Put the photo in the preview. A new <img> each time, so the
+     * resolver's listeners don't pile up on one element.
+     */
+    _renderImage() {
+        const old = this.preview.querySelector('img');
+        if (old) old.remove();
+
+        const img = document.createElement('img');
+        img.className = 'dphoto-print-image';
+        img.alt = photoAltText(this.photo);
+        img.draggable = false;
+        img.addEventListener('load', () => {
+            if (img !== this.preview.querySelector('img') || this._knownSize) return;
+            this._size = { width: img.naturalWidth, height: img.naturalHeight };
+            this._update();
+        });
+        this.preview.insertBefore(img, this.cropBox);
+
+        img.src = this.photo.imageUrl;
+        if (this.resolver) {
+            this.resolver.bindImage(img, this.photo, 'medium');
+        }
+    }
+
+    /**
+     * One radio button per product, grouped by type
+     */
+    _renderProducts() {
+        this.productsEl.innerHTML = PRODUCT_GROUPS.map(group => {
+            const products = this.priceList.products.filter(product => product.type === group.type);
+            if (!products.length) return '';
+
+            return `
+                <fieldset class="dphoto-print-group">
+                    <legend>${escapeHtml(group.label)}</legend>
+                    ${products.map(product => `
+                        <label class="dphoto-print-option">
+                            <input type="radio" name="product" value="${escapeHtml(product.id)}">
+                            <span class="dphoto-print-option-label">${escapeHtml(product.label)}</span>
+                            <span class="dphoto-print-option-price">${escapeHtml(this.priceList.format(product.price))}</span>
+                        </label>
+                    `).join('')}
+                </fieldset>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Switch to another product
+     * @param {string} productId - Product id
+     */
+    _selectProduct(productId) {
+        this.product = this.priceList.get(productId);
+        const max = this.priceList.maxQuantity(this.product);
+        this.quantityInput.max = String(max);
+        this.quantityLabel.hidden = max === 1;
+        this._update();
+    }
+
+    /**
+     * Move the crop center by a share of the photo
+     * @param {number} dx - Horizontal move (-1 to 1)
+     * @param {number} dy - Vertical move (-1 to 1)
+     */
+    _moveCrop(dx, dy) {
+        const fit = this._fit();
+        if (!fit || !fit.trimSides) return;
+
+        // Start from where the box is, so moves past an edge don't build up
+        const { box } = fit;
+        this.crop = {
+            x: box.x + box.width / 2 + dx,
+            y: box.y + box.height / 2 + dy
+        };
+        this._update();
+    }
+
+    /**
+     * printCrop() for the photo and product, once the photo size is known
+     * @returns {Object|null}
+     */
+    _fit() {
+        if (!this._size || !this.product || this.product.type === 'digital') return null;
+        return printCrop(this._size.width, this._size.height, this.product, this.crop);
+    }
+
+    /**
+     * Redraw the crop box, the fit note and the total
+     */
+    _update() {
+        if (!this.product) return;
+
+        const fit = this._fit();
+        this.cropBox.hidden = !fit;
+        this.preview.classList.toggle('cropped', Boolean(fit && fit.trimSides));
+        if (fit) {
+            const { box } = fit;
+            this.cropBox.style.left = `${box.x * 100}%`;
+            this.cropBox.style.top = `${box.y * 100}%`;
+            this.cropBox.style.width = `${box.width * 100}%`;
+            this.cropBox.style.height = `${box.height * 100}%`;
+            this.cropBox.tabIndex = fit.trimSides ? 0 : -1;
+        }
+
+        this.fit.textContent = this._fitMessage(fit);
+        this.fit.classList.toggle('warning', Boolean(fit && (fit.warning || (fit.soft && this._knownSize))));
+
+        const max = this.priceList.maxQuantity(this.product);
+        const quantity = Math.min(Math.max(Math.round(Number(this.quantityInput.value)) || 1, 1), max);
+        this.total.textContent = this.priceList.format(this.product.price * quantity);
+    }
+
+    /**
+     * What the print does to the photo, in words
+     * @param {Object|null} fit - From _fit()
+     * @returns {string}
+     */
+    _fitMessage(fit) {
+        if (this.product.type === 'digital') {
+            return 'The full-resolution file, without the watermark, sent by email after checkout.';
+        }
+        if (!fit) return 'Loading the photo…';
+
+        const size = `${fit.printWidth}×${fit.printHeight}`;
+        const messages = [];
+        if (!fit.trimSides) {
+            messages.push(`The whole photo fits a ${size} print.`);
+        } else {
+            const percent = Math.round(fit.trimmed * 100);
+            messages.push(`A ${size} print trims ${percent}% of the photo from the ${fit.trimSides}.`);
+            if (fit.warning) {
+                const best = this._bestFit();
+                messages.push(best && best.id !== this.product.id
+                    ? `Drag the frame to choose what stays, or pick ${best.label}, which fits this photo best.`
+                    : 'Drag the frame to choose what stays.');
+            }
+        }
+        if (fit.soft && this._knownSize) {
+            messages.push('This photo doesn\'t have enough pixels for a sharp print this big; a smaller size will look better.');
+        }
+        return messages.join(' ');
+    }
+
+    /**
+     * The print or canvas that trims the least of the photo
+     * @returns {Object|null}
+     */
+    _bestFit() {
+        let best = null;
+        let least = Infinity;
+        this.priceList.products.forEach(product => {
+            if (product.type !== this.product.type) return;
+            const { trimmed } = printCrop(this._size.width, this._size.height, product);
+            if (trimmed < least - 1e-3) {
+                least = trimmed;
+                best = product;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Add the chosen product to the cart
+     */
+    _addToCart() {
+        const fit = this._fit();
+        try {
+            const item = this.cart.add(this.photo, this.product.id, {
+                quantity: Number(this.quantityInput.value),
+                // Only a photo the print trims has a crop to keep
+                crop: fit && fit.trimSides
+                    ? { x: fit.box.x + fit.box.width / 2, y: fit.box.y + fit.box.height / 2 }
+                    : null,
+                maxQuantity: this.priceList.maxQuantity(this.product)
+            });
+            const product = this.product;
+            this.close();
+            showToast(`Added ${product.label} to your cart`);
+            if (this.onAdded) this.onAdded(item, product);
+        } catch (error) {
+            showToast(error.message);
+        }
+    }
+}
+
+// Export for use
+export { PrintOrderDialog };
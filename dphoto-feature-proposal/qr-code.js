@@ -0,0 +1,657 @@
+/**
+ * DPHOTO QR CODE MODULE
+ * =====================
+ *
+ * Dependency-free QR code encoder for album links and event signage.
+ *
+ * Usage:
+ *   const qr = QrCode.encode('https://www.fredassaf.org/album/kb62ahwp', { ecLevel: 'Q' });
+ *   container.innerHTML = qr.toSvg({ title: 'Light One Candle' });
+ *   qr.toCanvas(canvas, { scale: 12 });
+ *
+ * Features:
+ * - Byte mode (UTF-8), versions 1-40
+ * - Error correction levels L (7%), M (15%), Q (25%) and H (30%)
+ * - Picks the smallest version that fits, and the mask the spec scores best
+ * - SVG (scales for print) and canvas output
+ *
+ * Follows ISO/IEC 18004. Higher levels make a denser code that still
+ * scans when partly covered, e.g. by a hand holding the sign.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+// Format bits of each level (not in L-M-Q-H order in the spec)
+const EC_LEVELS = {
+    L: { index: 0, formatBits: 1 },
+    M: { index: 1, formatBits: 0 },
+    Q: { index: 2, formatBits: 3 },
+    H: { index: 3, formatBits: 2 }
+};
+
+// Error correction codewords per block, by level (L, M, Q, H) and version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// Error correction blocks, by level and version
+const ECC_BLOCKS = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MIN_VERSION = 1;
+const MAX_VERSION = 40;
+
+// Byte mode indicator
+const BYTE_MODE = 0x4;
+
+// Mask pattern conditions: a module is flipped where the condition holds
+const MASKS = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+    (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+];
+
+// Mask penalty weights (N1-N4 in the spec)
+const PENALTY = { run: 3, block: 3, finder: 40, balance: 10 };
+
+class QrCode {
+    /**
+     * Use QrCode.encode() rather than calling this directly
+     * @param {number} version - 1-40
+     * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+     * @param {boolean[][]} modules - Rows of modules, true for dark
+     * @param {number} mask - Mask pattern used (0-7)
+     */
+    constructor(version, ecLevel, modules, mask) {
+        this.version = version;
+        this.ecLevel = ecLevel;
+        this.modules = modules;
+        this.mask = mask;
+    }
+
+    /**
+     * Encode text (as UTF-8 bytes)
+     * @param {string} text - Usually a URL
+     * @param {Object} options
+     * @param {string} options.ecLevel - 'L', 'M', 'Q' or 'H' (default 'M')
+     * @param {number} options.minVersion - Smallest version to use (default 1)
+     * @param {number} options.mask - Force a mask pattern, 0-7 (default: the best scoring)
+     * @returns {QrCode}
+     */
+    static encode(text, options = {}) {
+        const ecLevel = options.ecLevel || 'M';
+        if (!EC_LEVELS[ecLevel]) {
+            throw new Error(`Unknown error correction level "${ecLevel}"`);
+        }
+        if (options.mask !== undefined && !MASKS[options.mask]) {
+            throw new Error(`Unknown mask pattern "${options.mask}"`);
+        }
+
+        const bytes = new TextEncoder().encode(String(text));
+        const version = fitVersion(bytes.length, ecLevel, options.minVersion || MIN_VERSION);
+        if (!version) {
+            const maxBytes = Math.floor((dataCapacity(MAX_VERSION, ecLevel) * 8 - 4 - countBits(MAX_VERSION)) / 8);
+            throw new Error(`Text is too long for a QR code (${bytes.length} bytes; ${maxBytes} fit at level ${ecLevel})`);
+        }
+
+        const codewords = addErrorCorrection(encodeData(bytes, version, ecLevel), version, ecLevel);
+        const symbol = new QrSymbol(version);
+        symbol.drawFunctionPatterns();
+        symbol.drawCodewords(codewords);
+
+        let mask = options.mask;
+        if (mask === undefined) {
+            let lowest = Infinity;
+            MASKS.forEach((condition, candidate) => {
+                symbol.applyMask(candidate);
+                symbol.drawFormatBits(ecLevel, candidate);
+                const penalty = symbol.penalty();
+                if (penalty < lowest) {
+                    lowest = penalty;
+                    mask = candidate;
+                }
+                // Masking twice undoes it
+                symbol.applyMask(candidate);
+            });
+        }
+
+        symbol.applyMask(mask);
+        symbol.drawFormatBits(ecLevel, mask);
+        return new QrCode(version, ecLevel, symbol.modules, mask);
+    }
+
+    /**
+     * Width and height in modules
+     * @returns {number}
+     */
+    get size() {
+        return this.modules.length;
+    }
+
+    /**
+     * Whether a module is dark. Outside the symbol (the quiet zone) is light.
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @returns {boolean}
+     */
+    isDark(x, y) {
+        return y >= 0 && y < this.size && x >= 0 && x < this.size && this.modules[y][x];
+    }
+
+    /**
+     * SVG markup, one module per unit; size it with CSS or width/height
+     * @param {Object} options
+     * @param {number} options.margin - Quiet zone in modules (default 4, the minimum scanners expect)
+     * @param {string} options.dark - Module colour (default black)
+     * @param {string} options.light - Background colour (default white; null for none)
+     * @param {string} options.title - Accessible name (e.g. the album title)
+     * @returns {string}
+     */
+    toSvg(options = {}) {
+        const margin = options.margin !== undefined ? options.margin : 4;
+        const dark = options.dark || '#000000';
+        const light = options.light !== undefined ? options.light : '#ffffff';
+        const extent = this.size + margin * 2;
+
+        const path = [];
+        this.modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) path.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+            });
+        });
+
+        const label = options.title
+            ? `role="img" aria-label="${escapeAttribute(options.title)}"`
+            : 'aria-hidden="true"';
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" ` +
+            `shape-rendering="crispEdges" ${label}>` +
+            (light ? `<rect width="${extent}" height="${extent}" fill="${escapeAttribute(light)}"/>` : '') +
+            `<path d="${path.join('')}" fill="${escapeAttribute(dark)}"/>` +
+            '</svg>';
+    }
+
+    /**
+     * Draw onto a canvas, resizing it to fit
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on (default: a new one)
+     * @param {Object} options
+     * @param {number} options.scale - Pixels per module (default 8)
+     * @param {number} options.margin - Quiet zone in modules (default 4)
+     * @param {string} options.dark - Module colour (default black)
+     * @param {string} options.light - Background colour (default white)
+     * @returns {HTMLCanvasElement}
+     */
+    toCanvas(canvas = document.createElement('canvas'), options = {}) {
+        const scale = options.scale || 8;
+        const margin = options.margin !== undefined ? options.margin : 4;
+        const extent = (this.size + margin * 2) * scale;
+
+        canvas.width = extent;
+        canvas.height = extent;
+
+        const context = canvas.getContext('2d');
+        context.fillStyle = options.light || '#ffffff';
+        context.fillRect(0, 0, extent, extent);
+        context.fillStyle = options.dark || '#000000';
+        this.modules.forEach((row, y) => {
+            row.forEach((isDark, x) => {
+                if (isDark) context.fillRect((x + margin) * scale, (y + margin) * scale, scale, scale);
+            });
+        });
+
+        return canvas;
+    }
+}
+
+/**
+ * The module grid while a code is being built
+ */
+class QrSymbol {
+    /**
+     * @param {number} version - 1-40
+     */
+    constructor(version) {
+        this.version = version;
+        this.size = version * 4 + 17;
+        this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+        // Finder, timing, alignment, format and version modules: never masked
+        this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    }
+
+    /**
+     * Set a module that isn't data
+     * @param {number} x - Column
+     * @param {number} y - Row
+     * @param {boolean} isDark
+     */
+    setFunction(x, y, isDark) {
+        this.modules[y][x] = isDark;
+        this.reserved[y][x] = true;
+    }
+
+    /**
+     * Finder, timing and alignment patterns, and the version information
+     */
+    drawFunctionPatterns() {
+        const size = this.size;
+
+        for (let i = 0; i < size; i++) {
+            this.setFunction(6, i, i % 2 === 0);
+            this.setFunction(i, 6, i % 2 === 0);
+        }
+
+        // Finders, with their light separators
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        this.setFunction(x, y, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        // Alignment patterns, except where they would overlap a finder
+        const positions = alignmentPositions(this.version);
+        const last = positions.length - 1;
+        positions.forEach((cy, i) => {
+            positions.forEach((cx, j) => {
+                if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+                for (let dy = -2; dy <= 2; dy++) {
+                    for (let dx = -2; dx <= 2; dx++) {
+                        this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                    }
+                }
+            });
+        });
+
+        // Reserve the format areas; they're filled in once the mask is chosen
+        this.drawFormatBits('M', 0);
+        this.drawVersionBits();
+    }
+
+    /**
+     * Both copies of the format information (level and mask), plus the
+     * dark module beside the bottom-left finder
+     * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+     * @param {number} mask - 0-7
+     */
+    drawFormatBits(ecLevel, mask) {
+        const size = this.size;
+        const data = (EC_LEVELS[ecLevel].formatBits << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+
+        // Around the top-left finder
+        for (let i = 0; i <= 5; i++) this.setFunction(8, i, bit(i));
+        this.setFunction(8, 7, bit(6));
+        this.setFunction(8, 8, bit(7));
+        this.setFunction(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bit(i));
+
+        // Split between the other two finders
+        for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bit(i));
+        for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bit(i));
+        this.setFunction(8, size - 8, true);
+    }
+
+    /**
+     * Version information blocks, from version 7 up
+     */
+    drawVersionBits() {
+        if (this.version < 7) return;
+
+        let remainder = this.version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (this.version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const isDark = ((bits >>> i) & 1) !== 0;
+            const a = this.size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            this.setFunction(a, b, isDark);
+            this.setFunction(b, a, isDark);
+        }
+    }
+
+    /**
+     * Place the codewords in the zigzag order, two columns at a time
+     * from the bottom-right, skipping the vertical timing pattern
+     * @param {number[]} codewords - Data and error correction codewords
+     */
+    drawCodewords(codewords) {
+        const size = this.size;
+        const totalBits = codewords.length * 8;
+        let i = 0;
+
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+
+            for (let step = 0; step < size; step++) {
+                const y = upward ? size - 1 - step : step;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (this.reserved[y][x] || i >= totalBits) continue;
+                    this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+                    i++;
+                }
+            }
+        }
+    }
+
+    /**
+     * Flip the data modules where the mask condition holds
+     * @param {number} mask - 0-7
+     */
+    applyMask(mask) {
+        const condition = MASKS[mask];
+        for (let y = 0; y < this.size; y++) {
+            for (let x = 0; x < this.size; x++) {
+                if (!this.reserved[y][x] && condition(x, y)) {
+                    this.modules[y][x] = !this.modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * How hard the symbol is to scan: long runs, 2x2 blocks, finder
+     * look-alikes and an uneven dark/light balance all add to it
+     * @returns {number}
+     */
+    penalty() {
+        const size = this.size;
+        const modules = this.modules;
+        const columns = modules.map((row, x) => modules.map(column => column[x]));
+        let total = 0;
+        let dark = 0;
+
+        [...modules, ...columns].forEach(line => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) total += PENALTY.run + (run - 5);
+                run = 1;
+            }
+            total += PENALTY.finder * countFinderLike(line);
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        total += PENALTY.block;
+                    }
+                }
+            }
+        }
+
+        // Each 5% away from half dark
+        const cells = size * size;
+        total += PENALTY.balance * (Math.ceil(Math.abs(dark * 20 - cells * 10) / cells) - 1);
+        return total;
+    }
+}
+
+/**
+ * Count 1:1:3:1:1 finder look-alikes with four light modules on either
+ * side (the quiet zone counts as light)
+ * @param {boolean[]} line - A row or column
+ * @returns {number}
+ */
+function countFinderLike(line) {
+    const core = [true, false, true, true, true, false, true];
+    const lightAt = (i) => i < 0 || i >= line.length || !line[i];
+    let count = 0;
+
+    for (let start = 0; start + core.length <= line.length; start++) {
+        if (!core.every((isDark, k) => line[start + k] === isDark)) continue;
+
+        const before = [1, 2, 3, 4].every(k => lightAt(start - k));
+        const after = [0, 1, 2, 3].every(k => lightAt(start + core.length + k));
+        if (before) count++;
+        if (after) count++;
+    }
+    return count;
+}
+
+/**
+ * Centres of the alignment patterns (the same list for rows and columns)
+ * @param {number} version - 1-40
+ * @returns {number[]}
+ */
+function alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * Modules available for data and error correction
+ * @param {number} version - 1-40
+ * @returns {number}
+ */
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+/**
+ * Data codewords a version holds at a level
+ * @param {number} version - 1-40
+ * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+ * @returns {number}
+ */
+function dataCapacity(version, ecLevel) {
+    const level = EC_LEVELS[ecLevel].index;
+    return Math.floor(rawDataModules(version) / 8) -
+        ECC_CODEWORDS_PER_BLOCK[level][version] * ECC_BLOCKS[level][version];
+}
+
+/**
+ * Bits of the byte-mode character count
+ * @param {number} version - 1-40
+ * @returns {number}
+ */
+function countBits(version) {
+    return version <= 9 ? 8 : 16;
+}
+
+/**
+ * Smallest version that holds the bytes
+ * @param {number} length - Bytes to encode
+ * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+ * @param {number} minVersion - Smallest version to consider
+ * @returns {number|null}
+ */
+function fitVersion(length, ecLevel, minVersion) {
+    for (let version = Math.max(MIN_VERSION, minVersion); version <= MAX_VERSION; version++) {
+        if (4 + countBits(version) + length * 8 <= dataCapacity(version, ecLevel) * 8) {
+            return version;
+        }
+    }
+    return null;
+}
+
+/**
+ * Mode, count and bytes, terminated and padded to the version's capacity
+ * @param {Uint8Array} bytes - Text as UTF-8
+ * @param {number} version - 1-40
+ * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+ * @returns {number[]} - Data codewords
+ */
+function encodeData(bytes, version, ecLevel) {
+    const capacityBits = dataCapacity(version, ecLevel) * 8;
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+
+    append(BYTE_MODE, 4);
+    append(bytes.length, countBits(version));
+    bytes.forEach(byte => append(byte, 8));
+
+    // Up to four zero bits of terminator, then to a whole byte
+    append(0, Math.min(4, capacityBits - bits.length));
+    append(0, (8 - bits.length % 8) % 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    for (let pad = 0xEC; codewords.length < capacityBits / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, add Reed-Solomon codewords to each and
+ * interleave them
+ * @param {number[]} data - Data codewords
+ * @param {number} version - 1-40
+ * @param {string} ecLevel - 'L', 'M', 'Q' or 'H'
+ * @returns {number[]}
+ */
+function addErrorCorrection(data, version, ecLevel) {
+    const level = EC_LEVELS[ecLevel].index;
+    const blockCount = ECC_BLOCKS[level][version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[level][version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    // The first blocks are one data codeword shorter than the rest
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const dataLength = shortLength - eccLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + dataLength);
+        offset += dataLength;
+        blocks.push({ data: block, ecc: reedSolomonRemainder(block, divisor) });
+    }
+
+    const result = [];
+    const longest = shortLength - eccLength + 1;
+    for (let i = 0; i < longest; i++) {
+        blocks.forEach(block => {
+            if (i < block.data.length) result.push(block.data[i]);
+        });
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => result.push(block.ecc[i]));
+    }
+    return result;
+}
+
+/**
+ * Multiply in GF(2^8) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Generator polynomial for a number of error correction codewords
+ * (highest coefficient first, without the leading 1)
+ * @param {number} degree
+ * @returns {number[]}
+ */
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+/**
+ * Error correction codewords of a block
+ * @param {number[]} data - Data codewords
+ * @param {number[]} divisor - From reedSolomonDivisor()
+ * @returns {number[]}
+ */
+function reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+/**
+ * Escape a value for an SVG attribute
+ * @param {string} str
+ * @returns {string}
+ */
+function escapeAttribute(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+// Export for use
+export {
+    QrCode,
+    EC_LEVELS
+};
@@ -0,0 +1,196 @@
+/**
+ * DPHOTO QR DIALOG MODULE
+ * =======================
+ *
+ * "Show QR" dialog: a large QR code for an album link that parents can
+ * scan off the photographer's phone, with a PNG download and a link to
+ * the printable poster (qr-poster.html).
+ *
+ * Usage:
+ *   const qrDialog = new QrCodeDialog();
+ *   qrDialog.open({ url: album.url, title: album.title, subtitle: 'December 12, 2025', albumId: album.id });
+ *
+ * Features:
+ * - Scales to the screen; high error correction so it scans from a distance
+ * - "Save image" downloads the code as a PNG for texts and slides
+ * - "Print poster" opens the sign page with the title, date and logo
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { QrCode } from './qr-code.js';
+
+class QrCodeDialog {
+    /**
+     * @param {Object} options
+     * @param {string} options.ecLevel - Error correction level (default 'Q')
+     * @param {string|null} options.posterPage - Poster page URL (default 'qr-poster.html'; null to hide the button)
+     * @param {Node} options.parent - Where to add the dialog (default document.body)
+     */
+    constructor(options = {}) {
+        this.ecLevel = options.ecLevel || 'Q';
+        this.posterPage = options.posterPage !== undefined ? options.posterPage : 'qr-poster.html';
+        this.parent = options.parent || document.body;
+        this.isOpen = false;
+        this.target = null;      // { url, title, subtitle, albumId } being shown
+        this._returnFocus = null;
+
+        this._render();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the dialog
+     */
+    _render() {
+        this.container = document.createElement('div');
+        this.container.className = 'dphoto-qr';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <div class="dphoto-qr-overlay" data-action="close"></div>
+            <div class="dphoto-qr-dialog" role="dialog" aria-modal="true" aria-labelledby="dphoto-qr-title">
+                <div class="dphoto-qr-header">
+                    <h2 class="dphoto-qr-title" id="dphoto-qr-title"></h2>
+                    <button class="dphoto-qr-close" type="button" data-action="close" aria-label="Close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <p class="dphoto-qr-subtitle"></p>
+                <div class="dphoto-qr-code"></div>
+                <p class="dphoto-qr-url"></p>
+                <div class="dphoto-qr-actions">
+                    <button class="dphoto-btn" type="button" data-action="save">Save image</button>
+                    <a class="dphoto-btn" data-action="poster" target="_blank" rel="noopener">Print poster</a>
+                </div>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.title = this.container.querySelector('.dphoto-qr-title');
+        this.subtitle = this.container.querySelector('.dphoto-qr-subtitle');
+        this.code = this.container.querySelector('.dphoto-qr-code');
+        this.urlText = this.container.querySelector('.dphoto-qr-url');
+        this.posterLink = this.container.querySelector('[data-action="poster"]');
+        this.posterLink.hidden = !this.posterPage;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'close') {
+                this.close();
+            } else if (button.dataset.action === 'save') {
+                this.savePng();
+            }
+        });
+
+        // Keys typed here shouldn't reach the lightbox underneath
+        this.container.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+    }
+
+    /**
+     * Show the QR code for a link
+     * @param {Object} target
+     * @param {string} target.url - Link to encode
+     * @param {string} target.title - Album or photo title
+     * @param {string} target.subtitle - Date or album name (optional)
+     * @param {string} target.albumId - Catalog album id, so the poster can look it up (optional)
+     */
+    open(target) {
+        // Throws for links too long to encode, before anything is shown
+        const qr = QrCode.encode(target.url, { ecLevel: this.ecLevel });
+
+        if (!this.isOpen) {
+            this._returnFocus = document.activeElement;
+        }
+        this.target = target;
+        this.isOpen = true;
+
+        this.title.textContent = target.title || 'Scan for photos';
+        this.subtitle.textContent = target.subtitle || '';
+        this.subtitle.hidden = !target.subtitle;
+        this.code.innerHTML = qr.toSvg({ title: `QR code for ${target.title || target.url}` });
+        this.urlText.textContent = target.url;
+        if (this.posterPage) {
+            this.posterLink.href = this.posterUrl(target);
+        }
+
+        this.container.hidden = false;
+        this.container.querySelector('[data-action="save"]').focus();
+    }
+
+    /**
+     * Hide the dialog
+     */
+    close() {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+    }
+
+    /**
+     * Remove the dialog
+     */
+    destroy() {
+        this.container.remove();
+    }
+
+    /**
+     * Poster page URL for a link. Catalog albums are looked up by id, so
+     * the poster always has the album's current title and date.
+     * @param {Object} target - See open()
+     * @returns {string}
+     */
+    posterUrl(target) {
+        const params = new URLSearchParams();
+        if (target.albumId) params.set('album', target.albumId);
+        params.set('url', target.url);
+        if (target.title) params.set('title', target.title);
+        if (target.subtitle) params.set('date', target.subtitle);
+        return `${this.posterPage}?${params}`;
+    }
+
+    /**
+     * Download the code on screen as a PNG
+     */
+    savePng() {
+        if (!this.target) return;
+
+        const qr = QrCode.encode(this.target.url, { ecLevel: this.ecLevel });
+        const canvas = qr.toCanvas(undefined, { scale: Math.max(8, Math.ceil(1024 / (qr.size + 8))) });
+        const name = (this.target.title || 'photos').replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase();
+
+        canvas.toBlob((blob) => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${name || 'photos'}-qr.png`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }, 'image/png');
+    }
+}
+
+// Export for use
+export { QrCodeDialog };
@@ -0,0 +1,204 @@
+/**
+ * DPHOTO RESPONSIVE IMAGES MODULE
+ * ===============================
+ *
+ * Reads the renditions manifest written by scripts/build-renditions.js
+ * and turns catalog image paths into srcset/<picture> markup, so phones
+ * download a thumbnail instead of the full-size original.
+ *
+ * Features:
+ * - Looks up renditions by catalog image path ("images/slide1.png")
+ * - AVIF/WebP <source> elements with a JPEG fallback
+ * - Picks the smallest rendition that fills a given box (for the lightbox)
+ * - Missing manifest or unknown images fall back to the original file
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+
+class RenditionManifest {
+    /**
+     * @param {Object} options
+     * @param {string} options.manifestUrl - URL of manifest.json
+     * @param {Object} options.manifest - Already-parsed manifest (skips the fetch)
+     */
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || 'images/renditions/manifest.json';
+        this.images = {};
+        this.formats = ['jpg'];
+
+        if (options.manifest) {
+            this.setManifest(options.manifest);
+        }
+    }
+
+    /**
+     * Load the manifest. A missing manifest (renditions not built) leaves
+     * every image on its original file, and only one that is there but
+     * unreadable is worth a warning. Never rejects.
+     *
+     * Format detection runs in the background; url() hands out JPEGs
+     * until it finishes. <picture> markup lets the browser choose itself.
+     *
+     * @returns {Promise<RenditionManifest>}
+     */
+    async load() {
+        RenditionManifest.detectFormats().then(formats => { this.formats = formats; });
+
+        let missing = false;
+        const manifest = await fetch(this.manifestUrl)
+            .then(response => {
+                missing = response.status === 404;
+                return response.ok ? response.json() : null;
+            })
+            .catch(() => null);
+
+        if (manifest) {
+            this.setManifest(manifest);
+        } else if (!missing) {
+            console.warn(`Could not load image renditions from ${this.manifestUrl}; using original images`);
+        }
+        return this;
+    }
+
+    /**
+     * Replace the manifest contents
+     * @param {Object} manifest - Parsed manifest.json
+     */
+    setManifest(manifest) {
+        this.images = (manifest && manifest.images) || {};
+    }
+
+    /**
+     * Manifest entry for an image path or URL
+     * @param {string} src - Catalog image path
+     * @returns {Object|null}
+     */
+    get(src) {
+        return this.images[RenditionManifest.keyFor(src)] || null;
+    }
+
+    /**
+     * srcset attribute value for one format
+     * @param {string} src - Catalog image path
+     * @param {string} format - 'avif', 'webp' or 'jpg'
+     * @returns {string} - Empty if the image has no renditions
+     */
+    srcset(src, format = 'jpg') {
+        const entry = this.get(src);
+        if (!entry) return '';
+
+        return Object.values(entry.renditions)
+            .filter(rendition => rendition.formats[format])
+            .map(rendition => `${rendition.formats[format]} ${rendition.width}w`)
+            .join(', ');
+    }
+
+    /**
+     * Name of the smallest rendition that covers a box when scaled to fit
+     * (object-fit: contain), or the largest if none do
+     *
+     * @param {string} src - Catalog image path
+     * @param {number} width - Box width in device pixels
+     * @param {number} height - Box height in device pixels
+     * @returns {string|null} - Size name, or null if the image has no renditions
+     */
+    pick(src, width, height) {
+        const entry = this.get(src);
+        if (!entry) return null;
+
+        const sizes = Object.keys(entry.renditions)
+            .sort((a, b) => entry.renditions[a].width - entry.renditions[b].width);
+
+        // Width the image would be displayed at when fitted into the box
+        const fittedWidth = Math.min(width, height * entry.width / entry.height);
+
+        return sizes.find(size => entry.renditions[size].width >= fittedWidth) || sizes[sizes.length - 1];
+    }
+
+    /**
+     * URL of a rendition in the best format the browser supports
+     * @param {string} src - Catalog image path
+     * @param {string} size - Size name ('small', 'medium', 'large')
+     * @returns {string} - Falls back to src
+     */
+    url(src, size) {
+        const entry = this.get(src);
+        const rendition = entry && entry.renditions[size];
+        if (!rendition) return src;
+
+        const format = this.formats.find(f => rendition.formats[f]) || 'jpg';
+        return rendition.formats[format] || src;
+    }
+
+    /**
+     * <picture> markup for an image, or a plain <img> if it has no renditions
+     *
+     * @param {string} src - Catalog image path
+     * @param {string} alt - Alt text
+     * @param {string} sizes - sizes attribute, e.g. "(max-width: 768px) 100vw, 33vw"
+     * @returns {string}
+     */
+    imageHtml(src, alt, sizes) {
+        const entry = this.get(src);
+        if (!entry) {
+            return `<img src="${escapeHtml(src)}" alt="${escapeHtml(alt)}">`;
+        }
+
+        const fallback = entry.renditions.medium || Object.values(entry.renditions).pop();
+        const sources = ['avif', 'webp']
+            .filter(format => fallback.formats[format])
+            .map(format => `<source type="image/${format}" srcset="${escapeHtml(this.srcset(src, format))}" sizes="${escapeHtml(sizes)}">`)
+            .join('');
+
+        return `<picture>${sources}<img src="${escapeHtml(fallback.formats.jpg)}" ` +
+            `srcset="${escapeHtml(this.srcset(src, 'jpg'))}" sizes="${escapeHtml(sizes)}" ` +
+            `width="${entry.width}" height="${entry.height}" alt="${escapeHtml(alt)}"></picture>`;
+    }
+
+    /**
+     * Manifest key for a catalog path: "images/sports/flag-33.jpg" -> "sports/flag-33"
+     * @param {string} src - Image path or URL
+     * @returns {string}
+     */
+    static keyFor(src) {
+        return String(src || '')
+            .replace(/[?#].*$/, '')
+            .replace(/^[a-z]+:\/\/[^/]+/i, '')
+            .replace(/^\/+/, '')
+            .replace(/^images\/(originals\/)?/, '')
+            .replace(/\.[^/.]+$/, '');
+    }
+
+    /**
+     * Image formats this browser decodes, best first
+     * @returns {Promise<string[]>}
+     */
+    static detectFormats() {
+        if (!RenditionManifest._formats) {
+            const probe = (format, dataUri) => new Promise(resolve => {
+                const img = new Image();
+                img.onload = () => resolve(img.width > 0 ? format : null);
+                img.onerror = () => resolve(null);
+                img.src = dataUri;
+            });
+
+            RenditionManifest._formats = Promise.all([
+                probe('avif', RenditionManifest.PROBES.avif),
+                probe('webp', RenditionManifest.PROBES.webp)
+            ]).then(found => [...found.filter(Boolean), 'jpg']);
+        }
+        return RenditionManifest._formats;
+    }
+}
+
+// Tiny images used to test decoder support
+RenditionManifest.PROBES = {
+    avif: 'data:image/avif;base64,AAAAIGZ0eXBhdmlmAAAAAGF2aWZtaWYxbWlhZk1BMUIAAADybWV0YQAAAAAAAAAoaGRscgAAAAAAAAAAcGljdAAAAAAAAAAAAAAAAGxpYmF2aWYAAAAADnBpdG0AAAAAAAEAAAAeaWxvYwAAAABEAAABAAEAAAABAAABGgAAAB0AAAAoaWluZgAAAAAAAQAAABppbmZlAgAAAAABAABhdjAxQ29sb3IAAAAAamlwcnAAAABLaXBjbwAAABRpc3BlAAAAAAAAAAIAAAACAAAAEHBpeGkAAAAAAwgICAAAAAxhdjFDgQ0MAAAAABNjb2xybmNseAACAAIAAYAAAAAXaXBtYQAAAAAAAAABAAEEAQKDBAAAACVtZGF0EgAKCBgANogQEAwgMg8f8D///8WfhwB8+ErK42A=',
+    webp: 'data:image/webp;base64,UklGRiIAAABXRUJQVlA4IBYAAAAwAQCdASoBAAEADsD+JaQAA3AAAAAA'
+};
+
+// Export for use
+export { RenditionManifest };
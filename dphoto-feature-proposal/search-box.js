@@ -0,0 +1,187 @@
+/**
+ * DPHOTO SEARCH BOX MODULE
+ * ========================
+ *
+ * Search field with an autocomplete list for PhotoSearchIndex: players,
+ * teams, opponents, albums and categories, as the visitor types.
+ *
+ * Features:
+ * - Suggestions on every keystroke, with photo counts
+ * - Arrow keys, Enter and Escape (ARIA combobox/listbox)
+ * - Enter without a highlighted suggestion picks the best match
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+import { SEARCH_TYPE_LABELS } from './photo-search.js';
+
+let searchBoxCount = 0;
+
+class SearchBox {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.container - Element to render the field into
+     * @param {PhotoSearchIndex} options.search - Index to search
+     * @param {Function} options.onSelect - Called with the chosen index entry
+     * @param {string} options.placeholder - Field placeholder
+     * @param {number} options.limit - Maximum suggestions (default 8)
+     */
+    constructor(options = {}) {
+        this.container = options.container;
+        this.search = options.search;
+        this.onSelect = options.onSelect || null;
+        this.placeholder = options.placeholder || 'Search by player, jersey number, team or album';
+        this.limit = options.limit || 8;
+        this.results = [];
+        this.activeIndex = -1;
+        this._id = `dphoto-search-${++searchBoxCount}`;
+
+        this._render();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the field and suggestion list
+     */
+    _render() {
+        this.container.innerHTML = `
+            <div class="dphoto-search">
+                <svg class="dphoto-search-icon" width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                    <circle cx="11" cy="11" r="7"/>
+                    <line x1="21" y1="21" x2="16.65" y2="16.65"/>
+                </svg>
+                <input class="dphoto-search-input" type="search" autocomplete="off" spellcheck="false"
+                    role="combobox" aria-autocomplete="list" aria-expanded="false"
+                    aria-controls="${this._id}-list" aria-label="Search photos">
+                <ul class="dphoto-search-results" id="${this._id}-list" role="listbox" hidden></ul>
+            </div>
+        `;
+
+        this.input = this.container.querySelector('.dphoto-search-input');
+        this.list = this.container.querySelector('.dphoto-search-results');
+        this.input.placeholder = this.placeholder;
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.input.addEventListener('input', () => this.update());
+        this.input.addEventListener('focus', () => this.update());
+
+        this.input.addEventListener('keydown', (e) => {
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    this._setActive(this.activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    this._setActive(this.activeIndex - 1);
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    this.select(this.activeIndex >= 0 ? this.activeIndex : 0);
+                    break;
+                case 'Escape':
+                    if (!this.list.hidden) {
+                        e.preventDefault();
+                        this.close();
+                    }
+                    break;
+            }
+        });
+
+        // mousedown so the choice lands before the input loses focus
+        this.list.addEventListener('mousedown', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (!option) return;
+            e.preventDefault();
+            this.select(Number(option.dataset.index));
+        });
+
+        this.input.addEventListener('blur', () => this.close());
+    }
+
+    /**
+     * Refresh the suggestions for the current text
+     */
+    update() {
+        const query = this.input.value.trim();
+        this.results = query ? this.search.search(query, { limit: this.limit }) : [];
+        this.activeIndex = -1;
+
+        if (!query) {
+            this.close();
+            return;
+        }
+
+        this.list.innerHTML = this.results.length
+            ? this.results.map((entry, index) => {
+                const count = entry.photos.length;
+                const meta = [
+                    SEARCH_TYPE_LABELS[entry.type],
+                    entry.detail,
+                    count ? `${count} photo${count === 1 ? '' : 's'}` : ''
+                ].filter(Boolean).join(' · ');
+
+                return `
+                    <li class="dphoto-search-result" id="${this._id}-${index}" role="option" aria-selected="false" data-index="${index}">
+                        <span class="dphoto-search-label">${escapeHtml(entry.label)}</span>
+                        <span class="dphoto-search-meta">${escapeHtml(meta)}</span>
+                    </li>
+                `;
+            }).join('')
+            : '<li class="dphoto-search-empty" role="presentation">No matches</li>';
+
+        this.list.hidden = false;
+        this.input.setAttribute('aria-expanded', 'true');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Choose a suggestion
+     * @param {number} index - Index into the current results
+     */
+    select(index) {
+        const entry = this.results[index];
+        if (!entry) return;
+
+        this.input.value = entry.label;
+        this.close();
+
+        if (this.onSelect) {
+            this.onSelect(entry);
+        }
+    }
+
+    /**
+     * Hide the suggestions
+     */
+    close() {
+        this.list.hidden = true;
+        this.activeIndex = -1;
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Highlight a suggestion (wraps around)
+     * @param {number} index - Suggestion index
+     */
+    _setActive(index) {
+        if (!this.results.length) return;
+        if (this.list.hidden) this.update();
+
+        this.activeIndex = (index + this.results.length) % this.results.length;
+        this.list.querySelectorAll('[role="option"]').forEach((option, i) => {
+            option.setAttribute('aria-selected', String(i === this.activeIndex));
+        });
+        this.input.setAttribute('aria-activedescendant', `${this._id}-${this.activeIndex}`);
+    }
+}
+
+// Export for use
+export { SearchBox };
@@ -7,19 +7,57 @@
  * 
  * Features:
  * - Share photo file directly (not just links)
+ * - Share several photos at once as a multi-file payload
+ * - Links point at the photo itself when it has a deep link (shareUrl)
+ * - Links go through share pages, when built, so they unfurl with a preview
  * - Pre-filled hashtags and captions
  * - Works on mobile and desktop
- * - Fallback to clipboard copy on unsupported browsers
+ * - In-page share sheet (WhatsApp, Messages, email, Facebook, X, copy link)
+ *   on browsers without the Web Share API; configurable targets
+ * - Reports share methods and failures to an AnalyticsBus
+ * - Optional watermark and Instagram crop (with a PhotoExporter)
  * 
  * @author Fred Assaf / Developer
  * @version 1.0.0
  */
 
+import { ShareTargetRegistry } from './share-targets.js';
+import { ShareSheet } from './share-sheet.js';
+
 class PhotoShareManager {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.hashtags - Default hashtags, without "#"
+     * @param {string} options.photographer - Name for captions
+     * @param {string} options.galleryUrl - Link when a photo has none (default: this page)
+     * @param {ImageUrlResolver} options.resolver - Refreshes signed image URLs (optional)
+     * @param {AnalyticsBus} options.analytics - Receives share events (optional)
+     * @param {PhotoExporter} options.exporter - Watermark step for shared files (optional)
+     * @param {Object} options.instagramExport - PhotoExporter settings for Instagram
+     * @param {SharePageManifest} options.sharePages - OpenGraph share pages (optional)
+     * @param {ShareTargetRegistry|Object} options.targets - Share sheet targets, or
+     *        ShareTargetRegistry options ({ enabled, settings, targets })
+     * @param {boolean} options.sheet - Show the share sheet without the Web Share API
+     *        (default true; false copies the link instead)
+     * @param {Node} options.parent - Where to add the share sheet (default document.body)
+     */
     constructor(options = {}) {
         this.defaultHashtags = options.hashtags || ['dphoto', 'photography'];
         this.photographerName = options.photographer || 'dphoto';
         this.galleryUrl = options.galleryUrl || window.location.href;
+        this.resolver = options.resolver || null;
+        this.analytics = options.analytics || null;
+        // Watermarks shared files when set; Instagram gets its own preset
+        this.exporter = options.exporter || null;
+        this.instagramExport = options.instagramExport || { preset: 'instagram' };
+        // OpenGraph pages from scripts/build-share-pages.js (a SharePageManifest)
+        this.sharePages = options.sharePages || null;
+        this.targets = options.targets instanceof ShareTargetRegistry
+            ? options.targets
+            : new ShareTargetRegistry(options.targets);
+        this.useSheet = options.sheet !== false;
+        this.parent = options.parent || document.body;
+        this.sheet = null;   // created the first time it's needed
     }
 
     /**
@@ -42,24 +80,34 @@ class PhotoShareManager {
      * Share a photo using the native share sheet
      * Works best on iOS and Android
      * 
-     * @param {Object} photoData - Photo information
+     * @param {Object|Object[]} photoData - Photo information, or an array to share several
      * @param {string} photoData.imageUrl - URL of the image to share
      * @param {string} photoData.title - Photo title
      * @param {string} photoData.albumUrl - URL to the album/photo page
+     * @param {string} photoData.shareUrl - Deep link to the photo (preferred over albumUrl;
+     *        the photo's share page is preferred over both)
      * @param {string[]} photoData.hashtags - Optional custom hashtags
+     * @param {Object} options
+     * @param {Object} options.export - PhotoExporter settings for the shared file
      */
-    async sharePhoto(photoData) {
-        const { imageUrl, title, albumUrl, hashtags } = photoData;
+    async sharePhoto(photoData, options = {}) {
+        if (Array.isArray(photoData)) {
+            return this.sharePhotos(photoData, options);
+        }
+
+        const { title, hashtags } = photoData;
+        const link = this.getShareLink(photoData);
         const tags = hashtags || this.defaultHashtags;
         const hashtagString = tags.map(t => `#${t}`).join(' ');
         const shareText = `${title} 📸 ${hashtagString}`;
+        const event = { photo_id: photoData.id, count: 1 };
 
         try {
             // Try to share the actual image file
             if (this.canShareFiles()) {
-                const response = await fetch(imageUrl);
-                const blob = await response.blob();
-                const fileName = this._sanitizeFilename(title) + '.jpg';
+                const response = await this._fetchImage(photoData);
+                const blob = await this._export(await response.blob(), options.export);
+                const fileName = `${this._sanitizeFilename(title)}.${fileExtension(blob.type)}`;
                 const file = new File([blob], fileName, { type: blob.type });
 
                 if (navigator.canShare({ files: [file] })) {
@@ -68,7 +116,7 @@ class PhotoShareManager {
                         title: title,
                         text: shareText
                     });
-                    return { success: true, method: 'file' };
+                    return this._report({ success: true, method: 'file' }, event);
                 }
             }
 
@@ -77,21 +125,136 @@ class PhotoShareManager {
                 await navigator.share({
                     title: title,
                     text: shareText,
-                    url: albumUrl || this.galleryUrl
+                    url: link
                 });
-                return { success: true, method: 'url' };
+                return this._report({ success: true, method: 'url' }, event);
             }
 
-            // Final fallback: Copy to clipboard
-            return await this.copyLinkToClipboard(albumUrl || this.galleryUrl);
+            // Final fallback: our own share sheet, or copy to clipboard
+            return this._report(await this._shareWithoutApi({
+                url: link,
+                title: title,
+                album: photoData.album,
+                hashtags: tags
+            }), event);
 
         } catch (error) {
             if (error.name === 'AbortError') {
                 // User cancelled - not an error
-                return { success: false, cancelled: true };
+                return this._report({ success: false, cancelled: true }, event);
+            }
+            console.error('Share failed:', error);
+            return this._report({ success: false, error: error.message }, event);
+        }
+    }
+
+    /**
+     * Share several photos in one native share sheet.
+     * Falls back to sharing the album link when the browser can't share
+     * that many files (or files at all), then to the clipboard.
+     *
+     * @param {Object[]} photos - Photo objects (see sharePhoto)
+     * @param {Object} options
+     * @param {Object} options.export - PhotoExporter settings for the shared files
+     */
+    async sharePhotos(photos, options = {}) {
+        if (photos.length === 1) {
+            return this.sharePhoto(photos[0], options);
+        }
+
+        const first = photos[0] || {};
+        const tags = first.hashtags || this.defaultHashtags;
+        const title = first.album ? `${photos.length} photos from ${first.album}` : `${photos.length} photos`;
+        const shareText = `${title} 📸 ${tags.map(t => `#${t}`).join(' ')}`;
+        const url = (this.sharePages && this.sharePages.photosUrl(photos)) || this.getShareLink(first);
+        const event = { count: photos.length };
+
+        try {
+            if (this.canShareFiles() && photos.length) {
+                // Photos that fail to fetch are left out rather than failing the share
+                const blobs = await Promise.all(photos.map(photo =>
+                    this._fetchImage(photo)
+                        .then(response => response.ok ? response.blob() : null)
+                        .then(blob => blob && this._export(blob, options.export))
+                        .catch(() => null)
+                ));
+
+                const usedNames = new Set();
+                const files = [];
+                blobs.forEach((blob, index) => {
+                    if (!blob) return;
+                    const base = this._sanitizeFilename(photos[index].title);
+                    const extension = fileExtension(blob.type);
+                    let fileName = `${base}.${extension}`;
+                    for (let n = 2; usedNames.has(fileName); n++) {
+                        fileName = `${base}-${n}.${extension}`;
+                    }
+                    usedNames.add(fileName);
+                    files.push(new File([blob], fileName, { type: blob.type }));
+                });
+
+                if (files.length && navigator.canShare({ files })) {
+                    await navigator.share({
+                        files: files,
+                        title: title,
+                        text: shareText
+                    });
+                    return this._report({ success: true, method: 'files', count: files.length }, event);
+                }
+            }
+
+            if (this.canShare()) {
+                await navigator.share({
+                    title: title,
+                    text: shareText,
+                    url: url
+                });
+                return this._report({ success: true, method: 'url' }, event);
+            }
+
+            return this._report(await this._shareWithoutApi({
+                url: url,
+                title: title,
+                album: first.album,
+                hashtags: tags
+            }), event);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return this._report({ success: false, cancelled: true }, event);
+            }
+            console.error('Share failed:', error);
+            return this._report({ success: false, error: error.message }, event);
+        }
+    }
+
+    /**
+     * Share a link that isn't a photo (e.g. a collection), with the
+     * native share sheet, ours or the clipboard
+     *
+     * @param {Object} linkData
+     * @param {string} linkData.url - Link to share
+     * @param {string} linkData.title - Share sheet title
+     * @param {string} linkData.text - Message to go with the link (optional)
+     * @param {Object} linkData.event - Extra analytics properties (optional)
+     */
+    async shareLink(linkData) {
+        const { url, title, text } = linkData;
+        const event = { ...linkData.event };
+
+        try {
+            if (this.canShare()) {
+                await navigator.share({ title, text: text || title, url });
+                return this._report({ success: true, method: 'url' }, event);
+            }
+            return this._report(await this._shareWithoutApi({ url, title, caption: text, hashtags: [] }), event);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return this._report({ success: false, cancelled: true }, event);
             }
             console.error('Share failed:', error);
-            return { success: false, error: error.message };
+            return this._report({ success: false, error: error.message }, event);
         }
     }
 
@@ -100,17 +263,21 @@ class PhotoShareManager {
      * Instagram works best with image files via share sheet
      * 
      * @param {Object} photoData - Photo information
+     * @param {Object} options
+     * @param {Object} options.export - PhotoExporter settings (default instagramExport,
+     *        e.g. { preset: 'instagram-story' } for a story)
      */
-    async shareToInstagram(photoData) {
-        const { imageUrl, title } = photoData;
+    async shareToInstagram(photoData, options = {}) {
+        const { title } = photoData;
         const hashtags = ['photography', 'photooftheday', ...this.defaultHashtags];
         const shareText = `📸 ${title}\n\n${hashtags.map(t => `#${t}`).join(' ')}`;
+        const event = { photo_id: photoData.id, count: 1, network: 'instagram' };
 
         try {
             if (this.canShareFiles()) {
-                const response = await fetch(imageUrl);
-                const blob = await response.blob();
-                const file = new File([blob], 'photo.jpg', { type: 'image/jpeg' });
+                const response = await this._fetchImage(photoData);
+                const blob = await this._export(await response.blob(), options.export || this.instagramExport);
+                const file = new File([blob], `photo.${fileExtension(blob.type)}`, { type: blob.type || 'image/jpeg' });
 
                 if (navigator.canShare({ files: [file] })) {
                     await navigator.share({
@@ -118,7 +285,7 @@ class PhotoShareManager {
                         title: title,
                         text: shareText
                     });
-                    return { success: true, method: 'instagram-share' };
+                    return this._report({ success: true, method: 'instagram-share' }, event);
                 }
             }
 
@@ -131,19 +298,34 @@ class PhotoShareManager {
 
         } catch (error) {
             if (error.name === 'AbortError') {
-                return { success: false, cancelled: true };
+                return this._report({ success: false, cancelled: true }, event);
             }
-            return { success: false, error: error.message };
+            return this._report({ success: false, error: error.message }, event);
         }
     }
 
+    /**
+     * Link to share for a photo: its share page, else its deep link, else
+     * its album, else the gallery
+     * @param {Object} photoData - Photo information
+     * @returns {string}
+     */
+    getShareLink(photoData) {
+        const sharePage = this.sharePages && this.sharePages.photoUrl(photoData);
+        return sharePage || photoData.shareUrl || photoData.albumUrl || this.galleryUrl;
+    }
+
     /**
      * Copy a link to the clipboard
      * Used as fallback on desktop browsers
      * 
-     * @param {string} url - URL to copy
+     * @param {string|Object} url - URL to copy, or a photo to copy the share link of
      */
     async copyLinkToClipboard(url) {
+        if (url && typeof url === 'object') {
+            url = this.getShareLink(url);
+        }
+
         try {
             await navigator.clipboard.writeText(url);
             return { success: true, method: 'clipboard' };
@@ -161,6 +343,79 @@ class PhotoShareManager {
         }
     }
 
+    /**
+     * Remove the share sheet, if one was created
+     */
+    destroy() {
+        if (this.sheet) {
+            this.sheet.destroy();
+            this.sheet = null;
+        }
+    }
+
+    /**
+     * Share without the Web Share API: open the share sheet, or just copy
+     * the link when it's turned off
+     * @param {Object} share - { url, title, album, hashtags, caption } (see ShareTargetRegistry#buildUrl)
+     * @returns {Promise<Object>} - Share result
+     */
+    _shareWithoutApi(share) {
+        if (!this.useSheet) {
+            return this.copyLinkToClipboard(share.url);
+        }
+
+        if (!this.sheet) {
+            this.sheet = new ShareSheet({
+                targets: this.targets,
+                parent: this.parent,
+                onCopyLink: (url) => this.copyLinkToClipboard(url)
+            });
+        }
+        return this.sheet.open({ photographer: this.photographerName, ...share });
+    }
+
+    /**
+     * Report a share result to the analytics bus, if there is one
+     * @param {Object} result - Result of a share attempt
+     * @param {Object} props - Event properties
+     * @returns {Object} - The same result
+     */
+    _report(result, props) {
+        if (!this.analytics) return result;
+
+        if (result.success) {
+            const network = result.network ? { network: result.network } : {};
+            this.analytics.track('share', { ...props, method: result.method, ...network });
+        } else if (result.cancelled) {
+            this.analytics.track('share_cancelled', props);
+        } else if (result.error) {
+            this.analytics.track('share_failed', { ...props, error: result.error });
+        }
+        return result;
+    }
+
+    /**
+     * Fetch the image to share, through the URL resolver when one is set
+     * so expired signed URLs are refreshed
+     * @param {Object} photoData - Photo information
+     * @returns {Promise<Response>}
+     */
+    _fetchImage(photoData) {
+        return this.resolver
+            ? this.resolver.fetch(photoData, 'original')
+            : fetch(photoData.imageUrl);
+    }
+
+    /**
+     * Run a photo through the exporter, when there is one
+     * @param {Blob} blob - Image to share
+     * @param {Object} settings - PhotoExporter settings (optional)
+     * @returns {Promise<Blob>}
+     */
+    _export(blob, settings) {
+        return this.exporter ? this.exporter.process(blob, settings) : Promise.resolve(blob);
+    }
+
     /**
      * Sanitize a string for use as a filename
      * @param {string} str - Input string
@@ -222,15 +477,25 @@ function createShareButtons(container, photoData, shareManager) {
     container.appendChild(buttonGroup);
 }
 
+/**
+ * File extension for a shared image type
+ * @param {string} type - MIME type
+ * @returns {string}
+ */
+function fileExtension(type) {
+    return { 'image/png': 'png', 'image/webp': 'webp', 'image/gif': 'gif' }[type] || 'jpg';
+}
+
 /**
  * Show a toast notification
  * @param {string} message - Message to display
+ * @param {Node} parent - Where to add it (default document.body)
  */
-function showToast(message) {
+function showToast(message, parent = document.body) {
     const toast = document.createElement('div');
     toast.className = 'dphoto-toast';
     toast.textContent = message;
-    document.body.appendChild(toast);
+    parent.appendChild(toast);
     
     setTimeout(() => toast.classList.add('show'), 10);
     setTimeout(() => {
@@ -240,7 +505,5 @@ function showToast(message) {
 }
 
 // Export for use
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { PhotoShareManager, createShareButtons };
-}
+export { PhotoShareManager, createShareButtons, showToast };
 
@@ -0,0 +1,123 @@
+/**
+ * DPHOTO SHARE PAGES MODULE
+ * =========================
+ *
+ * Finds the share page of a photo or album: the static pages with
+ * OpenGraph tags and a preview card that scripts/build-share-pages.js
+ * writes, so shared links unfurl with the photo in chat apps and feeds.
+ *
+ * Usage:
+ *   const sharePages = await new SharePageManifest().load();
+ *   sharePages.photoUrl(photo);   // 'https://…/share/photos/<id>.html' or null
+ *
+ * Features:
+ * - Photo pages, and album pages for album covers ("cover-<album id>")
+ * - Album page of a set of photos from the same album
+ * - Returns null for anything without a page (e.g. photos from the API),
+ *   so callers fall back to their own links
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class SharePageManifest {
+    /**
+     * @param {Object} options
+     * @param {string} options.manifestUrl - URL of manifest.json
+     * @param {Object} options.manifest - Already-parsed manifest (skips the fetch)
+     */
+    constructor(options = {}) {
+        this.manifestUrl = options.manifestUrl || 'share/manifest.json';
+        this.albums = {};
+        this.photos = {};
+
+        if (options.manifest) {
+            this.setManifest(options.manifest);
+        }
+    }
+
+    /**
+     * Load the manifest. Without one (share pages not built), every
+     * lookup returns null. Never rejects, and only a manifest that is
+     * there but unreadable is worth a warning.
+     * @returns {Promise<SharePageManifest>}
+     */
+    async load() {
+        let missing = false;
+        const manifest = await fetch(this.manifestUrl)
+            .then(response => {
+                missing = response.status === 404;
+                return response.ok ? response.json() : null;
+            })
+            .catch(() => null);
+
+        if (manifest) {
+            this.setManifest(manifest);
+        } else if (!missing) {
+            console.warn(`Could not load share pages from ${this.manifestUrl}; sharing links to albums`);
+        }
+        return this;
+    }
+
+    /**
+     * Replace the manifest contents
+     * @param {Object} manifest - Parsed manifest.json
+     */
+    setManifest(manifest) {
+        this.albums = (manifest && manifest.albums) || {};
+        this.photos = (manifest && manifest.photos) || {};
+    }
+
+    /**
+     * Share page of an album
+     * @param {string} albumId - Album id
+     * @returns {string|null} - Absolute URL
+     */
+    albumUrl(albumId) {
+        return this._resolve(this.albums[albumId]);
+    }
+
+    /**
+     * Share page of a photo; an album cover gets its album's page
+     * @param {Object} photo - Lightbox photo ({ id })
+     * @returns {string|null} - Absolute URL
+     */
+    photoUrl(photo) {
+        const id = photo && photo.id;
+        if (!id) return null;
+
+        const entry = this.photos[id];
+        if (entry) return this._resolve(entry.page);
+
+        return id.startsWith('cover-') ? this.albumUrl(id.slice('cover-'.length)) : null;
+    }
+
+    /**
+     * Share page of the album a set of photos comes from, when they all
+     * come from the same one
+     * @param {Object[]} photos - Lightbox photos
+     * @returns {string|null} - Absolute URL
+     */
+    photosUrl(photos) {
+        const albumIds = new Set(photos.map(photo => {
+            const entry = photo && this.photos[photo.id];
+            if (entry) return entry.album;
+            return photo && photo.id && photo.id.startsWith('cover-') ? photo.id.slice('cover-'.length) : null;
+        }));
+
+        const [albumId] = albumIds;
+        return albumIds.size === 1 && albumId ? this.albumUrl(albumId) : null;
+    }
+
+    /**
+     * Absolute URL of a page path from the manifest
+     * @param {string} path - Path relative to the site root
+     * @returns {string|null}
+     */
+    _resolve(path) {
+        return path ? new URL(path, document.baseURI).href : null;
+    }
+}
+
+// Export for use
+export { SharePageManifest };
@@ -0,0 +1,233 @@
+/**
+ * DPHOTO SHARE SHEET MODULE
+ * =========================
+ *
+ * In-page share sheet for browsers without navigator.share (most
+ * desktop browsers). PhotoShareManager opens it instead of copying the
+ * link straight away.
+ *
+ * Usage:
+ *   const sheet = new ShareSheet({ targets: new ShareTargetRegistry() });
+ *   const result = await sheet.open({ url, title: 'Senior Night', hashtags: ['GoKnights'] });
+ *
+ * Features:
+ * - One link per target (WhatsApp, Messages, email, Facebook, X, …)
+ * - "Copy link" as the last option
+ * - Dialog semantics: focus moves in and back, Tab stays inside, Escape closes
+ * - Resolves with the same results as PhotoShareManager#sharePhoto
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+import { escapeHtml } from './catalog.js';
+
+class ShareSheet {
+    /**
+     * @param {Object} options
+     * @param {ShareTargetRegistry} options.targets - Targets to offer
+     * @param {Function} options.onCopyLink - Copies a URL; resolves with a share result
+     *        (default: navigator.clipboard)
+     * @param {Node} options.parent - Where to add the sheet (default document.body)
+     */
+    constructor(options = {}) {
+        this.targets = options.targets;
+        this.onCopyLink = options.onCopyLink || null;
+        this.parent = options.parent || document.body;
+        this.isOpen = false;
+        this.share = null;
+        this._resolve = null;
+        this._returnFocus = null;
+
+        this._render();
+        this._bindEvents();
+    }
+
+    /**
+     * Create the sheet
+     */
+    _render() {
+        this.container = document.createElement('div');
+        this.container.className = 'dphoto-share-sheet';
+        this.container.hidden = true;
+        this.container.innerHTML = `
+            <div class="dphoto-share-sheet-overlay" data-action="close"></div>
+            <div class="dphoto-share-sheet-dialog" role="dialog" aria-modal="true"
+                 aria-labelledby="dphoto-share-sheet-title" aria-describedby="dphoto-share-sheet-subject">
+                <div class="dphoto-share-sheet-header">
+                    <h2 class="dphoto-share-sheet-title" id="dphoto-share-sheet-title">Share</h2>
+                    <button class="dphoto-share-sheet-close" type="button" data-action="close" aria-label="Close">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <p class="dphoto-share-sheet-subject" id="dphoto-share-sheet-subject"></p>
+                <ul class="dphoto-share-sheet-targets"></ul>
+                <div class="dphoto-share-sheet-copy">
+                    <input class="dphoto-share-sheet-url" type="text" readonly aria-label="Link">
+                    <button class="dphoto-btn" type="button" data-action="copy">Copy link</button>
+                </div>
+            </div>
+        `;
+
+        this.parent.appendChild(this.container);
+
+        this.dialog = this.container.querySelector('.dphoto-share-sheet-dialog');
+        this.subject = this.container.querySelector('.dphoto-share-sheet-subject');
+        this.list = this.container.querySelector('.dphoto-share-sheet-targets');
+        this.urlInput = this.container.querySelector('.dphoto-share-sheet-url');
+    }
+
+    /**
+     * Bind event listeners
+     */
+    _bindEvents() {
+        this.container.addEventListener('click', (e) => {
+            const link = e.target.closest('[data-target]');
+            if (link) {
+                // The link itself opens the app or page
+                this._finish({ success: true, method: 'sheet', network: link.dataset.target });
+                return;
+            }
+
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'close') {
+                this._finish({ success: false, cancelled: true });
+            } else if (button.dataset.action === 'copy') {
+                this._copy();
+            }
+        });
+
+        this.urlInput.addEventListener('focus', () => this.urlInput.select());
+
+        // Keys typed here shouldn't reach the lightbox underneath
+        this.container.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape') {
+                this._finish({ success: false, cancelled: true });
+            } else if (e.key === 'Tab') {
+                this._trapFocus(e);
+            }
+        });
+    }
+
+    /**
+     * Show the sheet for a link
+     * @param {Object} share - See ShareTargetRegistry#buildUrl ({ url, title, album, hashtags, … })
+     * @returns {Promise<Object>} - { success, method: 'sheet', network } for a target,
+     *          the copy result for "Copy link", or { success: false, cancelled: true }
+     */
+    open(share) {
+        if (this.isOpen) {
+            this._finish({ success: false, cancelled: true });
+        }
+
+        this._returnFocus = document.activeElement;
+        this.share = share;
+        this.isOpen = true;
+
+        this.subject.textContent = share.title || share.url;
+        this.urlInput.value = share.url;
+        this.list.innerHTML = this.targets.list().map(target => {
+            const newWindow = target.newWindow ? ' target="_blank" rel="noopener noreferrer"' : '';
+            return `
+                <li>
+                    <a class="dphoto-share-target dphoto-share-target-${escapeHtml(target.id)}"
+                       href="${escapeHtml(this.targets.buildUrl(target, share))}"
+                       data-target="${escapeHtml(target.id)}"${newWindow}>
+                        ${target.icon || ''}
+                        <span>${escapeHtml(target.label)}</span>
+                    </a>
+                </li>
+            `;
+        }).join('');
+
+        this.container.hidden = false;
+        const first = this.list.querySelector('a') || this.container.querySelector('[data-action="copy"]');
+        first.focus();
+
+        return new Promise(resolve => {
+            this._resolve = resolve;
+        });
+    }
+
+    /**
+     * Close the sheet, as if cancelled
+     */
+    close() {
+        if (this.isOpen) {
+            this._finish({ success: false, cancelled: true });
+        }
+    }
+
+    /**
+     * Remove the sheet
+     */
+    destroy() {
+        this.close();
+        this.container.remove();
+    }
+
+    /**
+     * Copy the link and close
+     */
+    async _copy() {
+        const url = this.share.url;
+        let result;
+        try {
+            result = this.onCopyLink
+                ? await this.onCopyLink(url)
+                : await navigator.clipboard.writeText(url).then(() => ({ success: true, method: 'clipboard' }));
+        } catch (error) {
+            // Leave the link selected so it can be copied by hand
+            this.urlInput.focus();
+            return;
+        }
+        this._finish(result);
+    }
+
+    /**
+     * Hide the sheet and settle the pending open()
+     * @param {Object} result - Share result
+     */
+    _finish(result) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.container.hidden = true;
+        if (this._returnFocus && this._returnFocus.focus) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+
+        const resolve = this._resolve;
+        this._resolve = null;
+        if (resolve) resolve(result);
+    }
+
+    /**
+     * Keep Tab and Shift+Tab inside the sheet
+     * @param {KeyboardEvent} e
+     */
+    _trapFocus(e) {
+        const focusable = Array.from(this.dialog.querySelectorAll('a[href], button, input'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = this.container.getRootNode().activeElement;
+
+        if (e.shiftKey && active === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && active === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+// Export for use
+export { ShareSheet };
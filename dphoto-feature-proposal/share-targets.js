@@ -0,0 +1,237 @@
+/**
+ * DPHOTO SHARE TARGETS MODULE
+ * ===========================
+ *
+ * The places a link can be sent from the in-page share sheet
+ * (share-sheet.js), which stands in for the native one on browsers
+ * without navigator.share.
+ *
+ * Usage:
+ *   const targets = new ShareTargetRegistry({
+ *       enabled: ['whatsapp', 'sms', 'email'],
+ *       settings: { email: { caption: '{title} | Fred Assaf Photography', hashtags: [] } }
+ *   });
+ *   targets.register({ id: 'teamsnap', label: 'TeamSnap', url: 'https://example.com/share?link={url}', icon: '<svg>…</svg>' });
+ *
+ * Features:
+ * - WhatsApp, Messages (SMS/iMessage), email, Facebook and X built in
+ * - URL templates with {url}, {title}, {caption}, {hashtags} and {text}
+ * - Availability checks, e.g. Messages only on devices that open sms: links
+ * - Caption and hashtags per target
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+// Caption when neither the target nor the share sets one.
+// {title}, {album} and {photographer} are filled from the share.
+const DEFAULT_CAPTION = '{title} 📸';
+
+const ICONS = {
+    whatsapp: `
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M3 21l1.65-4.95A9 9 0 1 1 8.1 19.5z"/>
+            <path d="M9 8.5c0 3.5 3 6.5 6.5 6.5l1-1.5-2-1-1 1c-1-.5-2.5-2-3-3l1-1-1-2z"/>
+        </svg>`,
+    sms: `
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M21 11.5a8.5 8.5 0 0 1-12.4 7.6L3 21l1.9-5.6A8.5 8.5 0 1 1 21 11.5z"/>
+        </svg>`,
+    email: `
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <rect x="2" y="4" width="20" height="16" rx="2"/>
+            <polyline points="22 6 12 13 2 6"/>
+        </svg>`,
+    facebook: `
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+            <path d="M14 8h3V4h-3c-2.76 0-4 1.79-4 4.5V11H7v4h3v8h4v-8h3l1-4h-4V8.5c0-.28.22-.5.5-.5z"/>
+        </svg>`,
+    x: `
+        <svg width="22" height="22" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M4 4l16 16M20 4L4 20"/>
+        </svg>`
+};
+
+// Built-in targets, in their default order
+const DEFAULT_SHARE_TARGETS = [
+    {
+        id: 'whatsapp',
+        label: 'WhatsApp',
+        icon: ICONS.whatsapp,
+        url: 'https://wa.me/?text={text}%20{url}'
+    },
+    {
+        id: 'sms',
+        label: 'Messages',
+        icon: ICONS.sms,
+        // "?&" works for both iOS and Android
+        url: 'sms:?&body={text}%20{url}',
+        newWindow: false,
+        // Phones, tablets and Macs (which hand sms: to Messages)
+        available: () => /iPhone|iPad|iPod|Android|Macintosh/.test(navigator.userAgent)
+    },
+    {
+        id: 'email',
+        label: 'Email',
+        icon: ICONS.email,
+        url: 'mailto:?subject={title}&body={text}%0A%0A{url}',
+        newWindow: false
+    },
+    {
+        id: 'facebook',
+        label: 'Facebook',
+        icon: ICONS.facebook,
+        // Facebook takes the caption from the page's OpenGraph tags
+        url: 'https://www.facebook.com/sharer/sharer.php?u={url}'
+    },
+    {
+        id: 'x',
+        label: 'X',
+        icon: ICONS.x,
+        url: 'https://x.com/intent/post?text={caption}&url={url}&hashtags={hashtags}'
+    }
+];
+
+class ShareTargetRegistry {
+    /**
+     * @param {Object} options
+     * @param {string[]} options.enabled - Target ids to show, in order (default: every registered target)
+     * @param {Object} options.settings - Per-target overrides by id, e.g. { x: { caption, hashtags } }
+     * @param {Object[]} options.targets - Extra targets to register (see register())
+     * @param {boolean} options.defaults - Register the built-in targets (default true)
+     */
+    constructor(options = {}) {
+        this.targets = new Map();
+        this.enabled = options.enabled || null;
+
+        if (options.defaults !== false) {
+            DEFAULT_SHARE_TARGETS.forEach(target => this.register(target));
+        }
+        (options.targets || []).forEach(target => this.register(target));
+        Object.entries(options.settings || {}).forEach(([id, settings]) => this.configure(id, settings));
+    }
+
+    /**
+     * Add a target, or replace the one with the same id
+     * @param {Object} target
+     * @param {string} target.id - Unique id (reported as the share's network)
+     * @param {string} target.label - Button text
+     * @param {string|Function} target.url - Template ('https://…?u={url}') or a function of the fields
+     *        ({ url, title, caption, hashtags, text }; template values are URL-encoded)
+     * @param {string} target.icon - SVG markup (optional)
+     * @param {Function} target.available - Whether to show it on this device (optional)
+     * @param {string} target.caption - Caption template for this target (optional)
+     * @param {string[]} target.hashtags - Hashtags for this target, without "#" (optional)
+     * @param {boolean} target.newWindow - Open in a new tab (default true)
+     * @returns {ShareTargetRegistry}
+     */
+    register(target) {
+        if (!target || !target.id || !target.label || !target.url) {
+            throw new Error('A share target needs an id, a label and a url');
+        }
+        this.targets.set(target.id, { newWindow: true, ...target });
+        return this;
+    }
+
+    /**
+     * Remove a target
+     * @param {string} id - Target id
+     * @returns {ShareTargetRegistry}
+     */
+    unregister(id) {
+        this.targets.delete(id);
+        return this;
+    }
+
+    /**
+     * Change a target's caption, hashtags, label or anything else
+     * @param {string} id - Target id
+     * @param {Object} settings - Properties to override
+     * @returns {ShareTargetRegistry}
+     */
+    configure(id, settings) {
+        const target = this.targets.get(id);
+        if (!target) {
+            throw new Error(`Unknown share target "${id}"`);
+        }
+        this.targets.set(id, { ...target, ...settings, id });
+        return this;
+    }
+
+    /**
+     * A target by id
+     * @param {string} id - Target id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this.targets.get(id) || null;
+    }
+
+    /**
+     * Targets to show: enabled, registered and available on this device
+     * @returns {Object[]}
+     */
+    list() {
+        const ids = this.enabled || Array.from(this.targets.keys());
+        return ids
+            .map(id => this.targets.get(id))
+            .filter(target => target && (!target.available || target.available()));
+    }
+
+    /**
+     * Link that shares through a target
+     * @param {Object|string} target - Target or its id
+     * @param {Object} share
+     * @param {string} share.url - Link being shared
+     * @param {string} share.title - Photo or album title
+     * @param {string} share.album - Album title (optional)
+     * @param {string} share.photographer - Photographer name (optional)
+     * @param {string[]} share.hashtags - Hashtags, without "#" (optional)
+     * @param {string} share.caption - Caption template when the target has none (optional)
+     * @returns {string}
+     */
+    buildUrl(target, share) {
+        const definition = typeof target === 'string' ? this.get(target) : target;
+        if (!definition) {
+            throw new Error(`Unknown share target "${target}"`);
+        }
+
+        const fields = shareFields(definition, share);
+        if (typeof definition.url === 'function') {
+            return definition.url(fields);
+        }
+        return definition.url.replace(/\{(\w+)\}/g, (match, name) =>
+            name in fields ? encodeURIComponent(fields[name]) : match
+        );
+    }
+}
+
+/**
+ * Caption, hashtags and text for one target
+ * @param {Object} target - Target definition
+ * @param {Object} share - See ShareTargetRegistry#buildUrl
+ * @returns {Object} - { url, title, caption, hashtags, text }
+ */
+function shareFields(target, share) {
+    const template = target.caption || share.caption || DEFAULT_CAPTION;
+    const caption = template
+        .replace(/\{(title|album|photographer)\}/g, (match, name) => share[name] || '')
+        .replace(/\s+/g, ' ')
+        .trim();
+    const hashtags = target.hashtags || share.hashtags || [];
+    const tagText = hashtags.map(tag => `#${tag}`).join(' ');
+
+    return {
+        url: share.url,
+        title: share.title || '',
+        caption: caption,
+        hashtags: hashtags.join(','),
+        text: tagText ? `${caption} ${tagText}` : caption
+    };
+}
+
+// Export for use
+export {
+    ShareTargetRegistry,
+    DEFAULT_SHARE_TARGETS
+};
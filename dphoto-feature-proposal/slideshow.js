@@ -0,0 +1,233 @@
+/**
+ * DPHOTO SLIDESHOW MODULE
+ * =======================
+ *
+ * Rotates a set of slides on a timer, with clickable indicators. Used by
+ * the landing page hero and the <fred-slideshow> embed.
+ *
+ * Features:
+ * - Autoplay with a configurable interval (0 turns it off)
+ * - Indicator clicks jump to a slide and restart the timer
+ * - Wraps around in both directions
+ * - Pause/play button; pauses while hovered or focused
+ * - No autoplay when the visitor prefers reduced motion
+ * - Hides inactive slides from screen readers, announces slides while paused
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class Slideshow {
+    /**
+     * @param {NodeList|Array} slides - Slide elements; the active one has the "active" class
+     * @param {NodeList|Array} indicators - Indicator elements, one per slide (optional)
+     * @param {Object} options
+     * @param {number} options.interval - Milliseconds per slide (default 3000, 0 for no autoplay)
+     * @param {Function} options.onChange - Called with the new slide index
+     * @param {HTMLElement} options.container - Hovering or focusing it pauses the rotation
+     *        (default: the slides' parent)
+     * @param {HTMLElement} options.toggle - Pause/play button (optional)
+     */
+    constructor(slides, indicators = [], options = {}) {
+        this.slides = Array.from(slides);
+        this.indicators = Array.from(indicators);
+        this.interval = options.interval !== undefined ? options.interval : 3000;
+        this.onChange = options.onChange || null;
+        this.container = options.container || (this.slides[0] && this.slides[0].parentElement) || null;
+        this.toggleButton = options.toggle || null;
+        this.currentSlide = Math.max(0, this.slides.findIndex(slide => slide.classList.contains('active')));
+        this.isPlaying = false;
+        this._holds = new Set();   // 'hover' / 'focus' while the visitor is on the slideshow
+        this._timer = null;
+
+        this.slides.forEach((slide, index) => this._setActive(index, index === this.currentSlide));
+
+        // Click on indicators to navigate
+        this.indicators.forEach((indicator, index) => {
+            indicator.addEventListener('click', () => {
+                this.goToSlide(index);
+                this.reset();
+            });
+        });
+
+        if (this.toggleButton) {
+            this.toggleButton.addEventListener('click', () => this.toggle());
+        }
+
+        // Hold still while someone is looking at or tabbing through it
+        if (this.container) {
+            this.container.addEventListener('mouseenter', () => this._hold('hover', true));
+            this.container.addEventListener('mouseleave', () => this._hold('hover', false));
+            this.container.addEventListener('focusin', () => this._hold('focus', true));
+            this.container.addEventListener('focusout', (e) => {
+                if (!this.container.contains(e.relatedTarget)) this._hold('focus', false);
+            });
+        }
+
+        this._renderState();
+    }
+
+    /**
+     * Show a slide
+     * @param {number} index - Slide index (wraps around)
+     */
+    goToSlide(index) {
+        if (!this.slides.length) return;
+
+        this._setActive(this.currentSlide, false);
+        this.currentSlide = (index + this.slides.length) % this.slides.length;
+        this._setActive(this.currentSlide, true);
+
+        if (this.onChange) {
+            this.onChange(this.currentSlide);
+        }
+    }
+
+    /**
+     * Show the next slide
+     */
+    nextSlide() {
+        this.goToSlide(this.currentSlide + 1);
+    }
+
+    /**
+     * Show the previous slide
+     */
+    prevSlide() {
+        this.goToSlide(this.currentSlide - 1);
+    }
+
+    /**
+     * Autoplay: start rotating, unless the visitor prefers reduced motion
+     * (does nothing with interval 0 or a single slide)
+     */
+    start() {
+        if (this._prefersReducedMotion()) {
+            this.stop();
+            return;
+        }
+        this.play();
+    }
+
+    /**
+     * Start rotating, e.g. from the play button
+     */
+    play() {
+        this.isPlaying = this._canRotate();
+        this._schedule();
+        this._renderState();
+    }
+
+    /**
+     * Stop rotating
+     */
+    stop() {
+        this.isPlaying = false;
+        this._schedule();
+        this._renderState();
+    }
+
+    /**
+     * Play if paused, pause if playing
+     */
+    toggle() {
+        if (this.isPlaying) {
+            this.stop();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * Restart the timer, e.g. after the user picked a slide
+     */
+    reset() {
+        if (this._timer) this._schedule();
+    }
+
+    /**
+     * Whether there is anything to rotate
+     * @returns {boolean}
+     */
+    _canRotate() {
+        return this.interval > 0 && this.slides.length > 1;
+    }
+
+    /**
+     * @returns {boolean}
+     */
+    _prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' &&
+            window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * (Re)start the timer when playing and nobody is hovering or focused
+     */
+    _schedule() {
+        clearInterval(this._timer);
+        this._timer = null;
+        if (this.isPlaying && !this._holds.size && this._canRotate()) {
+            this._timer = setInterval(() => this.nextSlide(), this.interval);
+        }
+    }
+
+    /**
+     * Pause for hover or focus, or resume after it
+     * @param {string} reason - 'hover' or 'focus'
+     * @param {boolean} held - Whether the reason applies now
+     */
+    _hold(reason, held) {
+        if (held) {
+            this._holds.add(reason);
+        } else {
+            this._holds.delete(reason);
+        }
+        this._schedule();
+        this._renderState();
+    }
+
+    /**
+     * Update the toggle button, the "paused" class and the live region.
+     * Slides are only announced while they aren't changing by themselves.
+     */
+    _renderState() {
+        const moving = Boolean(this._timer);
+        if (this.container) {
+            this.container.classList.toggle('paused', !moving);
+        }
+        if (this.slides[0] && this.slides[0].parentElement) {
+            this.slides[0].parentElement.setAttribute('aria-live', moving ? 'off' : 'polite');
+        }
+        if (this.toggleButton) {
+            this.toggleButton.hidden = !this._canRotate();
+            this.toggleButton.classList.toggle('paused', !this.isPlaying);
+            // A toggle button: the label stays put, the pressed state says paused
+            this.toggleButton.setAttribute('aria-label', 'Pause slideshow');
+            this.toggleButton.setAttribute('aria-pressed', String(!this.isPlaying));
+        }
+    }
+
+    /**
+     * Toggle the "active" class on a slide and its indicator. Inactive
+     * slides are hidden from screen readers and, when focusable, taken
+     * out of the tab order.
+     * @param {number} index - Slide index
+     * @param {boolean} active - Whether it is the current slide
+     */
+    _setActive(index, active) {
+        const slide = this.slides[index];
+        slide.classList.toggle('active', active);
+        slide.setAttribute('aria-hidden', String(!active));
+        if (slide.matches('button, [tabindex]')) {
+            slide.tabIndex = active ? 0 : -1;
+        }
+        if (this.indicators[index]) {
+            this.indicators[index].classList.toggle('active', active);
+            this.indicators[index].setAttribute('aria-current', String(active));
+        }
+    }
+}
+
+// Export for use
+export { Slideshow };
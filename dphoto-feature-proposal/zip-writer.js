@@ -0,0 +1,277 @@
+/**
+ * DPHOTO ZIP WRITER MODULE
+ * ========================
+ *
+ * Minimal, dependency-free ZIP archive writer for the browser.
+ * Files are written one after another to a sink as they arrive, so an
+ * album can be streamed straight to disk where the browser allows it.
+ *
+ * Features:
+ * - "Stored" entries (photos are already compressed, deflate gains nothing)
+ * - UTF-8 filenames
+ * - ZIP64 records for archives over 4 GB or 65,535 files
+ * - Pluggable sink: in-memory Blob or a WritableStream
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class ZipWriter {
+    /**
+     * @param {Object} options
+     * @param {WritableStreamDefaultWriter} options.writer - Stream to write to (optional).
+     *        Without one, chunks are kept in memory and returned by close().
+     */
+    constructor(options = {}) {
+        this.writer = options.writer || null;
+        this._chunks = [];
+        this._entries = [];
+        this._names = new Set();
+        this._offset = 0;
+        this._closed = false;
+    }
+
+    /**
+     * Add a file to the archive
+     * @param {string} name - Path inside the archive
+     * @param {Blob|Uint8Array|string} data - File contents
+     * @param {Date} date - Modification date (defaults to now)
+     */
+    async addFile(name, data, date = new Date()) {
+        if (this._closed) {
+            throw new Error('Cannot add files to a closed ZIP archive');
+        }
+        if (this._names.has(name)) {
+            throw new Error(`Duplicate file in ZIP archive: ${name}`);
+        }
+
+        const bytes = await ZipWriter._toBytes(data);
+        const nameBytes = new TextEncoder().encode(name);
+        const crc = crc32(bytes);
+        const size = bytes.length;
+        const offset = this._offset;
+        const zip64 = size >= ZipWriter.MAX_32;
+        const { time, dosDate } = ZipWriter._dosDateTime(date);
+
+        // Local file header
+        const extra = zip64 ? ZipWriter._zip64Extra([size, size]) : new Uint8Array(0);
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, zip64 ? 45 : 20, true);     // version needed
+        header.setUint16(6, 0x0800, true);              // UTF-8 names
+        header.setUint16(8, 0, true);                   // stored
+        header.setUint16(10, time, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, zip64 ? ZipWriter.MAX_32 : size, true);
+        header.setUint32(22, zip64 ? ZipWriter.MAX_32 : size, true);
+        header.setUint16(26, nameBytes.length, true);
+        header.setUint16(28, extra.length, true);
+
+        await this._write(new Uint8Array(header.buffer));
+        await this._write(nameBytes);
+        await this._write(extra);
+        await this._write(bytes);
+
+        this._names.add(name);
+        this._entries.push({ nameBytes, crc, size, offset, time, dosDate });
+    }
+
+    /**
+     * Write the central directory and finish the archive
+     * @returns {Promise<Blob|null>} - The archive, or null when writing to a stream
+     */
+    async close() {
+        if (this._closed) return null;
+        this._closed = true;
+
+        const centralStart = this._offset;
+
+        for (const entry of this._entries) {
+            await this._writeCentralEntry(entry);
+        }
+
+        const centralSize = this._offset - centralStart;
+        const count = this._entries.length;
+        const needsZip64 = count >= 0xffff ||
+            centralStart >= ZipWriter.MAX_32 ||
+            centralSize >= ZipWriter.MAX_32;
+
+        if (needsZip64) {
+            await this._writeZip64End(centralStart, centralSize, count);
+        }
+
+        // End of central directory record
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, needsZip64 ? 0xffff : count, true);
+        end.setUint16(10, needsZip64 ? 0xffff : count, true);
+        end.setUint32(12, needsZip64 ? ZipWriter.MAX_32 : centralSize, true);
+        end.setUint32(16, needsZip64 ? ZipWriter.MAX_32 : centralStart, true);
+        await this._write(new Uint8Array(end.buffer));
+
+        if (this.writer) {
+            await this.writer.close();
+            return null;
+        }
+
+        const blob = new Blob(this._chunks, { type: 'application/zip' });
+        this._chunks = [];
+        return blob;
+    }
+
+    /**
+     * Abort the archive, discarding anything written so far
+     */
+    async abort() {
+        this._closed = true;
+        this._chunks = [];
+        if (this.writer) {
+            await this.writer.abort().catch(() => {});
+        }
+    }
+
+    /**
+     * Write one central directory file header
+     * @param {Object} entry - Entry recorded by addFile
+     */
+    async _writeCentralEntry(entry) {
+        const sizeOverflow = entry.size >= ZipWriter.MAX_32;
+        const offsetOverflow = entry.offset >= ZipWriter.MAX_32;
+        const zip64Values = [];
+        if (sizeOverflow) zip64Values.push(entry.size, entry.size);
+        if (offsetOverflow) zip64Values.push(entry.offset);
+        const extra = zip64Values.length ? ZipWriter._zip64Extra(zip64Values) : new Uint8Array(0);
+        const version = zip64Values.length ? 45 : 20;
+
+        const header = new DataView(new ArrayBuffer(46));
+        header.setUint32(0, 0x02014b50, true);
+        header.setUint16(4, version, true);             // version made by
+        header.setUint16(6, version, true);             // version needed
+        header.setUint16(8, 0x0800, true);
+        header.setUint16(10, 0, true);
+        header.setUint16(12, entry.time, true);
+        header.setUint16(14, entry.dosDate, true);
+        header.setUint32(16, entry.crc, true);
+        header.setUint32(20, sizeOverflow ? ZipWriter.MAX_32 : entry.size, true);
+        header.setUint32(24, sizeOverflow ? ZipWriter.MAX_32 : entry.size, true);
+        header.setUint16(28, entry.nameBytes.length, true);
+        header.setUint16(30, extra.length, true);
+        header.setUint32(42, offsetOverflow ? ZipWriter.MAX_32 : entry.offset, true);
+
+        await this._write(new Uint8Array(header.buffer));
+        await this._write(entry.nameBytes);
+        await this._write(extra);
+    }
+
+    /**
+     * Write the ZIP64 end of central directory record and locator
+     * @param {number} centralStart - Offset of the central directory
+     * @param {number} centralSize - Size of the central directory
+     * @param {number} count - Number of entries
+     */
+    async _writeZip64End(centralStart, centralSize, count) {
+        const recordOffset = this._offset;
+
+        const record = new DataView(new ArrayBuffer(56));
+        record.setUint32(0, 0x06064b50, true);
+        record.setBigUint64(4, 44n, true);              // size of the rest of the record
+        record.setUint16(12, 45, true);
+        record.setUint16(14, 45, true);
+        record.setBigUint64(24, BigInt(count), true);
+        record.setBigUint64(32, BigInt(count), true);
+        record.setBigUint64(40, BigInt(centralSize), true);
+        record.setBigUint64(48, BigInt(centralStart), true);
+        await this._write(new Uint8Array(record.buffer));
+
+        const locator = new DataView(new ArrayBuffer(20));
+        locator.setUint32(0, 0x07064b50, true);
+        locator.setBigUint64(8, BigInt(recordOffset), true);
+        locator.setUint32(16, 1, true);                 // total number of disks
+        await this._write(new Uint8Array(locator.buffer));
+    }
+
+    /**
+     * Send bytes to the sink
+     * @param {Uint8Array} bytes - Data to write
+     */
+    async _write(bytes) {
+        if (!bytes.length) return;
+
+        if (this.writer) {
+            await this.writer.write(bytes);
+        } else {
+            this._chunks.push(bytes);
+        }
+        this._offset += bytes.length;
+    }
+
+    /**
+     * Build a ZIP64 extended information extra field
+     * @param {number[]} values - 64-bit values in spec order
+     * @returns {Uint8Array}
+     */
+    static _zip64Extra(values) {
+        const view = new DataView(new ArrayBuffer(4 + values.length * 8));
+        view.setUint16(0, 0x0001, true);
+        view.setUint16(2, values.length * 8, true);
+        values.forEach((value, i) => view.setBigUint64(4 + i * 8, BigInt(value), true));
+        return new Uint8Array(view.buffer);
+    }
+
+    /**
+     * Convert a Date to MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} - { time, dosDate }
+     */
+    static _dosDateTime(date) {
+        const year = Math.max(1980, date.getFullYear());
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            dosDate: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Normalise file contents to bytes
+     * @param {Blob|Uint8Array|ArrayBuffer|string} data - File contents
+     * @returns {Promise<Uint8Array>}
+     */
+    static async _toBytes(data) {
+        if (typeof data === 'string') return new TextEncoder().encode(data);
+        if (data instanceof Uint8Array) return data;
+        if (data instanceof ArrayBuffer) return new Uint8Array(data);
+        return new Uint8Array(await data.arrayBuffer());
+    }
+}
+
+ZipWriter.MAX_32 = 0xffffffff;
+
+let crcTable = null;
+
+/**
+ * CRC-32 checksum (as used by ZIP and PNG)
+ * @param {Uint8Array} bytes - Data to checksum
+ * @returns {number}
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Export for use
+export { ZipWriter, crc32 };
@@ -0,0 +1,317 @@
+/**
+ * DPHOTO ZOOM GESTURES MODULE
+ * ===========================
+ *
+ * Gesture maths for zooming and panning a photo. It has no DOM access:
+ * feed it plain pointer objects ({ id, x, y, time }) and wheel deltas,
+ * then read back the { scale, x, y } transform. This keeps it testable
+ * with synthetic pointer sequences.
+ *
+ * Coordinates are in CSS pixels relative to the viewport's top-left
+ * corner. The transform assumes the image is centred in the viewport
+ * with transform-origin: center, i.e. translate(x, y) scale(scale).
+ *
+ * Features:
+ * - Two-finger pinch zoom around the pinch midpoint
+ * - Double-tap / double-click to zoom to the tapped point (and back)
+ * - One-finger / mouse panning while zoomed, clamped to the image edges
+ * - Wheel zoom around the cursor
+ * - Swipe detection, only while not zoomed
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+class ZoomGestures {
+    /**
+     * @param {Object} options
+     * @param {number} options.minScale - Smallest scale (default 1)
+     * @param {number} options.maxScale - Largest scale (default 4)
+     * @param {number} options.doubleTapScale - Scale a double tap zooms to (default 2.5)
+     * @param {number} options.doubleTapDelay - Max ms between taps (default 300)
+     * @param {number} options.tapSlop - Max px a tap may move (default 10)
+     * @param {number} options.swipeThreshold - Min px for a swipe (default 50)
+     * @param {number} options.wheelSpeed - Zoom per wheel delta pixel (default 0.002)
+     */
+    constructor(options = {}) {
+        this.minScale = options.minScale || 1;
+        this.maxScale = options.maxScale || 4;
+        this.doubleTapScale = options.doubleTapScale || 2.5;
+        this.doubleTapDelay = options.doubleTapDelay || 300;
+        this.tapSlop = options.tapSlop || 10;
+        this.swipeThreshold = options.swipeThreshold || 50;
+        this.wheelSpeed = options.wheelSpeed || 0.002;
+
+        this.viewport = { width: 0, height: 0 };
+        this.content = { width: 0, height: 0 };
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+
+        this._pointers = new Map();   // id -> { x, y }
+        this._gesture = null;
+        this._lastTap = null;
+    }
+
+    /**
+     * Whether the image is zoomed in
+     * @returns {boolean}
+     */
+    get isZoomed() {
+        return this.scale > this.minScale + 0.01;
+    }
+
+    /**
+     * Whether a pointer gesture is in progress
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this._pointers.size > 0;
+    }
+
+    /**
+     * Set the viewport size and the image's unzoomed (fitted) size
+     * @param {Object} viewport - { width, height }
+     * @param {Object} content - { width, height }
+     */
+    setBounds(viewport, content) {
+        this.viewport = { width: viewport.width, height: viewport.height };
+        this.content = { width: content.width, height: content.height };
+        this._clamp();
+    }
+
+    /**
+     * Current transform
+     * @returns {Object} - { scale, x, y }
+     */
+    getTransform() {
+        return { scale: this.scale, x: this.x, y: this.y };
+    }
+
+    /**
+     * Back to the unzoomed state
+     */
+    reset() {
+        this.scale = this.minScale;
+        this.x = 0;
+        this.y = 0;
+        this._pointers.clear();
+        this._gesture = null;
+        this._lastTap = null;
+    }
+
+    /**
+     * Zoom to a scale, keeping the content under a viewport point still
+     * @param {number} scale - Target scale (clamped to min/max)
+     * @param {number} px - Viewport x
+     * @param {number} py - Viewport y
+     */
+    zoomTo(scale, px = this.viewport.width / 2, py = this.viewport.height / 2) {
+        const target = Math.min(this.maxScale, Math.max(this.minScale, scale));
+        const cx = px - this.viewport.width / 2;
+        const cy = py - this.viewport.height / 2;
+        const ratio = target / this.scale;
+
+        this.x = cx - (cx - this.x) * ratio;
+        this.y = cy - (cy - this.y) * ratio;
+        this.scale = target;
+        this._clamp();
+    }
+
+    /**
+     * Zoom in to the double-tap scale at a point, or back out if zoomed
+     * @param {number} px - Viewport x
+     * @param {number} py - Viewport y
+     */
+    toggleZoom(px, py) {
+        if (this.isZoomed) {
+            this.zoomTo(this.minScale);
+        } else {
+            this.zoomTo(this.doubleTapScale, px, py);
+        }
+    }
+
+    /**
+     * Wheel zoom around the cursor
+     * @param {Object} event - { x, y, deltaY } (deltaY in pixels)
+     */
+    wheel(event) {
+        this.zoomTo(this.scale * Math.exp(-event.deltaY * this.wheelSpeed), event.x, event.y);
+    }
+
+    /**
+     * A pointer went down
+     * @param {Object} pointer - { id, x, y, time }
+     */
+    pointerDown(pointer) {
+        this._pointers.set(pointer.id, { x: pointer.x, y: pointer.y });
+
+        if (this._pointers.size === 1) {
+            this._gesture = {
+                type: this.isZoomed ? 'pan' : 'swipe',
+                startX: pointer.x,
+                startY: pointer.y,
+                startTime: pointer.time,
+                originX: this.x,
+                originY: this.y,
+                moved: false
+            };
+        } else if (this._pointers.size === 2) {
+            this._startPinch();
+        }
+    }
+
+    /**
+     * A pointer moved
+     * @param {Object} pointer - { id, x, y, time }
+     */
+    pointerMove(pointer) {
+        if (!this._pointers.has(pointer.id) || !this._gesture) return;
+        this._pointers.set(pointer.id, { x: pointer.x, y: pointer.y });
+
+        const gesture = this._gesture;
+
+        if (gesture.type === 'pinch') {
+            if (this._pointers.size < 2) return;
+            const [a, b] = this._pointers.values();
+            const distance = Math.hypot(b.x - a.x, b.y - a.y);
+            const mid = this._toCentre((a.x + b.x) / 2, (a.y + b.y) / 2);
+            const scale = Math.min(this.maxScale, Math.max(this.minScale,
+                gesture.startScale * distance / gesture.startDistance));
+
+            // Keep the content point that started under the midpoint under it
+            this.x = mid.x - gesture.anchorX * scale;
+            this.y = mid.y - gesture.anchorY * scale;
+            this.scale = scale;
+            this._clamp();
+            return;
+        }
+
+        const dx = pointer.x - gesture.startX;
+        const dy = pointer.y - gesture.startY;
+        if (Math.hypot(dx, dy) > this.tapSlop) gesture.moved = true;
+
+        if (gesture.type === 'pan') {
+            this.x = gesture.originX + dx;
+            this.y = gesture.originY + dy;
+            this._clamp();
+        }
+    }
+
+    /**
+     * A pointer was released or cancelled
+     * @param {Object} pointer - { id, x, y, time, cancelled }
+     * @returns {Object|null} - { type: 'swipe', direction: 'next'|'prev' },
+     *          { type: 'doubletap' }, { type: 'tap' } or null
+     */
+    pointerUp(pointer) {
+        if (!this._pointers.has(pointer.id)) return null;
+        this._pointers.delete(pointer.id);
+
+        const gesture = this._gesture;
+        if (!gesture) return null;
+
+        if (gesture.type === 'pinch') {
+            if (this._pointers.size === 1) {
+                // Carry on as a pan with the remaining finger
+                const [rest] = this._pointers.values();
+                this._gesture = {
+                    type: 'pan',
+                    startX: rest.x,
+                    startY: rest.y,
+                    startTime: pointer.time,
+                    originX: this.x,
+                    originY: this.y,
+                    moved: true
+                };
+            }
+            return null;
+        }
+
+        if (this._pointers.size > 0) return null;
+        this._gesture = null;
+
+        // Snap back from a pinch that ended barely above the minimum
+        if (!this.isZoomed && this.scale !== this.minScale) {
+            this.zoomTo(this.minScale);
+        }
+        if (pointer.cancelled) return null;
+
+        const dx = pointer.x - gesture.startX;
+        const dy = pointer.y - gesture.startY;
+
+        if (gesture.type === 'swipe' && Math.abs(dx) > this.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+            this._lastTap = null;
+            return { type: 'swipe', direction: dx < 0 ? 'next' : 'prev' };
+        }
+
+        if (!gesture.moved) {
+            return this._tap(pointer);
+        }
+
+        return null;
+    }
+
+    /**
+     * Record a tap and detect double taps
+     * @param {Object} pointer - { x, y, time }
+     * @returns {Object} - { type: 'tap' } or { type: 'doubletap' }
+     */
+    _tap(pointer) {
+        const last = this._lastTap;
+
+        if (last &&
+            pointer.time - last.time <= this.doubleTapDelay &&
+            Math.hypot(pointer.x - last.x, pointer.y - last.y) <= this.tapSlop * 3) {
+            this._lastTap = null;
+            this.toggleZoom(pointer.x, pointer.y);
+            return { type: 'doubletap' };
+        }
+
+        this._lastTap = { x: pointer.x, y: pointer.y, time: pointer.time };
+        return { type: 'tap' };
+    }
+
+    /**
+     * Begin a pinch from the two active pointers
+     */
+    _startPinch() {
+        const [a, b] = this._pointers.values();
+        const mid = this._toCentre((a.x + b.x) / 2, (a.y + b.y) / 2);
+
+        this._lastTap = null;
+        this._gesture = {
+            type: 'pinch',
+            startScale: this.scale,
+            startDistance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            // Content point (relative to the image centre, unscaled) under the midpoint
+            anchorX: (mid.x - this.x) / this.scale,
+            anchorY: (mid.y - this.y) / this.scale
+        };
+    }
+
+    /**
+     * Viewport coordinates relative to the viewport centre
+     * @param {number} px - Viewport x
+     * @param {number} py - Viewport y
+     * @returns {Object} - { x, y }
+     */
+    _toCentre(px, py) {
+        return { x: px - this.viewport.width / 2, y: py - this.viewport.height / 2 };
+    }
+
+    /**
+     * Keep the image covering the viewport: no panning past its edges,
+     * and centred on any axis where it is smaller than the viewport
+     */
+    _clamp() {
+        const maxX = Math.max(0, (this.content.width * this.scale - this.viewport.width) / 2);
+        const maxY = Math.max(0, (this.content.height * this.scale - this.viewport.height) / 2);
+
+        this.x = Math.min(maxX, Math.max(-maxX, this.x));
+        this.y = Math.min(maxY, Math.max(-maxY, this.y));
+    }
+}
+
+// Export for use
+export { ZoomGestures };
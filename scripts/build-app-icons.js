@@ -0,0 +1,126 @@
+/**
+ * APP ICONS BUILD
+ * ===============
+ *
+ * Generates the home-screen icons listed in manifest.webmanifest (and the
+ * Apple touch icon in index.html) from the site logo.
+ *
+ * Usage:
+ *   npm install --no-save sharp
+ *   node scripts/build-app-icons.js
+ *
+ * Environment:
+ *   ICON_SRC  - Source logo (default images/logo-fred-sports.png)
+ *   ICON_OUT  - Output directory (default images/icons)
+ *
+ * Output:
+ *   images/icons/icon-192.png, icon-512.png   - Logo cropped to a square
+ *   images/icons/maskable-512.png             - Logo inside the maskable safe zone
+ *   images/icons/apple-touch-icon.png         - 180px, for iOS
+ *
+ * The source is cropped around its centre, so keep the crest in the
+ * middle. Padding uses the colour of the logo's top-left pixel.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC_PATH = path.resolve(ROOT, process.env.ICON_SRC || 'images/logo-fred-sports.png');
+const OUT_DIR = path.resolve(ROOT, process.env.ICON_OUT || 'images/icons');
+
+// Maskable icons may be cut to a circle of 80% of their width
+const MASKABLE_SAFE_ZONE = 0.8;
+
+const ICONS = [
+    { name: 'icon-192.png', size: 192 },
+    { name: 'icon-512.png', size: 512 },
+    { name: 'maskable-512.png', size: 512, maskable: true },
+    { name: 'apple-touch-icon.png', size: 180 }
+];
+
+/**
+ * Load sharp, explaining how to install it if it's missing
+ * @returns {Function}
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('This build step needs sharp: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * Path relative to the site root, with forward slashes
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+function toUrlPath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+async function main() {
+    const sharp = loadSharp();
+
+    if (!fs.existsSync(SRC_PATH)) {
+        console.error(`No logo at ${toUrlPath(SRC_PATH)}`);
+        process.exit(1);
+    }
+
+    const source = sharp(SRC_PATH);
+    const { width, height } = await source.metadata();
+    const side = Math.min(width, height);
+
+    const { data } = await sharp(SRC_PATH)
+        .extract({ left: 0, top: 0, width: 1, height: 1 })
+        .removeAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const background = { r: data[0], g: data[1], b: data[2], alpha: 1 };
+
+    // Centre square, flattened onto the logo background
+    const square = await sharp(SRC_PATH)
+        .extract({
+            left: Math.floor((width - side) / 2),
+            top: Math.floor((height - side) / 2),
+            width: side,
+            height: side
+        })
+        .flatten({ background })
+        .png()
+        .toBuffer();
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+
+    for (const icon of ICONS) {
+        const outPath = path.join(OUT_DIR, icon.name);
+        const inner = icon.maskable ? Math.round(icon.size * MASKABLE_SAFE_ZONE) : icon.size;
+        const pad = Math.floor((icon.size - inner) / 2);
+
+        await sharp(square)
+            .resize(inner, inner)
+            .extend({
+                top: pad,
+                bottom: icon.size - inner - pad,
+                left: pad,
+                right: icon.size - inner - pad,
+                background
+            })
+            .png({ compressionLevel: 9, palette: true })
+            .toFile(outPath);
+
+        console.log(`Wrote ${toUrlPath(outPath)}`);
+    }
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
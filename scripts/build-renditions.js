@@ -0,0 +1,215 @@
+/**
+ * RESPONSIVE IMAGE RENDITIONS BUILD
+ * =================================
+ *
+ * Generates small (thumbnail), medium and large renditions of every
+ * image in images/originals/ as AVIF, WebP and a JPEG fallback, plus a
+ * manifest of sizes and dimensions that the front end reads to build
+ * srcset attributes (see dphoto-feature-proposal/responsive-images.js).
+ *
+ * Usage:
+ *   npm install --no-save sharp
+ *   node scripts/build-renditions.js
+ *
+ * Run it after adding or changing originals and commit the result; the
+ * static deployment has no build step and serves it as-is.
+ *
+ * Environment:
+ *   RENDITIONS_SRC    - Originals directory (default images/originals)
+ *   RENDITIONS_OUT    - Output directory (default images/renditions)
+ *   RENDITIONS_FORCE  - Set to 1 to rebuild files that are up to date
+ *
+ * Output:
+ *   images/renditions/<name>-<size>.<avif|webp|jpg>
+ *   images/renditions/manifest.json
+ *
+ * Images are never upscaled: a size wider than the original is
+ * written at the original width.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SRC_DIR = path.resolve(ROOT, process.env.RENDITIONS_SRC || 'images/originals');
+const OUT_DIR = path.resolve(ROOT, process.env.RENDITIONS_OUT || 'images/renditions');
+const FORCE = process.env.RENDITIONS_FORCE === '1';
+
+// Size names match the ones the dphoto adapters and ImageUrlResolver use
+const SIZES = {
+    small: 480,
+    medium: 1280,
+    large: 2048
+};
+
+const FORMATS = {
+    avif: { quality: 50 },
+    webp: { quality: 78 },
+    jpg: { quality: 82, mozjpeg: true }
+};
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.tif', '.tiff', '.avif'];
+
+/**
+ * Load sharp, explaining how to install it if it's missing
+ * @returns {Function}
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('This build step needs sharp: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * Find source images, recursing into subdirectories
+ * @param {string} dir - Directory to scan
+ * @returns {string[]} - Absolute paths
+ */
+function findSources(dir) {
+    if (!fs.existsSync(dir)) return [];
+
+    return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory()) return findSources(fullPath);
+        return SOURCE_EXTENSIONS.includes(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    }).sort();
+}
+
+/**
+ * Manifest key for a source image ("sports/flag-33" for originals/sports/flag-33.jpg)
+ * @param {string} sourcePath - Absolute path
+ * @returns {string}
+ */
+function imageKey(sourcePath) {
+    const relative = path.relative(SRC_DIR, sourcePath);
+    return relative.slice(0, -path.extname(relative).length).split(path.sep).join('/');
+}
+
+/**
+ * Path relative to the repository root, with forward slashes, for use in URLs
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+function toUrlPath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * Whether an output file is newer than its source
+ * @param {string} outputPath - Output file
+ * @param {fs.Stats} sourceStat - Source file stats
+ * @returns {boolean}
+ */
+function isUpToDate(outputPath, sourceStat) {
+    return !FORCE && fs.existsSync(outputPath) && fs.statSync(outputPath).mtimeMs >= sourceStat.mtimeMs;
+}
+
+/**
+ * Write every rendition of one source image
+ * @param {Function} sharp - sharp module
+ * @param {string} sourcePath - Absolute path
+ * @returns {Promise<Object>} - Manifest entry
+ */
+async function buildImage(sharp, sourcePath) {
+    const key = imageKey(sourcePath);
+    const sourceStat = fs.statSync(sourcePath);
+
+    // Apply EXIF orientation so width/height match what is displayed
+    const metadata = await sharp(sourcePath).rotate().metadata();
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const entry = {
+        source: toUrlPath(sourcePath),
+        width,
+        height,
+        renditions: {}
+    };
+
+    let built = 0;
+    const seenWidths = new Set();
+
+    for (const [size, maxWidth] of Object.entries(SIZES)) {
+        const targetWidth = Math.min(maxWidth, width);
+
+        // Small originals would produce identical files for several sizes
+        if (seenWidths.has(targetWidth)) continue;
+        seenWidths.add(targetWidth);
+
+        const rendition = {
+            width: targetWidth,
+            height: Math.round(height * targetWidth / width),
+            formats: {}
+        };
+
+        for (const [format, options] of Object.entries(FORMATS)) {
+            const outputPath = path.join(OUT_DIR, `${key}-${size}.${format}`);
+            rendition.formats[format] = toUrlPath(outputPath);
+
+            if (isUpToDate(outputPath, sourceStat)) continue;
+
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            const pipeline = sharp(sourcePath).rotate().resize({ width: targetWidth, withoutEnlargement: true });
+            const encoder = format === 'jpg' ? 'jpeg' : format;
+            await pipeline[encoder](options).toFile(outputPath);
+            built++;
+        }
+
+        entry.renditions[size] = rendition;
+    }
+
+    console.log(`${key}: ${width}x${height}, ${Object.keys(entry.renditions).join('/')}` +
+        (built ? ` (${built} files written)` : ' (up to date)'));
+
+    return entry;
+}
+
+async function main() {
+    const sharp = loadSharp();
+    const sources = findSources(SRC_DIR);
+
+    if (!sources.length) {
+        console.error(`No images found in ${toUrlPath(SRC_DIR) || '.'}`);
+        process.exit(1);
+    }
+
+    // One image at a time keeps memory use predictable on large originals
+    sharp.concurrency(1);
+
+    const images = {};
+    for (const sourcePath of sources) {
+        const key = imageKey(sourcePath);
+        if (images[key]) {
+            console.warn(`Skipping ${toUrlPath(sourcePath)}: another original is already named "${key}"`);
+            continue;
+        }
+        images[key] = await buildImage(sharp, sourcePath);
+    }
+
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        sizes: SIZES,
+        formats: Object.keys(FORMATS),
+        images
+    };
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${toUrlPath(path.join(OUT_DIR, 'manifest.json'))} (${Object.keys(images).length} images)`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { SIZES, FORMATS, imageKey };
@@ -0,0 +1,56 @@
+/**
+ * SEARCH INDEX BUILD
+ * ==================
+ *
+ * Builds the "find my kid" search index from the album catalog, so the
+ * landing page can search players, teams, albums and categories without
+ * a server (see dphoto-feature-proposal/photo-search.js).
+ *
+ * Usage:
+ *   node scripts/build-search-index.js
+ *
+ * Run it after editing data/catalog.json and commit the result; the
+ * static deployment serves it as-is. Needs Node 20.19 or later, which
+ * can import the front-end ES modules.
+ *
+ * Environment:
+ *   SEARCH_CATALOG  - Catalog manifest (default data/catalog.json)
+ *   SEARCH_OUT      - Output file (default data/search-index.json)
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '..');
+const CATALOG_PATH = path.resolve(ROOT, process.env.SEARCH_CATALOG || 'data/catalog.json');
+const OUT_PATH = path.resolve(ROOT, process.env.SEARCH_OUT || 'data/search-index.json');
+
+async function main() {
+    // Same code the browser uses when there is no prebuilt index
+    const { buildSearchIndex } = await import(
+        pathToFileURL(path.join(ROOT, 'dphoto-feature-proposal/photo-search.js')).href
+    );
+
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    const index = buildSearchIndex(catalog);
+
+    const counts = {};
+    index.entries.forEach(entry => {
+        counts[entry.type] = (counts[entry.type] || 0) + 1;
+    });
+
+    fs.writeFileSync(OUT_PATH, JSON.stringify(index, null, 2) + '\n');
+    console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (${index.entries.length} entries: ` +
+        Object.entries(counts).map(([type, count]) => `${count} ${type}`).join(', ') + ')');
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
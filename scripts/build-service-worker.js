@@ -0,0 +1,127 @@
+/**
+ * SERVICE WORKER PRECACHE BUILD
+ * =============================
+ *
+ * Lists the site shell that sw.js caches ahead of time, with content
+ * hashes that version the caches, and writes it to sw-precache.js.
+ *
+ * Usage:
+ *   node scripts/build-service-worker.js
+ *
+ * Run it after changing any shell file (index.html, the modules, styles,
+ * catalog, icons) or rebuilding the image renditions, and commit the
+ * result. Browsers compare sw-precache.js byte for byte when checking
+ * for updates, so a new hash is what makes them install the new shell.
+ *
+ * Environment:
+ *   SW_OUT  - Output file (default sw-precache.js)
+ *
+ * Output:
+ *   version        - Hash of every shell file; a new one replaces the shell cache
+ *   imagesVersion  - Hash of the image manifest and the catalog's image paths;
+ *                    a new one empties the viewed-photo and offline-album caches
+ *   files          - Shell URLs, relative to the site root
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const OUT_PATH = path.resolve(ROOT, process.env.SW_OUT || 'sw-precache.js');
+
+const MODULES_DIR = 'dphoto-feature-proposal';
+const CATALOG = 'data/catalog.json';
+const RENDITIONS_MANIFEST = 'images/renditions/manifest.json';
+const ICONS_DIR = 'images/icons';
+
+// Shell files besides the modules and icons (optional ones are skipped if missing)
+const SHELL_FILES = [
+    'index.html',
+    'offline.html',
+    'qr-poster.html',
+    'presentation-remote.html',
+    'manifest.webmanifest',
+    CATALOG,
+    'data/search-index.json',
+    'data/prints.json',
+    RENDITIONS_MANIFEST,
+    'images/logo-fred-sports-transparent.png'
+];
+
+/**
+ * Files in a directory with one of the given extensions, as root-relative URLs
+ * @param {string} dir - Directory relative to the root
+ * @param {string[]} extensions - e.g. ['.js', '.css']
+ * @returns {string[]}
+ */
+function listFiles(dir, extensions) {
+    const fullDir = path.join(ROOT, dir);
+    if (!fs.existsSync(fullDir)) return [];
+
+    return fs.readdirSync(fullDir)
+        .filter(name => extensions.includes(path.extname(name).toLowerCase()))
+        .sort()
+        .map(name => `${dir}/${name}`);
+}
+
+/**
+ * Short hash of some strings or buffers
+ * @param {Array<string|Buffer>} parts
+ * @returns {string}
+ */
+function hash(parts) {
+    const digest = crypto.createHash('sha256');
+    parts.forEach(part => digest.update(part));
+    return digest.digest('hex').slice(0, 12);
+}
+
+/**
+ * Hash of what the images are: the renditions manifest, plus every image
+ * path in the catalog (covers and photos)
+ * @returns {string}
+ */
+function imagesVersion() {
+    const parts = [];
+    const renditionsPath = path.join(ROOT, RENDITIONS_MANIFEST);
+    if (fs.existsSync(renditionsPath)) {
+        parts.push(fs.readFileSync(renditionsPath));
+    }
+
+    const catalog = JSON.parse(fs.readFileSync(path.join(ROOT, CATALOG), 'utf8'));
+    const images = [
+        ...(catalog.albums || []).map(album => album.cover),
+        ...(catalog.photos || []).map(photo => photo.imageUrl)
+    ].filter(Boolean).sort();
+    parts.push(images.join('\n'));
+
+    return hash(parts);
+}
+
+function main() {
+    const files = [
+        ...SHELL_FILES.filter(file => fs.existsSync(path.join(ROOT, file))),
+        ...listFiles(MODULES_DIR, ['.js', '.css']),
+        ...listFiles(ICONS_DIR, ['.png'])
+    ];
+
+    const precache = {
+        version: hash(files.flatMap(file => [file, fs.readFileSync(path.join(ROOT, file))])),
+        imagesVersion: imagesVersion(),
+        files
+    };
+
+    fs.writeFileSync(OUT_PATH,
+        '// Generated by scripts/build-service-worker.js - do not edit.\n' +
+        `self.DPHOTO_PRECACHE = ${JSON.stringify(precache, null, 4)};\n`);
+
+    console.log(`Wrote ${path.relative(ROOT, OUT_PATH)} (${files.length} files, ` +
+        `version ${precache.version}, images ${precache.imagesVersion})`);
+}
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,401 @@
+/**
+ * SHARE PAGES BUILD
+ * =================
+ *
+ * Writes a small static page for every album and photo in the catalog,
+ * with OpenGraph and Twitter Card tags and a preview card image (cover
+ * photo, title and logo), so links pasted into iMessage, WhatsApp or
+ * Facebook show the photo instead of a generic preview. Visitors are
+ * sent on to the dphoto album.
+ *
+ * Usage:
+ *   npm install --no-save sharp
+ *   node scripts/build-share-pages.js
+ *
+ * Run it after editing data/catalog.json and commit the result; the
+ * static deployment has no build step and serves it as-is.
+ *
+ * Environment:
+ *   SHARE_SITE_URL  - Public URL of the site, for the absolute links the
+ *                     tags need (default https://www.fredassaf.org/)
+ *   SHARE_CATALOG   - Catalog manifest (default data/catalog.json)
+ *   SHARE_OUT       - Output directory (default share)
+ *   SHARE_LOGO      - Logo for the cards (default images/logo-fred-sports-transparent.png)
+ *   SHARE_FORCE     - Set to 1 to redraw cards that are up to date
+ *
+ * Output:
+ *   share/albums/<albumId>.html, share/albums/<albumId>.jpg
+ *   share/photos/<photoId>.html, share/photos/<photoId>.jpg
+ *   share/manifest.json - Page paths, read by dphoto-feature-proposal/share-pages.js
+ *
+ * Cards are 1200x630 JPEGs. Photos missing from images/ get a plain
+ * branded card. Crawlers don't run scripts, so the redirect is a script
+ * (with a <noscript> refresh) and the tags stay on the share page.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SITE_URL = withTrailingSlash(process.env.SHARE_SITE_URL || 'https://www.fredassaf.org/');
+const CATALOG_PATH = path.resolve(ROOT, process.env.SHARE_CATALOG || 'data/catalog.json');
+const OUT_DIR = path.resolve(ROOT, process.env.SHARE_OUT || 'share');
+const LOGO_PATH = path.resolve(ROOT, process.env.SHARE_LOGO || 'images/logo-fred-sports-transparent.png');
+const FORCE = process.env.SHARE_FORCE === '1';
+
+const SITE_NAME = 'Fred Assaf Sports Photos';
+const CREDIT = 'Pace Academy photos by Fred Assaf';
+
+const CARD = {
+    width: 1200,
+    height: 630,
+    background: '#002855',
+    accent: '#9BCBEB',
+    margin: 60,
+    logoHeight: 150
+};
+
+/**
+ * Load sharp, explaining how to install it if it's missing
+ * @returns {Function}
+ */
+function loadSharp() {
+    try {
+        return require('sharp');
+    } catch (error) {
+        console.error('This build step needs sharp: npm install --no-save sharp');
+        process.exit(1);
+    }
+}
+
+/**
+ * Path relative to the repository root, with forward slashes, for use in URLs
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+function toUrlPath(filePath) {
+    return path.relative(ROOT, filePath).split(path.sep).join('/');
+}
+
+/**
+ * @param {string} url
+ * @returns {string} - The URL ending in "/"
+ */
+function withTrailingSlash(url) {
+    return url.endsWith('/') ? url : `${url}/`;
+}
+
+/**
+ * Escape text for HTML and SVG
+ * @param {string} str - Text
+ * @returns {string}
+ */
+function escapeXml(str) {
+    return String(str == null ? '' : str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Safe file name for an album or photo id
+ * @param {string} id - Catalog id
+ * @returns {string}
+ */
+function fileKey(id) {
+    return String(id).replace(/[^a-z0-9_-]/gi, '-');
+}
+
+/**
+ * "December 12, 2025" from "2025-12-12", or the album's own label
+ * @param {Object} album - Catalog album
+ * @returns {string}
+ */
+function albumDate(album) {
+    if (album.dateLabel) return album.dateLabel;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(album.date || '')) return '';
+
+    const [year, month, day] = album.date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day))
+        .toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Split a title into at most two lines that fit the card
+ * @param {string} text - Title
+ * @param {number} fontSize - Pixels
+ * @returns {string[]}
+ */
+function wrapTitle(text, fontSize) {
+    // Bold serif averages a little over half an em per character
+    const maxChars = Math.floor((CARD.width - CARD.margin * 2) / (fontSize * 0.56));
+    const lines = [];
+    let line = '';
+
+    for (const word of String(text).split(/\s+/).filter(Boolean)) {
+        const candidate = line ? `${line} ${word}` : word;
+        if (candidate.length <= maxChars || !line) {
+            line = candidate;
+        } else {
+            lines.push(line);
+            line = word;
+        }
+    }
+    if (line) lines.push(line);
+
+    if (lines.length > 2) {
+        lines.length = 2;
+        lines[1] = `${lines[1].slice(0, maxChars - 1).trimEnd()}…`;
+    }
+    return lines;
+}
+
+/**
+ * SVG overlay with the shading, title and subtitle
+ * @param {string} title - Card title
+ * @param {string} subtitle - Line under the title
+ * @returns {Buffer}
+ */
+function cardOverlay(title, subtitle) {
+    const { width, height, margin, accent } = CARD;
+    const titleSize = title.length > 40 ? 52 : 64;
+    const lines = wrapTitle(title, titleSize);
+    const subtitleY = height - margin;
+    const lastTitleY = subtitleY - 56;
+
+    const titleText = lines.map((line, i) => {
+        const y = lastTitleY - (lines.length - 1 - i) * Math.round(titleSize * 1.15);
+        return `<text x="${margin}" y="${y}" font-family="Georgia, 'DejaVu Serif', serif" font-weight="700" ` +
+            `font-size="${titleSize}" fill="#ffffff">${escapeXml(line)}</text>`;
+    }).join('');
+
+    return Buffer.from(`<svg width="${width}" height="${height}" xmlns="http://www.w3.org/2000/svg">
+        <defs>
+            <linearGradient id="shade" x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0" stop-color="#001a3a" stop-opacity="0"/>
+                <stop offset="1" stop-color="#001a3a" stop-opacity="0.92"/>
+            </linearGradient>
+        </defs>
+        <rect x="0" y="${Math.round(height * 0.35)}" width="${width}" height="${Math.round(height * 0.65)}" fill="url(#shade)"/>
+        ${titleText}
+        <text x="${margin}" y="${subtitleY}" font-family="'Helvetica Neue', Arial, 'DejaVu Sans', sans-serif" ` +
+            `font-weight="600" font-size="30" fill="${accent}">${escapeXml(subtitle)}</text>
+    </svg>`);
+}
+
+/**
+ * Draw one preview card
+ * @param {Function} sharp - sharp module
+ * @param {Object} card - { imagePath, title, subtitle, outputPath }
+ * @param {Buffer|null} logo - Logo resized for the card
+ * @returns {Promise<boolean>} - Whether the photo was found
+ */
+async function buildCard(sharp, card, logo) {
+    const { width, height, margin, background } = CARD;
+    const hasPhoto = Boolean(card.imagePath && fs.existsSync(card.imagePath));
+
+    const base = hasPhoto
+        ? sharp(card.imagePath).rotate().resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+        : sharp({ create: { width, height, channels: 3, background } });
+
+    const layers = [{ input: cardOverlay(card.title, card.subtitle), top: 0, left: 0 }];
+    if (logo) {
+        const { width: logoWidth } = await sharp(logo).metadata();
+        layers.push({ input: logo, top: margin - 20, left: width - margin - logoWidth + 20 });
+    }
+
+    fs.mkdirSync(path.dirname(card.outputPath), { recursive: true });
+    await base
+        .composite(layers)
+        .flatten({ background })
+        .jpeg({ quality: 82, mozjpeg: true })
+        .toFile(card.outputPath);
+    return hasPhoto;
+}
+
+/**
+ * Whether an output file is newer than everything it's made from
+ * @param {string} outputPath - Output file
+ * @param {string[]} inputPaths - Source files (missing ones are ignored)
+ * @returns {boolean}
+ */
+function isUpToDate(outputPath, inputPaths) {
+    if (FORCE || !fs.existsSync(outputPath)) return false;
+
+    const built = fs.statSync(outputPath).mtimeMs;
+    return inputPaths.every(input => !input || !fs.existsSync(input) || fs.statSync(input).mtimeMs <= built);
+}
+
+/**
+ * HTML of a share page
+ * @param {Object} page - { title, description, pageUrl, imageUrl, imageAlt, target }
+ * @returns {string}
+ */
+function sharePage(page) {
+    const title = escapeXml(page.title);
+    const description = escapeXml(page.description);
+    const target = escapeXml(page.target);
+    // JSON in a <script>: keep "</script>" in a title from closing it
+    const redirect = JSON.stringify(page.target).replace(/</g, '\\u003c');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} | ${SITE_NAME}</title>
+    <meta name="description" content="${description}">
+    <link rel="canonical" href="${escapeXml(page.pageUrl)}">
+
+    <meta property="og:type" content="website">
+    <meta property="og:site_name" content="${SITE_NAME}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:url" content="${escapeXml(page.pageUrl)}">
+    <meta property="og:image" content="${escapeXml(page.imageUrl)}">
+    <meta property="og:image:type" content="image/jpeg">
+    <meta property="og:image:width" content="${CARD.width}">
+    <meta property="og:image:height" content="${CARD.height}">
+    <meta property="og:image:alt" content="${escapeXml(page.imageAlt)}">
+
+    <meta name="twitter:card" content="summary_large_image">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    <meta name="twitter:image" content="${escapeXml(page.imageUrl)}">
+    <meta name="twitter:image:alt" content="${escapeXml(page.imageAlt)}">
+
+    <script>window.location.replace(${redirect});</script>
+    <noscript><meta http-equiv="refresh" content="0; url=${target}"></noscript>
+    <style>
+        body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+               background: ${CARD.background}; color: #fff; font-family: -apple-system, BlinkMacSystemFont, sans-serif; }
+        a { color: ${CARD.accent}; }
+    </style>
+</head>
+<body>
+    <p>Taking you to <a href="${target}">${title}</a>…</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the page and card for one album or photo
+ * @param {Function} sharp - sharp module
+ * @param {Buffer|null} logo - Logo resized for the cards
+ * @param {Object} entry - { kind, id, title, subtitle, description, image, imageAlt, target }
+ * @returns {Promise<string>} - Page path relative to the site root
+ */
+async function buildEntry(sharp, logo, entry) {
+    const base = path.join(OUT_DIR, entry.kind, fileKey(entry.id));
+    const pagePath = `${base}.html`;
+    const cardPath = `${base}.jpg`;
+    const imagePath = entry.image ? path.resolve(ROOT, entry.image) : null;
+
+    let note = 'card up to date';
+    if (!isUpToDate(cardPath, [imagePath, CATALOG_PATH, LOGO_PATH])) {
+        const hasPhoto = await buildCard(sharp, {
+            imagePath,
+            title: entry.title,
+            subtitle: entry.subtitle,
+            outputPath: cardPath
+        }, logo);
+        note = hasPhoto ? 'card written' : `card written without a photo (${entry.image || 'none'} not found)`;
+    }
+
+    fs.writeFileSync(pagePath, sharePage({
+        title: entry.title,
+        description: entry.description,
+        pageUrl: SITE_URL + toUrlPath(pagePath),
+        imageUrl: SITE_URL + toUrlPath(cardPath),
+        imageAlt: entry.imageAlt,
+        target: entry.target
+    }));
+
+    console.log(`${toUrlPath(pagePath)}: ${note}`);
+    return toUrlPath(pagePath);
+}
+
+async function main() {
+    const sharp = loadSharp();
+
+    if (!fs.existsSync(CATALOG_PATH)) {
+        console.error(`No catalog at ${toUrlPath(CATALOG_PATH)}`);
+        process.exit(1);
+    }
+
+    const catalog = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+    const albums = Array.isArray(catalog.albums) ? catalog.albums : [];
+    const photos = Array.isArray(catalog.photos) ? catalog.photos : [];
+    const albumsById = new Map(albums.map(album => [album.id, album]));
+
+    const logo = fs.existsSync(LOGO_PATH)
+        ? await sharp(LOGO_PATH).resize({ height: CARD.logoHeight }).png().toBuffer()
+        : null;
+    if (!logo) {
+        console.warn(`No logo at ${toUrlPath(LOGO_PATH)}; cards will have none`);
+    }
+
+    sharp.concurrency(1);
+
+    const manifest = {
+        generatedAt: new Date().toISOString(),
+        siteUrl: SITE_URL,
+        albums: {},
+        photos: {}
+    };
+
+    for (const album of albums) {
+        const count = album.photoCount ? `${album.photoCount} photos` : '';
+        const date = albumDate(album);
+        manifest.albums[album.id] = await buildEntry(sharp, logo, {
+            kind: 'albums',
+            id: album.id,
+            title: album.title,
+            subtitle: [date, count].filter(Boolean).join(' · '),
+            description: [count && `${count} from ${album.title}`, date, CREDIT].filter(Boolean).join('. '),
+            image: album.cover,
+            imageAlt: album.coverAlt || album.title,
+            target: album.url || SITE_URL
+        });
+    }
+
+    for (const photo of photos) {
+        const album = albumsById.get(photo.albumId);
+        const from = album ? album.title : photo.label;
+        const title = photo.title || from || 'Photo';
+        const entry = {
+            kind: 'photos',
+            id: photo.id,
+            title,
+            subtitle: from && from !== title ? from : SITE_NAME,
+            description: [from && from !== title ? `From ${from}` : '', CREDIT].filter(Boolean).join('. '),
+            image: photo.imageUrl,
+            imageAlt: photo.alt || title,
+            target: photo.albumUrl || (album && album.url) || SITE_URL
+        };
+        manifest.photos[photo.id] = {
+            page: await buildEntry(sharp, logo, entry),
+            album: album ? album.id : null
+        };
+    }
+
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    fs.writeFileSync(path.join(OUT_DIR, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`Wrote ${toUrlPath(path.join(OUT_DIR, 'manifest.json'))} ` +
+        `(${albums.length} albums, ${photos.length} photos)`);
+}
+
+if (require.main === module) {
+    main().catch(error => {
+        console.error(error);
+        process.exit(1);
+    });
+}
+
+module.exports = { sharePage, wrapTitle };
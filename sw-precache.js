@@ -0,0 +1,56 @@
+// Generated by scripts/build-service-worker.js - do not edit.
+self.DPHOTO_PRECACHE = {
+    "version": "621d797b49b8",
+    "imagesVersion": "05cc73928937",
+    "files": [
+        "index.html",
+        "offline.html",
+        "qr-poster.html",
+        "presentation-remote.html",
+        "manifest.webmanifest",
+        "data/catalog.json",
+        "data/search-index.json",
+        "data/prints.json",
+        "images/renditions/manifest.json",
+        "images/logo-fred-sports-transparent.png",
+        "dphoto-feature-proposal/album-grid.js",
+        "dphoto-feature-proposal/analytics.js",
+        "dphoto-feature-proposal/cart-panel.js",
+        "dphoto-feature-proposal/catalog.js",
+        "dphoto-feature-proposal/category-filter.js",
+        "dphoto-feature-proposal/checkout.js",
+        "dphoto-feature-proposal/download-button.js",
+        "dphoto-feature-proposal/dphoto-adapter.js",
+        "dphoto-feature-proposal/embed.js",
+        "dphoto-feature-proposal/favorites-panel.js",
+        "dphoto-feature-proposal/favorites.js",
+        "dphoto-feature-proposal/gallery.js",
+        "dphoto-feature-proposal/image-preloader.js",
+        "dphoto-feature-proposal/image-url-resolver.js",
+        "dphoto-feature-proposal/lightbox.js",
+        "dphoto-feature-proposal/offline.js",
+        "dphoto-feature-proposal/photo-export.js",
+        "dphoto-feature-proposal/photo-metadata.js",
+        "dphoto-feature-proposal/photo-router.js",
+        "dphoto-feature-proposal/photo-search.js",
+        "dphoto-feature-proposal/presentation.js",
+        "dphoto-feature-proposal/print-cart.js",
+        "dphoto-feature-proposal/print-order.js",
+        "dphoto-feature-proposal/qr-code.js",
+        "dphoto-feature-proposal/qr-dialog.js",
+        "dphoto-feature-proposal/responsive-images.js",
+        "dphoto-feature-proposal/search-box.js",
+        "dphoto-feature-proposal/share-buttons.js",
+        "dphoto-feature-proposal/share-pages.js",
+        "dphoto-feature-proposal/share-sheet.js",
+        "dphoto-feature-proposal/share-targets.js",
+        "dphoto-feature-proposal/slideshow.js",
+        "dphoto-feature-proposal/styles.css",
+        "dphoto-feature-proposal/zip-writer.js",
+        "dphoto-feature-proposal/zoom-gestures.js",
+        "images/icons/apple-touch-icon.png",
+        "images/icons/icon-192.png",
+        "images/icons/icon-512.png",
+        "images/icons/maskable-512.png"
+    ]
+};
@@ -0,0 +1,130 @@
+/**
+ * DPHOTO SERVICE WORKER
+ * =====================
+ *
+ * Keeps the site usable without a connection: the shell is cached ahead
+ * of time, photos come from the caches that dphoto-feature-proposal/offline.js
+ * fills (photos viewed in the lightbox, albums saved for offline), and
+ * pages that can't load fall back to offline.html.
+ *
+ * Caches:
+ *   dphoto-shell-<version>  - Files listed in sw-precache.js; replaced on every build
+ *   dphoto-images           - Photos viewed in the lightbox (size-capped by offline.js)
+ *   dphoto-albums           - Albums saved for offline
+ *   dphoto-meta             - The image version the photo caches were filled for
+ *
+ * sw-precache.js is generated by scripts/build-service-worker.js. When
+ * its imagesVersion changes (new renditions or catalog images), the photo
+ * caches are emptied so nothing stale is shown.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+importScripts('sw-precache.js');
+
+const PRECACHE = self.DPHOTO_PRECACHE;
+const SHELL_PREFIX = 'dphoto-shell-';
+const SHELL_CACHE = SHELL_PREFIX + PRECACHE.version;
+const PHOTO_CACHES = ['dphoto-images', 'dphoto-albums'];
+const META_CACHE = 'dphoto-meta';
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).href;
+const SHELL_URLS = new Set(PRECACHE.files.map(scopeUrl));
+const IMAGES_VERSION_URL = scopeUrl('__dphoto/images-version');
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE.files.map(file => new Request(file, { cache: 'reload' }))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(SHELL_PREFIX) && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+
+        const meta = await caches.open(META_CACHE);
+        const stored = await meta.match(IMAGES_VERSION_URL);
+        const imagesVersion = stored ? await stored.text() : null;
+        if (imagesVersion !== PRECACHE.imagesVersion) {
+            await Promise.all(PHOTO_CACHES.map(name => caches.delete(name)));
+            await meta.put(IMAGES_VERSION_URL, new Response(PRECACHE.imagesVersion));
+        }
+
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    url.hash = '';
+
+    if (request.mode === 'navigate') {
+        event.respondWith(navigate(request, url));
+    } else if (url.origin === self.location.origin && url.pathname.endsWith('.json')) {
+        // The catalog and search index change more often than the code
+        event.respondWith(networkFirst(request));
+    } else if (SHELL_URLS.has(url.href) || request.destination === 'image') {
+        event.respondWith(cacheFirst(request));
+    }
+    // Anything else (the API, analytics, fonts) goes to the network as usual
+});
+
+/**
+ * Serve from any dphoto cache, else the network
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    return cached || fetch(request);
+}
+
+/**
+ * Serve from the network, refreshing the shell copy; use the cache offline
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && SHELL_URLS.has(request.url)) {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+/**
+ * Pages: the network when there is one. Offline, the landing page (any
+ * query string - albums and photos are in the hash) or offline.html.
+ * @param {Request} request
+ * @param {URL} url
+ * @returns {Promise<Response>}
+ */
+async function navigate(request, url) {
+    try {
+        return await fetch(request);
+    } catch (error) {
+        const scope = new URL(self.registration.scope).pathname;
+        const isLanding = url.pathname === scope || url.pathname === scope + 'index.html';
+
+        const cached = isLanding
+            ? await caches.match(scopeUrl('index.html'))
+            : await caches.match(request, { ignoreSearch: true });
+        return cached || await caches.match(scopeUrl('offline.html')) || Response.error();
+    }
+}
@@ -0,0 +1,88 @@
+/**
+ * TEST DOM
+ * ========
+ *
+ * A jsdom window set up as the page globals the front-end modules use,
+ * for tests that render components. jsdom isn't bundled with the site:
+ * install it next to the tests (npm install --no-save jsdom) and the
+ * DOM tests run; without it they are skipped.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'HTMLElement', 'HTMLImageElement',
+    'Node', 'Image', 'Event', 'KeyboardEvent', 'MouseEvent', 'CustomEvent',
+    'requestAnimationFrame', 'cancelAnimationFrame', 'getComputedStyle', 'localStorage'
+];
+
+/**
+ * The jsdom package, or null when it isn't installed
+ * @returns {Object|null}
+ */
+function loadJsdom() {
+    try {
+        return require('jsdom');
+    } catch (error) {
+        return null;
+    }
+}
+
+const jsdom = loadJsdom();
+
+/**
+ * Skip reason for node:test when there is no jsdom
+ */
+const skipWithoutDom = jsdom ? false : 'jsdom is not installed (npm install --no-save jsdom)';
+
+/**
+ * Create a window and make it the global page
+ * @param {string} html - Body markup (default empty)
+ * @returns {Window}
+ */
+function createDom(html = '') {
+    const dom = new jsdom.JSDOM(`<!DOCTYPE html><html><body>${html}</body></html>`, {
+        url: 'http://localhost/',
+        pretendToBeVisual: true
+    });
+    const window = dom.window;
+
+    // Not in jsdom; the modules only need them to exist
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.fetch = async () => ({ ok: false, status: 404, json: async () => ({}) });
+
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, {
+            value: name === 'window' ? window : window[name],
+            configurable: true,
+            writable: true
+        });
+    });
+    ['IntersectionObserver', 'matchMedia', 'fetch'].forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+
+    return window;
+}
+
+/**
+ * Wait for pending timers and promise callbacks
+ * @param {number} ms - Milliseconds (default 20)
+ * @returns {Promise}
+ */
+function tick(ms = 20) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { skipWithoutDom, createDom, tick };
@@ -0,0 +1,26 @@
+/**
+ * TEST MODULE LOADER
+ * ==================
+ *
+ * Imports the front-end ES modules from CommonJS tests, the way
+ * scripts/build-search-index.js does. Needs Node 20.19 or later.
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const ROOT = path.resolve(__dirname, '../..');
+
+/**
+ * Import a module from dphoto-feature-proposal/
+ * @param {string} name - File name, e.g. 'zoom-gestures.js'
+ * @returns {Promise<Object>} - The module's exports
+ */
+function importModule(name) {
+    return import(pathToFileURL(path.join(ROOT, 'dphoto-feature-proposal', name)).href);
+}
+
+module.exports = { ROOT, importModule };
@@ -0,0 +1,202 @@
+/**
+ * LIGHTBOX TESTS
+ * ==============
+ *
+ * PhotoLightbox in a jsdom page (see helpers/dom.js; skipped without jsdom).
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDom, createDom, tick } = require('./helpers/dom.js');
+const { importModule } = require('./helpers/modules.js');
+
+const PHOTOS = [
+    { id: 'a', imageUrl: 'images/a.jpg', title: 'First game' },
+    { id: 'b', imageUrl: 'images/b.jpg', title: 'Second game' },
+    { id: 'c', imageUrl: 'images/c.jpg', title: 'Third game' }
+];
+
+/**
+ * A lightbox over PHOTOS whose images load at once
+ * @param {Object} options - Extra PhotoLightbox options
+ * @returns {Promise<PhotoLightbox>}
+ */
+async function createLightbox(options = {}) {
+    createDom('<button class="opener">Open</button>');
+    const { ImagePreloader } = await importModule('image-preloader.js');
+    const { PhotoLightbox } = await importModule('lightbox.js');
+
+    ImagePreloader._decode = () => Promise.resolve();
+    return new PhotoLightbox({ photos: PHOTOS, exif: false, presentation: false, ...options });
+}
+
+/**
+ * Press a key where the focus is
+ * @param {string} key - KeyboardEvent key
+ * @param {Object} options - Extra KeyboardEvent options, e.g. { shiftKey: true }
+ */
+function press(key, options = {}) {
+    const target = document.activeElement || document.body;
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+/**
+ * Buttons a screen reader would announce without a name (axe's button-name rule)
+ * @param {Element} root
+ * @returns {string[]} - Class names of the unnamed buttons
+ */
+function unnamedButtons(root) {
+    return Array.from(root.querySelectorAll('button'))
+        .filter(button => !button.closest('[hidden]'))
+        .filter(button => !(button.getAttribute('aria-label') || button.textContent).trim())
+        .map(button => button.className);
+}
+
+test('opens as a modal dialog with focus inside', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    document.querySelector('.opener').focus();
+    lightbox.open(0);
+    await tick();
+
+    assert.equal(lightbox.container.getAttribute('role'), 'dialog');
+    assert.equal(lightbox.container.getAttribute('aria-modal'), 'true');
+    assert.ok(lightbox.container.getAttribute('aria-label'));
+    assert.equal(document.activeElement, lightbox.closeBtn);
+    assert.deepEqual(unnamedButtons(lightbox.container), []);
+    assert.equal(lightbox.image.getAttribute('alt'), 'First game');
+    lightbox.destroy();
+});
+
+test('Tab and Shift+Tab stay inside the dialog', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    lightbox.open(1);
+    await tick();
+
+    const focusable = Array.from(lightbox.container.querySelectorAll('button, a[href], input, [tabindex]'))
+        .filter(el => el.tabIndex >= 0 && !el.disabled && !el.closest('[hidden]') &&
+            getComputedStyle(el).display !== 'none');
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    assert.ok(focusable.length > 2);
+
+    last.focus();
+    press('Tab');
+    assert.equal(document.activeElement, first);
+
+    press('Tab', { shiftKey: true });
+    assert.equal(document.activeElement, last);
+
+    // Focus that got out (e.g. by a click on the page) is brought back in
+    document.querySelector('.opener').focus();
+    press('Tab');
+    assert.equal(document.activeElement, first);
+    lightbox.destroy();
+});
+
+test('Escape closes the dialog and returns focus to the opener', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    const opener = document.querySelector('.opener');
+    opener.focus();
+    lightbox.open(0);
+    await tick();
+
+    press('Escape');
+
+    assert.equal(lightbox.isOpen, false);
+    assert.ok(!lightbox.container.classList.contains('active'));
+    assert.equal(document.activeElement, opener);
+    lightbox.destroy();
+});
+
+test('Escape closes the shortcut list before the dialog', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    lightbox.open(0);
+    await tick();
+
+    press('?');
+    assert.equal(lightbox.help.hidden, false);
+    assert.equal(lightbox.help.getAttribute('role'), 'dialog');
+
+    press('Escape');
+    assert.equal(lightbox.help.hidden, true);
+    assert.equal(lightbox.isOpen, true);
+    lightbox.destroy();
+});
+
+test('a live region announces each photo', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    lightbox.open(0);
+    await tick();
+
+    assert.equal(lightbox.status.getAttribute('role'), 'status');
+    assert.equal(lightbox.status.getAttribute('aria-live'), 'polite');
+    assert.equal(lightbox.status.textContent, 'Photo 1 of 3: First game');
+
+    press('ArrowRight');
+    await tick();
+    assert.equal(lightbox.status.textContent, 'Photo 2 of 3: Second game');
+
+    press('ArrowLeft');
+    await tick();
+    assert.equal(lightbox.status.textContent, 'Photo 1 of 3: First game');
+    lightbox.destroy();
+});
+
+test('moving to another photo resets the zoom', { skip: skipWithoutDom }, async () => {
+    const lightbox = await createLightbox();
+    lightbox.open(0);
+    await tick();
+
+    lightbox.zoom.setBounds({ width: 1000, height: 800 }, { width: 1000, height: 800 });
+    lightbox.zoom.zoomTo(3, 200, 200);
+    lightbox._applyZoom();
+    assert.ok(lightbox.container.classList.contains('zoomed'));
+
+    lightbox.next();
+    await tick();
+
+    assert.deepEqual(lightbox.zoom.getTransform(), { scale: 1, x: 0, y: 0 });
+    assert.equal(lightbox.image.style.transform, '');
+    assert.ok(!lightbox.container.classList.contains('zoomed'));
+    lightbox.destroy();
+});
+
+test('destroy removes the page-level listeners', { skip: skipWithoutDom }, async () => {
+    createDom();
+    const added = [];
+    const removed = [];
+    const addEventListener = document.addEventListener.bind(document);
+    const removeEventListener = document.removeEventListener.bind(document);
+    document.addEventListener = (type, handler, options) => {
+        added.push([type, handler]);
+        addEventListener(type, handler, options);
+    };
+    document.removeEventListener = (type, handler, options) => {
+        removed.push([type, handler]);
+        removeEventListener(type, handler, options);
+    };
+
+    const { PhotoLightbox } = await importModule('lightbox.js');
+    const lightbox = new PhotoLightbox({ photos: PHOTOS, exif: false });
+    lightbox.open(0);
+    await tick();
+    lightbox.destroy();
+
+    // jsdom adds a few of its own; these are the lightbox's and the presentation's
+    const ours = added.filter(([type]) =>
+        ['keydown', 'visibilitychange', 'fullscreenchange', 'webkitfullscreenchange'].includes(type));
+    assert.equal(ours.length, 5);
+    for (const [type, handler] of ours) {
+        assert.ok(removed.some(entry => entry[0] === type && entry[1] === handler), `${type} listener left behind`);
+    }
+
+    // A stale handler would still move to the next photo
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+    assert.equal(lightbox.currentIndex, 0);
+});
@@ -0,0 +1,116 @@
+/**
+ * SLIDESHOW TESTS
+ * ===============
+ *
+ * Slideshow accessibility in a jsdom page (see helpers/dom.js; skipped
+ * without jsdom): the pause toggle, reduced motion and what screen
+ * readers are told.
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { skipWithoutDom, createDom } = require('./helpers/dom.js');
+const { importModule } = require('./helpers/modules.js');
+
+const MARKUP = `
+    <section class="hero">
+        <div class="slides">
+            <div class="slide active"><img src="a.jpg" alt="First"></div>
+            <div class="slide"><img src="b.jpg" alt="Second"></div>
+            <div class="slide"><img src="c.jpg" alt="Third"></div>
+        </div>
+        <button class="indicator" aria-label="Show photo 1"></button>
+        <button class="indicator" aria-label="Show photo 2"></button>
+        <button class="indicator" aria-label="Show photo 3"></button>
+        <button type="button" class="slide-toggle" aria-label="Pause slideshow" aria-pressed="false"></button>
+    </section>
+`;
+
+/**
+ * A slideshow over MARKUP
+ * @param {Object} options
+ * @param {boolean} options.reducedMotion - Whether the visitor prefers reduced motion
+ * @returns {Promise<Object>} - { slideshow, toggle, hero, slides }
+ */
+async function createSlideshow({ reducedMotion = false } = {}) {
+    const window = createDom(MARKUP);
+    window.matchMedia = (query) => ({ matches: reducedMotion && query.includes('reduce'), media: query });
+    const { Slideshow } = await importModule('slideshow.js');
+
+    const hero = document.querySelector('.hero');
+    const toggle = document.querySelector('.slide-toggle');
+    const slideshow = new Slideshow(document.querySelectorAll('.slide'), document.querySelectorAll('.indicator'), {
+        interval: 3000,
+        container: hero,
+        toggle
+    });
+    return { slideshow, toggle, hero, slides: document.querySelector('.slides') };
+}
+
+test('the pause toggle reports its state with aria-pressed', { skip: skipWithoutDom }, async () => {
+    const { slideshow, toggle } = await createSlideshow();
+    slideshow.start();
+
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+    assert.equal(toggle.getAttribute('aria-label'), 'Pause slideshow');
+
+    toggle.click();
+    assert.equal(slideshow.isPlaying, false);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+    assert.equal(toggle.getAttribute('aria-label'), 'Pause slideshow');
+
+    toggle.click();
+    assert.equal(slideshow.isPlaying, true);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+    slideshow.stop();
+});
+
+test('reduced motion starts paused, and the toggle still plays it', { skip: skipWithoutDom }, async () => {
+    const { slideshow, toggle } = await createSlideshow({ reducedMotion: true });
+    slideshow.start();
+
+    assert.equal(slideshow.isPlaying, false);
+    assert.equal(toggle.getAttribute('aria-pressed'), 'true');
+
+    toggle.click();
+    assert.equal(slideshow.isPlaying, true);
+    slideshow.stop();
+});
+
+test('hover and focus hold the slides without pressing the toggle', { skip: skipWithoutDom }, async () => {
+    const { slideshow, toggle, hero, slides } = await createSlideshow();
+    slideshow.start();
+    assert.equal(slides.getAttribute('aria-live'), 'off');
+
+    hero.dispatchEvent(new MouseEvent('mouseenter'));
+    assert.ok(hero.classList.contains('paused'));
+    assert.equal(slides.getAttribute('aria-live'), 'polite');
+    assert.equal(toggle.getAttribute('aria-pressed'), 'false');
+
+    hero.dispatchEvent(new MouseEvent('mouseleave'));
+    assert.ok(!hero.classList.contains('paused'));
+
+    toggle.focus();
+    assert.ok(hero.classList.contains('paused'));
+    toggle.blur();
+    assert.ok(!hero.classList.contains('paused'));
+    slideshow.stop();
+});
+
+test('only the current slide is exposed to screen readers', { skip: skipWithoutDom }, async () => {
+    const { slideshow } = await createSlideshow();
+    const slides = Array.from(document.querySelectorAll('.slide'));
+    const indicators = Array.from(document.querySelectorAll('.indicator'));
+
+    assert.deepEqual(slides.map(slide => slide.getAttribute('aria-hidden')), ['false', 'true', 'true']);
+
+    slideshow.goToSlide(2);
+    assert.deepEqual(slides.map(slide => slide.getAttribute('aria-hidden')), ['true', 'true', 'false']);
+    assert.deepEqual(indicators.map(indicator => indicator.getAttribute('aria-current')), ['false', 'false', 'true']);
+});
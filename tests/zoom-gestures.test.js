@@ -0,0 +1,212 @@
+/**
+ * ZOOM GESTURES TESTS
+ * ===================
+ *
+ * Synthetic pointer sequences through ZoomGestures: pinch, clamping,
+ * panning bounds, double tap and reset.
+ *
+ * Usage:
+ *   node --test tests/
+ *
+ * @author Fred Assaf / Developer
+ * @version 1.0.0
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { importModule } = require('./helpers/modules.js');
+
+const VIEWPORT = { width: 1000, height: 800 };
+
+/**
+ * A ZoomGestures with the photo filling a 1000×800 viewport
+ * @param {Object} options - ZoomGestures options
+ * @param {Object} content - Fitted photo size (default: the viewport)
+ * @returns {Promise<ZoomGestures>}
+ */
+async function createZoom(options = {}, content = VIEWPORT) {
+    const { ZoomGestures } = await importModule('zoom-gestures.js');
+    const zoom = new ZoomGestures(options);
+    zoom.setBounds(VIEWPORT, content);
+    return zoom;
+}
+
+/**
+ * Two fingers down, then moved apart (or together)
+ * @param {ZoomGestures} zoom
+ * @param {Array} from - [[x, y], [x, y]]
+ * @param {Array} to - [[x, y], [x, y]]
+ */
+function pinch(zoom, from, to) {
+    from.forEach(([x, y], id) => zoom.pointerDown({ id, x, y, time: 0 }));
+    to.forEach(([x, y], id) => zoom.pointerMove({ id, x, y, time: 16 }));
+    to.forEach(([x, y], id) => zoom.pointerUp({ id, x, y, time: 32 }));
+}
+
+/**
+ * A pointer pressed and released at one point
+ * @param {ZoomGestures} zoom
+ * @param {number} x
+ * @param {number} y
+ * @param {number} time
+ * @returns {Object|null} - pointerUp result
+ */
+function tap(zoom, x, y, time) {
+    zoom.pointerDown({ id: 1, x, y, time });
+    return zoom.pointerUp({ id: 1, x, y, time: time + 50 });
+}
+
+/**
+ * A one-finger drag
+ * @param {ZoomGestures} zoom
+ * @param {number} dx
+ * @param {number} dy
+ */
+function drag(zoom, dx, dy) {
+    zoom.pointerDown({ id: 1, x: 500, y: 400, time: 0 });
+    zoom.pointerMove({ id: 1, x: 500 + dx, y: 400 + dy, time: 100 });
+    zoom.pointerUp({ id: 1, x: 500 + dx, y: 400 + dy, time: 200 });
+}
+
+/**
+ * Check the transform, treating -0 as 0
+ * @param {ZoomGestures} zoom
+ * @param {Object} expected - { scale, x, y }
+ * @param {string} message - Assertion message (optional)
+ */
+function assertTransform(zoom, expected, message) {
+    const { scale, x, y } = zoom.getTransform();
+    assert.deepEqual({ scale, x: x + 0, y: y + 0 }, expected, message);
+}
+
+test('pinch zooms around the midpoint of the two fingers', async () => {
+    const zoom = await createZoom();
+
+    // Midpoint (300, 300) is 200 left and 100 above the centre
+    pinch(zoom, [[250, 300], [350, 300]], [[200, 300], [400, 300]]);
+
+    assertTransform(zoom, { scale: 2, x: 200, y: 100 });
+    // The photo point that was under the midpoint is still under it
+    assert.equal(-200 - zoom.x, -200 * zoom.scale);
+});
+
+test('pinching in carries on from the current zoom', async () => {
+    const zoom = await createZoom();
+    zoom.zoomTo(2);
+
+    pinch(zoom, [[450, 400], [550, 400]], [[475, 400], [525, 400]]);
+
+    assert.equal(zoom.scale, 1);
+    assert.equal(zoom.isZoomed, false);
+});
+
+test('scale is clamped to minScale and maxScale', async () => {
+    const zoom = await createZoom();
+
+    pinch(zoom, [[490, 400], [510, 400]], [[0, 400], [1000, 400]]);
+    assert.equal(zoom.scale, 4);
+
+    zoom.zoomTo(0.2);
+    assert.equal(zoom.scale, 1);
+
+    zoom.wheel({ x: 500, y: 400, deltaY: -5000 });
+    assert.equal(zoom.scale, 4);
+
+    zoom.wheel({ x: 500, y: 400, deltaY: 5000 });
+    assertTransform(zoom, { scale: 1, x: 0, y: 0 });
+
+    const custom = await createZoom({ minScale: 1, maxScale: 2 });
+    custom.zoomTo(10);
+    assert.equal(custom.scale, 2);
+});
+
+test('panning stops at the photo edges at each zoom level', async () => {
+    const zoom = await createZoom();
+
+    // Not zoomed: a drag is a swipe and never moves the photo
+    drag(zoom, 300, 200);
+    assertTransform(zoom, { scale: 1, x: 0, y: 0 });
+
+    for (const scale of [2, 3, 4]) {
+        zoom.reset();
+        zoom.zoomTo(scale);
+        const maxX = (VIEWPORT.width * scale - VIEWPORT.width) / 2;
+        const maxY = (VIEWPORT.height * scale - VIEWPORT.height) / 2;
+
+        drag(zoom, 5000, -5000);
+        assertTransform(zoom, { scale, x: maxX, y: -maxY }, `scale ${scale}`);
+
+        drag(zoom, -10000, 10000);
+        assertTransform(zoom, { scale, x: -maxX, y: maxY }, `scale ${scale}`);
+
+        drag(zoom, 100, 0);
+        assert.equal(zoom.x, -maxX + 100, `scale ${scale}`);
+    }
+});
+
+test('a photo narrower than the viewport stays centred on that axis', async () => {
+    // Letterboxed: 1000×500 in a 1000×800 viewport
+    const zoom = await createZoom({}, { width: 1000, height: 500 });
+    zoom.zoomTo(1.5, 100, 100);
+
+    drag(zoom, 0, 300);
+    assert.equal(zoom.y, 0);
+    assert.ok(zoom.x > 0);
+});
+
+test('double tap zooms in at the tapped point, and a second one zooms out', async () => {
+    const zoom = await createZoom();
+
+    assert.deepEqual(tap(zoom, 704, 603, 0), { type: 'tap' });
+    assert.deepEqual(tap(zoom, 700, 600, 150), { type: 'doubletap' });
+    assert.equal(zoom.scale, 2.5);
+    // The tapped point (200, 200 from the centre) stays under the finger
+    assert.deepEqual({ x: zoom.x, y: zoom.y }, { x: 200 - 200 * 2.5, y: 200 - 200 * 2.5 });
+
+    assert.deepEqual(tap(zoom, 500, 400, 1000), { type: 'tap' });
+    assert.deepEqual(tap(zoom, 500, 400, 1100), { type: 'doubletap' });
+    assertTransform(zoom, { scale: 1, x: 0, y: 0 });
+});
+
+test('taps too slow or too far apart are not a double tap', async () => {
+    const zoom = await createZoom();
+
+    tap(zoom, 500, 400, 0);
+    assert.deepEqual(tap(zoom, 500, 400, 1000), { type: 'tap' });
+
+    tap(zoom, 100, 100, 2000);
+    assert.deepEqual(tap(zoom, 600, 600, 2100), { type: 'tap' });
+    assert.equal(zoom.isZoomed, false);
+});
+
+test('swipes are reported only while not zoomed', async () => {
+    const zoom = await createZoom();
+
+    zoom.pointerDown({ id: 1, x: 600, y: 400, time: 0 });
+    zoom.pointerMove({ id: 1, x: 400, y: 410, time: 100 });
+    assert.deepEqual(zoom.pointerUp({ id: 1, x: 400, y: 410, time: 150 }), { type: 'swipe', direction: 'next' });
+
+    zoom.zoomTo(2);
+    zoom.pointerDown({ id: 1, x: 600, y: 400, time: 1000 });
+    zoom.pointerMove({ id: 1, x: 400, y: 410, time: 1100 });
+    assert.equal(zoom.pointerUp({ id: 1, x: 400, y: 410, time: 1150 }), null);
+});
+
+test('reset zooms out and drops the gesture in progress', async () => {
+    const zoom = await createZoom();
+
+    zoom.zoomTo(3, 200, 200);
+    tap(zoom, 500, 400, 0);
+    zoom.pointerDown({ id: 2, x: 500, y: 400, time: 100 });
+    zoom.reset();
+
+    assertTransform(zoom, { scale: 1, x: 0, y: 0 });
+    assert.equal(zoom.isActive, false);
+
+    // The finger from before the reset no longer pans, and the earlier
+    // tap doesn't pair with the next one
+    zoom.pointerMove({ id: 2, x: 900, y: 400, time: 150 });
+    assert.equal(zoom.pointerUp({ id: 2, x: 900, y: 400, time: 200 }), null);
+    assert.deepEqual(tap(zoom, 500, 400, 250), { type: 'tap' });
+    assert.equal(zoom.isZoomed, false);
+});